@@ -1,22 +1,276 @@
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useState, useEffect, useRef } from 'react';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
-import { StyleSheet } from 'react-native';
+import { StyleSheet, Platform, Alert, AppState } from 'react-native';
 
 // Import screens
 import HomeScreen from './src/screens/HomeScreen';
 import ContactsScreen from './src/screens/ContactsScreen';
 import MapScreen from './src/screens/MapScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import PinLockScreen from './src/screens/PinLockScreen';
+import AuditLogScreen from './src/screens/AuditLogScreen';
+import RecycleBinScreen from './src/screens/RecycleBinScreen';
+import SafeZonesScreen from './src/screens/SafeZonesScreen';
+import RegionPacksScreen from './src/screens/RegionPacksScreen';
 
 // Import icons (using simple text icons for now, can be replaced with vector icons)
 import { Ionicons } from '@expo/vector-icons';
 
+// Import storage startup tasks
+import { runMigrations } from './src/utils/migrations';
+import {
+  initializeSecureStorage,
+  encryptLegacyData,
+  getAuditStatus,
+  markAuditReviewed,
+  getEmergencyContacts,
+} from './src/utils/storage';
+import { describeChange, isCriticalChange } from './src/utils/auditLog';
+import { initializeStorageBackend } from './src/utils/storageBackends';
+import { startRetentionJob } from './src/utils/retention';
+import { startQuotaMonitor, QUOTA_LEVELS } from './src/utils/storageQuota';
+import { enterDuressMode, setSilentSOSSender } from './src/utils/duress';
+import { initializeProfiles, removeExpiredGuests, startGuestExpiryJob } from './src/utils/profiles';
+import { hasEncryptionPin, isDecoyActive, lockEncryption } from './src/utils/encryption';
+// Also defines the safe zone geofencing task, which must exist when the app loads
+import {
+  startSafeZoneMonitor,
+  subscribeToZoneEvents,
+  shouldNotifyContacts,
+  setZoneAlertSender,
+} from './src/utils/safeZones';
+import { sendZoneAlert } from './src/utils/sms';
+// Also defines the background location task, which must exist when the app loads
+import {
+  setAppStorageReady,
+  resumeEmergencyTracking,
+  setBackgroundShareSender,
+} from './src/utils/backgroundLocation';
+import { installBundledPacks } from './src/utils/regionPacks';
+import { setAreaSafetyCheck } from './src/utils/trackingProfiles';
+import { isLocationSafe } from './src/utils/locationSafety';
+import { setEmergencyServicesProvider } from './src/utils/emergencyServices';
+import { sendThroughRelay } from './src/utils/alertRelay';
+
+// Alerts that can't show the SMS composer go through the user's alert relay.
+// Registered here, not on mount, so the background task has it when the OS
+// starts the app without a screen
+setSilentSOSSender(sendThroughRelay);
+setBackgroundShareSender(sendThroughRelay);
+setZoneAlertSender(sendThroughRelay);
+
 const Tab = createBottomTabNavigator();
+const navigationRef = createNavigationContainerRef();
+
+// Storage engine for this build: 'asyncStorage', 'sqlite' or 'memory'
+// Changing it copies existing data to the new engine on next start.
+// The web build has no keychain for encryption keys, so it stays in memory
+const STORAGE_BACKEND = Platform.select({
+  web: 'memory',
+  default: 'asyncStorage',
+});
+
+// Default Overpass API endpoint emergency services are looked up from, e.g.
+// a self-hosted instance. Users can set their own under Settings > Emergency
+// Services Lookup; with neither, only region packs and cached lookups are used
+const EMERGENCY_SERVICES_PROVIDER = null;
 
 export default function App() {
+  const [isStorageReady, setIsStorageReady] = useState(false);
+  const [isLocked, setIsLocked] = useState(false);
+  // What the user has already been alerted about this session
+  const auditAlerted = useRef({ seq: 0, tampered: false });
+
+  useEffect(() => {
+    prepareStorage();
+  }, []);
+
+  useEffect(() => {
+    if (!isStorageReady) return undefined;
+
+    // After a duress unlock only the decoy data set is loaded, and it lasts
+    // until the app restarts. None of the jobs below run against it: they
+    // would prune, track into or install packs into data that is thrown away,
+    // and background fixes are held back instead of landing in it
+    if (isDecoyActive()) return undefined;
+
+    // Background fixes wait for storage; an SOS left active keeps tracking
+    setAppStorageReady(true);
+    resumeEmergencyTracking();
+    // Region packs that ship with the app are installed or updated
+    installBundledPacks();
+    // Emergency services beyond the packs come from the lookup provider, if any,
+    // unless the user picked their own in Settings
+    setEmergencyServicesProvider(EMERGENCY_SERVICES_PROVIDER);
+    // Keep history collections within their retention policies
+    const retentionJob = startRetentionJob();
+    // Wipe guest profiles when their time is up
+    const guestExpiryJob = startGuestExpiryJob(handleGuestExpired);
+    // Compact history before storage fills up and warn if that isn't enough
+    const quotaMonitor = startQuotaMonitor(handleQuotaLevelChange);
+    // Watch safe zones and tell contacts about the moves the user asked for;
+    // tracking follows how safe the area is
+    setAreaSafetyCheck(isLocationSafe);
+    const safeZoneMonitor = startSafeZoneMonitor();
+    const unsubscribeZoneEvents = subscribeToZoneEvents(handleZoneEvent);
+    // Changes someone else made are flagged when the user comes back to the app
+    checkAuditLog();
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') checkAuditLog();
+    });
+    return () => {
+      retentionJob.stop();
+      guestExpiryJob.stop();
+      quotaMonitor.stop();
+      safeZoneMonitor.stop();
+      unsubscribeZoneEvents();
+      appStateSubscription.remove();
+      setAppStorageReady(false);
+    };
+  }, [isStorageReady]);
+
+  const prepareStorage = async () => {
+    setAppStorageReady(false);
+    try {
+      await initializeStorageBackend(STORAGE_BACKEND);
+
+      // Expired guest data is wiped even before the PIN is entered
+      await removeExpiredGuests();
+
+      // Encrypted data can't be read or migrated until the PIN is entered
+      const { locked } = await initializeSecureStorage();
+      if (locked) {
+        setIsLocked(true);
+        return;
+      }
+      await finishStorageSetup();
+    } catch (error) {
+      console.error('Error preparing storage:', error);
+      setIsStorageReady(true);
+    }
+  };
+
+  const finishStorageSetup = async () => {
+    try {
+      // Bring stored data up to the current schema before any screen reads it
+      await initializeProfiles();
+      await runMigrations();
+    } catch (error) {
+      console.error('Error preparing storage:', error);
+    } finally {
+      setIsStorageReady(true);
+    }
+  };
+
+  const handleUnlock = async () => {
+    setIsLocked(false);
+    await encryptLegacyData();
+    await finishStorageSetup();
+  };
+
+  // The guest session in use has ended and its data is gone; with a PIN set,
+  // lock instead of showing the owner's data to whoever holds the phone
+  const handleGuestExpired = () => {
+    if (hasEncryptionPin()) {
+      lockEncryption();
+      setIsStorageReady(false);
+      setIsLocked(true);
+    }
+  };
+
+  // Without the alert relay, contacts can only be told through the SMS
+  // composer, which needs the app on screen
+  const handleZoneEvent = async (event) => {
+    if (!shouldNotifyContacts(event) || event.relayed) return;
+    if (AppState.currentState !== 'active') {
+      console.warn(`Couldn't tell contacts about ${event.type} of ${event.zone.name}: no alert relay and the app isn't open`);
+      return;
+    }
+
+    const contacts = await getEmergencyContacts();
+    if (contacts.length === 0) {
+      console.warn(`No emergency contacts to tell about ${event.type} of ${event.zone.name}`);
+      return;
+    }
+    await sendZoneAlert(contacts, event.zone.name, event.type, event.location, event.timestamp);
+  };
+
+  const handleQuotaLevelChange = (level, usage) => {
+    if (level === QUOTA_LEVELS.OK) return;
+
+    const percent = Math.round(usage.ratio * 100);
+    Alert.alert(
+      level === QUOTA_LEVELS.CRITICAL ? 'Storage Nearly Full' : 'Storage Running Low',
+      `SafeHer storage is ${percent}% full even after removing old history. ` +
+        'Space for emergency alerts is still reserved, but consider exporting a backup ' +
+        'and shortening history retention in Settings.'
+    );
+  };
+
+  const openAuditLog = () => {
+    if (navigationRef.isReady()) {
+      navigationRef.navigate('AuditLog');
+    }
+  };
+
+  const checkAuditLog = async () => {
+    try {
+      const status = await getAuditStatus();
+      const tampered = !status.readable || !status.valid || status.untracked.length > 0;
+
+      if (tampered && !auditAlerted.current.tampered) {
+        auditAlerted.current.tampered = true;
+        Alert.alert(
+          'Possible Tampering',
+          'Your contacts, settings or their change history were modified outside the app.',
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Review', onPress: openAuditLog },
+          ]
+        );
+        return;
+      }
+
+      const [latest] = status.pendingReview;
+      if (!latest || latest.seq <= auditAlerted.current.seq) return;
+      auditAlerted.current.seq = latest.seq;
+
+      const descriptions = status.pendingReview
+        .flatMap(entry => entry.changes
+          .filter(change => isCriticalChange(entry.collection, change))
+          .map(change => describeChange(entry.collection, change)))
+        .slice(0, 3);
+      Alert.alert(
+        'Safety Settings Changed',
+        `${descriptions.join('\n')}\n\nIf you didn't make these changes, someone else may have used your phone.`,
+        [
+          { text: 'Review', onPress: openAuditLog },
+          { text: 'It Was Me', onPress: () => markAuditReviewed() },
+        ]
+      );
+    } catch (error) {
+      console.error('Error checking audit log:', error);
+    }
+  };
+
+  // Looks like a normal unlock; the screens only ever see the decoy data
+  const handleDuressUnlock = async () => {
+    setIsLocked(false);
+    await enterDuressMode();
+    setIsStorageReady(true);
+  };
+
+  if (isLocked) {
+    return <PinLockScreen onUnlock={handleUnlock} onDuressUnlock={handleDuressUnlock} />;
+  }
+
+  if (!isStorageReady) {
+    return null;
+  }
+
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigationRef}>
       <Tab.Navigator
         screenOptions={({ route }) => ({
           tabBarIcon: ({ focused, color, size }) => {
@@ -65,6 +319,26 @@ export default function App() {
           component={SettingsScreen}
           options={{ title: 'Settings' }}
         />
+        <Tab.Screen 
+          name="AuditLog" 
+          component={AuditLogScreen}
+          options={{ title: 'Change History', tabBarButton: () => null }}
+        />
+        <Tab.Screen 
+          name="RecycleBin" 
+          component={RecycleBinScreen}
+          options={{ title: 'Recycle Bin', tabBarButton: () => null }}
+        />
+        <Tab.Screen 
+          name="SafeZones" 
+          component={SafeZonesScreen}
+          options={{ title: 'Safe Zones', tabBarButton: () => null }}
+        />
+        <Tab.Screen 
+          name="RegionPacks" 
+          component={RegionPacksScreen}
+          options={{ title: 'Region Packs', tabBarButton: () => null }}
+        />
       </Tab.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,32 @@
+// Native modules that have no working Jest stand-in in the jest-expo preset
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('@react-native-voice/voice', () => ({
+  __esModule: true,
+  default: {
+    isAvailable: jest.fn(async () => false),
+    start: jest.fn(async () => {}),
+    stop: jest.fn(async () => {}),
+    destroy: jest.fn(async () => {}),
+    removeAllListeners: jest.fn(),
+  },
+}));
+
+// The keychain and random bytes behave like the real ones, so encrypted
+// storage works in tests against the memory backend
+jest.mock('expo-secure-store', () => {
+  const items = new Map();
+  return {
+    isAvailableAsync: jest.fn(async () => true),
+    getItemAsync: jest.fn(async key => (items.has(key) ? items.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      items.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      items.delete(key);
+    }),
+  };
+});
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: size => new Uint8Array(require('crypto').randomBytes(size)),
+}));
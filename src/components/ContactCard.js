@@ -6,6 +6,7 @@ import {
   TouchableOpacity,
   Alert,
 } from 'react-native';
+import { DEFAULT_REGION, parsePhoneNumber } from '../utils/phoneNumbers';
 
 /**
  * ContactCard - Display individual trusted contact information
@@ -18,8 +19,12 @@ const ContactCard = ({
   onDelete, 
   onToggleEmergency,
   onCall,
-  onMessage 
+  onMessage,
+  region = DEFAULT_REGION,
 }) => {
+  const phoneInfo = parsePhoneNumber(contact.phone, region);
+  const cannotReceiveSMS = !phoneInfo || phoneInfo.canReceiveSMS === false;
+
   const handleCall = () => {
     if (onCall) {
       onCall(contact);
@@ -49,12 +54,13 @@ const ContactCard = ({
   };
 
   const formatPhoneNumber = (phone) => {
-    // Simple phone number formatting
-    const cleaned = phone.replace(/\D/g, '');
-    if (cleaned.length === 10) {
-      return `(${cleaned.slice(0, 3)}) ${cleaned.slice(3, 6)}-${cleaned.slice(6)}`;
-    }
-    return phone;
+    return phoneInfo && phoneInfo.valid ? phoneInfo.international : phone;
+  };
+
+  const getSMSWarning = () => {
+    if (!phoneInfo || !phoneInfo.valid) return 'Not a valid phone number';
+    if (phoneInfo.type === 'FIXED_LINE') return 'Landline, can\'t receive SMS alerts';
+    return 'This number can\'t receive SMS alerts';
   };
 
   const getContactInitials = (name) => {
@@ -98,6 +104,9 @@ const ContactCard = ({
         <View style={styles.contactInfo}>
           <Text style={styles.contactName}>{contact.name}</Text>
           <Text style={styles.contactPhone}>{formatPhoneNumber(contact.phone)}</Text>
+          {cannotReceiveSMS && (
+            <Text style={styles.smsWarning}>📵 {getSMSWarning()}</Text>
+          )}
           <Text style={styles.addedDate}>Added: {getAddedDate()}</Text>
         </View>
         
@@ -158,7 +167,9 @@ const ContactCard = ({
       {contact.isEmergency && (
         <View style={styles.emergencyInfo}>
           <Text style={styles.emergencyInfoText}>
-            ⚠️ This contact will receive emergency alerts and location updates
+            {cannotReceiveSMS
+              ? '⚠️ Emergency alerts are sent by SMS and won\'t reach this number'
+              : '⚠️ This contact will receive emergency alerts and location updates'}
           </Text>
         </View>
       )}
@@ -236,6 +247,11 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 4,
   },
+  smsWarning: {
+    fontSize: 12,
+    color: '#d32f2f',
+    marginBottom: 4,
+  },
   addedDate: {
     fontSize: 12,
     color: '#999',
@@ -0,0 +1,244 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import { IMPORT_SECTIONS, IMPORT_STRATEGIES } from '../utils/dataImport';
+
+/**
+ * ImportPreview - Dry-run summary of a data import
+ * Shows what each section would change and lets the user pick
+ * replace, merge or skip per section before anything is written
+ */
+const ImportPreview = ({
+  visible,
+  preview,
+  strategies,
+  onChangeStrategy,
+  onConfirm,
+  onCancel,
+  isImporting = false,
+}) => {
+  if (!preview) {
+    return null;
+  }
+
+  const describeDiff = (sectionDiff) => {
+    if (!sectionDiff || sectionDiff.strategy === IMPORT_STRATEGIES.SKIP) {
+      return 'No changes';
+    }
+    if (sectionDiff.changed) {
+      return sectionDiff.changed.length > 0
+        ? `${sectionDiff.changed.length} value(s) changed`
+        : 'No changes';
+    }
+
+    const parts = [];
+    if (sectionDiff.added.length > 0) parts.push(`${sectionDiff.added.length} added`);
+    if (sectionDiff.updated.length > 0) parts.push(`${sectionDiff.updated.length} updated`);
+    if (sectionDiff.removed.length > 0) parts.push(`${sectionDiff.removed.length} removed`);
+    if (sectionDiff.unchanged.length > 0) parts.push(`${sectionDiff.unchanged.length} unchanged`);
+    return parts.length > 0 ? parts.join(', ') : 'No changes';
+  };
+
+  const fileErrors = preview.errors.file || [];
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onCancel}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Import Preview</Text>
+          <Text style={styles.subtitle}>Nothing is changed until you confirm</Text>
+
+          {fileErrors.map((message, index) => (
+            <Text key={index} style={styles.errorText}>⚠️ {message}</Text>
+          ))}
+
+          <ScrollView style={styles.sectionList}>
+            {Object.entries(IMPORT_SECTIONS).map(([section, config]) => {
+              const sectionErrors = preview.errors[section] || [];
+              const sectionDiff = preview.diff[section];
+              const selected = strategies[section] || IMPORT_STRATEGIES.MERGE;
+
+              return (
+                <View key={section} style={styles.section}>
+                  <Text style={styles.sectionTitle}>{config.label}</Text>
+
+                  {sectionErrors.length > 0 ? (
+                    <Text style={styles.errorText}>
+                      Invalid: {sectionErrors.slice(0, 2).join('; ')}
+                      {sectionErrors.length > 2 ? ` (+${sectionErrors.length - 2} more)` : ''}
+                    </Text>
+                  ) : (
+                    <Text style={styles.diffText}>{describeDiff(sectionDiff)}</Text>
+                  )}
+
+                  <View style={styles.strategyRow}>
+                    {Object.values(IMPORT_STRATEGIES).map(strategy => (
+                      <TouchableOpacity
+                        key={strategy}
+                        style={[
+                          styles.strategyButton,
+                          selected === strategy && styles.strategyButtonActive,
+                        ]}
+                        onPress={() => onChangeStrategy(section, strategy)}
+                      >
+                        <Text
+                          style={[
+                            styles.strategyButtonText,
+                            selected === strategy && styles.strategyButtonTextActive,
+                          ]}
+                        >
+                          {strategy.charAt(0).toUpperCase() + strategy.slice(1)}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.button,
+                styles.confirmButton,
+                (!preview.valid || isImporting) && styles.disabledButton,
+              ]}
+              onPress={onConfirm}
+              disabled={!preview.valid || isImporting}
+            >
+              <Text style={styles.confirmButtonText}>
+                {isImporting ? 'Importing...' : 'Import'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    backgroundColor: '#fff',
+    borderRadius: 15,
+    padding: 25,
+    width: '90%',
+    maxWidth: 400,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 5,
+    marginBottom: 15,
+  },
+  sectionList: {
+    flexGrow: 0,
+  },
+  section: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 4,
+  },
+  diffText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#f44336',
+    marginBottom: 8,
+  },
+  strategyRow: {
+    flexDirection: 'row',
+  },
+  strategyButton: {
+    flex: 1,
+    paddingVertical: 6,
+    marginHorizontal: 3,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#e91e63',
+    alignItems: 'center',
+  },
+  strategyButtonActive: {
+    backgroundColor: '#e91e63',
+  },
+  strategyButtonText: {
+    fontSize: 12,
+    color: '#e91e63',
+    fontWeight: '500',
+  },
+  strategyButtonTextActive: {
+    color: '#fff',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: '#f0f0f0',
+  },
+  confirmButton: {
+    backgroundColor: '#e91e63',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  cancelButtonText: {
+    color: '#666',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  confirmButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+});
+
+export default ImportPreview;
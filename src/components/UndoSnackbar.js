@@ -0,0 +1,81 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Animated,
+} from 'react-native';
+
+/**
+ * UndoSnackbar - Short message at the bottom of the screen with an Undo action
+ * Shown after something is moved to the recycle bin; hides itself after
+ * duration milliseconds. Give each message a new key so the timer restarts
+ */
+const UndoSnackbar = ({
+  message,
+  onUndo,
+  onDismiss,
+  duration = 6000,
+}) => {
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!message) return undefined;
+
+    Animated.timing(opacity, {
+      toValue: 1,
+      duration: 200,
+      useNativeDriver: true,
+    }).start();
+
+    const timeoutId = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timeoutId);
+  }, [message]);
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <Animated.View style={[styles.snackbar, { opacity }]}>
+      <Text style={styles.message} numberOfLines={2}>{message}</Text>
+      <TouchableOpacity onPress={onUndo}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  snackbar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#333',
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  message: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+    marginRight: 15,
+  },
+  undoText: {
+    color: '#f48fb1',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,150 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  STORAGE_KEYS,
+  DEFAULT_SETTINGS,
+  subscribe,
+  getStoredContacts,
+  getStoredSettings,
+  getLocationHistory,
+  getActiveProfileId,
+  getDefaultPhoneRegion,
+} from '../utils/storage';
+import { getProfiles } from '../utils/profiles';
+import { DEFAULT_REGION } from '../utils/phoneNumbers';
+import { getActiveEmergency } from '../utils/backgroundLocation';
+
+/**
+ * Storage hooks for SafeHer app
+ * Read a stored collection and re-read it whenever it is written,
+ * so every screen shows the same data without reloading
+ */
+
+/**
+ * Keep a stored value in state and refresh it when any of the keys change
+ * read loads the value; only the latest read is applied if several overlap
+ * Returns { value, isLoading, reload }
+ */
+export const useStoredValue = (keys, read, initialValue) => {
+  const [value, setValue] = useState(initialValue);
+  const [isLoading, setIsLoading] = useState(true);
+  const readRef = useRef(read);
+  const latestRequest = useRef(0);
+  const mounted = useRef(true);
+
+  readRef.current = read;
+
+  const reload = useCallback(async () => {
+    const request = ++latestRequest.current;
+    try {
+      const result = await readRef.current();
+      if (mounted.current && request === latestRequest.current) {
+        setValue(result);
+      }
+    } catch (error) {
+      console.error('Error reloading stored value:', error);
+    } finally {
+      if (mounted.current && request === latestRequest.current) {
+        setIsLoading(false);
+      }
+    }
+  }, []);
+
+  const keyList = Array.isArray(keys) ? keys : [keys];
+
+  useEffect(() => {
+    mounted.current = true;
+    reload();
+    const unsubscribe = subscribe(keyList, reload);
+    return () => {
+      mounted.current = false;
+      unsubscribe();
+    };
+  }, [keyList.join('|'), reload]);
+
+  return { value, isLoading, reload };
+};
+
+/**
+ * Trusted contacts, updated whenever a contact is added, edited or removed
+ */
+export const useContacts = () => {
+  const { value, isLoading, reload } = useStoredValue(
+    STORAGE_KEYS.TRUSTED_CONTACTS,
+    getStoredContacts,
+    []
+  );
+  return { contacts: value, isLoading, reload };
+};
+
+/**
+ * User settings, updated whenever a setting is saved
+ */
+export const useSettings = () => {
+  const { value, isLoading, reload } = useStoredValue(
+    STORAGE_KEYS.USER_SETTINGS,
+    async () => ({ ...DEFAULT_SETTINGS, ...(await getStoredSettings()) }),
+    DEFAULT_SETTINGS
+  );
+  return { settings: value, isLoading, reload };
+};
+
+/**
+ * Region that phone numbers without a country code are read in,
+ * updated when the user profile changes
+ */
+export const usePhoneRegion = () => {
+  const { value } = useStoredValue(STORAGE_KEYS.USER_PROFILE, getDefaultPhoneRegion, DEFAULT_REGION);
+  return value;
+};
+
+/**
+ * The SOS being tracked, or null; set when an SOS starts and cleared
+ * when the user marks themselves safe
+ */
+export const useActiveEmergency = () => {
+  const { value } = useStoredValue(STORAGE_KEYS.ACTIVE_EMERGENCY, getActiveEmergency, null);
+  return value;
+};
+
+const toTime = value => (value === null || value === undefined ? null : new Date(value).getTime());
+
+/**
+ * Location history for a time range, newest first
+ * Takes the same { start, end, limit, includeRejected } query as getLocationHistory
+ * and updates as new fixes are recorded
+ * Keep start and end stable between renders (e.g. from state), not Date.now()
+ */
+export const useLocationHistory = (query = {}) => {
+  const start = toTime(query.start);
+  const end = toTime(query.end);
+  const limit = query.limit || null;
+  const includeRejected = Boolean(query.includeRejected);
+  const { value, isLoading, reload } = useStoredValue(
+    STORAGE_KEYS.LOCATION_INDEX,
+    () => getLocationHistory({ start, end, limit, includeRejected }),
+    []
+  );
+
+  // Query changes don't touch storage, so reload for them directly
+  useEffect(() => {
+    reload();
+  }, [start, end, limit, includeRejected]);
+
+  return { locations: value, isLoading, reload };
+};
+
+/**
+ * All profiles plus the active one, updated on profile changes and switches
+ */
+export const useProfiles = () => {
+  const { value, isLoading, reload } = useStoredValue(
+    STORAGE_KEYS.PROFILES,
+    async () => {
+      const profiles = await getProfiles();
+      const activeId = getActiveProfileId();
+      return { profiles, activeProfile: profiles.find(profile => profile.id === activeId) || null };
+    },
+    { profiles: [], activeProfile: null }
+  );
+  return { ...value, isLoading, reload };
+};
@@ -0,0 +1,277 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import {
+  STORAGE_KEYS,
+  getAuditLog,
+  getAuditStatus,
+  markAuditReviewed,
+} from '../utils/storage';
+import {
+  AUDIT_SOURCES,
+  AUDIT_COLLECTIONS,
+  describeChange,
+  isCriticalChange,
+} from '../utils/auditLog';
+import { useStoredValue } from '../hooks/useStorage';
+
+/**
+ * AuditLogScreen - Review every change made to contacts, settings and profile
+ * Shows whether the log is intact and lets the user confirm changes that
+ * made them less safe, so changes made by someone else stand out
+ */
+
+const SOURCE_LABELS = {
+  [AUDIT_SOURCES.APP]: 'App',
+  [AUDIT_SOURCES.CONTACTS_SCREEN]: 'Contacts screen',
+  [AUDIT_SOURCES.SETTINGS_SCREEN]: 'Settings screen',
+  [AUDIT_SOURCES.AUDIT_LOG_SCREEN]: 'Change History',
+  [AUDIT_SOURCES.RECYCLE_BIN_SCREEN]: 'Recycle Bin',
+  [AUDIT_SOURCES.IMPORT]: 'Backup import',
+  [AUDIT_SOURCES.MIGRATION]: 'App update',
+};
+
+const loadAuditLog = async () => {
+  const [entries, status] = await Promise.all([getAuditLog(), getAuditStatus()]);
+  return { entries: [...entries].reverse(), status };
+};
+
+const AuditLogScreen = () => {
+  const { value, isLoading } = useStoredValue(
+    [STORAGE_KEYS.AUDIT_LOG, STORAGE_KEYS.TRUSTED_CONTACTS, STORAGE_KEYS.USER_SETTINGS, STORAGE_KEYS.USER_PROFILE],
+    loadAuditLog,
+    { entries: [], status: null }
+  );
+  const { entries, status } = value;
+  const pendingSeqs = new Set(status ? status.pendingReview.map(entry => entry.seq) : []);
+  const isTampered = status && (!status.readable || !status.valid || status.untracked.length > 0);
+
+  const handleConfirmChanges = () => {
+    Alert.alert(
+      'Confirm Changes',
+      'Only confirm if you made all of these changes yourself. If you didn\'t, restore your settings and contacts and consider setting an app PIN.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'I Made These Changes',
+          onPress: async () => {
+            if (!(await markAuditReviewed(AUDIT_SOURCES.AUDIT_LOG_SCREEN))) {
+              Alert.alert('Error', 'Failed to save your review');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const describeStatus = () => {
+    if (!status.readable) return 'The change history could not be read. It may have been tampered with.';
+    if (!status.valid) return `The change history was altered at entry #${status.brokenAt}. Entries from there on can't be trusted.`;
+    return 'Contacts or settings were changed without going through the app.';
+  };
+
+  const renderEntry = ({ item }) => {
+    const isReview = item.collection === AUDIT_COLLECTIONS.REVIEW;
+
+    return (
+      <View style={[styles.entryCard, pendingSeqs.has(item.seq) && styles.pendingEntry]}>
+        <View style={styles.entryHeader}>
+          <Text style={styles.entryTime}>{new Date(item.timestamp).toLocaleString()}</Text>
+          <Text style={styles.entrySource}>{SOURCE_LABELS[item.source] || item.source}</Text>
+        </View>
+        {isReview ? (
+          <Text style={styles.reviewText}>✓ Changes reviewed and confirmed</Text>
+        ) : (
+          item.changes.map((change, index) => (
+            <Text
+              key={index}
+              style={[styles.changeText, isCriticalChange(item.collection, change) && styles.criticalChange]}
+            >
+              {isCriticalChange(item.collection, change) ? '⚠️ ' : '• '}
+              {describeChange(item.collection, change)}
+            </Text>
+          ))
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {status && (
+        <View style={[styles.statusCard, isTampered ? styles.statusAlert : styles.statusOk]}>
+          <Text style={styles.statusTitle}>
+            {isTampered ? '⚠️ Possible Tampering' : '🔒 Change History Intact'}
+          </Text>
+          <Text style={styles.statusText}>
+            {isTampered
+              ? describeStatus()
+              : `${entries.length} recorded changes, each linked to the one before it.`}
+          </Text>
+        </View>
+      )}
+
+      {status && status.pendingReview.length > 0 && (
+        <View style={styles.reviewCard}>
+          <Text style={styles.reviewTitle}>
+            {status.pendingReview.length === 1
+              ? '1 change made you less safe'
+              : `${status.pendingReview.length} changes made you less safe`}
+          </Text>
+          <Text style={styles.reviewDescription}>
+            Highlighted below. If you didn't make them, someone else may have used your phone.
+          </Text>
+          <TouchableOpacity style={styles.confirmButton} onPress={handleConfirmChanges}>
+            <Text style={styles.confirmButtonText}>I Made These Changes</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!isLoading && entries.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateText}>No changes recorded yet</Text>
+          <Text style={styles.emptyStateSubtext}>
+            Changes to your contacts, settings and profile will appear here
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(item) => `${item.seq}`}
+          contentContainerStyle={styles.list}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  statusCard: {
+    margin: 20,
+    marginBottom: 10,
+    padding: 15,
+    borderRadius: 15,
+  },
+  statusOk: {
+    backgroundColor: '#e8f5e9',
+  },
+  statusAlert: {
+    backgroundColor: '#ffebee',
+  },
+  statusTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 5,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  reviewCard: {
+    marginHorizontal: 20,
+    marginBottom: 10,
+    padding: 15,
+    borderRadius: 15,
+    backgroundColor: '#fff3e0',
+  },
+  reviewTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#e65100',
+    marginBottom: 5,
+  },
+  reviewDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  confirmButton: {
+    backgroundColor: '#e91e63',
+    paddingVertical: 10,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  confirmButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  list: {
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  entryCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  pendingEntry: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#ff9800',
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  entryTime: {
+    fontSize: 12,
+    color: '#999',
+  },
+  entrySource: {
+    fontSize: 12,
+    color: '#999',
+  },
+  changeText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 2,
+  },
+  criticalChange: {
+    color: '#d32f2f',
+    fontWeight: 'bold',
+  },
+  reviewText: {
+    fontSize: 14,
+    color: '#4caf50',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyStateText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
+
+export default AuditLogScreen;
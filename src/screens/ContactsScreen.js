@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -11,7 +11,17 @@ import {
   Modal,
 } from 'react-native';
 import ContactCard from '../components/ContactCard';
-import { getStoredContacts, storeContacts } from '../utils/storage';
+import UndoSnackbar from '../components/UndoSnackbar';
+import {
+  addContact as addStoredContact,
+  updateContact as updateStoredContact,
+  deleteContact as deleteStoredContact,
+  mergeContacts,
+  restoreFromRecycleBin,
+} from '../utils/storage';
+import { AUDIT_SOURCES } from '../utils/auditLog';
+import { parsePhoneNumber, getPhoneKey, findDuplicateContacts } from '../utils/phoneNumbers';
+import { useContacts, usePhoneRegion } from '../hooks/useStorage';
 
 /**
  * ContactsScreen - Manage trusted contacts for emergency situations
@@ -19,56 +29,83 @@ import { getStoredContacts, storeContacts } from '../utils/storage';
  * These contacts will receive emergency alerts and location updates
  */
 const ContactsScreen = () => {
-  const [contacts, setContacts] = useState([]);
+  const { contacts } = useContacts();
+  const region = usePhoneRegion();
+  const duplicateGroups = findDuplicateContacts(contacts, region);
   const [modalVisible, setModalVisible] = useState(false);
   const [editingContact, setEditingContact] = useState(null);
   const [contactName, setContactName] = useState('');
   const [contactPhone, setContactPhone] = useState('');
+  const [deletedEntry, setDeletedEntry] = useState(null);
 
-  useEffect(() => {
-    loadContacts();
-  }, []);
-
-  const loadContacts = async () => {
-    try {
-      const storedContacts = await getStoredContacts();
-      setContacts(storedContacts);
-    } catch (error) {
-      console.error('Error loading contacts:', error);
-      Alert.alert('Error', 'Failed to load contacts');
-    }
-  };
-
-  const saveContacts = async (updatedContacts) => {
-    try {
-      await storeContacts(updatedContacts);
-      setContacts(updatedContacts);
-    } catch (error) {
-      console.error('Error saving contacts:', error);
+  // Storage helpers return false/null on failure; the list refreshes itself on success
+  const showSaveResult = (saved) => {
+    if (!saved) {
       Alert.alert('Error', 'Failed to save contacts');
     }
   };
 
-  const addContact = () => {
+  // Numbers are stored in E.164, so a number that doesn't parse can't be saved
+  const validateForm = () => {
     if (!contactName.trim() || !contactPhone.trim()) {
       Alert.alert('Error', 'Please fill in all fields');
-      return;
+      return false;
+    }
+    const phoneInfo = parsePhoneNumber(contactPhone, region);
+    if (!phoneInfo || !phoneInfo.valid) {
+      Alert.alert(
+        'Invalid Number',
+        `That doesn't look like a valid phone number. Numbers without a country code are read as ${region} numbers.`
+      );
+      return false;
     }
+    return true;
+  };
 
-    const newContact = {
-      id: Date.now().toString(),
-      name: contactName.trim(),
-      phone: contactPhone.trim(),
-      isEmergency: false,
-      addedDate: new Date().toISOString(),
-    };
+  // Another contact already saved with the same number, written any way
+  const findSameNumber = (phone, excludeId = null) => {
+    const key = getPhoneKey(phone, region);
+    return contacts.find(contact => contact.id !== excludeId && getPhoneKey(contact.phone, region) === key);
+  };
+
+  const mergeInto = (keepId, mergedIds) => {
+    mergeContacts([keepId, ...mergedIds], AUDIT_SOURCES.CONTACTS_SCREEN).then(showSaveResult);
+  };
 
-    const updatedContacts = [...contacts, newContact];
-    saveContacts(updatedContacts);
+  const closeForm = () => {
     resetForm();
     setModalVisible(false);
   };
 
+  const addContact = () => {
+    if (!validateForm()) return;
+
+    const saveContact = () => {
+      addStoredContact({
+        name: contactName.trim(),
+        phone: contactPhone.trim(),
+        isEmergency: false,
+      }, AUDIT_SOURCES.CONTACTS_SCREEN).then(showSaveResult);
+      closeForm();
+    };
+
+    const existing = findSameNumber(contactPhone);
+    if (!existing) {
+      saveContact();
+      return;
+    }
+
+    Alert.alert(
+      'Number Already Saved',
+      `${existing.name} already has this number. Emergency alerts are only sent once per number.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Keep Existing', onPress: closeForm },
+        { text: 'Add Anyway', onPress: saveContact },
+      ]
+    );
+  };
+
   const editContact = (contact) => {
     setEditingContact(contact);
     setContactName(contact.name);
@@ -77,47 +114,79 @@ const ContactsScreen = () => {
   };
 
   const updateContact = () => {
-    if (!contactName.trim() || !contactPhone.trim()) {
-      Alert.alert('Error', 'Please fill in all fields');
-      return;
-    }
+    if (!validateForm()) return;
 
-    const updatedContacts = contacts.map(contact =>
-      contact.id === editingContact.id
-        ? { ...contact, name: contactName.trim(), phone: contactPhone.trim() }
-        : contact
-    );
+    const contactId = editingContact.id;
+    const saveContact = () => updateStoredContact(contactId, {
+      name: contactName.trim(),
+      phone: contactPhone.trim(),
+    }, AUDIT_SOURCES.CONTACTS_SCREEN);
 
-    saveContacts(updatedContacts);
-    resetForm();
-    setModalVisible(false);
-  };
+    const existing = findSameNumber(contactPhone, contactId);
+    if (!existing) {
+      saveContact().then(showSaveResult);
+      closeForm();
+      return;
+    }
 
-  const deleteContact = (contactId) => {
     Alert.alert(
-      'Delete Contact',
-      'Are you sure you want to delete this contact?',
+      'Number Already Saved',
+      `${existing.name} already has this number. Merge ${editingContact.name} into ${existing.name}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
-          style: 'destructive',
+          text: 'Merge',
           onPress: () => {
-            const updatedContacts = contacts.filter(contact => contact.id !== contactId);
-            saveContacts(updatedContacts);
+            mergeInto(existing.id, [contactId]);
+            closeForm();
+          },
+        },
+        {
+          text: 'Save Anyway',
+          onPress: () => {
+            saveContact().then(showSaveResult);
+            closeForm();
           },
         },
       ]
     );
   };
 
-  const toggleEmergencyContact = (contactId) => {
-    const updatedContacts = contacts.map(contact =>
-      contact.id === contactId
-        ? { ...contact, isEmergency: !contact.isEmergency }
-        : contact
+  const mergeDuplicates = (group) => {
+    const [keep, ...others] = group;
+    Alert.alert(
+      'Merge Contacts',
+      `Keep ${keep.name} and remove ${others.map(contact => contact.name).join(', ')}? They share the same number.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => mergeInto(keep.id, others.map(contact => contact.id)) },
+      ]
     );
-    saveContacts(updatedContacts);
+  };
+
+  // Deleted contacts go to the recycle bin, so no confirmation is needed
+  const deleteContact = async (contactId) => {
+    const entry = await deleteStoredContact(contactId, AUDIT_SOURCES.CONTACTS_SCREEN);
+    showSaveResult(entry);
+    setDeletedEntry(entry);
+  };
+
+  const undoDelete = async () => {
+    const entry = deletedEntry;
+    setDeletedEntry(null);
+    if (!(await restoreFromRecycleBin(entry.id, AUDIT_SOURCES.CONTACTS_SCREEN))) {
+      Alert.alert('Error', 'Failed to restore contact. You can still restore it from the Recycle Bin in Settings.');
+    }
+  };
+
+  const toggleEmergencyContact = (contactId) => {
+    const contact = contacts.find(item => item.id === contactId);
+    if (!contact) return;
+    updateStoredContact(
+      contactId,
+      { isEmergency: !contact.isEmergency },
+      AUDIT_SOURCES.CONTACTS_SCREEN
+    ).then(showSaveResult);
   };
 
   const resetForm = () => {
@@ -137,6 +206,7 @@ const ContactsScreen = () => {
       onEdit={() => editContact(item)}
       onDelete={() => deleteContact(item.id)}
       onToggleEmergency={() => toggleEmergencyContact(item.id)}
+      region={region}
     />
   );
 
@@ -151,6 +221,19 @@ const ContactsScreen = () => {
         </TouchableOpacity>
       </View>
 
+      {duplicateGroups.map(group => (
+        <TouchableOpacity
+          key={group[0].id}
+          style={styles.duplicateBanner}
+          onPress={() => mergeDuplicates(group)}
+        >
+          <Text style={styles.duplicateText}>
+            {group.map(contact => contact.name).join(' and ')} have the same number
+          </Text>
+          <Text style={styles.duplicateAction}>Merge</Text>
+        </TouchableOpacity>
+      ))}
+
       {contacts.length === 0 ? (
         <View style={styles.emptyState}>
           <Text style={styles.emptyStateText}>
@@ -173,6 +256,13 @@ const ContactsScreen = () => {
         />
       )}
 
+      <UndoSnackbar
+        key={deletedEntry ? deletedEntry.id : 'none'}
+        message={deletedEntry ? `${deletedEntry.item.name} moved to Recycle Bin` : null}
+        onUndo={undoDelete}
+        onDismiss={() => setDeletedEntry(null)}
+      />
+
       {/* Add/Edit Contact Modal */}
       <Modal
         animationType="slide"
@@ -244,6 +334,27 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  duplicateBanner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#fff3e0',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ffe0b2',
+  },
+  duplicateText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#e65100',
+    marginRight: 10,
+  },
+  duplicateAction: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#e91e63',
+  },
   addButton: {
     backgroundColor: '#e91e63',
     paddingHorizontal: 15,
@@ -10,9 +10,18 @@ import {
 } from 'react-native';
 import SOSButton from '../components/SOSButton';
 import RiskBadge from '../components/RiskBadge';
-import { getCurrentLocation, requestLocationPermissions } from '../utils/location';
-import { getStoredContacts } from '../utils/storage';
-import { createEmergencySMS, formatPhoneNumber } from '../utils/sms';
+import {
+  getCurrentLocation,
+  requestLocationPermissions,
+  lookupAddress,
+  ADDRESS_SOURCES,
+} from '../utils/location';
+import { isLocationSafe } from '../utils/locationSafety';
+import { STORAGE_KEYS, storeEmergencyEvent } from '../utils/storage';
+import { useContacts, useProfiles, useActiveEmergency, useStoredValue } from '../hooks/useStorage';
+import { isGuestProfile } from '../utils/profiles';
+import { createEmergencySMS, getRecipientNumbers } from '../utils/sms';
+import { startEmergencyTracking, resolveEmergency } from '../utils/backgroundLocation';
 import { 
   calculateRiskScore, 
   initializeVoiceRecognition, 
@@ -21,6 +30,9 @@ import {
   isVoiceRecognitionActive 
 } from '../utils/ai';
 
+// The SOS waits at most this long for a street name from the region packs
+const SOS_ADDRESS_TIMEOUT = 700;
+
 /**
  * HomeScreen - Main screen with SOS button and safety status
  * This is the primary screen users will see when opening the app
@@ -34,11 +46,21 @@ const HomeScreen = () => {
     factors: {},
     recommendations: []
   });
-  const [trustedContacts, setTrustedContacts] = useState([]);
+  // Stays current when contacts are changed on other screens
+  const { contacts: trustedContacts } = useContacts();
+  const { activeProfile } = useProfiles();
+  const activeEmergency = useActiveEmergency();
   const [voiceSOSActive, setVoiceSOSActive] = useState(false);
+  // How safe the area is and why, checked again when zones, reports or
+  // safe places change
+  const { value: areaSafety, reload: reloadAreaSafety } = useStoredValue(
+    [STORAGE_KEYS.SAFE_ZONES, STORAGE_KEYS.SAFETY_REPORTS, STORAGE_KEYS.USER_SAFE_PLACES, STORAGE_KEYS.REGION_PACKS],
+    () => (currentLocation ? isLocationSafe(currentLocation.latitude, currentLocation.longitude) : null),
+    null
+  );
 
   useEffect(() => {
-    // Load user's trusted contacts and current location on screen mount
+    // Load current location on screen mount
     loadInitialData();
     
     // Initialize voice recognition
@@ -52,12 +74,12 @@ const HomeScreen = () => {
     };
   }, []);
 
+  useEffect(() => {
+    reloadAreaSafety();
+  }, [currentLocation]);
+
   const loadInitialData = async () => {
     try {
-      // Get stored trusted contacts
-      const contacts = await getStoredContacts();
-      setTrustedContacts(contacts);
-
       // Get current location for safety assessment
       const location = await getCurrentLocation();
       setCurrentLocation(location);
@@ -207,8 +229,19 @@ const HomeScreen = () => {
         return;
       }
 
+      // Name the street so contacts can find the user without opening a map.
+      // Only the region packs are asked: they're on the device, while the
+      // device geocoder can hang on the network with the SOS waiting on it
+      const { address, source } = await lookupAddress(location.latitude, location.longitude, {
+        device: false,
+        timeout: SOS_ADDRESS_TIMEOUT,
+      });
+      const namedLocation = source === ADDRESS_SOURCES.COORDINATES
+        ? location
+        : { ...location, address, addressSource: source };
+
       // Send SOS alert with location
-      await sendSOSAlert(location);
+      await sendSOSAlert(namedLocation);
 
     } catch (error) {
       console.error('Error in SOS press:', error);
@@ -242,18 +275,38 @@ const HomeScreen = () => {
         return;
       }
 
-      // Format phone numbers for SMS
-      const phoneNumbers = emergencyContacts.map(contact => 
-        formatPhoneNumber(contact.phone)
-      );
+      // Format phone numbers for SMS, texting a shared number only once
+      const phoneNumbers = getRecipientNumbers(emergencyContacts);
+
+      // Record the SOS so history around it is preserved
+      const event = await storeEmergencyEvent({
+        type: 'sos',
+        location: location
+          ? {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            accuracy: location.accuracy,
+            address: location.address || null,
+            addressSource: location.addressSource || null,
+          }
+          : null,
+        contactCount: emergencyContacts.length,
+      });
 
-      // Open SMS app with prefilled message
+      // Open SMS app with prefilled message before anything else can get in the way
       const smsUrl = `sms:${phoneNumbers.join(',')}?body=${encodeURIComponent(emergencyMessage)}`;
-      
       const canOpen = await Linking.canOpenURL(smsUrl);
       if (canOpen) {
         await Linking.openURL(smsUrl);
-        
+      }
+
+      // Keep recording location after the SMS app takes over the screen.
+      // Not awaited: asking for background location can send the user to Settings
+      if (event) {
+        startEmergencyTracking(event.id);
+      }
+
+      if (canOpen) {
         // Show success message
         Alert.alert(
           '🚨 SOS Alert Sent! 🚨',
@@ -280,9 +333,57 @@ const HomeScreen = () => {
     }
   };
 
+  const handleImSafe = () => {
+    Alert.alert(
+      "I'm Safe",
+      'Stop tracking your location for this SOS?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: "I'm Safe",
+          onPress: async () => {
+            if (!(await resolveEmergency())) {
+              Alert.alert('Error', 'Failed to stop emergency tracking');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.content}>
+        {/* Active SOS Banner */}
+        {activeEmergency && (
+          <View style={styles.emergencyBanner}>
+            <View style={styles.emergencyBannerInfo}>
+              <Text style={styles.emergencyBannerTitle}>🚨 SOS active</Text>
+              <Text style={styles.emergencyBannerText}>
+                {activeEmergency.background
+                  ? 'Recording your location, even with the app closed'
+                  : 'Recording your location while SafeHer is open'}
+                {activeEmergency.lastFixAt
+                  ? ` · last fix ${new Date(activeEmergency.lastFixAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                  : ''}
+              </Text>
+            </View>
+            <TouchableOpacity style={styles.safeButton} onPress={handleImSafe}>
+              <Text style={styles.safeButtonText}>I'm Safe</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Guest Session Banner */}
+        {isGuestProfile(activeProfile) && (
+          <View style={styles.guestBanner}>
+            <Text style={styles.guestBannerText}>
+              👤 Guest session ({activeProfile.name}) · wiped at{' '}
+              {new Date(activeProfile.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </Text>
+          </View>
+        )}
+
         {/* Safety Status Section */}
         <View style={styles.statusSection}>
           <Text style={styles.statusTitle}>AI Safety Assessment</Text>
@@ -292,6 +393,16 @@ const HomeScreen = () => {
               Location: {currentLocation.latitude.toFixed(4)}, {currentLocation.longitude.toFixed(4)}
             </Text>
           )}
+          {areaSafety && areaSafety.reasons.length > 0 && (
+            <View style={styles.recommendationsContainer}>
+              <Text style={styles.recommendationsTitle}>This area: {areaSafety.level}</Text>
+              {areaSafety.reasons.slice(0, 3).map(reason => (
+                <Text key={reason.code} style={styles.recommendationText}>
+                  {reason.points > 0 ? '▲' : '▼'} {reason.message}
+                </Text>
+              ))}
+            </View>
+          )}
           {riskData.recommendations.length > 0 && (
             <View style={styles.recommendationsContainer}>
               <Text style={styles.recommendationsTitle}>AI Recommendations:</Text>
@@ -361,6 +472,52 @@ const styles = StyleSheet.create({
     padding: 20,
     alignItems: 'center',
   },
+  guestBanner: {
+    width: '100%',
+    padding: 10,
+    marginBottom: 15,
+    backgroundColor: '#fce4ec',
+    borderRadius: 10,
+  },
+  guestBannerText: {
+    fontSize: 13,
+    color: '#e91e63',
+    textAlign: 'center',
+  },
+  emergencyBanner: {
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 15,
+    backgroundColor: '#e91e63',
+    borderRadius: 10,
+  },
+  emergencyBannerInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  emergencyBannerTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  emergencyBannerText: {
+    fontSize: 12,
+    color: '#fff',
+    marginTop: 2,
+  },
+  safeButton: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  safeButtonText: {
+    color: '#e91e63',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   statusSection: {
     alignItems: 'center',
     marginBottom: 30,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,6 +8,8 @@ import {
   Alert,
   Dimensions,
   Linking,
+  Modal,
+  TextInput,
 } from 'react-native';
 import MapView, { Marker, Callout } from 'react-native-maps';
 import { 
@@ -18,15 +20,33 @@ import {
   getSafePlaceColor,
   createGoogleMapsLink
 } from '../utils/location';
+import {
+  SAFE_PLACE_SOURCES,
+  SAFE_PLACE_TYPES,
+  addUserSafePlace,
+  deleteUserSafePlace,
+} from '../utils/safePlaces';
+import { STORAGE_KEYS, subscribe } from '../utils/storage';
+import { getOpeningStatus, describeOpeningStatus } from '../utils/openingHours';
+
+// Pin color for places that are closed right now
+const CLOSED_PIN_COLOR = '#9e9e9e';
 
 /**
  * MapScreen - Display user's location and safety information on a map
  * Shows current location, nearby safe places, and provides navigation
+ * Long-press the map to add a safe place of your own
  */
-const MapScreen = () => {
+const MapScreen = ({ navigation }) => {
   const [currentLocation, setCurrentLocation] = useState(null);
   const [safePlaces, setSafePlaces] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [newPlace, setNewPlace] = useState(null); // { latitude, longitude } while adding
+  const [placeName, setPlaceName] = useState('');
+  const [placeType, setPlaceType] = useState('other');
+  const locationRef = useRef(null);
+  // Opening status is worked out against this, refreshed every minute
+  const [now, setNow] = useState(new Date());
   const [mapType, setMapType] = useState('standard'); // standard, satellite, hybrid
   const [region, setRegion] = useState({
     latitude: 40.7128,
@@ -35,10 +55,31 @@ const MapScreen = () => {
     longitudeDelta: 0.0421,
   });
 
+  useEffect(() => {
+    const clock = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(clock);
+  }, []);
+
   useEffect(() => {
     loadMapData();
+    // Installed, updated or removed packs and places change what's nearby
+    return subscribe([STORAGE_KEYS.REGION_PACKS, STORAGE_KEYS.USER_SAFE_PLACES], () => {
+      if (locationRef.current) {
+        refreshSafePlaces(locationRef.current);
+      }
+    });
   }, []);
 
+  const refreshSafePlaces = async (location) => {
+    const nearbyPlaces = await findNearestSafePlaces(
+      location.latitude,
+      location.longitude,
+      5000, // 5km radius
+      20 // limit to 20 places
+    );
+    setSafePlaces(nearbyPlaces);
+  };
+
   const loadMapData = async () => {
     setIsLoading(true);
     try {
@@ -61,6 +102,7 @@ const MapScreen = () => {
       const location = await getCurrentLocation();
       if (location) {
         setCurrentLocation(location);
+        locationRef.current = location;
         
         // Update map region to center on user location
         setRegion({
@@ -71,13 +113,7 @@ const MapScreen = () => {
         });
 
         // Find nearby safe places
-        const nearbyPlaces = await findNearestSafePlaces(
-          location.latitude, 
-          location.longitude, 
-          5000, // 5km radius
-          20 // limit to 20 places
-        );
-        setSafePlaces(nearbyPlaces);
+        await refreshSafePlaces(location);
       } else {
         Alert.alert('Error', 'Unable to get your current location');
       }
@@ -128,10 +164,21 @@ const MapScreen = () => {
     setMapType(types[nextIndex]);
   };
 
+  const getStatus = place => getOpeningStatus(place.schedule, now);
+
   const handleMarkerPress = (place) => {
+    const details = [
+      describeOpeningStatus(getStatus(place), now),
+      place.address && `Address: ${place.address}`,
+      place.phone && `Phone: ${place.phone}`,
+      place.hours && `Hours: ${place.hours}`,
+      `Distance: ${Math.round(place.distance)}m`,
+    ].filter(Boolean).join('\n');
+    const isOwnPlace = place.source === SAFE_PLACE_SOURCES.USER;
+
     Alert.alert(
       place.name,
-      `${place.description}\n\nAddress: ${place.address}\nPhone: ${place.phone}\nHours: ${place.hours}\nDistance: ${Math.round(place.distance)}m`,
+      place.description ? `${place.description}\n\n${details}` : details,
       [
         { text: 'Close', style: 'cancel' },
         { 
@@ -141,16 +188,49 @@ const MapScreen = () => {
             Linking.openURL(directionsUrl);
           }
         },
-        {
+        // Your own places can be removed here; other places can be called
+        isOwnPlace ? {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await deleteUserSafePlace(place.id))) {
+              Alert.alert('Error', 'Failed to remove safe place');
+            }
+          }
+        } : place.phone && {
           text: 'Call',
           onPress: () => {
             Linking.openURL(`tel:${place.phone}`);
           }
         }
-      ]
+      ].filter(Boolean)
     );
   };
 
+  const openAddPlace = (coordinate) => {
+    setPlaceName('');
+    setPlaceType('other');
+    setNewPlace(coordinate);
+  };
+
+  const saveNewPlace = async () => {
+    if (!placeName.trim()) {
+      Alert.alert('Error', 'Please give the place a name');
+      return;
+    }
+    const place = await addUserSafePlace({
+      name: placeName,
+      type: placeType,
+      latitude: newPlace.latitude,
+      longitude: newPlace.longitude,
+    });
+    if (!place) {
+      Alert.alert('Error', 'Failed to add safe place');
+      return;
+    }
+    setNewPlace(null);
+  };
+
   const handleMyLocationPress = () => {
     if (currentLocation) {
       setRegion({
@@ -177,42 +257,51 @@ const MapScreen = () => {
           showsCompass={true}
           showsScale={true}
           onRegionChangeComplete={setRegion}
+          onLongPress={event => openAddPlace(event.nativeEvent.coordinate)}
         >
           {/* Safe Places Markers */}
-          {safePlaces.map((place) => (
-            <Marker
-              key={place.id}
-              coordinate={{
-                latitude: place.latitude,
-                longitude: place.longitude,
-              }}
-              title={place.name}
-              description={`${place.type.charAt(0).toUpperCase() + place.type.slice(1)} • ${Math.round(place.distance)}m away`}
-              pinColor={getSafePlaceColor(place.type)}
-              onPress={() => handleMarkerPress(place)}
-            >
-              <Callout>
-                <View style={styles.calloutContainer}>
-                  <Text style={styles.calloutTitle}>{place.name}</Text>
-                  <Text style={styles.calloutType}>
-                    {getSafePlaceIcon(place.type)} {place.type.charAt(0).toUpperCase() + place.type.slice(1)}
-                  </Text>
-                  <Text style={styles.calloutDistance}>
-                    {Math.round(place.distance)}m away
-                  </Text>
-                  <TouchableOpacity 
-                    style={styles.directionsButton}
-                    onPress={() => {
-                      const directionsUrl = createGoogleMapsLink(place.latitude, place.longitude);
-                      Linking.openURL(directionsUrl);
-                    }}
-                  >
-                    <Text style={styles.directionsButtonText}>Get Directions</Text>
-                  </TouchableOpacity>
-                </View>
-              </Callout>
-            </Marker>
-          ))}
+          {safePlaces.map((place) => {
+            const status = getStatus(place);
+            const isClosed = status.isOpen === false;
+            return (
+              <Marker
+                key={place.id}
+                coordinate={{
+                  latitude: place.latitude,
+                  longitude: place.longitude,
+                }}
+                title={place.name}
+                description={`${place.type.charAt(0).toUpperCase() + place.type.slice(1)} • ${describeOpeningStatus(status, now)} • ${Math.round(place.distance)}m away`}
+                pinColor={isClosed ? CLOSED_PIN_COLOR : getSafePlaceColor(place.type)}
+                opacity={isClosed ? 0.6 : 1}
+                onPress={() => handleMarkerPress(place)}
+              >
+                <Callout>
+                  <View style={styles.calloutContainer}>
+                    <Text style={styles.calloutTitle}>{place.name}</Text>
+                    <Text style={styles.calloutType}>
+                      {getSafePlaceIcon(place.type)} {place.type.charAt(0).toUpperCase() + place.type.slice(1)}
+                    </Text>
+                    <Text style={[styles.calloutStatus, isClosed && styles.calloutStatusClosed]}>
+                      {describeOpeningStatus(status, now)}
+                    </Text>
+                    <Text style={styles.calloutDistance}>
+                      {Math.round(place.distance)}m away
+                    </Text>
+                    <TouchableOpacity 
+                      style={styles.directionsButton}
+                      onPress={() => {
+                        const directionsUrl = createGoogleMapsLink(place.latitude, place.longitude);
+                        Linking.openURL(directionsUrl);
+                      }}
+                    >
+                      <Text style={styles.directionsButtonText}>Get Directions</Text>
+                    </TouchableOpacity>
+                  </View>
+                </Callout>
+              </Marker>
+            );
+          })}
         </MapView>
       </View>
 
@@ -243,6 +332,18 @@ const MapScreen = () => {
       {/* Safety Information */}
       <View style={styles.safetyInfo}>
         <Text style={styles.safetyTitle}>Nearby Safe Places</Text>
+        {safePlaces.length > 0 && (
+          <Text style={styles.openCountText}>
+            {safePlaces.filter(place => getStatus(place).isOpen !== false).length} of {safePlaces.length} open now
+          </Text>
+        )}
+        {currentLocation && safePlaces.length === 0 && (
+          <TouchableOpacity onPress={() => navigation.navigate('RegionPacks')}>
+            <Text style={styles.noPlacesText}>
+              No safe places known within 5 km. Tap to install a region pack for this area.
+            </Text>
+          </TouchableOpacity>
+        )}
         <View style={styles.safetyStats}>
           <View style={styles.statItem}>
             <Text style={styles.statIcon}>🚓</Text>
@@ -265,6 +366,56 @@ const MapScreen = () => {
         </View>
       </View>
 
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={newPlace !== null}
+        onRequestClose={() => setNewPlace(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Add Safe Place</Text>
+
+            <TextInput
+              style={styles.input}
+              placeholder="Name, e.g. Late-night pharmacy"
+              value={placeName}
+              onChangeText={setPlaceName}
+            />
+
+            <View style={styles.typeRow}>
+              {SAFE_PLACE_TYPES.map(type => (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.typeChip, placeType === type && styles.typeChipSelected]}
+                  onPress={() => setPlaceType(type)}
+                >
+                  <Text style={[styles.typeText, placeType === type && styles.typeTextSelected]}>
+                    {getSafePlaceIcon(type)} {type.charAt(0).toUpperCase() + type.slice(1)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setNewPlace(null)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={saveNewPlace}
+              >
+                <Text style={styles.saveButtonText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Loading Indicator */}
       {isLoading && (
         <View style={styles.loadingContainer}>
@@ -313,6 +464,14 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 3,
   },
+  calloutStatus: {
+    fontSize: 12,
+    color: '#4caf50',
+    marginBottom: 3,
+  },
+  calloutStatusClosed: {
+    color: '#d32f2f',
+  },
   calloutDistance: {
     fontSize: 12,
     color: '#999',
@@ -389,6 +548,18 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 15,
   },
+  openCountText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: -10,
+    marginBottom: 15,
+  },
+  noPlacesText: {
+    fontSize: 13,
+    color: '#e91e63',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
   safetyStats: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -423,6 +594,89 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '500',
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    padding: 20,
+    width: '90%',
+    maxWidth: 400,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 15,
+    fontSize: 16,
+    marginBottom: 15,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  typeChip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  typeChipSelected: {
+    backgroundColor: '#e91e63',
+    borderColor: '#e91e63',
+  },
+  typeText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  typeTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 15,
+    borderRadius: 10,
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: '#f5f5f5',
+  },
+  saveButton: {
+    backgroundColor: '#e91e63',
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    color: '#666',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  saveButtonText: {
+    textAlign: 'center',
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
 });
 
 export default MapScreen;
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  Linking,
+} from 'react-native';
+import { unlockWithPin, unlockWithDuressPin } from '../utils/encryption';
+
+/**
+ * PinLockScreen - Unlock encrypted data with the user's PIN
+ * Shown on app start when a storage PIN has been set
+ * Emergency calling stays available while the app is locked
+ * A duress PIN unlocks exactly like the real one, but calls onDuressUnlock
+ */
+const PinLockScreen = ({ onUnlock, onDuressUnlock }) => {
+  const [pin, setPin] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleUnlock = async () => {
+    if (pin.trim().length < 4) {
+      Alert.alert('Error', 'Please enter your PIN');
+      return;
+    }
+
+    setIsChecking(true);
+    try {
+      const unlocked = await unlockWithPin(pin.trim());
+      if (unlocked) {
+        setPin('');
+        onUnlock();
+      } else if (onDuressUnlock && await unlockWithDuressPin(pin.trim())) {
+        setPin('');
+        onDuressUnlock();
+      } else {
+        Alert.alert('Incorrect PIN', 'The PIN you entered is not correct.');
+      }
+    } catch (error) {
+      console.error('Error unlocking app:', error);
+      Alert.alert('Error', 'Failed to unlock your data');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>SafeHer</Text>
+        <Text style={styles.subtitle}>Enter your PIN to unlock your data</Text>
+
+        <TextInput
+          style={styles.input}
+          placeholder="PIN"
+          value={pin}
+          onChangeText={setPin}
+          keyboardType="number-pad"
+          secureTextEntry={true}
+          maxLength={12}
+          onSubmitEditing={handleUnlock}
+        />
+
+        <TouchableOpacity
+          style={[styles.unlockButton, isChecking && styles.disabledButton]}
+          onPress={handleUnlock}
+          disabled={isChecking}
+        >
+          <Text style={styles.unlockButtonText}>
+            {isChecking ? 'Unlocking...' : 'Unlock'}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.emergencyButton}
+          onPress={() => Linking.openURL('tel:911')}
+        >
+          <Text style={styles.emergencyButtonText}>🚨 Call 911</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#e91e63',
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 30,
+    textAlign: 'center',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 15,
+    fontSize: 20,
+    marginBottom: 20,
+    backgroundColor: '#fff',
+    width: '100%',
+    maxWidth: 300,
+    textAlign: 'center',
+    letterSpacing: 8,
+  },
+  unlockButton: {
+    backgroundColor: '#e91e63',
+    paddingHorizontal: 30,
+    paddingVertical: 15,
+    borderRadius: 25,
+    width: '100%',
+    maxWidth: 300,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  unlockButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  emergencyButton: {
+    marginTop: 40,
+    padding: 15,
+  },
+  emergencyButtonText: {
+    color: '#ff4444',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default PinLockScreen;
@@ -0,0 +1,271 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import {
+  STORAGE_KEYS,
+  RECYCLE_BIN_COLLECTIONS,
+  getRecycleBin,
+  restoreFromRecycleBin,
+  purgeRecycleBin,
+} from '../utils/storage';
+import { getRetentionPolicies } from '../utils/retention';
+import { AUDIT_SOURCES } from '../utils/auditLog';
+import { useStoredValue } from '../hooks/useStorage';
+
+/**
+ * RecycleBinScreen - Restore deleted contacts and safety reports
+ * Deleted items stay here until restored, deleted for good
+ * or purged automatically after the recycle bin retention period
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loadRecycleBin = async () => {
+  const [entries, policies] = await Promise.all([getRecycleBin(), getRetentionPolicies()]);
+  return { entries, keepDays: policies.recycleBin.maxAgeDays };
+};
+
+const getEntryName = (entry) => {
+  if (entry.collection === RECYCLE_BIN_COLLECTIONS.CONTACTS) {
+    return entry.item.name || entry.item.phone || 'Contact';
+  }
+  return entry.item.title || entry.item.type || 'Safety report';
+};
+
+const RecycleBinScreen = () => {
+  const { value, isLoading } = useStoredValue(
+    [STORAGE_KEYS.RECYCLE_BIN, STORAGE_KEYS.RETENTION_POLICIES],
+    loadRecycleBin,
+    { entries: [], keepDays: null }
+  );
+  const { entries, keepDays } = value;
+
+  const describeExpiry = (entry) => {
+    if (!keepDays) return 'Kept until you delete it';
+    const daysLeft = Math.ceil((new Date(entry.deletedAt).getTime() + keepDays * DAY_MS - Date.now()) / DAY_MS);
+    if (daysLeft <= 1) return 'Deleted for good within a day';
+    return `Deleted for good in ${daysLeft} days`;
+  };
+
+  const handleRestore = async (entry) => {
+    if (!(await restoreFromRecycleBin(entry.id, AUDIT_SOURCES.RECYCLE_BIN_SCREEN))) {
+      Alert.alert('Error', 'Failed to restore item');
+    }
+  };
+
+  const handleDeleteForever = (entry) => {
+    Alert.alert(
+      'Delete Forever',
+      `${getEntryName(entry)} will be deleted for good. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await purgeRecycleBin([entry.id]))) {
+              Alert.alert('Error', 'Failed to delete item');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleEmptyBin = () => {
+    Alert.alert(
+      'Empty Recycle Bin',
+      `All ${entries.length} items will be deleted for good. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await purgeRecycleBin())) {
+              Alert.alert('Error', 'Failed to empty the recycle bin');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderEntry = ({ item }) => {
+    const isContact = item.collection === RECYCLE_BIN_COLLECTIONS.CONTACTS;
+
+    return (
+      <View style={styles.entryCard}>
+        <View style={styles.entryHeader}>
+          <Text style={styles.entryIcon}>{isContact ? '👤' : '📝'}</Text>
+          <View style={styles.entryText}>
+            <Text style={styles.entryTitle}>{getEntryName(item)}</Text>
+            {isContact && item.item.isEmergency && (
+              <Text style={styles.emergencyLabel}>Emergency contact</Text>
+            )}
+            <Text style={styles.entryMeta}>
+              Deleted {new Date(item.deletedAt).toLocaleString()}
+            </Text>
+            <Text style={styles.entryMeta}>{describeExpiry(item)}</Text>
+          </View>
+        </View>
+        <View style={styles.entryActions}>
+          <TouchableOpacity style={styles.deleteButton} onPress={() => handleDeleteForever(item)}>
+            <Text style={styles.deleteButtonText}>Delete Forever</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.restoreButton} onPress={() => handleRestore(item)}>
+            <Text style={styles.restoreButtonText}>Restore</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerText}>Recycle Bin ({entries.length})</Text>
+        {entries.length > 0 && (
+          <TouchableOpacity onPress={handleEmptyBin}>
+            <Text style={styles.emptyBinText}>Empty</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {!isLoading && entries.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateText}>Recycle Bin is empty</Text>
+          <Text style={styles.emptyStateSubtext}>
+            Deleted contacts and safety reports appear here and can be restored
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  emptyBinText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#d32f2f',
+  },
+  list: {
+    padding: 20,
+  },
+  entryCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  entryIcon: {
+    fontSize: 24,
+    marginRight: 15,
+  },
+  entryText: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 2,
+  },
+  emergencyLabel: {
+    fontSize: 12,
+    color: '#e91e63',
+    fontWeight: 'bold',
+    marginBottom: 2,
+  },
+  entryMeta: {
+    fontSize: 12,
+    color: '#999',
+  },
+  entryActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  deleteButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    marginRight: 10,
+  },
+  deleteButtonText: {
+    color: '#d32f2f',
+    fontSize: 14,
+  },
+  restoreButton: {
+    backgroundColor: '#e91e63',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  restoreButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyStateText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
+
+export default RecycleBinScreen;
@@ -0,0 +1,462 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  TextInput,
+  Modal,
+} from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import { STORAGE_KEYS } from '../utils/storage';
+import {
+  PACK_LAYERS,
+  PACK_SOURCES,
+  getInstalledPacks,
+  getAvailableBundledPacks,
+  downloadRegionPack,
+  importRegionPackFile,
+  updateRegionPack,
+  installBundledPack,
+  removeRegionPack,
+} from '../utils/regionPacks';
+import { useStoredValue } from '../hooks/useStorage';
+
+/**
+ * RegionPacksScreen - Install, update and remove offline region packs
+ * Packs hold street names and safe places for an area, so the map and SOS
+ * messages work without a data connection
+ */
+
+const SOURCE_LABELS = {
+  [PACK_SOURCES.BUNDLED]: 'Included with the app',
+  [PACK_SOURCES.DOWNLOAD]: 'Downloaded',
+  [PACK_SOURCES.FILE]: 'Imported from file',
+};
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const describeLayers = layers => [
+  `${layers[PACK_LAYERS.STREETS] || 0} streets`,
+  `${layers[PACK_LAYERS.PLACES] || 0} places`,
+  `${layers[PACK_LAYERS.SAFE_PLACES] || 0} safe places`,
+].join(' · ');
+
+const readPacks = async () => {
+  const [installed, available] = await Promise.all([getInstalledPacks(), getAvailableBundledPacks()]);
+  return { installed, available };
+};
+
+const RegionPacksScreen = () => {
+  const { value } = useStoredValue(STORAGE_KEYS.REGION_PACKS, readPacks, { installed: [], available: [] });
+  const { installed: packs, available } = value;
+  const [modalVisible, setModalVisible] = useState(false);
+  const [packUrl, setPackUrl] = useState('');
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [busyPackId, setBusyPackId] = useState(null);
+
+  const openDownloadModal = () => {
+    setPackUrl('');
+    setModalVisible(true);
+  };
+
+  const handleDownload = async () => {
+    const url = packUrl.trim();
+    if (!/^https?:\/\//i.test(url)) {
+      Alert.alert('Error', 'Please enter the pack\'s http or https address');
+      return;
+    }
+
+    setIsDownloading(true);
+    try {
+      const pack = await downloadRegionPack(url);
+      setModalVisible(false);
+      Alert.alert('Pack Installed', `${pack.name} (version ${pack.version}) is ready to use offline.`);
+    } catch (error) {
+      console.error('Error downloading region pack:', error);
+      Alert.alert('Download Failed', error.message || 'Failed to download region pack');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'application/geo+json', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || result.type === 'cancel') {
+        return;
+      }
+
+      const uri = result.assets ? result.assets[0].uri : result.uri;
+      const pack = await importRegionPackFile(uri);
+      Alert.alert('Pack Installed', `${pack.name} (version ${pack.version}) is ready to use offline.`);
+    } catch (error) {
+      console.error('Error importing region pack:', error);
+      Alert.alert('Import Failed', error.message || 'Failed to import region pack');
+    }
+  };
+
+  const handleUpdate = async (pack) => {
+    setBusyPackId(pack.id);
+    try {
+      const { updated, pack: installed } = await updateRegionPack(pack.id);
+      Alert.alert(
+        updated ? 'Pack Updated' : 'Up to Date',
+        updated
+          ? `${installed.name} is now version ${installed.version}.`
+          : `${installed.name} version ${installed.version} is the latest.`
+      );
+    } catch (error) {
+      console.error('Error updating region pack:', error);
+      Alert.alert('Update Failed', error.message || 'Failed to update region pack');
+    } finally {
+      setBusyPackId(null);
+    }
+  };
+
+  const handleInstallBundled = async (pack) => {
+    setBusyPackId(pack.id);
+    try {
+      await installBundledPack(pack.id);
+    } catch (error) {
+      console.error('Error installing bundled region pack:', error);
+      Alert.alert('Error', error.message || 'Failed to install region pack');
+    } finally {
+      setBusyPackId(null);
+    }
+  };
+
+  const confirmRemove = (pack) => {
+    Alert.alert(
+      'Remove Region Pack',
+      `Remove ${pack.name}? Addresses and safe places in this area will need a data connection.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await removeRegionPack(pack.id))) {
+              Alert.alert('Error', 'Failed to remove region pack');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderPack = ({ item }) => (
+    <View style={styles.packCard}>
+      <View style={styles.packText}>
+        <Text style={styles.packName}>{item.name}</Text>
+        <Text style={styles.packDetail}>
+          Version {item.version} · {describeLayers(item.layers)} · {formatSize(item.bytes)}
+        </Text>
+        <Text style={styles.packMeta}>
+          {SOURCE_LABELS[item.source] || 'Installed'} · {new Date(item.installedAt).toLocaleDateString()}
+        </Text>
+        {item.attribution && <Text style={styles.packMeta}>Data {item.attribution}</Text>}
+      </View>
+      <View style={styles.packActions}>
+        {item.source !== PACK_SOURCES.FILE && (
+          <TouchableOpacity onPress={() => handleUpdate(item)} disabled={busyPackId === item.id}>
+            <Text style={styles.updateText}>{busyPackId === item.id ? 'Checking...' : 'Update'}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={() => confirmRemove(item)}>
+          <Text style={styles.removeText}>Remove</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderAvailable = () => available.length > 0 && (
+    <View style={styles.availableSection}>
+      <Text style={styles.sectionTitle}>Included with the app</Text>
+      {available.map(pack => (
+        <View key={pack.id} style={styles.packCard}>
+          <View style={styles.packText}>
+            <Text style={styles.packName}>{pack.name}</Text>
+            <Text style={styles.packDetail}>Version {pack.version} · Not installed</Text>
+          </View>
+          <TouchableOpacity onPress={() => handleInstallBundled(pack)} disabled={busyPackId === pack.id}>
+            <Text style={styles.updateText}>{busyPackId === pack.id ? 'Installing...' : 'Install'}</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerText}>Region Packs ({packs.length})</Text>
+        <View style={styles.headerButtons}>
+          <TouchableOpacity style={[styles.addButton, styles.importButton]} onPress={handleImport}>
+            <Text style={styles.importButtonText}>Import</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.addButton} onPress={openDownloadModal}>
+            <Text style={styles.addButtonText}>+ Download</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {packs.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateText}>No region packs</Text>
+          <Text style={styles.emptyStateSubtext}>
+            Download or import a pack for the areas you travel in, so the map shows safe places and SOS messages name your street even without a data connection
+          </Text>
+          {renderAvailable()}
+        </View>
+      ) : (
+        <FlatList
+          data={packs}
+          renderItem={renderPack}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+          ListFooterComponent={renderAvailable()}
+        />
+      )}
+
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={modalVisible}
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Download Region Pack</Text>
+
+            <TextInput
+              style={styles.input}
+              placeholder="https://example.org/packs/london.json"
+              value={packUrl}
+              onChangeText={setPackUrl}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            <Text style={styles.hint}>
+              Downloading a pack you already have replaces the installed copy
+            </Text>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setModalVisible(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={handleDownload}
+                disabled={isDownloading}
+              >
+                <Text style={styles.saveButtonText}>
+                  {isDownloading ? 'Downloading...' : 'Download'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  addButton: {
+    backgroundColor: '#e91e63',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  headerButtons: {
+    flexDirection: 'row',
+  },
+  importButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e91e63',
+    marginRight: 8,
+  },
+  importButtonText: {
+    color: '#e91e63',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  list: {
+    padding: 20,
+  },
+  packCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  packText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  packName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  packDetail: {
+    fontSize: 13,
+    color: '#666',
+  },
+  packMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  packActions: {
+    alignItems: 'flex-end',
+  },
+  updateText: {
+    color: '#e91e63',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  removeText: {
+    color: '#d32f2f',
+    fontSize: 14,
+  },
+  availableSection: {
+    marginTop: 10,
+    alignSelf: 'stretch',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    marginBottom: 10,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyStateText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    padding: 20,
+    width: '90%',
+    maxWidth: 400,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 15,
+    fontSize: 16,
+    marginBottom: 10,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 10,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 15,
+    borderRadius: 10,
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: '#f5f5f5',
+  },
+  saveButton: {
+    backgroundColor: '#e91e63',
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    color: '#666',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  saveButtonText: {
+    textAlign: 'center',
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default RegionPacksScreen;
@@ -0,0 +1,502 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  TextInput,
+  Modal,
+  Switch,
+} from 'react-native';
+import { STORAGE_KEYS } from '../utils/storage';
+import {
+  ZONE_NOTIFY_OPTIONS,
+  DEFAULT_ZONE_RADIUS,
+  getSafeZones,
+  getCurrentZones,
+  addSafeZone,
+  updateSafeZone,
+  deleteSafeZone,
+  describeSchedule,
+  canGeofenceZones,
+} from '../utils/safeZones';
+import { getCurrentLocation } from '../utils/location';
+import { getAlertRelayUrl } from '../utils/alertRelay';
+import { useStoredValue } from '../hooks/useStorage';
+
+/**
+ * SafeZonesScreen - Manage named safe zones like Home, Work or Campus
+ * Each zone has a radius, a schedule for when it is watched and an
+ * option to tell emergency contacts when the user arrives or leaves.
+ * Alerts only go out with SafeHer closed when zones are geofenced and an
+ * alert relay is set up, and the screen says so
+ */
+
+const RADIUS_OPTIONS = [100, DEFAULT_ZONE_RADIUS, 300, 500];
+
+const SCHEDULE_PRESETS = [
+  { label: 'Always', schedule: [] },
+  { label: 'Weekdays', schedule: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '19:00' }] },
+  { label: 'Nights', schedule: [{ days: [], start: '22:00', end: '06:00' }] },
+];
+
+const NOTIFY_LABELS = {
+  [ZONE_NOTIFY_OPTIONS.NONE]: 'Don\'t tell contacts',
+  [ZONE_NOTIFY_OPTIONS.ENTER]: 'When I arrive',
+  [ZONE_NOTIFY_OPTIONS.EXIT]: 'When I leave',
+  [ZONE_NOTIFY_OPTIONS.BOTH]: 'When I arrive or leave',
+};
+
+// How contacts will hear about arrivals and departures
+const describeAlertDelivery = (canGeofence, hasRelay) => {
+  if (!hasRelay) {
+    return 'Only while SafeHer is open: you tap Send in the SMS composer. Set up an alert relay in Settings to send alerts automatically.';
+  }
+  if (!canGeofence) {
+    return 'Sent through your alert relay, but only while SafeHer is open. Allow location access "Always" to watch zones when it is closed.';
+  }
+  return 'Sent through your alert relay, even when SafeHer is closed.';
+};
+
+const loadSafeZones = async () => {
+  const [zones, currentZones] = await Promise.all([getSafeZones(), getCurrentZones()]);
+  return { zones, currentIds: currentZones.map(zone => zone.id) };
+};
+
+const SafeZonesScreen = () => {
+  const { value } = useStoredValue(
+    [STORAGE_KEYS.SAFE_ZONES, STORAGE_KEYS.SAFE_ZONE_STATE],
+    loadSafeZones,
+    { zones: [], currentIds: [] }
+  );
+  const { zones, currentIds } = value;
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingZone, setEditingZone] = useState(null);
+  const [zoneName, setZoneName] = useState('');
+  const [zoneRadius, setZoneRadius] = useState(DEFAULT_ZONE_RADIUS);
+  const [schedulePreset, setSchedulePreset] = useState(0);
+  const [notifyContacts, setNotifyContacts] = useState(ZONE_NOTIFY_OPTIONS.NONE);
+  const [isSaving, setIsSaving] = useState(false);
+  const [canGeofence, setCanGeofence] = useState(false);
+  const { value: alertRelayUrl } = useStoredValue(STORAGE_KEYS.USER_PROFILE, getAlertRelayUrl, null);
+
+  useEffect(() => {
+    if (modalVisible) {
+      canGeofenceZones().then(setCanGeofence);
+    }
+  }, [modalVisible]);
+
+  const openAddModal = () => {
+    setEditingZone(null);
+    setZoneName('');
+    setZoneRadius(DEFAULT_ZONE_RADIUS);
+    setSchedulePreset(0);
+    setNotifyContacts(ZONE_NOTIFY_OPTIONS.NONE);
+    setModalVisible(true);
+  };
+
+  const openEditModal = (zone) => {
+    const preset = SCHEDULE_PRESETS.findIndex(
+      option => describeSchedule(option.schedule) === describeSchedule(zone.schedule)
+    );
+    setEditingZone(zone);
+    setZoneName(zone.name);
+    setZoneRadius(zone.radius);
+    setSchedulePreset(preset); // -1 keeps a schedule that matches no preset
+    setNotifyContacts(zone.notifyContacts || ZONE_NOTIFY_OPTIONS.NONE);
+    setModalVisible(true);
+  };
+
+  const getSelectedSchedule = () => (
+    schedulePreset === -1 ? editingZone.schedule : SCHEDULE_PRESETS[schedulePreset].schedule
+  );
+
+  const saveZone = async () => {
+    if (!zoneName.trim()) {
+      Alert.alert('Error', 'Please give the zone a name');
+      return;
+    }
+
+    const details = {
+      name: zoneName.trim(),
+      radius: zoneRadius,
+      schedule: getSelectedSchedule(),
+      notifyContacts,
+    };
+
+    setIsSaving(true);
+    try {
+      // Zones are only watched with the app closed once background location is allowed
+      if (notifyContacts !== ZONE_NOTIFY_OPTIONS.NONE && !canGeofence) {
+        setCanGeofence(await canGeofenceZones({ ask: true }));
+      }
+      if (editingZone) {
+        if (!(await updateSafeZone(editingZone.id, details))) {
+          throw new Error('Zone was not updated');
+        }
+      } else {
+        // New zones are centred on where the user is now
+        const location = await getCurrentLocation();
+        if (!location) {
+          Alert.alert('Location Unavailable', 'Stand inside the zone with location turned on to add it.');
+          return;
+        }
+        if (!(await addSafeZone({ ...details, latitude: location.latitude, longitude: location.longitude }))) {
+          throw new Error('Zone was not added');
+        }
+      }
+      setModalVisible(false);
+    } catch (error) {
+      console.error('Error saving safe zone:', error);
+      Alert.alert('Error', 'Failed to save safe zone');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const confirmDelete = (zone) => {
+    Alert.alert(
+      'Delete Safe Zone',
+      `Stop watching ${zone.name}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await deleteSafeZone(zone.id))) {
+              Alert.alert('Error', 'Failed to delete safe zone');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const toggleZone = async (zone) => {
+    if (!(await updateSafeZone(zone.id, { enabled: !zone.enabled }))) {
+      Alert.alert('Error', 'Failed to update safe zone');
+    }
+  };
+
+  const renderZone = ({ item }) => (
+    <TouchableOpacity
+      style={styles.zoneCard}
+      onPress={() => openEditModal(item)}
+      onLongPress={() => confirmDelete(item)}
+    >
+      <View style={styles.zoneText}>
+        <Text style={styles.zoneName}>
+          {item.name}
+          {currentIds.includes(item.id) && <Text style={styles.hereLabel}>  • You're here</Text>}
+        </Text>
+        <Text style={styles.zoneDetail}>{item.radius} m radius · {describeSchedule(item.schedule)}</Text>
+        <Text style={styles.zoneDetail}>
+          {NOTIFY_LABELS[item.notifyContacts || ZONE_NOTIFY_OPTIONS.NONE]}
+        </Text>
+      </View>
+      <Switch
+        value={item.enabled}
+        onValueChange={() => toggleZone(item)}
+        trackColor={{ false: '#767577', true: '#e91e63' }}
+        thumbColor={item.enabled ? '#fff' : '#f4f3f4'}
+      />
+    </TouchableOpacity>
+  );
+
+  const renderOptions = (options, selected, onSelect) => (
+    <View style={styles.optionRow}>
+      {options.map(({ key, label }) => (
+        <TouchableOpacity
+          key={key}
+          style={[styles.optionChip, selected === key && styles.optionChipSelected]}
+          onPress={() => onSelect(key)}
+        >
+          <Text style={[styles.optionText, selected === key && styles.optionTextSelected]}>{label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerText}>Safe Zones ({zones.length})</Text>
+        <TouchableOpacity style={styles.addButton} onPress={openAddModal}>
+          <Text style={styles.addButtonText}>+ Add Zone</Text>
+        </TouchableOpacity>
+      </View>
+
+      {zones.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateText}>No safe zones yet</Text>
+          <Text style={styles.emptyStateSubtext}>
+            Add places like Home or Work while you're there, and choose whether your contacts hear when you arrive or leave
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={zones}
+          renderItem={renderZone}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+          ListFooterComponent={<Text style={styles.hint}>Tap a zone to edit it, hold to delete</Text>}
+        />
+      )}
+
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={modalVisible}
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{editingZone ? 'Edit Safe Zone' : 'Add Safe Zone Here'}</Text>
+
+            <TextInput
+              style={styles.input}
+              placeholder="Name, e.g. Home"
+              value={zoneName}
+              onChangeText={setZoneName}
+            />
+
+            <Text style={styles.optionTitle}>Radius</Text>
+            {renderOptions(
+              RADIUS_OPTIONS.map(radius => ({ key: radius, label: `${radius} m` })),
+              zoneRadius,
+              setZoneRadius
+            )}
+
+            <Text style={styles.optionTitle}>Watch</Text>
+            {renderOptions(
+              SCHEDULE_PRESETS.map((preset, index) => ({ key: index, label: preset.label })),
+              schedulePreset,
+              setSchedulePreset
+            )}
+            <Text style={styles.optionHint}>{modalVisible ? describeSchedule(getSelectedSchedule()) : ''}</Text>
+
+            <Text style={styles.optionTitle}>Tell Emergency Contacts</Text>
+            {renderOptions(
+              Object.values(ZONE_NOTIFY_OPTIONS).map(option => ({ key: option, label: NOTIFY_LABELS[option] })),
+              notifyContacts,
+              setNotifyContacts
+            )}
+            {notifyContacts !== ZONE_NOTIFY_OPTIONS.NONE && (
+              <Text style={styles.optionHint}>{describeAlertDelivery(canGeofence, Boolean(alertRelayUrl))}</Text>
+            )}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setModalVisible(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={saveZone}
+                disabled={isSaving}
+              >
+                <Text style={styles.saveButtonText}>
+                  {isSaving ? 'Saving...' : editingZone ? 'Update' : 'Add'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  addButton: {
+    backgroundColor: '#e91e63',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  list: {
+    padding: 20,
+  },
+  zoneCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  zoneText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  zoneName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  hereLabel: {
+    fontSize: 12,
+    color: '#4caf50',
+  },
+  zoneDetail: {
+    fontSize: 13,
+    color: '#666',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 5,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyStateText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  emptyStateSubtext: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    padding: 20,
+    width: '90%',
+    maxWidth: 400,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 15,
+    fontSize: 16,
+    marginBottom: 15,
+  },
+  optionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  optionChip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionChipSelected: {
+    backgroundColor: '#e91e63',
+    borderColor: '#e91e63',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  optionTextSelected: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  optionHint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: -6,
+    marginBottom: 12,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 15,
+    borderRadius: 10,
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: '#f5f5f5',
+  },
+  saveButton: {
+    backgroundColor: '#e91e63',
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    color: '#666',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  saveButtonText: {
+    textAlign: 'center',
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default SafeZonesScreen;
@@ -8,8 +8,47 @@ import {
   Switch,
   Alert,
   ScrollView,
+  Modal,
+  TextInput,
 } from 'react-native';
-import { getStoredSettings, storeSettings } from '../utils/storage';
+import {
+  STORAGE_KEYS,
+  storeSettings,
+  changeStoragePin,
+  rotateStorageKey,
+  getStorageStats,
+  getUserProfile,
+  storeUserProfile,
+} from '../utils/storage';
+import {
+  hasEncryptionPin,
+  unlockWithPin,
+  hasDuressPin,
+  setDuressPin,
+  removeDuressPin,
+  getDuressOptions,
+  DURESS_PIN_ERRORS,
+} from '../utils/encryption';
+import { previewImport, importData } from '../utils/dataImport';
+import { shareBackup, parseBackup, isBackupEncrypted, BACKUP_ERRORS } from '../utils/backup';
+import { getRetentionPolicies, updateRetentionPolicy, pruneHistory } from '../utils/retention';
+import { compactStorage } from '../utils/storageQuota';
+import { AUDIT_SOURCES } from '../utils/auditLog';
+import { isSupportedRegion } from '../utils/phoneNumbers';
+import { getAlertRelayUrl, isValidRelayUrl } from '../utils/alertRelay';
+import { getUserProviderUrl, isValidProviderUrl } from '../utils/emergencyServices';
+import { getLastDuressUnlock } from '../utils/duress';
+import ImportPreview from '../components/ImportPreview';
+import { useSettings, useStoredValue, useProfiles, usePhoneRegion } from '../hooks/useStorage';
+import {
+  createProfile,
+  switchProfile,
+  deleteProfile,
+  isGuestProfile,
+  GUEST_DURATIONS_HOURS,
+} from '../utils/profiles';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
 import { 
   initializeVoiceRecognition, 
   startVoiceRecognition, 
@@ -21,43 +60,62 @@ import {
  * SettingsScreen - Configure app settings and preferences
  * Users can toggle various safety features and customize the app
  */
-const SettingsScreen = () => {
-  const [settings, setSettings] = useState({
-    emergencyAlerts: true,
-    locationSharing: true,
-    autoLocationUpdate: false,
-    soundAlerts: true,
-    vibrationAlerts: true,
-    nightMode: false,
-    aiRiskAssessment: true,
-    communityReports: true,
-    emergencyContacts: true,
-    voiceSOS: false,
-  });
+const SettingsScreen = ({ navigation }) => {
+  const { settings } = useSettings();
 
   const [isLoading, setIsLoading] = useState(false);
+  const [hasPin, setHasPin] = useState(hasEncryptionPin());
+  const [hasDuress, setHasDuress] = useState(hasDuressPin());
+  const [pinModalMode, setPinModalMode] = useState(null); // set, remove, rotate, duress, endGuest
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [importPayload, setImportPayload] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importStrategies, setImportStrategies] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+  const [passphraseMode, setPassphraseMode] = useState(null); // export, import
+  const [passphrase, setPassphrase] = useState('');
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const { profiles, activeProfile } = useProfiles();
+  const [profileModalMode, setProfileModalMode] = useState(null); // standard, guest
+  const [profileName, setProfileName] = useState('');
+  const [storageStats, setStorageStats] = useState(null);
+  const phoneRegion = usePhoneRegion();
+  const [regionModalVisible, setRegionModalVisible] = useState(false);
+  const [regionInput, setRegionInput] = useState('');
+  const [relayModalVisible, setRelayModalVisible] = useState(false);
+  const [relayInput, setRelayInput] = useState('');
+  const { value: alertRelayUrl } = useStoredValue(STORAGE_KEYS.USER_PROFILE, getAlertRelayUrl, null);
+  const [providerModalVisible, setProviderModalVisible] = useState(false);
+  const [providerInput, setProviderInput] = useState('');
+  const { value: servicesProviderUrl } = useStoredValue(STORAGE_KEYS.USER_PROFILE, getUserProviderUrl, null);
+  const { value: lastDuressUnlock } = useStoredValue(
+    STORAGE_KEYS.EMERGENCY_HISTORY,
+    getLastDuressUnlock,
+    null
+  );
+  const { value: retentionPolicies } = useStoredValue(
+    STORAGE_KEYS.RETENTION_POLICIES,
+    getRetentionPolicies,
+    null
+  );
 
   useEffect(() => {
-    loadSettings();
     initializeVoiceRecognition();
+    loadStorageStats();
   }, []);
 
-  const loadSettings = async () => {
-    try {
-      const storedSettings = await getStoredSettings();
-      if (storedSettings) {
-        setSettings({ ...settings, ...storedSettings });
-      }
-    } catch (error) {
-      console.error('Error loading settings:', error);
-    }
+  const loadStorageStats = async () => {
+    setStorageStats(await getStorageStats());
   };
 
   const saveSettings = async (newSettings) => {
     setIsLoading(true);
     try {
-      await storeSettings(newSettings);
-      setSettings(newSettings);
+      const saved = await storeSettings(newSettings, AUDIT_SOURCES.SETTINGS_SCREEN);
+      if (!saved) {
+        throw new Error('Settings were not written');
+      }
     } catch (error) {
       console.error('Error saving settings:', error);
       Alert.alert('Error', 'Failed to save settings');
@@ -66,6 +124,75 @@ const SettingsScreen = () => {
     }
   };
 
+  const openRegionModal = () => {
+    setRegionInput(phoneRegion);
+    setRegionModalVisible(true);
+  };
+
+  // Stored on the user profile; existing contacts keep their E.164 numbers
+  const savePhoneRegion = async () => {
+    const region = regionInput.trim().toUpperCase();
+    if (!isSupportedRegion(region)) {
+      Alert.alert('Error', 'Enter a two-letter country code, e.g. US, GB or IN');
+      return;
+    }
+
+    const profile = await getUserProfile();
+    const saved = await storeUserProfile({ ...(profile || {}), region }, AUDIT_SOURCES.SETTINGS_SCREEN);
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save phone number region');
+      return;
+    }
+    setRegionModalVisible(false);
+  };
+
+  const openRelayModal = () => {
+    setRelayInput(alertRelayUrl || '');
+    setRelayModalVisible(true);
+  };
+
+  // An empty URL turns the relay off
+  const saveAlertRelay = async () => {
+    const url = relayInput.trim();
+    if (url && !isValidRelayUrl(url)) {
+      Alert.alert('Error', 'Enter an https:// address for your alert relay');
+      return;
+    }
+
+    const profile = await getUserProfile();
+    const saved = await storeUserProfile({ ...(profile || {}), alertRelayUrl: url }, AUDIT_SOURCES.SETTINGS_SCREEN);
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save alert relay');
+      return;
+    }
+    setRelayModalVisible(false);
+  };
+
+  const openProviderModal = () => {
+    setProviderInput(servicesProviderUrl || '');
+    setProviderModalVisible(true);
+  };
+
+  // An empty URL goes back to region packs and cached lookups
+  const saveServicesProvider = async () => {
+    const url = providerInput.trim();
+    if (url && !isValidProviderUrl(url)) {
+      Alert.alert('Error', 'Enter an http:// or https:// address for the lookup provider');
+      return;
+    }
+
+    const profile = await getUserProfile();
+    const saved = await storeUserProfile(
+      { ...(profile || {}), emergencyServicesProvider: url },
+      AUDIT_SOURCES.SETTINGS_SCREEN
+    );
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save lookup provider');
+      return;
+    }
+    setProviderModalVisible(false);
+  };
+
   const toggleSetting = async (settingKey) => {
     const newSettings = {
       ...settings,
@@ -136,14 +263,450 @@ const SettingsScreen = () => {
     );
   };
 
+  const openPinModal = (mode) => {
+    setCurrentPin('');
+    setNewPin('');
+    setPinModalMode(mode);
+  };
+
+  const closePinModal = () => {
+    setCurrentPin('');
+    setNewPin('');
+    setPinModalMode(null);
+  };
+
+  const saveDuressPin = async (wipeHistory) => {
+    setIsLoading(true);
+    try {
+      const result = await setDuressPin(newPin.trim(), { wipeHistory });
+      if (!result.success) {
+        Alert.alert(
+          'Error',
+          result.error === DURESS_PIN_ERRORS.SAME_AS_PIN
+            ? 'The duress PIN must be different from your App PIN'
+            : 'Failed to save the duress PIN'
+        );
+        return;
+      }
+
+      setHasDuress(hasDuressPin());
+      closePinModal();
+      Alert.alert(
+        'Duress PIN Set',
+        alertRelayUrl
+          ? 'Entering this PIN on the lock screen shows harmless data and silently alerts your emergency contacts.'
+          : 'Entering this PIN on the lock screen shows harmless data. Set up an alert relay so it can also alert your emergency contacts; until then the unlock is only recorded.'
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSaveDuressPin = () => {
+    if (!/^\d{4,12}$/.test(newPin.trim())) {
+      Alert.alert('Error', 'PIN must be 4 to 12 digits');
+      return;
+    }
+
+    Alert.alert(
+      'Wipe History?',
+      'When the duress PIN is used, should your location and emergency history be deleted?',
+      [
+        { text: 'Keep History', onPress: () => saveDuressPin(false) },
+        { text: 'Wipe History', style: 'destructive', onPress: () => saveDuressPin(true) },
+      ]
+    );
+  };
+
+  const handleRemoveDuressPin = () => {
+    Alert.alert(
+      'Remove Duress PIN',
+      'The duress PIN will stop working.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await removeDuressPin())) {
+              Alert.alert('Error', 'Failed to remove the duress PIN');
+            }
+            setHasDuress(hasDuressPin());
+          },
+        },
+      ]
+    );
+  };
+
+  const formatExpiry = expiresAt => new Date(expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const handleSelectProfile = async (profile) => {
+    if (activeProfile && profile.id === activeProfile.id) return;
+    if (!(await switchProfile(profile.id))) {
+      Alert.alert('Error', 'Failed to switch profile');
+    }
+  };
+
+  const handleDeleteProfile = (profile) => {
+    if (profile.id === 'default') return;
+
+    Alert.alert(
+      'Delete Profile',
+      `Delete "${profile.name}" and all of its contacts, settings and history?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await deleteProfile(profile.id))) {
+              Alert.alert('Error', 'Failed to delete profile');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const openProfileModal = (mode) => {
+    setProfileName('');
+    setProfileModalMode(mode);
+  };
+
+  const closeProfileModal = () => {
+    setProfileName('');
+    setProfileModalMode(null);
+  };
+
+  const addProfile = async (durationHours = null) => {
+    const profile = await createProfile(profileName, {
+      guest: profileModalMode === 'guest',
+      durationHours,
+    });
+    closeProfileModal();
+    if (!profile || !(await switchProfile(profile.id))) {
+      Alert.alert('Error', 'Failed to create profile');
+    }
+  };
+
+  const handleConfirmProfile = () => {
+    if (profileModalMode !== 'guest') {
+      addProfile();
+      return;
+    }
+
+    Alert.alert(
+      'Guest Session Length',
+      'The guest profile and everything in it is wiped when the session ends.',
+      [
+        ...GUEST_DURATIONS_HOURS.map(hours => ({
+          text: `${hours} Hours`,
+          onPress: () => addProfile(hours),
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  // Wipes the guest profile; with a PIN set, only the owner can end it
+  const handleEndGuestSession = () => {
+    if (hasPin) {
+      openPinModal('endGuest');
+      return;
+    }
+
+    Alert.alert(
+      'End Guest Session',
+      'All guest contacts and history will be deleted.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'End Session', style: 'destructive', onPress: () => deleteProfile(activeProfile.id) },
+      ]
+    );
+  };
+
+  const endGuestSessionWithPin = async () => {
+    setIsLoading(true);
+    try {
+      if (!(await unlockWithPin(currentPin.trim()))) {
+        Alert.alert('Incorrect PIN', 'The PIN you entered is not correct.');
+        return;
+      }
+      closePinModal();
+      if (!(await deleteProfile(activeProfile.id))) {
+        Alert.alert('Error', 'Failed to end the guest session');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const duressWipesHistory = hasDuress && Boolean((getDuressOptions() || {}).wipeHistory);
+
+  const describeDuress = () => {
+    const alert = alertRelayUrl ? 'sends a silent SOS' : 'records the unlock (no alert relay to send a silent SOS)';
+    return duressWipesHistory
+      ? `Shows harmless data, ${alert} and wipes history`
+      : `A second PIN that shows harmless data and ${alert}`;
+  };
+
+  const describeDuressUnlock = event => [
+    `Last used ${new Date(event.timestamp).toLocaleString()}`,
+    event.delivered ? 'contacts alerted' : 'contacts not alerted',
+    event.historyWiped && 'history wiped',
+  ].filter(Boolean).join(' · ');
+
+  const handleSavePin = async () => {
+    if (pinModalMode === 'duress') {
+      handleSaveDuressPin();
+      return;
+    }
+    if (pinModalMode === 'endGuest') {
+      endGuestSessionWithPin();
+      return;
+    }
+    if (hasPin && !currentPin.trim()) {
+      Alert.alert('Error', 'Please enter your current PIN');
+      return;
+    }
+    if (pinModalMode === 'set' && !/^\d{4,12}$/.test(newPin.trim())) {
+      Alert.alert('Error', 'PIN must be 4 to 12 digits');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const oldPin = hasPin ? currentPin.trim() : null;
+      let success;
+      if (pinModalMode === 'rotate') {
+        success = await rotateStorageKey(oldPin);
+      } else {
+        success = await changeStoragePin(oldPin, pinModalMode === 'set' ? newPin.trim() : null);
+      }
+
+      if (!success) {
+        Alert.alert('Error', 'Current PIN is incorrect or your data could not be re-encrypted');
+        return;
+      }
+
+      setHasPin(hasEncryptionPin());
+      setHasDuress(hasDuressPin());
+      closePinModal();
+      Alert.alert(
+        'Security Updated',
+        pinModalMode === 'rotate'
+          ? 'Your data has been re-encrypted with a new key.'
+          : pinModalMode === 'set'
+            ? 'Your data is now protected by your PIN.'
+            : 'Your PIN has been removed.'
+      );
+    } catch (error) {
+      console.error('Error updating PIN:', error);
+      Alert.alert('Error', 'Failed to update security settings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Each tap moves to the next retention period; null keeps everything
+  const RETENTION_PRESETS = {
+    locationHistory: [1, 3, 7, 30],
+    emergencyHistory: [90, 365, null],
+    safetyReports: [30, 180, 365],
+    recycleBin: [7, 30, 90],
+  };
+
+  const formatRetention = (days) => {
+    if (!days) return 'Keep all';
+    return days === 1 ? '1 day' : `${days} days`;
+  };
+
+  const cycleRetention = async (collection) => {
+    const presets = RETENTION_PRESETS[collection];
+    const current = retentionPolicies ? retentionPolicies[collection].maxAgeDays : presets[0];
+    const nextDays = presets[(presets.indexOf(current) + 1) % presets.length];
+
+    const saved = await updateRetentionPolicy(collection, { maxAgeDays: nextDays });
+    if (!saved) {
+      Alert.alert('Error', 'Failed to save retention setting');
+      return;
+    }
+    await pruneHistory();
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  };
+
+  const describeStorage = () => {
+    if (!storageStats) return 'Checking storage use...';
+    if (!storageStats.quotaBytes) return `${formatBytes(storageStats.totalSize)} used`;
+    return `${formatBytes(storageStats.totalSize)} of ${formatBytes(storageStats.quotaBytes)} used (${storageStats.usedPercent}%)`;
+  };
+
+  const handleCompactStorage = () => {
+    Alert.alert(
+      'Free Up Space',
+      'Old history outside your retention settings will be removed. Anything recorded around an SOS is kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Free Up Space',
+          onPress: async () => {
+            setIsLoading(true);
+            try {
+              const removed = await compactStorage();
+              if (!removed) {
+                Alert.alert('Error', 'Failed to free up space');
+                return;
+              }
+              const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+              Alert.alert('Done', total > 0 ? `Removed ${total} old records.` : 'Nothing needed to be removed.');
+            } finally {
+              await loadStorageStats();
+              setIsLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleExportData = () => {
-    // TODO: Implement data export functionality
-    Alert.alert('Export Data', 'Data export feature coming soon');
+    Alert.alert(
+      'Export Data',
+      'Protect the backup file with a passphrase? Without one, anyone who gets the file can read your contacts and location history.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'No Passphrase', onPress: () => exportBackup(null) },
+        { text: 'Use Passphrase', onPress: () => openPassphraseModal('export') },
+      ]
+    );
+  };
+
+  const exportBackup = async (backupPassphrase) => {
+    setIsLoading(true);
+    try {
+      const shared = await shareBackup(backupPassphrase);
+      if (!shared) {
+        Alert.alert('Export Failed', 'Unable to create or share the backup file.');
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert('Error', 'Failed to export data');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleImportData = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: '*/*',
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || result.type === 'cancel') {
+        return;
+      }
+
+      const uri = result.assets ? result.assets[0].uri : result.uri;
+      const contents = await FileSystem.readAsStringAsync(uri);
+
+      if (isBackupEncrypted(contents)) {
+        setPendingBackup(contents);
+        openPassphraseModal('import');
+        return;
+      }
+
+      await openBackup(contents, null);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      Alert.alert('Error', 'Failed to read the selected file');
+    }
   };
 
-  const handleImportData = () => {
-    // TODO: Implement data import functionality
-    Alert.alert('Import Data', 'Data import feature coming soon');
+  const openBackup = async (contents, backupPassphrase) => {
+    const backup = parseBackup(contents, backupPassphrase);
+    if (!backup.success) {
+      const messages = {
+        [BACKUP_ERRORS.INVALID_FORMAT]: 'This file is not a SafeHer backup.',
+        [BACKUP_ERRORS.UNSUPPORTED_VERSION]: 'This backup was made by a newer version of SafeHer.',
+        [BACKUP_ERRORS.CHECKSUM_MISMATCH]: 'This backup is damaged or has been modified.',
+        [BACKUP_ERRORS.PASSPHRASE_REQUIRED]: 'This backup is protected with a passphrase.',
+        [BACKUP_ERRORS.WRONG_PASSPHRASE]: 'The passphrase is not correct.',
+      };
+      Alert.alert('Import Data', messages[backup.error] || 'Unable to open this backup.');
+      return false;
+    }
+
+    setImportPayload(backup.data);
+    setImportStrategies({});
+    setImportPreview(await previewImport(backup.data, {}));
+    return true;
+  };
+
+  const openPassphraseModal = (mode) => {
+    setPassphrase('');
+    setPassphraseMode(mode);
+  };
+
+  const closePassphraseModal = () => {
+    setPassphrase('');
+    setPassphraseMode(null);
+    setPendingBackup(null);
+  };
+
+  const handleConfirmPassphrase = async () => {
+    if (passphraseMode === 'export' && passphrase.length < 8) {
+      Alert.alert('Error', 'Passphrase must be at least 8 characters');
+      return;
+    }
+    if (!passphrase) {
+      Alert.alert('Error', 'Please enter the passphrase');
+      return;
+    }
+
+    const mode = passphraseMode;
+    const contents = pendingBackup;
+    const enteredPassphrase = passphrase;
+    closePassphraseModal();
+
+    if (mode === 'export') {
+      await exportBackup(enteredPassphrase);
+    } else {
+      await openBackup(contents, enteredPassphrase);
+    }
+  };
+
+  const handleChangeImportStrategy = async (section, strategy) => {
+    const newStrategies = { ...importStrategies, [section]: strategy };
+    setImportStrategies(newStrategies);
+    setImportPreview(await previewImport(importPayload, newStrategies));
+  };
+
+  const closeImportPreview = () => {
+    setImportPayload(null);
+    setImportPreview(null);
+    setImportStrategies({});
+  };
+
+  const handleConfirmImport = async () => {
+    setIsImporting(true);
+    try {
+      const result = await importData(importPayload, importStrategies);
+      if (result.success) {
+        closeImportPreview();
+        Alert.alert('Import Complete', 'Your data has been imported.');
+      } else {
+        Alert.alert('Import Failed', 'Nothing was changed. Please check the backup and try again.');
+      }
+    } catch (error) {
+      console.error('Error importing data:', error);
+      Alert.alert('Import Failed', 'Nothing was changed. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
   };
 
   const SettingItem = ({ title, description, value, onToggle, icon }) => (
@@ -211,6 +774,26 @@ const SettingsScreen = () => {
             onToggle={() => toggleSetting('voiceSOS')}
             icon="🎤"
           />
+          
+          <TouchableOpacity style={styles.actionItem} onPress={() => navigation.navigate('SafeZones')}>
+            <Text style={styles.actionIcon}>🏠</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Safe Zones</Text>
+              <Text style={styles.actionDescription}>Places like Home or Work, and who hears when you arrive or leave</Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.actionItem} onPress={openRegionModal}>
+            <Text style={styles.actionIcon}>🌍</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Phone Number Region</Text>
+              <Text style={styles.actionDescription}>
+                Numbers without a country code are read as {phoneRegion} numbers
+              </Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
         </View>
 
         {/* Notification Settings */}
@@ -268,15 +851,232 @@ const SettingsScreen = () => {
           />
         </View>
 
+        {/* Profiles */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Profiles</Text>
+          
+          {isGuestProfile(activeProfile) ? (
+            <TouchableOpacity style={styles.actionItem} onPress={handleEndGuestSession}>
+              <Text style={styles.actionIcon}>👤</Text>
+              <View style={styles.actionText}>
+                <Text style={styles.actionTitle}>End Guest Session</Text>
+                <Text style={styles.actionDescription}>
+                  {activeProfile.name} · wiped automatically at {formatExpiry(activeProfile.expiresAt)}
+                </Text>
+              </View>
+              <Text style={styles.actionArrow}>›</Text>
+            </TouchableOpacity>
+          ) : (
+            <>
+              {profiles.filter(profile => !isGuestProfile(profile)).map(profile => (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={styles.actionItem}
+                  onPress={() => handleSelectProfile(profile)}
+                  onLongPress={() => handleDeleteProfile(profile)}
+                >
+                  <Text style={styles.actionIcon}>🙂</Text>
+                  <View style={styles.actionText}>
+                    <Text style={styles.actionTitle}>{profile.name}</Text>
+                    <Text style={styles.actionDescription}>
+                      {activeProfile && profile.id === activeProfile.id ? 'In use' : 'Tap to switch, hold to delete'}
+                    </Text>
+                  </View>
+                  <Text style={styles.actionArrow}>
+                    {activeProfile && profile.id === activeProfile.id ? '✓' : '›'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              
+              <TouchableOpacity style={styles.actionItem} onPress={() => openProfileModal('standard')}>
+                <Text style={styles.actionIcon}>➕</Text>
+                <View style={styles.actionText}>
+                  <Text style={styles.actionTitle}>Add Profile</Text>
+                  <Text style={styles.actionDescription}>Separate contacts, settings and history for someone else</Text>
+                </View>
+                <Text style={styles.actionArrow}>›</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity style={styles.actionItem} onPress={() => openProfileModal('guest')}>
+                <Text style={styles.actionIcon}>👤</Text>
+                <View style={styles.actionText}>
+                  <Text style={styles.actionTitle}>Start Guest Session</Text>
+                  <Text style={styles.actionDescription}>Temporary profile with its own contacts, wiped automatically</Text>
+                </View>
+                <Text style={styles.actionArrow}>›</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
+        {/* Security */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Security</Text>
+          
+          <TouchableOpacity style={styles.actionItem} onPress={openRelayModal}>
+            <Text style={styles.actionIcon}>📡</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Alert Relay</Text>
+              <Text style={styles.actionDescription}>
+                {alertRelayUrl
+                  ? `Silent and background alerts are sent through ${alertRelayUrl}`
+                  : 'Not set up: silent and background alerts are only recorded'}
+              </Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
+          
+          {/* The PIN and duress PIN guard the owner's data, not a guest's */}
+          {!isGuestProfile(activeProfile) && (
+            <>
+              <TouchableOpacity style={styles.actionItem} onPress={() => openPinModal('set')}>
+                <Text style={styles.actionIcon}>🔒</Text>
+                <View style={styles.actionText}>
+                  <Text style={styles.actionTitle}>{hasPin ? 'Change App PIN' : 'Set App PIN'}</Text>
+                  <Text style={styles.actionDescription}>Require a PIN to unlock your encrypted data</Text>
+                </View>
+                <Text style={styles.actionArrow}>›</Text>
+              </TouchableOpacity>
+          
+              {hasPin && (
+                <TouchableOpacity style={styles.actionItem} onPress={() => openPinModal('remove')}>
+                  <Text style={styles.actionIcon}>🔓</Text>
+                  <View style={styles.actionText}>
+                    <Text style={styles.actionTitle}>Remove App PIN</Text>
+                    <Text style={styles.actionDescription}>Keep data encrypted with the device key only</Text>
+                  </View>
+                  <Text style={styles.actionArrow}>›</Text>
+                </TouchableOpacity>
+              )}
+          
+              {hasPin && (
+                <TouchableOpacity style={styles.actionItem} onPress={() => openPinModal('duress')}>
+                  <Text style={styles.actionIcon}>🛡️</Text>
+                  <View style={styles.actionText}>
+                    <Text style={styles.actionTitle}>{hasDuress ? 'Change Duress PIN' : 'Set Duress PIN'}</Text>
+                    <Text style={styles.actionDescription}>{describeDuress()}</Text>
+                    {lastDuressUnlock && (
+                      <Text style={styles.actionDescription}>{describeDuressUnlock(lastDuressUnlock)}</Text>
+                    )}
+                  </View>
+                  <Text style={styles.actionArrow}>›</Text>
+                </TouchableOpacity>
+              )}
+          
+              {hasDuress && (
+                <TouchableOpacity style={styles.actionItem} onPress={handleRemoveDuressPin}>
+                  <Text style={styles.actionIcon}>🚫</Text>
+                  <View style={styles.actionText}>
+                    <Text style={styles.actionTitle}>Remove Duress PIN</Text>
+                    <Text style={styles.actionDescription}>Only your App PIN will unlock the app</Text>
+                  </View>
+                  <Text style={styles.actionArrow}>›</Text>
+                </TouchableOpacity>
+              )}
+          
+              <TouchableOpacity style={styles.actionItem} onPress={() => openPinModal('rotate')}>
+                <Text style={styles.actionIcon}>🔑</Text>
+                <View style={styles.actionText}>
+                  <Text style={styles.actionTitle}>Rotate Encryption Key</Text>
+                  <Text style={styles.actionDescription}>Re-encrypt your data with a new key</Text>
+                </View>
+                <Text style={styles.actionArrow}>›</Text>
+              </TouchableOpacity>
+            </>
+          )}
+          
+          <TouchableOpacity style={styles.actionItem} onPress={() => navigation.navigate('AuditLog')}>
+            <Text style={styles.actionIcon}>📜</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Change History</Text>
+              <Text style={styles.actionDescription}>Review every change to contacts, settings and profile</Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* History Retention */}
+        {retentionPolicies && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>History Retention</Text>
+            
+            {[
+              { collection: 'locationHistory', title: 'Location History', icon: '🗺️' },
+              { collection: 'emergencyHistory', title: 'Emergency History', icon: '🚨' },
+              { collection: 'safetyReports', title: 'Safety Reports', icon: '📝' },
+              { collection: 'recycleBin', title: 'Recycle Bin', icon: '🗑️' },
+            ].map(({ collection, title, icon }) => (
+              <TouchableOpacity
+                key={collection}
+                style={styles.actionItem}
+                onPress={() => cycleRetention(collection)}
+              >
+                <Text style={styles.actionIcon}>{icon}</Text>
+                <View style={styles.actionText}>
+                  <Text style={styles.actionTitle}>{title}</Text>
+                  <Text style={styles.actionDescription}>
+                    Keep for {formatRetention(retentionPolicies[collection].maxAgeDays)}
+                  </Text>
+                </View>
+                <Text style={styles.actionArrow}>›</Text>
+              </TouchableOpacity>
+            ))}
+            
+            <Text style={styles.retentionNote}>
+              Everything recorded within {retentionPolicies.preserveAroundSOSMinutes} minutes of an SOS is always kept.
+            </Text>
+          </View>
+        )}
+
         {/* Data Management */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Data Management</Text>
           
+          <TouchableOpacity style={styles.actionItem} onPress={() => navigation.navigate('RegionPacks')}>
+            <Text style={styles.actionIcon}>🗺️</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Offline Region Packs</Text>
+              <Text style={styles.actionDescription}>Street and place names for SOS messages without a data connection</Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.actionItem} onPress={openProviderModal}>
+            <Text style={styles.actionIcon}>🚓</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Emergency Services Lookup</Text>
+              <Text style={styles.actionDescription}>
+                {servicesProviderUrl
+                  ? `Nearby police, hospitals and fire stations are looked up from ${servicesProviderUrl}`
+                  : 'Not set up: nearby services come from region packs and earlier lookups'}
+              </Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.actionItem} onPress={() => navigation.navigate('RecycleBin')}>
+            <Text style={styles.actionIcon}>🗑️</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Recycle Bin</Text>
+              <Text style={styles.actionDescription}>Restore deleted contacts and safety reports</Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity style={styles.actionItem} onPress={handleCompactStorage}>
+            <Text style={styles.actionIcon}>💾</Text>
+            <View style={styles.actionText}>
+              <Text style={styles.actionTitle}>Storage</Text>
+              <Text style={styles.actionDescription}>{describeStorage()}</Text>
+            </View>
+            <Text style={styles.actionArrow}>›</Text>
+          </TouchableOpacity>
+          
           <TouchableOpacity style={styles.actionItem} onPress={handleExportData}>
             <Text style={styles.actionIcon}>📤</Text>
             <View style={styles.actionText}>
               <Text style={styles.actionTitle}>Export Data</Text>
-              <Text style={styles.actionDescription}>Export your safety data</Text>
+              <Text style={styles.actionDescription}>Save a backup file of your safety data</Text>
             </View>
             <Text style={styles.actionArrow}>›</Text>
           </TouchableOpacity>
@@ -341,6 +1141,295 @@ const SettingsScreen = () => {
           <Text style={styles.todoText}>• Emergency service integration</Text>
         </View>
       </ScrollView>
+
+      {/* Import Preview */}
+      <ImportPreview
+        visible={importPreview !== null}
+        preview={importPreview}
+        strategies={importStrategies}
+        onChangeStrategy={handleChangeImportStrategy}
+        onConfirm={handleConfirmImport}
+        onCancel={closeImportPreview}
+        isImporting={isImporting}
+      />
+
+      {/* Backup Passphrase Modal */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={passphraseMode !== null}
+        onRequestClose={closePassphraseModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {passphraseMode === 'export' ? 'Protect Backup' : 'Unlock Backup'}
+            </Text>
+            
+            <TextInput
+              style={styles.input}
+              placeholder={passphraseMode === 'export' ? 'Passphrase (8+ characters)' : 'Backup passphrase'}
+              value={passphrase}
+              onChangeText={setPassphrase}
+              secureTextEntry={true}
+              autoCapitalize="none"
+            />
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={closePassphraseModal}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={handleConfirmPassphrase}
+              >
+                <Text style={styles.saveButtonText}>
+                  {passphraseMode === 'export' ? 'Export' : 'Open'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Phone Region Modal */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={regionModalVisible}
+        onRequestClose={() => setRegionModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Phone Number Region</Text>
+            
+            <TextInput
+              style={styles.input}
+              placeholder="Country code, e.g. US"
+              value={regionInput}
+              onChangeText={setRegionInput}
+              autoCapitalize="characters"
+              maxLength={2}
+            />
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setRegionModalVisible(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={savePhoneRegion}
+              >
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Alert Relay Modal */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={relayModalVisible}
+        onRequestClose={() => setRelayModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Alert Relay</Text>
+            <Text style={styles.modalDescription}>
+              An https:// address that texts alerts on for you, e.g. your own server in front of an SMS gateway.
+              It receives the numbers and message as JSON. Leave empty to turn it off.
+            </Text>
+            
+            <TextInput
+              style={styles.input}
+              placeholder="https://relay.example.com/sms"
+              value={relayInput}
+              onChangeText={setRelayInput}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setRelayModalVisible(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={saveAlertRelay}
+              >
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Emergency Services Lookup Modal */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={providerModalVisible}
+        onRequestClose={() => setProviderModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Emergency Services Lookup</Text>
+            <Text style={styles.modalDescription}>
+              An OpenStreetMap Overpass API address, public or your own, to find police, hospitals and fire stations near you.
+              The provider sees roughly where you are each time you look. Leave empty to turn it off.
+            </Text>
+            
+            <TextInput
+              style={styles.input}
+              placeholder="https://overpass-api.de/api/interpreter"
+              value={providerInput}
+              onChangeText={setProviderInput}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setProviderModalVisible(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={saveServicesProvider}
+              >
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Profile Modal */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={profileModalMode !== null}
+        onRequestClose={closeProfileModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {profileModalMode === 'guest' ? 'Start Guest Session' : 'Add Profile'}
+            </Text>
+            
+            <TextInput
+              style={styles.input}
+              placeholder={profileModalMode === 'guest' ? 'Guest name (optional)' : 'Profile name'}
+              value={profileName}
+              onChangeText={setProfileName}
+            />
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={closeProfileModal}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={handleConfirmProfile}
+              >
+                <Text style={styles.saveButtonText}>
+                  {profileModalMode === 'guest' ? 'Start' : 'Add'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* PIN Modal */}
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={pinModalMode !== null}
+        onRequestClose={closePinModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {pinModalMode === 'rotate'
+                ? 'Rotate Encryption Key'
+                : pinModalMode === 'remove'
+                  ? 'Remove App PIN'
+                  : pinModalMode === 'duress'
+                    ? hasDuress ? 'Change Duress PIN' : 'Set Duress PIN'
+                    : pinModalMode === 'endGuest'
+                      ? 'End Guest Session'
+                      : hasPin ? 'Change App PIN' : 'Set App PIN'}
+            </Text>
+            
+            {hasPin && pinModalMode !== 'duress' && (
+              <TextInput
+                style={styles.input}
+                placeholder="Current PIN"
+                value={currentPin}
+                onChangeText={setCurrentPin}
+                keyboardType="number-pad"
+                secureTextEntry={true}
+                maxLength={12}
+              />
+            )}
+            
+            {(pinModalMode === 'set' || pinModalMode === 'duress') && (
+              <TextInput
+                style={styles.input}
+                placeholder={pinModalMode === 'duress' ? 'Duress PIN (4-12 digits)' : 'New PIN (4-12 digits)'}
+                value={newPin}
+                onChangeText={setNewPin}
+                keyboardType="number-pad"
+                secureTextEntry={true}
+                maxLength={12}
+              />
+            )}
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={closePinModal}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.modalButton, styles.saveButton]}
+                onPress={handleSavePin}
+                disabled={isLoading}
+              >
+                <Text style={styles.saveButtonText}>
+                  {isLoading ? 'Working...' : 'Confirm'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -475,6 +1564,73 @@ const styles = StyleSheet.create({
     color: '#856404',
     marginBottom: 4,
   },
+  retentionNote: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 10,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderRadius: 15,
+    padding: 30,
+    width: '90%',
+    maxWidth: 400,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  modalDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 15,
+    fontSize: 16,
+    marginBottom: 15,
+    backgroundColor: '#f9f9f9',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: '#f0f0f0',
+  },
+  saveButton: {
+    backgroundColor: '#e91e63',
+  },
+  cancelButtonText: {
+    color: '#666',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '500',
+  },
 });
 
 export default SettingsScreen;
@@ -0,0 +1,94 @@
+import {
+  STORAGE_KEYS,
+  getAuditLog,
+  getAuditStatus,
+  initializeSecureStorage,
+  storeContacts,
+  storeSettings,
+  getStoredSettings,
+} from '../storage';
+import { createMemoryBackend, setStorageBackend } from '../storageBackends';
+import { decryptValue, encryptValue, isEncryptedValue } from '../encryption';
+import { AUDIT_COLLECTIONS, AUDIT_SOURCES, createAuditEntry, verifyAuditChain } from '../auditLog';
+
+const buildChain = (count) => {
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    entries.push(createAuditEntry(entries[index - 1] || null, {
+      source: AUDIT_SOURCES.APP,
+      collection: AUDIT_COLLECTIONS.SETTINGS,
+      changes: [{ type: 'changed', field: 'darkMode', before: index % 2 === 1, after: index % 2 === 0 }],
+      stateHash: `state${index}`,
+      timestamp: `2024-03-0${index + 1}T10:00:00.000Z`,
+    }));
+  }
+  return entries;
+};
+
+describe('verifyAuditChain', () => {
+  it('accepts an intact chain and an empty log', () => {
+    expect(verifyAuditChain(buildChain(4))).toEqual({ valid: true, brokenAt: null });
+    expect(verifyAuditChain([])).toEqual({ valid: true, brokenAt: null });
+  });
+
+  it('finds an entry whose contents were edited', () => {
+    const entries = buildChain(4);
+    entries[2] = { ...entries[2], source: AUDIT_SOURCES.IMPORT };
+    expect(verifyAuditChain(entries)).toEqual({ valid: false, brokenAt: 3 });
+  });
+
+  it('finds an edited entry even when its own hash was recomputed', () => {
+    const entries = buildChain(4);
+    entries[1] = createAuditEntry(entries[0], { ...entries[1], changes: [] });
+    expect(verifyAuditChain(entries)).toEqual({ valid: false, brokenAt: 3 });
+  });
+
+  it('finds entries that were reordered', () => {
+    const [first, second, third, fourth] = buildChain(4);
+    expect(verifyAuditChain([first, third, second, fourth])).toEqual({ valid: false, brokenAt: 3 });
+  });
+
+  it('finds entries removed from the start or the middle', () => {
+    const entries = buildChain(4);
+    expect(verifyAuditChain(entries.slice(1))).toEqual({ valid: false, brokenAt: 2 });
+    expect(verifyAuditChain([entries[0], ...entries.slice(2)])).toEqual({ valid: false, brokenAt: 3 });
+  });
+});
+
+describe('getAuditStatus', () => {
+  let backend;
+
+  // Rewrite the stored log the way someone with access to the files could
+  const rewriteLog = async (change) => {
+    const logKey = (await backend.getAllKeys()).find(key => key.endsWith(STORAGE_KEYS.AUDIT_LOG));
+    const raw = await backend.getItem(logKey);
+    const encrypted = isEncryptedValue(raw);
+    const log = change(JSON.parse(encrypted ? decryptValue(raw) : raw));
+    const json = JSON.stringify(log);
+    await backend.setItem(logKey, encrypted ? encryptValue(json) : json);
+  };
+
+  beforeEach(async () => {
+    backend = createMemoryBackend();
+    setStorageBackend(backend);
+    await initializeSecureStorage();
+    await storeContacts([{ id: 'c1', name: 'Asha', phone: '+442079460958', isEmergency: true }]);
+    await storeSettings({ ...(await getStoredSettings()), darkMode: true });
+    await storeSettings({ ...(await getStoredSettings()), darkMode: false });
+  });
+
+  it('reports an untouched log as valid and matching the data', async () => {
+    expect(await getAuditLog()).toHaveLength(3);
+    expect(await getAuditStatus()).toMatchObject({ readable: true, valid: true, brokenAt: null, untracked: [] });
+  });
+
+  it('reports where a stored log was reordered', async () => {
+    await rewriteLog(([first, second, third]) => [first, third, second]);
+    expect(await getAuditStatus()).toMatchObject({ valid: false, brokenAt: 3 });
+  });
+
+  it('reports the last entries being cut off as changes without a record', async () => {
+    await rewriteLog(log => log.slice(0, -1));
+    expect(await getAuditStatus()).toMatchObject({ valid: true, untracked: [AUDIT_COLLECTIONS.SETTINGS] });
+  });
+});
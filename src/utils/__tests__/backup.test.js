@@ -0,0 +1,106 @@
+import {
+  addContact,
+  exportAllData,
+  initializeSecureStorage,
+  storeEmergencyEvent,
+  storeLocationUpdate,
+  storeSafetyReport,
+  storeSettings,
+  storeUserProfile,
+  getStoredSettings,
+  getUserProfile,
+} from '../storage';
+import { createMemoryBackend, setStorageBackend } from '../storageBackends';
+import { runMigrations } from '../migrations';
+import { importData } from '../dataImport';
+import { createBackup, parseBackup, readBackupHeader, isBackupEncrypted, BACKUP_ERRORS } from '../backup';
+
+// A fresh device: empty memory backend, new encryption keys, current schema
+const startDevice = async () => {
+  setStorageBackend(createMemoryBackend());
+  await initializeSecureStorage();
+  await runMigrations();
+};
+
+// exportDate is when the export ran, so it differs between two exports
+const withoutDate = ({ exportDate, ...data }) => data;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await startDevice();
+  await storeUserProfile({ ...(await getUserProfile()), name: 'Asha', region: 'GB' });
+  await addContact({ name: 'Ben', phone: '020 7946 0958', isEmergency: true });
+  await storeSettings({ ...(await getStoredSettings()), darkMode: true });
+  await storeEmergencyEvent({ type: 'sos', location: { latitude: 51.5033, longitude: -0.1196 } });
+  await storeLocationUpdate({ latitude: 51.5033, longitude: -0.1196, accuracy: 8, timestamp: Date.now() - 60000 });
+  await storeLocationUpdate({ latitude: 51.5035, longitude: -0.1193, accuracy: 9, timestamp: Date.now() });
+  await storeSafetyReport({ type: 'poor_lighting', location: { latitude: 51.5033, longitude: -0.1196 } });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('backup files', () => {
+  it('carries the export exactly as exportAllData writes it', async () => {
+    const exported = await exportAllData();
+    const contents = await createBackup();
+    const { success, data } = parseBackup(contents);
+
+    expect(success).toBe(true);
+    expect(withoutDate(data)).toEqual(withoutDate(exported));
+    expect(data.contacts[0].phone).toBe('+442079460958');
+    expect(data.locationHistory).toHaveLength(2);
+    expect(readBackupHeader(contents)).toMatchObject({
+      format: 'safeher-backup',
+      formatVersion: 1,
+      appVersion: exported.version,
+      schemaVersion: exported.schemaVersion,
+      compression: 'deflate',
+      encryption: null,
+    });
+  });
+
+  it('restores onto another device', async () => {
+    const exported = await exportAllData();
+    const contents = await createBackup('correct horse');
+
+    await startDevice();
+    const { data } = parseBackup(contents, 'correct horse');
+    expect(await importData(data)).toEqual({ success: true, errors: {} });
+    expect(withoutDate(await exportAllData())).toEqual(withoutDate(exported));
+  });
+
+  it('needs the passphrase to restore an encrypted backup', async () => {
+    const contents = await createBackup('correct horse');
+
+    expect(isBackupEncrypted(contents)).toBe(true);
+    expect(readBackupHeader(contents).encryption).toMatchObject({ kdf: 'pbkdf2-sha256' });
+    expect(parseBackup(contents).error).toBe(BACKUP_ERRORS.PASSPHRASE_REQUIRED);
+    expect(parseBackup(contents, 'wrong horse').error).toBe(BACKUP_ERRORS.WRONG_PASSPHRASE);
+    expect(parseBackup(contents, 'correct horse').success).toBe(true);
+  });
+
+  it('rejects a payload that was changed', async () => {
+    const header = JSON.parse(await createBackup());
+    const payload = `${header.payload[0] === 'A' ? 'B' : 'A'}${header.payload.slice(1)}`;
+    const contents = JSON.stringify({ ...header, payload });
+
+    expect(parseBackup(contents).error).toBe(BACKUP_ERRORS.CHECKSUM_MISMATCH);
+  });
+
+  it('rejects files from a newer format version', async () => {
+    const header = JSON.parse(await createBackup());
+    const contents = JSON.stringify({ ...header, formatVersion: 2 });
+
+    expect(parseBackup(contents).error).toBe(BACKUP_ERRORS.UNSUPPORTED_VERSION);
+  });
+
+  it('passes plain JSON exports through and rejects anything else', async () => {
+    const exported = await exportAllData();
+
+    expect(parseBackup(JSON.stringify(exported)).data).toEqual(exported);
+    expect(parseBackup('{"hello":"world"}').error).toBe(BACKUP_ERRORS.INVALID_FORMAT);
+    expect(parseBackup('not json').error).toBe(BACKUP_ERRORS.INVALID_FORMAT);
+  });
+});
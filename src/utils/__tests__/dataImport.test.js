@@ -0,0 +1,158 @@
+import {
+  STORAGE_KEYS,
+  getData,
+  getStoredContacts,
+  getStoredSettings,
+  initializeSecureStorage,
+  storeContacts,
+  storeData,
+  storeSettings,
+} from '../storage';
+import { createMemoryBackend, setStorageBackend } from '../storageBackends';
+import { CURRENT_SCHEMA_VERSION } from '../migrations';
+import { IMPORT_STRATEGIES, importData, previewImport, validateImportData } from '../dataImport';
+
+const { REPLACE, MERGE, SKIP } = IMPORT_STRATEGIES;
+
+const asha = { id: 'c1', name: 'Asha', phone: '+442079460958', isEmergency: true };
+const ben = { id: 'c2', name: 'Ben', phone: '+442079460959', isEmergency: false };
+
+const backup = sections => ({ schemaVersion: CURRENT_SCHEMA_VERSION, ...sections });
+const names = contacts => contacts.map(contact => contact.name);
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setStorageBackend(createMemoryBackend());
+  await initializeSecureStorage();
+  await storeContacts([asha, ben]);
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('validateImportData', () => {
+  it('rejects anything that is not a data object', () => {
+    expect(validateImportData([asha])).toMatchObject({ valid: false, errors: { file: [expect.any(String)] } });
+    expect(validateImportData(null).valid).toBe(false);
+  });
+
+  it('rejects backups from a newer schema', () => {
+    const { valid, errors } = validateImportData({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+    expect(valid).toBe(false);
+    expect(errors.file[0]).toMatch('newer version');
+  });
+
+  it('reports invalid items per section with their position', () => {
+    const { valid, errors } = validateImportData(backup({
+      contacts: [asha, { id: 'c3', name: '', phone: '+442079460960' }],
+      settings: { darkMode: 'yes' },
+      emergencyHistory: 'none',
+      locationHistory: [{ latitude: 95, longitude: 0, timestamp: '2024-03-01T10:00:00.000Z' }],
+    }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual({
+      contacts: ['item 2: missing name'],
+      settings: ['darkMode must be true or false'],
+      emergencyHistory: ['must be a list'],
+      locationHistory: ['item 1: invalid latitude'],
+    });
+  });
+
+  it('brings older backups up to the current schema', () => {
+    const { valid, data } = validateImportData({
+      schemaVersion: 0,
+      contacts: [{ id: 'c3', name: 'Cleo', phone: '+44 20 7946 0960' }],
+    });
+
+    expect(valid).toBe(true);
+    expect(data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(data.contacts[0]).toMatchObject({ isEmergency: false, phone: '+442079460960' });
+  });
+});
+
+describe('importData', () => {
+  const imported = [
+    { ...asha, name: 'Asha Patel' },
+    // Same number as Ben, written differently and under another id
+    { id: 'other', name: 'Ben', phone: '+44 20 7946 0959', isEmergency: true },
+    { id: 'c3', name: 'Cleo', phone: '+442079460960', isEmergency: false },
+  ];
+
+  it('merges contacts into the existing ones by id or phone number', async () => {
+    expect(await importData(backup({ contacts: imported }), { contacts: MERGE })).toEqual({ success: true, errors: {} });
+
+    const contacts = await getStoredContacts();
+    expect(names(contacts)).toEqual(['Asha Patel', 'Ben', 'Cleo']);
+    expect(contacts[1]).toEqual({ ...ben, isEmergency: true });
+  });
+
+  it('replaces contacts with the imported list', async () => {
+    await importData(backup({ contacts: [imported[2]] }), { contacts: REPLACE });
+
+    expect(await getStoredContacts()).toEqual([imported[2]]);
+  });
+
+  it('leaves skipped sections untouched', async () => {
+    await importData(backup({ contacts: imported, settings: { darkMode: true } }), { contacts: SKIP });
+
+    expect(await getStoredContacts()).toEqual([asha, ben]);
+    expect((await getStoredSettings()).darkMode).toBe(true);
+  });
+
+  it('merges or replaces object sections key by key', async () => {
+    await storeSettings({ ...(await getStoredSettings()), darkMode: true });
+
+    await importData(backup({ settings: { soundAlerts: false } }), { settings: MERGE });
+    expect(await getStoredSettings()).toMatchObject({ darkMode: true, soundAlerts: false });
+
+    await importData(backup({ settings: { soundAlerts: true } }), { settings: REPLACE });
+    expect(await getData(STORAGE_KEYS.USER_SETTINGS)).toEqual({ soundAlerts: true });
+  });
+
+  it('keeps history sorted newest first after a merge', async () => {
+    await storeData(STORAGE_KEYS.SAFETY_REPORTS, [{ id: 'r2', timestamp: '2024-03-02T10:00:00.000Z' }]);
+
+    await importData(backup({
+      safetyReports: [
+        { id: 'r1', timestamp: '2024-03-01T10:00:00.000Z' },
+        { id: 'r3', timestamp: '2024-03-03T10:00:00.000Z' },
+      ],
+    }));
+
+    expect((await getData(STORAGE_KEYS.SAFETY_REPORTS)).map(report => report.id)).toEqual(['r3', 'r2', 'r1']);
+  });
+
+  it('writes nothing while a selected section is invalid', async () => {
+    const data = backup({ contacts: imported, settings: { darkMode: 'yes' } });
+
+    expect(await importData(data)).toEqual({
+      success: false,
+      errors: { settings: ['darkMode must be true or false'] },
+    });
+    expect(await getStoredContacts()).toEqual([asha, ben]);
+  });
+
+  it('imports the valid sections when the invalid ones are skipped', async () => {
+    const data = backup({ contacts: imported, settings: { darkMode: 'yes' } });
+
+    expect((await importData(data, { settings: SKIP })).success).toBe(true);
+    expect(names(await getStoredContacts())).toEqual(['Asha Patel', 'Ben', 'Cleo']);
+  });
+});
+
+describe('previewImport', () => {
+  it('describes the changes per section without writing them', async () => {
+    const { valid, diff } = await previewImport(backup({
+      contacts: [{ ...asha, name: 'Asha Patel' }, { id: 'c3', name: 'Cleo', phone: '+442079460960' }],
+    }), { contacts: REPLACE });
+
+    expect(valid).toBe(true);
+    expect(names(diff.contacts.added)).toEqual(['Cleo']);
+    expect(names(diff.contacts.updated)).toEqual(['Asha Patel']);
+    expect(names(diff.contacts.removed)).toEqual(['Ben']);
+    expect(diff.settings).toEqual({ strategy: SKIP });
+    expect(await getStoredContacts()).toEqual([asha, ben]);
+  });
+});
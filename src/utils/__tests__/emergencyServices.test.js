@@ -0,0 +1,171 @@
+import { STORAGE_KEYS } from '../storage';
+import { getIndexedSafePlaces } from '../safePlaces';
+import { createSpatialIndex } from '../spatialIndex';
+import {
+  EMERGENCY_SERVICE_SOURCES,
+  buildOverpassQuery,
+  getNearbyEmergencyServices,
+  parseOverpassResponse,
+  setEmergencyServicesProvider,
+} from '../emergencyServices';
+
+const mockStore = new Map();
+
+jest.mock('../storage', () => ({
+  ...jest.requireActual('../storage'),
+  getData: jest.fn(async key => (mockStore.has(key) ? mockStore.get(key) : null)),
+  updateData: jest.fn(async (key, updater, defaultValue) => {
+    mockStore.set(key, updater(mockStore.has(key) ? mockStore.get(key) : defaultValue));
+    return true;
+  }),
+  getUserProfile: jest.fn(async () => mockStore.get('profile') || null),
+}));
+jest.mock('../safePlaces', () => ({
+  ...jest.requireActual('../safePlaces'),
+  getIndexedSafePlaces: jest.fn(),
+}));
+
+const PROVIDER = 'https://overpass.example.org/api/interpreter';
+const HERE = { latitude: 40.75, longitude: -73.99 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Meters along a meridian, as calculateDistance measures them
+const north = meters => HERE.latitude + meters / (6371e3 * Math.PI / 180);
+
+const ELEMENTS = [
+  { type: 'node', id: 1, lat: north(300), lon: HERE.longitude, tags: { amenity: 'police', name: 'Midtown South Precinct', phone: '+1 212-239-9811;+1 212-239-9800' } },
+  { type: 'way', id: 2, center: { lat: north(1700), lon: HERE.longitude }, tags: { amenity: 'hospital', name: 'Bellevue Hospital', 'addr:housenumber': '462', 'addr:street': 'First Avenue', 'addr:city': 'New York', opening_hours: '24/7' } },
+  { type: 'relation', id: 3, center: { lat: north(550), lon: HERE.longitude }, tags: { amenity: 'fire_station', 'contact:phone': '+1 212-570-4300' } },
+  { type: 'node', id: 4, lat: north(100), lon: HERE.longitude, tags: { amenity: 'cafe', name: 'Coffee' } },
+  { type: 'way', id: 5, tags: { amenity: 'hospital', name: 'No centre' } },
+];
+
+const answer = elements => ({ ok: true, status: 200, json: async () => ({ elements }) });
+
+const givenPlaces = (places) => {
+  getIndexedSafePlaces.mockResolvedValue({ places, index: createSpatialIndex(places) });
+};
+
+const queriedRadius = call => Number(decodeURIComponent(call[1].body).match(/around:(\d+),/)[1]);
+
+beforeEach(() => {
+  mockStore.clear();
+  givenPlaces([]);
+  setEmergencyServicesProvider(PROVIDER);
+  global.fetch = jest.fn(async () => answer(ELEMENTS));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setEmergencyServicesProvider(null);
+  console.warn.mockRestore();
+});
+
+describe('buildOverpassQuery', () => {
+  it('asks for every emergency service type around the location', () => {
+    const query = buildOverpassQuery(40.75, -73.99, 2500.4);
+    expect(query).toContain('nwr["amenity"~"^(police|hospital|fire_station)$"](around:2500,40.75,-73.99);');
+    expect(query).toContain('out tags center;');
+  });
+});
+
+describe('parseOverpassResponse', () => {
+  it('reads nodes, ways and relations with their details', () => {
+    const services = parseOverpassResponse({ elements: ELEMENTS });
+
+    expect(services.map(service => service.id)).toEqual(['osm:node/1', 'osm:way/2', 'osm:relation/3']);
+    expect(services[0]).toMatchObject({ type: 'police', name: 'Midtown South Precinct', phone: '+1 212-239-9811' });
+    expect(services[1]).toMatchObject({
+      latitude: north(1700),
+      address: '462 First Avenue, New York',
+      hours: '24/7',
+      phone: null,
+    });
+    expect(services[2]).toMatchObject({ name: 'Fire station', phone: '+1 212-570-4300', address: null });
+  });
+
+  it('throws on an answer that is not in the Overpass format', () => {
+    expect(() => parseOverpassResponse({ error: 'rate limited' })).toThrow();
+  });
+});
+
+describe('getNearbyEmergencyServices', () => {
+  it('looks up services with real distances, nearest first', async () => {
+    const services = await getNearbyEmergencyServices(HERE.latitude, HERE.longitude, 3000);
+
+    expect(services.map(service => [service.type, Math.round(service.distance), service.source])).toEqual([
+      ['police', 300, EMERGENCY_SERVICE_SOURCES.LOOKUP],
+      ['fire_station', 550, EMERGENCY_SERVICE_SOURCES.LOOKUP],
+      ['hospital', 1700, EMERGENCY_SERVICE_SOURCES.LOOKUP],
+    ]);
+    expect(fetch).toHaveBeenCalledWith(PROVIDER, expect.objectContaining({ method: 'POST' }));
+  });
+
+  it('leaves out looked-up services beyond the radius', async () => {
+    const services = await getNearbyEmergencyServices(HERE.latitude, HERE.longitude, 1000);
+    expect(services.map(service => service.type)).toEqual(['police', 'fire_station']);
+  });
+
+  it('uses the provider the user set over the build default', async () => {
+    mockStore.set('profile', { emergencyServicesProvider: 'http://localhost:8080/api/interpreter' });
+    await getNearbyEmergencyServices(HERE.latitude, HERE.longitude, 3000);
+    expect(fetch.mock.calls[0][0]).toBe('http://localhost:8080/api/interpreter');
+  });
+
+  it('answers from a fresh cached area that covers the query', async () => {
+    await getNearbyEmergencyServices(HERE.latitude, HERE.longitude, 3000);
+    expect(queriedRadius(fetch.mock.calls[0])).toBe(6000);
+
+    // About 1 km further north, still well inside the 6 km fetched
+    const services = await getNearbyEmergencyServices(north(1000), HERE.longitude, 3000);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(services.every(service => service.source === EMERGENCY_SERVICE_SOURCES.CACHE)).toBe(true);
+  });
+
+  it('falls back to overlapping cached areas, however old, when the provider fails', async () => {
+    mockStore.set(STORAGE_KEYS.EMERGENCY_SERVICES_CACHE, [{
+      latitude: north(2000),
+      longitude: HERE.longitude,
+      radius: 2000,
+      fetchedAt: new Date(Date.now() - 30 * DAY_MS).toISOString(),
+      services: parseOverpassResponse({ elements: ELEMENTS.slice(0, 1) }),
+    }]);
+    fetch.mockRejectedValue(new Error('Network request failed'));
+
+    const services = await getNearbyEmergencyServices(HERE.latitude, HERE.longitude, 3000);
+    expect(services).toEqual([expect.objectContaining({ id: 'osm:node/1', source: EMERGENCY_SERVICE_SOURCES.CACHE })]);
+  });
+
+  it('uses region packs and cached areas only without a provider', async () => {
+    setEmergencyServicesProvider(null);
+    givenPlaces([{ id: 'p1', name: 'Precinct', type: 'police', latitude: north(200), longitude: HERE.longitude, source: 'pack' }]);
+
+    const services = await getNearbyEmergencyServices(HERE.latitude, HERE.longitude, 3000);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(services.map(service => service.id)).toEqual(['p1']);
+  });
+
+  it('keeps at most 20 cached areas, newest first', async () => {
+    for (let i = 0; i < 22; i++) {
+      await getNearbyEmergencyServices(HERE.latitude + i, HERE.longitude, 1000);
+    }
+    const areas = mockStore.get(STORAGE_KEYS.EMERGENCY_SERVICES_CACHE);
+    expect(areas).toHaveLength(20);
+    expect(areas[0].latitude).toBe(HERE.latitude + 21);
+  });
+
+  it('merges a looked-up service into the matching place', async () => {
+    givenPlaces([
+      { id: 'pack:1', name: 'Old Precinct', type: 'police', latitude: north(320), longitude: HERE.longitude, phone: '+1 555-0123', source: 'pack' },
+      { id: 'user:1', name: 'My Fire Station', type: 'fire_station', latitude: north(560), longitude: HERE.longitude, phone: null, address: 'Round the corner', source: 'user' },
+    ]);
+
+    const services = await getNearbyEmergencyServices(HERE.latitude, HERE.longitude, 1000);
+    expect(services).toHaveLength(2);
+    // Region pack details give way to the newer looked-up ones
+    expect(services[0]).toMatchObject({ id: 'pack:1', name: 'Old Precinct', phone: '+1 212-239-9811' });
+    expect(services[0].fetchedAt).toBeTruthy();
+    // The user's own place keeps its details and only gains a phone number
+    expect(services[1]).toMatchObject({ id: 'user:1', address: 'Round the corner', phone: '+1 212-570-4300', fetchedAt: null });
+  });
+});
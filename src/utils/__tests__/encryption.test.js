@@ -0,0 +1,114 @@
+import * as SecureStore from 'expo-secure-store';
+import { createMemoryBackend, getStorageBackend, setStorageBackend } from '../storageBackends';
+import {
+  createPassphraseKey,
+  decryptValue,
+  encryptValue,
+  initializeEncryption,
+  isEncryptedValue,
+  isEncryptionLocked,
+  lockEncryption,
+  rekeyEncryptedData,
+  unlockWithPin,
+} from '../encryption';
+
+const KEY = 'safeher_trusted_contacts';
+const SECRET = JSON.stringify([{ name: 'Asha', phone: '+442079460958' }]);
+
+// Store a value the way storage.js does and read it back decrypted
+const storeSecret = () => getStorageBackend().setItem(KEY, encryptValue(SECRET));
+const readSecret = async () => decryptValue(await getStorageBackend().getItem(KEY));
+
+// Change the first character of one envelope field
+const tamper = (raw, field) => {
+  const envelope = JSON.parse(raw);
+  const value = envelope[field];
+  envelope[field] = `${value[0] === 'a' ? 'b' : 'a'}${value.slice(1)}`;
+  return JSON.stringify(envelope);
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setStorageBackend(createMemoryBackend());
+  await initializeEncryption();
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('encrypted values', () => {
+  it('decrypt back to the original text', async () => {
+    await storeSecret();
+    const raw = await getStorageBackend().getItem(KEY);
+
+    expect(isEncryptedValue(raw)).toBe(true);
+    expect(raw).not.toContain('Asha');
+    expect(await readSecret()).toBe(SECRET);
+  });
+
+  it('keep the device key in the keychain, not next to the data', async () => {
+    const [[keyName, deviceKey]] = SecureStore.setItemAsync.mock.calls.slice(-1);
+    const backend = getStorageBackend();
+    const stored = await Promise.all((await backend.getAllKeys()).map(key => backend.getItem(key)));
+
+    expect(keyName).toMatch(/^safeher_device_key_/);
+    expect(stored.some(value => value.includes(deviceKey))).toBe(false);
+  });
+
+  it('are rejected when the ciphertext, IV or MAC was changed', () => {
+    const raw = encryptValue(SECRET);
+
+    ['ct', 'iv', 'mac'].forEach((field) => {
+      expect(() => decryptValue(tamper(raw, field))).toThrow('failed integrity check');
+    });
+  });
+
+  it('are rejected under a different key', () => {
+    const { key, salt, iterations } = createPassphraseKey('correct horse');
+    const raw = encryptValue(SECRET, key);
+    const wrongKey = createPassphraseKey('wrong horse', { salt, iterations }).key;
+
+    expect(() => decryptValue(raw)).toThrow('different key');
+    expect(() => decryptValue(raw, wrongKey)).toThrow();
+  });
+});
+
+describe('PIN', () => {
+  beforeEach(async () => {
+    await storeSecret();
+    expect(await rekeyEncryptedData([KEY], { newPin: '1234' })).toBe(true);
+  });
+
+  it('keeps data readable after it is set', async () => {
+    expect(await readSecret()).toBe(SECRET);
+  });
+
+  it('locks data until the right PIN is entered', async () => {
+    lockEncryption();
+    expect(isEncryptionLocked()).toBe(true);
+    await expect(readSecret()).rejects.toThrow('locked');
+
+    expect(await unlockWithPin('0000')).toBe(false);
+    expect(isEncryptionLocked()).toBe(true);
+
+    expect(await unlockWithPin('1234')).toBe(true);
+    expect(await readSecret()).toBe(SECRET);
+  });
+
+  it('stays locked on the next start until unlocked', async () => {
+    expect(await initializeEncryption()).toEqual({ locked: true });
+    expect(await unlockWithPin('1234')).toBe(true);
+    expect(await readSecret()).toBe(SECRET);
+  });
+
+  it('can only be changed with the current PIN', async () => {
+    expect(await rekeyEncryptedData([KEY], { currentPin: '0000', newPin: '5678' })).toBe(false);
+    expect(await rekeyEncryptedData([KEY], { currentPin: '1234', newPin: '5678' })).toBe(true);
+
+    lockEncryption();
+    expect(await unlockWithPin('1234')).toBe(false);
+    expect(await unlockWithPin('5678')).toBe(true);
+    expect(await readSecret()).toBe(SECRET);
+  });
+});
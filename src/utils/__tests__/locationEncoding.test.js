@@ -0,0 +1,88 @@
+import {
+  SEGMENT_FIXES,
+  appendToChunk,
+  createChunk,
+  decodeChunk,
+  encodeChunk,
+  encodeSegments,
+  encodeTrail,
+  getDayKey,
+  summarizeSegments,
+} from '../locationEncoding';
+
+const DAY = '2024-03-01';
+const START = new Date(`${DAY}T08:00:00.000Z`).getTime();
+
+const fix = (minutes, overrides = {}) => ({
+  latitude: 40.7506 + minutes * 0.0001,
+  longitude: -73.9935 - minutes * 0.0001,
+  accuracy: 12,
+  speed: 1.25,
+  heading: 90,
+  altitude: 10.5,
+  timestamp: START + minutes * 60 * 1000,
+  ...overrides,
+});
+
+describe('locationEncoding', () => {
+  it('decodes the fixes it encoded, oldest first', () => {
+    const chunk = encodeChunk(DAY, [fix(2), fix(0), fix(1, { accuracy: null, speed: undefined })]);
+    const points = decodeChunk(chunk);
+
+    expect(chunk).toMatchObject({ version: 2, day: DAY, count: 3, start: START, end: START + 2 * 60 * 1000 });
+    expect(points.map(point => point.timestamp)).toEqual([START, START + 60000, START + 120000]);
+    expect(points[0]).toMatchObject({ accuracy: 12, speed: 1.25, heading: 90, altitude: 10.5, rejected: false });
+    expect(points[0].latitude).toBeCloseTo(40.7506, 6);
+    expect(points[2].longitude).toBeCloseTo(-73.9937, 6);
+    expect(points[1]).toMatchObject({ accuracy: null, speed: null });
+  });
+
+  it('keeps the raw position and rejected flag of each fix', () => {
+    const chunk = encodeChunk(DAY, [
+      fix(0, { rawLatitude: 40.7512, rawLongitude: -73.9901, rejected: true }),
+      fix(1),
+    ]);
+    const [rejected, accepted] = decodeChunk(chunk);
+
+    expect(rejected.rejected).toBe(true);
+    expect(rejected.rawLatitude).toBeCloseTo(40.7512, 6);
+    expect(rejected.rawLongitude).toBeCloseTo(-73.9901, 6);
+    expect(accepted.rejected).toBe(false);
+    expect(accepted.rawLatitude).toBe(accepted.latitude);
+  });
+
+  it('appends to a chunk without changing the fixes already in it', () => {
+    const chunk = appendToChunk(encodeChunk(DAY, [fix(0), fix(1)]), fix(2));
+    expect(decodeChunk(chunk)).toEqual(decodeChunk(encodeChunk(DAY, [fix(0), fix(1), fix(2)])));
+  });
+
+  it('reads version 1 chunks and re-encodes them on the next append', () => {
+    // One fix at midnight at 0,0 with no optional fields, as version 1 wrote it
+    const legacy = { ...createChunk(DAY), version: 1, count: 1, data: '???????' };
+
+    expect(decodeChunk(legacy)).toEqual([expect.objectContaining({
+      latitude: 0,
+      longitude: 0,
+      rawLatitude: 0,
+      rawLongitude: 0,
+      rejected: false,
+      accuracy: null,
+    })]);
+
+    const upgraded = appendToChunk(legacy, fix(0));
+    expect(upgraded.version).toBe(2);
+    expect(decodeChunk(upgraded)).toHaveLength(2);
+  });
+
+  it('splits a day into segments and groups a trail by UTC day', () => {
+    const fixes = Array.from({ length: SEGMENT_FIXES + 5 }, (_, i) => fix(i));
+    const segments = encodeSegments(DAY, fixes);
+
+    expect(segments.map(segment => segment.count)).toEqual([SEGMENT_FIXES, 5]);
+    expect(summarizeSegments(segments)).toMatchObject({ count: SEGMENT_FIXES + 5, start: START, segments: 2 });
+
+    const trail = encodeTrail([fix(0), fix(0, { timestamp: '2024-03-02T01:00:00.000Z' })]);
+    expect(Object.keys(trail).sort()).toEqual([DAY, '2024-03-02']);
+    expect(getDayKey('2024-03-02T23:59:59.000Z')).toBe('2024-03-02');
+  });
+});
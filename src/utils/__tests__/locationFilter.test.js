@@ -0,0 +1,68 @@
+import { createLocationFilter, MAX_ACCURACY_METERS } from '../locationFilter';
+
+const START = new Date('2024-03-01T08:00:00.000Z').getTime();
+
+// About 11 m north per 0.0001 degrees
+const fix = (seconds, latitude, overrides = {}) => ({
+  latitude,
+  longitude: -73.9935,
+  accuracy: 10,
+  timestamp: START + seconds * 1000,
+  ...overrides,
+});
+
+describe('createLocationFilter', () => {
+  it('passes the first fix through unchanged', () => {
+    const { filter } = createLocationFilter();
+    expect(filter(fix(0, 40.75))).toMatchObject({
+      latitude: 40.75,
+      rawLatitude: 40.75,
+      rejected: false,
+    });
+  });
+
+  it('smooths later fixes towards the track and keeps the raw position', () => {
+    const { filter } = createLocationFilter();
+    filter(fix(0, 40.75));
+    const result = filter(fix(10, 40.7502));
+
+    expect(result.rejected).toBe(false);
+    expect(result.rawLatitude).toBe(40.7502);
+    expect(result.latitude).toBeGreaterThan(40.75);
+    expect(result.latitude).toBeLessThan(40.7502);
+  });
+
+  it('rejects fixes that are too inaccurate', () => {
+    const { filter } = createLocationFilter();
+    filter(fix(0, 40.75));
+    const result = filter(fix(10, 40.7501, { accuracy: MAX_ACCURACY_METERS + 1 }));
+
+    expect(result).toMatchObject({ rejected: true, latitude: 40.7501, rawLatitude: 40.7501 });
+  });
+
+  it('rejects jumps faster than the filter allows, then restarts if they keep coming', () => {
+    const { filter } = createLocationFilter();
+    filter(fix(0, 40.75));
+
+    // About 11 km in ten seconds
+    expect(filter(fix(10, 40.85)).rejected).toBe(true);
+    expect(filter(fix(20, 40.85)).rejected).toBe(true);
+    expect(filter(fix(30, 40.85))).toMatchObject({ rejected: false, latitude: 40.85 });
+  });
+
+  it('starts over after a long gap or a reset', () => {
+    const { filter, reset } = createLocationFilter();
+    filter(fix(0, 40.75));
+    expect(filter(fix(11 * 60, 40.85))).toMatchObject({ rejected: false, latitude: 40.85 });
+
+    reset();
+    expect(filter(fix(11 * 60 + 1, 40.95))).toMatchObject({ rejected: false, latitude: 40.95 });
+  });
+
+  it('keeps a late fix as it is without moving the filter back', () => {
+    const { filter } = createLocationFilter();
+    filter(fix(10, 40.75));
+    expect(filter(fix(5, 40.7501))).toMatchObject({ rejected: false, latitude: 40.7501 });
+    expect(filter(fix(20, 40.75)).latitude).toBeCloseTo(40.75, 6);
+  });
+});
@@ -0,0 +1,142 @@
+import { getSafetyReports } from '../storage';
+import { getSafeZones } from '../safeZones';
+import { getIndexedSafePlaces } from '../safePlaces';
+import { createSpatialIndex } from '../spatialIndex';
+import { parseOpeningHours } from '../openingHours';
+import { isLocationSafe, SAFETY_REASONS } from '../locationSafety';
+
+jest.mock('../storage', () => ({
+  ...jest.requireActual('../storage'),
+  getSafetyReports: jest.fn(),
+}));
+jest.mock('../safeZones', () => ({
+  ...jest.requireActual('../safeZones'),
+  getSafeZones: jest.fn(),
+}));
+jest.mock('../safePlaces', () => ({
+  ...jest.requireActual('../safePlaces'),
+  getIndexedSafePlaces: jest.fn(),
+}));
+
+const HERE = { latitude: 40.7500, longitude: -73.9900 };
+// Local times on a Wednesday
+const NOON = new Date(2024, 2, 6, 12, 0);
+const NIGHT = new Date(2024, 2, 6, 23, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const place = (id, type, metersNorth, hours) => ({
+  id,
+  name: id,
+  type,
+  latitude: HERE.latitude + metersNorth / 111320,
+  longitude: HERE.longitude,
+  hours,
+  schedule: parseOpeningHours(hours),
+});
+
+const report = (metersNorth, daysAgo, at = NOON) => ({
+  location: { latitude: HERE.latitude + metersNorth / 111320, longitude: HERE.longitude },
+  timestamp: new Date(at.getTime() - daysAgo * DAY_MS).toISOString(),
+});
+
+const givenPlaces = (places) => {
+  getIndexedSafePlaces.mockResolvedValue({ places, index: createSpatialIndex(places) });
+};
+
+const check = (at = NOON) => isLocationSafe(HERE.latitude, HERE.longitude, { at });
+const codes = verdict => verdict.reasons.map(reason => reason.code);
+
+beforeEach(() => {
+  getSafeZones.mockResolvedValue([]);
+  getSafetyReports.mockResolvedValue([]);
+  givenPlaces([]);
+});
+
+describe('isLocationSafe', () => {
+  it('trusts an active safe zone the user is in', async () => {
+    getSafeZones.mockResolvedValue([
+      { id: 'home', name: 'Home', ...HERE, radius: 200, enabled: true, schedule: [] },
+    ]);
+    const verdict = await check(NIGHT);
+
+    expect(verdict.safeZone).toEqual({ id: 'home', name: 'Home' });
+    expect(codes(verdict)).toContain(SAFETY_REASONS.IN_SAFE_ZONE);
+    expect(verdict.level).toBe('Safe');
+  });
+
+  it('ignores a safe zone outside its schedule', async () => {
+    getSafeZones.mockResolvedValue([
+      { id: 'campus', name: 'Campus', ...HERE, radius: 200, enabled: true, schedule: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }] },
+    ]);
+    expect((await check(NOON)).safeZone).toEqual({ id: 'campus', name: 'Campus' });
+    expect((await check(NIGHT)).safeZone).toBeNull();
+  });
+
+  it('ignores a safe zone the user is outside of', async () => {
+    getSafeZones.mockResolvedValue([
+      { id: 'work', name: 'Work', latitude: HERE.latitude + 0.05, longitude: HERE.longitude, radius: 200, enabled: true, schedule: [] },
+    ]);
+    expect((await check()).safeZone).toBeNull();
+  });
+
+  it('counts an open safe place nearby and names its type', async () => {
+    givenPlaces([place('Midtown Fire', 'fire_station', 100, '24/7')]);
+    const verdict = await check();
+    const reason = verdict.reasons.find(({ code }) => code === SAFETY_REASONS.NEAR_OPEN_SAFE_PLACE);
+
+    expect(verdict.nearestOpenPlace.id).toBe('Midtown Fire');
+    expect(reason.message).toMatch(/^Fire station Midtown Fire is 100 m away and open$/);
+    expect(reason.points).toBeLessThan(0);
+  });
+
+  it('skips a safe place that is closed', async () => {
+    givenPlaces([place('Night Clinic', 'hospital', 100, '9am-5pm')]);
+
+    expect(codes(await check(NOON))).toContain(SAFETY_REASONS.NEAR_OPEN_SAFE_PLACE);
+    const night = await check(NIGHT);
+    expect(night.nearestOpenPlace).toBeNull();
+    expect(codes(night)).toContain(SAFETY_REASONS.NO_OPEN_SAFE_PLACE);
+  });
+
+  it('counts recent reports nearby up to a cap', async () => {
+    getSafetyReports.mockResolvedValue(Array.from({ length: 10 }, () => report(50, 1)));
+    const verdict = await check();
+    const reason = verdict.reasons.find(({ code }) => code === SAFETY_REASONS.RECENT_REPORTS);
+
+    expect(verdict.recentReportCount).toBe(10);
+    expect(reason.points).toBe(30);
+    expect(verdict.reasons[0]).toBe(reason);
+  });
+
+  it('leaves out reports that are too old, too far away or in the future', async () => {
+    getSafetyReports.mockResolvedValue([
+      report(50, 31),
+      report(800, 1),
+      report(50, -1),
+      { timestamp: new Date(NOON.getTime() - DAY_MS).toISOString() },
+      report(50, 29),
+    ]);
+    expect((await check()).recentReportCount).toBe(1);
+  });
+
+  it('raises the risk at night but not at midday', async () => {
+    const day = await check(NOON);
+    const night = await check(NIGHT);
+
+    expect(codes(day)).not.toContain(SAFETY_REASONS.NIGHT);
+    expect(codes(night)).toContain(SAFETY_REASONS.NIGHT);
+    expect(night.score).toBeGreaterThan(day.score);
+    expect(day.level).toBe('Safe');
+    expect(night.level).toBe('Moderate');
+    expect(night.checkedAt).toBe(NIGHT.toISOString());
+  });
+
+  it('says Unknown when a read fails', async () => {
+    getSafetyReports.mockRejectedValue(new Error('Encrypted storage is locked'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const verdict = await check();
+    console.error.mockRestore();
+
+    expect(verdict).toMatchObject({ level: 'Unknown', isSafe: false, score: 0, reasons: [] });
+  });
+});
@@ -0,0 +1,76 @@
+import { STORAGE_KEYS, DEFAULT_SETTINGS, getLocationChunkKey } from '../storage';
+import { applyMigrations, CURRENT_SCHEMA_VERSION } from '../migrations';
+import { decodeChunk } from '../locationEncoding';
+
+describe('applyMigrations', () => {
+  it('stamps contacts and fills in missing settings', () => {
+    const migrated = applyMigrations({
+      [STORAGE_KEYS.TRUSTED_CONTACTS]: [{ name: 'Asha', phone: '+14155550100' }],
+      [STORAGE_KEYS.USER_SETTINGS]: { darkMode: true },
+    }, 0);
+
+    const [contact] = migrated[STORAGE_KEYS.TRUSTED_CONTACTS];
+    expect(contact.id).toBeTruthy();
+    expect(contact.isEmergency).toBe(false);
+    expect(contact.addedDate).toBeTruthy();
+    expect(migrated[STORAGE_KEYS.USER_SETTINGS]).toEqual({ ...DEFAULT_SETTINGS, darkMode: true });
+  });
+
+  it('moves location history into day chunks and drops invalid fixes', () => {
+    const migrated = applyMigrations({
+      [STORAGE_KEYS.LOCATION_HISTORY]: [
+        { latitude: 40.7506, longitude: -73.9935, accuracy: 10, timestamp: '2024-03-01T10:00:00.000Z' },
+        { latitude: 40.7510, longitude: -73.9930, accuracy: 12, timestamp: '2024-03-01T10:01:00.000Z' },
+        { latitude: 'north', longitude: -73.99, timestamp: '2024-03-01T10:02:00.000Z' },
+        { latitude: 40.75, longitude: -73.99, timestamp: 'not a date' },
+      ],
+    }, 1);
+
+    expect(migrated[STORAGE_KEYS.LOCATION_HISTORY]).toBeNull();
+    expect(Object.keys(migrated[STORAGE_KEYS.LOCATION_INDEX])).toEqual(['2024-03-01']);
+    const fixes = decodeChunk(migrated[getLocationChunkKey('2024-03-01')]);
+    expect(fixes).toHaveLength(2);
+    expect(fixes[0].latitude).toBeCloseTo(40.7506, 5);
+    expect(fixes[1].longitude).toBeCloseTo(-73.9930, 5);
+  });
+
+  it('normalizes contact phone numbers to E.164 with the profile region', () => {
+    const migrated = applyMigrations({
+      [STORAGE_KEYS.USER_PROFILE]: { region: 'GB' },
+      [STORAGE_KEYS.TRUSTED_CONTACTS]: [
+        { id: '1', name: 'Asha', phone: '020 7946 0958' },
+        { id: '2', name: 'Ben', phone: 'not a number' },
+      ],
+    }, 2);
+
+    expect(migrated[STORAGE_KEYS.TRUSTED_CONTACTS].map(contact => contact.phone))
+      .toEqual(['+442079460958', 'not a number']);
+  });
+
+  it('records when recycle bin entries were deleted as deletedAt', () => {
+    const migrated = applyMigrations({
+      [STORAGE_KEYS.RECYCLE_BIN]: [
+        { id: 'b1', collection: 'contacts', item: { id: '1' }, index: 0, timestamp: '2024-03-01T10:00:00.000Z' },
+      ],
+    }, 3);
+
+    expect(migrated[STORAGE_KEYS.RECYCLE_BIN]).toEqual([
+      { id: 'b1', collection: 'contacts', item: { id: '1' }, index: 0, deletedAt: '2024-03-01T10:00:00.000Z' },
+    ]);
+  });
+
+  it('skips steps the data already has', () => {
+    const contacts = [{ name: 'Asha', phone: '555' }];
+    const migrated = applyMigrations({ [STORAGE_KEYS.TRUSTED_CONTACTS]: contacts }, CURRENT_SCHEMA_VERSION);
+    expect(migrated[STORAGE_KEYS.TRUSTED_CONTACTS]).toBe(contacts);
+  });
+
+  it('reports the version of a failing step', () => {
+    expect.assertions(1);
+    try {
+      applyMigrations({ [STORAGE_KEYS.TRUSTED_CONTACTS]: [null] }, 0);
+    } catch (error) {
+      expect(error.migrationVersion).toBe(1);
+    }
+  });
+});
@@ -0,0 +1,95 @@
+import { parseOpeningHours, getOpeningStatus, isOpenFor, describeOpeningStatus } from '../openingHours';
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const MON_TO_SAT = [1, 2, 3, 4, 5, 6];
+
+// Local times in the week of Sunday 3 March 2024
+const at = (day, hours, minutes = 0) => new Date(2024, 2, 3 + day, hours, minutes);
+
+describe('parseOpeningHours', () => {
+  it.each([
+    ['24/7', [{ days: EVERY_DAY, start: '00:00', end: '24:00' }]],
+    ['9:00 AM - 10:00 PM', [{ days: EVERY_DAY, start: '09:00', end: '22:00' }]],
+    ['9-5pm', [{ days: EVERY_DAY, start: '09:00', end: '17:00' }]],
+    ['1-5pm', [{ days: EVERY_DAY, start: '13:00', end: '17:00' }]],
+    ['22:00-06:00', [{ days: EVERY_DAY, start: '22:00', end: '06:00' }]],
+    ['Fr-Sa 6pm-2am', [{ days: [5, 6], start: '18:00', end: '02:00' }]],
+    ['Sa-Mo 10-16', [{ days: [0, 1, 6], start: '10:00', end: '16:00' }]],
+    ['Weekdays 8:30am to 5:30pm', [{ days: [1, 2, 3, 4, 5], start: '08:30', end: '17:30' }]],
+    ['Mo-Fr 09:00-18:00; Sa 10:00-14:00; Su off', [
+      { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' },
+      { days: [6], start: '10:00', end: '14:00' },
+    ]],
+  ])('reads %p', (text, schedule) => {
+    expect(parseOpeningHours(text)).toEqual(schedule);
+  });
+
+  it('applies a closed marker to the days right after it', () => {
+    expect(parseOpeningHours('Closed Sundays, 9am-5pm')).toEqual([{ days: MON_TO_SAT, start: '09:00', end: '17:00' }]);
+    expect(parseOpeningHours('9am-5pm, closed Sundays')).toEqual([{ days: MON_TO_SAT, start: '09:00', end: '17:00' }]);
+    expect(parseOpeningHours('Daily 8am-8pm, closed Mondays')).toEqual([{ days: [0, 2, 3, 4, 5, 6], start: '08:00', end: '20:00' }]);
+  });
+
+  it('ends the closed days where hours for other days start', () => {
+    expect(parseOpeningHours('Closed Sundays, Mon-Fri 9-5')).toEqual([{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }]);
+    expect(parseOpeningHours('Closed Sat and Sun; 8-6')).toEqual([{ days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }]);
+  });
+
+  it('only reads day names that are part of a list of days', () => {
+    expect(parseOpeningHours('We are open 9-5')).toEqual([{ days: EVERY_DAY, start: '09:00', end: '17:00' }]);
+    expect(parseOpeningHours('Mon, Wed, Fri 9-5')).toEqual([{ days: [1, 3, 5], start: '09:00', end: '17:00' }]);
+  });
+
+  it('returns an empty schedule for closed places and null for unreadable hours', () => {
+    expect(parseOpeningHours('closed')).toEqual([]);
+    expect(parseOpeningHours('By appointment')).toBeNull();
+    expect(parseOpeningHours('')).toBeNull();
+    expect(parseOpeningHours(null)).toBeNull();
+  });
+});
+
+describe('getOpeningStatus', () => {
+  const weekdays = parseOpeningHours('Mo-Fr 09:00-18:00');
+  const lateNights = parseOpeningHours('Fr-Sa 6pm-2am');
+
+  it('says when an open place closes and a closed one opens', () => {
+    expect(getOpeningStatus(weekdays, at(1, 10))).toEqual({ isOpen: true, changesAt: at(1, 18) });
+    expect(getOpeningStatus(weekdays, at(1, 19))).toEqual({ isOpen: false, changesAt: at(2, 9) });
+    expect(getOpeningStatus(weekdays, at(5, 19))).toEqual({ isOpen: false, changesAt: at(8, 9) });
+  });
+
+  it('follows windows past midnight and across the end of the week', () => {
+    expect(getOpeningStatus(lateNights, at(6, 1))).toEqual({ isOpen: true, changesAt: at(6, 2) });
+    expect(getOpeningStatus(lateNights, at(0, 1))).toEqual({ isOpen: true, changesAt: at(0, 2) });
+    expect(getOpeningStatus(lateNights, at(0, 3)).isOpen).toBe(false);
+  });
+
+  it('handles places that are always open, never open or have unknown hours', () => {
+    expect(getOpeningStatus(parseOpeningHours('24/7'), at(3, 3))).toEqual({ isOpen: true, changesAt: null });
+    expect(getOpeningStatus([], at(3, 3))).toEqual({ isOpen: false, changesAt: null });
+    expect(getOpeningStatus(null, at(3, 3))).toEqual({ isOpen: null, changesAt: null });
+  });
+});
+
+describe('isOpenFor', () => {
+  it('checks the place stays open long enough', () => {
+    const weekdays = parseOpeningHours('Mo-Fr 09:00-18:00');
+    expect(isOpenFor(weekdays, 30, at(1, 17))).toBe(true);
+    expect(isOpenFor(weekdays, 90, at(1, 17))).toBe(false);
+    expect(isOpenFor(null, 30, at(1, 17))).toBeNull();
+  });
+});
+
+describe('describeOpeningStatus', () => {
+  it('describes unknown, always open and never open places', () => {
+    expect(describeOpeningStatus({ isOpen: null, changesAt: null })).toBe('Hours unknown');
+    expect(describeOpeningStatus({ isOpen: true, changesAt: null })).toBe('Open 24 hours');
+    expect(describeOpeningStatus({ isOpen: false, changesAt: null })).toBe('Closed');
+  });
+
+  it('names the day when the change is not today', () => {
+    const date = at(5, 19);
+    const description = describeOpeningStatus({ isOpen: false, changesAt: at(8, 9) }, date);
+    expect(description).toMatch(/^Closed · opens .* Mon$/);
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  findDuplicateContacts,
+  formatPhoneForDisplay,
+  getPhoneKey,
+  getProfileRegion,
+  normalizePhoneNumber,
+  parsePhoneNumber,
+} from '../phoneNumbers';
+
+describe('normalizePhoneNumber', () => {
+  it('turns the ways people type a number into E.164', () => {
+    ['020 7946 0958', '(020) 7946-0958', '+44 20 7946 0958', '0044 20 7946 0958', ' 02079460958 ']
+      .forEach(input => expect(normalizePhoneNumber(input, 'GB')).toBe('+442079460958'));
+  });
+
+  it('reads numbers without a country code in the given region', () => {
+    expect(normalizePhoneNumber('(202) 555-0142')).toBe('+12025550142');
+    expect(normalizePhoneNumber('07400 123456', 'gb')).toBe('+447400123456');
+  });
+
+  it('keeps the country code of international numbers whatever the region', () => {
+    expect(normalizePhoneNumber('+1 202 555 0142', 'GB')).toBe('+12025550142');
+  });
+
+  it('falls back to the default region for unknown regions', () => {
+    expect(normalizePhoneNumber('202 555 0142', 'XX')).toBe('+12025550142');
+  });
+
+  it('returns null for invalid numbers and non-numbers', () => {
+    ['123', 'call me', '', null, undefined, 12025550142]
+      .forEach(input => expect(normalizePhoneNumber(input, 'GB')).toBeNull());
+  });
+});
+
+describe('parsePhoneNumber', () => {
+  it('tells mobiles from landlines for SMS', () => {
+    expect(parsePhoneNumber('07400 123456', 'GB')).toMatchObject({ type: 'MOBILE', canReceiveSMS: true, region: 'GB' });
+    expect(parsePhoneNumber('020 7946 0958', 'GB')).toMatchObject({ type: 'FIXED_LINE', canReceiveSMS: false });
+  });
+
+  it('marks numbers that look like numbers but are not valid', () => {
+    expect(parsePhoneNumber('+44 20 123', 'GB')).toMatchObject({ valid: false, canReceiveSMS: false });
+  });
+});
+
+describe('formatPhoneForDisplay', () => {
+  it('shows valid numbers internationally and anything else as stored', () => {
+    expect(formatPhoneForDisplay('+442079460958')).toBe('+44 20 7946 0958');
+    expect(formatPhoneForDisplay('ext 12')).toBe('ext 12');
+  });
+});
+
+describe('getProfileRegion', () => {
+  it('prefers the profile region, then the region of the user\'s own number', () => {
+    expect(getProfileRegion({ region: 'gb', phone: '+12025550142' })).toBe('GB');
+    expect(getProfileRegion({ phone: '+44 7400 123456' })).toBe('GB');
+    expect(getProfileRegion({ region: 'XX' })).toBe('US');
+    expect(getProfileRegion(null)).toBe('US');
+  });
+});
+
+describe('duplicate detection', () => {
+  it('gives the same key to two ways of writing a number', () => {
+    expect(getPhoneKey('020 7946 0958', 'GB')).toBe(getPhoneKey('+44 (0)20 7946 0958', 'GB'));
+    expect(getPhoneKey('ext 12-34')).toBe('1234');
+  });
+
+  it('groups contacts sharing a number, oldest first', () => {
+    const contacts = [
+      { id: 'a', phone: '+44 20 7946 0958', addedDate: '2024-03-02T10:00:00.000Z' },
+      { id: 'b', phone: '07400 123456', addedDate: '2024-03-01T10:00:00.000Z' },
+      { id: 'c', phone: '020 7946 0958', addedDate: '2024-03-01T10:00:00.000Z' },
+      { id: 'd', phone: '+447400123456', addedDate: '2024-03-03T10:00:00.000Z' },
+      { id: 'e', phone: '+12025550142' },
+      { id: 'f', phone: '' },
+      { id: 'g', phone: '' },
+    ];
+
+    expect(findDuplicateContacts(contacts, 'GB').map(group => group.map(contact => contact.id)))
+      .toEqual([['c', 'a'], ['b', 'd']]);
+  });
+
+  it('does not treat the same local digits in different regions as duplicates', () => {
+    const contacts = [{ id: 'a', phone: '+12025550142' }, { id: 'b', phone: '202 555 0142' }];
+
+    expect(findDuplicateContacts(contacts, 'US')).toHaveLength(1);
+    expect(findDuplicateContacts(contacts, 'GB')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,139 @@
+import {
+  STORAGE_KEYS,
+  getData,
+  storeData,
+  getLocationHistory,
+  storeLocationUpdate,
+  initializeSecureStorage,
+} from '../storage';
+import { createMemoryBackend, setStorageBackend } from '../storageBackends';
+import { applyRetentionPolicy, getProtectedWindows, pruneHistory, pruneLocationTrail } from '../retention';
+
+const NOW = new Date('2024-03-10T12:00:00.000Z').getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = days => new Date(NOW - days * DAY_MS).toISOString();
+const record = (id, days) => ({ id, timestamp: daysAgo(days) });
+const ids = items => items.map(item => item.id);
+
+describe('applyRetentionPolicy', () => {
+  const records = [record('c', 3), record('a', 1), record('e', 40), record('b', 2), record('d', 10)];
+
+  it('keeps records newest first when no limit applies', () => {
+    expect(ids(applyRetentionPolicy(records, {}, [], NOW))).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('drops records older than the age limit', () => {
+    expect(ids(applyRetentionPolicy(records, { maxAgeDays: 7 }, [], NOW))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('keeps only the newest records under the count limit', () => {
+    expect(ids(applyRetentionPolicy(records, { maxCount: 2 }, [], NOW))).toEqual(['a', 'b']);
+  });
+
+  it('stops keeping records once the size limit is reached', () => {
+    const size = JSON.stringify(records[0]).length;
+    expect(ids(applyRetentionPolicy(records, { maxBytes: size * 3 }, [], NOW))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('ages records by the given field', () => {
+    const entries = [
+      { id: 'old item, deleted today', timestamp: daysAgo(90), deletedAt: daysAgo(0) },
+      { id: 'new item, deleted long ago', timestamp: daysAgo(0), deletedAt: daysAgo(40) },
+    ];
+    const kept = applyRetentionPolicy(entries, { maxAgeDays: 30 }, [], NOW, 'deletedAt');
+    expect(ids(kept)).toEqual(['old item, deleted today']);
+  });
+
+  it('keeps records near an SOS whatever the limits, without counting them', () => {
+    const windows = getProtectedWindows([record('sos', 40)], 60);
+    const kept = applyRetentionPolicy(records, { maxAgeDays: 7, maxCount: 2 }, windows, NOW);
+    expect(ids(kept)).toEqual(['a', 'b', 'e']);
+  });
+});
+
+describe('getProtectedWindows', () => {
+  it('builds a window around each SOS and skips events without a time', () => {
+    const windows = getProtectedWindows([record('sos', 1), { timestamp: 'not a date' }], 30);
+    const time = NOW - DAY_MS;
+    expect(windows).toEqual([{ start: time - 30 * 60 * 1000, end: time + 30 * 60 * 1000 }]);
+  });
+});
+
+describe('pruneLocationTrail', () => {
+  beforeEach(async () => {
+    setStorageBackend(createMemoryBackend());
+    await initializeSecureStorage();
+    for (const days of [0, 1, 2, 3]) {
+      await storeLocationUpdate({ latitude: 51.5 + days / 100, longitude: -0.12, accuracy: 10, timestamp: NOW - days * DAY_MS });
+    }
+  });
+
+  const trail = async () => (await getLocationHistory({ includeRejected: true }))
+    .map(location => location.timestamp)
+    .sort((a, b) => b - a);
+
+  it('keeps only the newest fixes under the count limit', async () => {
+    expect(await pruneLocationTrail({ maxCount: 2 }, [], NOW)).toBe(2);
+    expect(await trail()).toEqual([NOW, NOW - DAY_MS]);
+  });
+
+  it('keeps only the newest days under the size limit', async () => {
+    const index = await getData(STORAGE_KEYS.LOCATION_INDEX);
+    const dayBytes = Math.max(...Object.values(index).map(day => day.bytes));
+    expect(await pruneLocationTrail({ maxBytes: dayBytes * 3 }, [], NOW)).toBe(1);
+    expect(await trail()).toHaveLength(3);
+  });
+
+  it('keeps fixes near an SOS past the limits', async () => {
+    const windows = getProtectedWindows([record('sos', 3)], 60);
+    expect(await pruneLocationTrail({ maxAgeDays: 1, maxCount: 1 }, windows, NOW)).toBe(2);
+    expect(await trail()).toEqual([NOW, NOW - 3 * DAY_MS]);
+  });
+});
+
+describe('pruneHistory', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW });
+    setStorageBackend(createMemoryBackend());
+    await initializeSecureStorage();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('purges the recycle bin by deletion time, even around an SOS', async () => {
+    await storeData(STORAGE_KEYS.EMERGENCY_HISTORY, [record('sos', 40)]);
+    await storeData(STORAGE_KEYS.RECYCLE_BIN, [
+      { id: 'recent', collection: 'contacts', item: { id: '1' }, index: 0, deletedAt: daysAgo(2) },
+      { id: 'near sos', collection: 'contacts', item: { id: '2' }, index: 0, deletedAt: daysAgo(40) },
+    ]);
+
+    const removed = await pruneHistory();
+
+    expect(removed.recycleBin).toBe(1);
+    expect(ids(await getData(STORAGE_KEYS.RECYCLE_BIN))).toEqual(['recent']);
+  });
+
+  it('prunes safety reports and emergency events around an SOS by their own limits', async () => {
+    await storeData(STORAGE_KEYS.EMERGENCY_HISTORY, [record('recent sos', 1), record('old sos', 400)]);
+    await storeData(STORAGE_KEYS.SAFETY_REPORTS, [record('recent report', 1), record('old report', 400)]);
+
+    const removed = await pruneHistory();
+
+    expect(removed).toMatchObject({ emergencyHistory: 1, safetyReports: 1 });
+    expect(ids(await getData(STORAGE_KEYS.EMERGENCY_HISTORY))).toEqual(['recent sos']);
+    expect(ids(await getData(STORAGE_KEYS.SAFETY_REPORTS))).toEqual(['recent report']);
+  });
+
+  it('keeps the location trail around an SOS past its age limit', async () => {
+    await storeData(STORAGE_KEYS.EMERGENCY_HISTORY, [record('sos', 30)]);
+    await storeLocationUpdate({ latitude: 51.5, longitude: -0.12, accuracy: 10, timestamp: NOW - 30 * DAY_MS });
+    await storeLocationUpdate({ latitude: 51.6, longitude: -0.12, accuracy: 10, timestamp: NOW - 31 * DAY_MS });
+
+    expect((await pruneHistory()).locationHistory).toBe(1);
+    expect((await getLocationHistory({ includeRejected: true })).map(location => location.timestamp))
+      .toEqual([NOW - 30 * DAY_MS]);
+  });
+});
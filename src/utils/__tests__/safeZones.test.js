@@ -0,0 +1,87 @@
+import { describeSchedule, isZoneActive } from '../safeZones';
+
+// Local times in the week of Sunday 10 March 2024
+const at = (day, hours, minutes = 0) => new Date(2024, 2, 10 + day, hours, minutes);
+const SUN = 0;
+const MON = 1;
+const FRI = 5;
+const SAT = 6;
+const NEXT_SUN = 7;
+
+const zone = schedule => ({ id: 'home', name: 'Home', enabled: true, schedule });
+
+describe('isZoneActive', () => {
+  it('is always active without a schedule and never when disabled', () => {
+    expect(isZoneActive(zone([]), at(MON, 3))).toBe(true);
+    expect(isZoneActive({ ...zone([]), enabled: false }, at(MON, 3))).toBe(false);
+  });
+
+  it('follows a window within the day, including its start but not its end', () => {
+    const work = zone([{ days: [MON, 2, 3, 4, FRI], start: '09:00', end: '17:30' }]);
+
+    expect(isZoneActive(work, at(MON, 9))).toBe(true);
+    expect(isZoneActive(work, at(FRI, 17, 29))).toBe(true);
+    expect(isZoneActive(work, at(FRI, 17, 30))).toBe(false);
+    expect(isZoneActive(work, at(MON, 8, 59))).toBe(false);
+    expect(isZoneActive(work, at(SAT, 12))).toBe(false);
+  });
+
+  describe('with a window past midnight', () => {
+    const nights = zone([{ days: [FRI, SAT], start: '22:00', end: '06:00' }]);
+
+    it('is active from the start on the listed days', () => {
+      expect(isZoneActive(nights, at(FRI, 21, 59))).toBe(false);
+      expect(isZoneActive(nights, at(FRI, 22))).toBe(true);
+      expect(isZoneActive(nights, at(FRI, 23, 59))).toBe(true);
+    });
+
+    it('carries the early hours over to the next day', () => {
+      expect(isZoneActive(nights, at(SAT, 0))).toBe(true);
+      expect(isZoneActive(nights, at(SAT, 5, 59))).toBe(true);
+      expect(isZoneActive(nights, at(SAT, 6))).toBe(false);
+    });
+
+    it('carries Saturday night over into Sunday morning', () => {
+      expect(isZoneActive(nights, at(NEXT_SUN, 3))).toBe(true);
+      expect(isZoneActive(nights, at(NEXT_SUN, 22))).toBe(false);
+    });
+
+    it('does not start a night from the early hours of a listed day', () => {
+      expect(isZoneActive(nights, at(FRI, 3))).toBe(false);
+    });
+
+    it('carries Sunday night over into Monday, not back from Saturday', () => {
+      const sundayNight = zone([{ days: [SUN], start: '23:00', end: '01:00' }]);
+
+      expect(isZoneActive(sundayNight, at(MON, 0, 30))).toBe(true);
+      expect(isZoneActive(sundayNight, at(SUN, 0, 30))).toBe(false);
+    });
+  });
+
+  it('treats a window ending at midnight as the rest of the day', () => {
+    const evenings = zone([{ days: [MON], start: '18:00', end: '24:00' }]);
+
+    expect(isZoneActive(evenings, at(MON, 23, 59))).toBe(true);
+    expect(isZoneActive(evenings, at(2, 0))).toBe(false);
+  });
+
+  it('is active in any of several windows', () => {
+    const split = zone([
+      { days: [MON], start: '08:00', end: '10:00' },
+      { days: [], start: '23:00', end: '02:00' },
+    ]);
+
+    expect(isZoneActive(split, at(MON, 9))).toBe(true);
+    expect(isZoneActive(split, at(SAT, 1))).toBe(true);
+    expect(isZoneActive(split, at(SAT, 12))).toBe(false);
+  });
+});
+
+describe('describeSchedule', () => {
+  it('names runs of days and windows past midnight', () => {
+    expect(describeSchedule([])).toBe('Always');
+    expect(describeSchedule([{ days: [1, 2, 3, 4, 5], start: '22:00', end: '06:00' }])).toBe('Mon-Fri 22:00-06:00');
+    expect(describeSchedule([{ days: [5, 6], start: '22:00', end: '06:00' }, { start: '12:00' }]))
+      .toBe('Fri, Sat 22:00-06:00; Every day 12:00-24:00');
+  });
+});
@@ -0,0 +1,87 @@
+import { createSpatialIndex } from '../spatialIndex';
+
+const EARTH_RADIUS = 6371e3;
+
+// Great-circle distance, as calculateDistance in location.js
+const haversine = (a, b) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+};
+
+// Repeatable pseudo-random points, so a failure can be reproduced
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+const random = createRandom(42);
+const PLACES = Array.from({ length: 2000 }, (_, id) => ({
+  id,
+  latitude: random() * 180 - 90,
+  longitude: random() * 360 - 180,
+}));
+
+const bruteForce = (target, places) => places
+  .map(place => ({ item: place, distance: haversine(target, place) }))
+  .sort((a, b) => a.distance - b.distance);
+
+describe('createSpatialIndex', () => {
+  const index = createSpatialIndex(PLACES);
+  const targets = [
+    { latitude: 40.75, longitude: -73.99 },
+    { latitude: -33.87, longitude: 151.21 },
+    { latitude: 0, longitude: 179.99 }, // On the antimeridian
+    { latitude: 89.9, longitude: 0 }, // Near the pole
+  ];
+
+  it('finds the same nearest places as a brute-force search', () => {
+    targets.forEach((target) => {
+      const expected = bruteForce(target, PLACES).slice(0, 5);
+      const found = index.nearest(target.latitude, target.longitude, { limit: 5 });
+
+      expect(found.map(result => result.item.id)).toEqual(expected.map(result => result.item.id));
+      found.forEach((result, i) => expect(result.distance).toBeCloseTo(expected[i].distance, 0));
+    });
+  });
+
+  it('finds every place within a radius, nearest first', () => {
+    targets.forEach((target) => {
+      const expected = bruteForce(target, PLACES).filter(result => result.distance <= 800e3);
+      const found = index.within(target.latitude, target.longitude, 800e3);
+
+      expect(found.map(result => result.item.id)).toEqual(expected.map(result => result.item.id));
+    });
+  });
+
+  it('honours maxDistance and filter', () => {
+    const target = targets[0];
+    const even = place => place.id % 2 === 0;
+    const expected = bruteForce(target, PLACES.filter(even)).slice(0, 3);
+
+    expect(index.nearest(target.latitude, target.longitude, { limit: 3, filter: even })
+      .map(result => result.item.id)).toEqual(expected.map(result => result.item.id));
+    expect(index.nearest(target.latitude, target.longitude, { maxDistance: 1 })).toEqual([]);
+  });
+
+  it('leaves out items without a position and handles an empty index', () => {
+    const partial = createSpatialIndex([
+      { id: 'a', location: { latitude: 1, longitude: 1 } },
+      { id: 'b', location: null },
+      { id: 'c', location: { latitude: 'north', longitude: 1 } },
+    ], item => item.location);
+    const empty = createSpatialIndex([]);
+
+    expect(partial.size).toBe(1);
+    expect(partial.nearest(0, 0)[0].item.id).toBe('a');
+    expect(empty.size).toBe(0);
+    expect(empty.nearest(0, 0)).toEqual([]);
+    expect(empty.within(0, 0, 1000)).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  STORAGE_KEYS,
+  getAuditLog,
+  getAuditStatus,
+  getData,
+  initializeSecureStorage,
+  removeData,
+  storeContacts,
+  storeData,
+  subscribe,
+  updateData,
+} from '../storage';
+import { createMemoryBackend, setStorageBackend } from '../storageBackends';
+
+const CONTACTS = [{ id: '1', name: 'Asha', phone: '+442079460958', isEmergency: true }];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let backend;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  backend = createMemoryBackend();
+  setStorageBackend(backend);
+  await initializeSecureStorage();
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('write queue', () => {
+  it('applies writes to a key in the order they were made', async () => {
+    // Earlier reads take longer, so unqueued writes would finish out of order
+    const delays = [30, 20, 10];
+    const getItem = backend.getItem;
+    backend.getItem = async (key) => {
+      if (key.endsWith(STORAGE_KEYS.SAFETY_REPORTS)) await delay(delays.shift() || 0);
+      return getItem(key);
+    };
+
+    const append = id => updateData(STORAGE_KEYS.SAFETY_REPORTS, reports => [...reports, { id }], []);
+    await Promise.all([append('a'), append('b'), append('c')]);
+
+    expect(await getData(STORAGE_KEYS.SAFETY_REPORTS)).toEqual([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+  });
+
+  it('lands a store made after an update last', async () => {
+    const update = updateData(STORAGE_KEYS.SAFETY_REPORTS, async (reports) => {
+      await delay(20);
+      return [...reports, { id: 'updated' }];
+    }, []);
+    const store = storeData(STORAGE_KEYS.SAFETY_REPORTS, [{ id: 'stored' }]);
+    await Promise.all([update, store]);
+
+    expect(await getData(STORAGE_KEYS.SAFETY_REPORTS)).toEqual([{ id: 'stored' }]);
+  });
+
+  it('keeps queueing a key after a write to it fails', async () => {
+    const failing = updateData(STORAGE_KEYS.SAFETY_REPORTS, () => {
+      throw new Error('updater failed');
+    }, []);
+    const append = updateData(STORAGE_KEYS.SAFETY_REPORTS, reports => [...reports, { id: 'a' }], []);
+
+    await expect(failing).rejects.toThrow('updater failed');
+    await append;
+    expect(await getData(STORAGE_KEYS.SAFETY_REPORTS)).toEqual([{ id: 'a' }]);
+  });
+});
+
+describe('removeData', () => {
+  it('records the removal of an audited key in the same write that blanks it', async () => {
+    await storeContacts(CONTACTS);
+    const multiSet = jest.spyOn(backend, 'multiSet');
+
+    expect(await removeData(STORAGE_KEYS.TRUSTED_CONTACTS)).toBe(true);
+
+    expect(multiSet).toHaveBeenCalledTimes(1);
+    expect(multiSet.mock.calls[0][0].map(([key]) => key)).toEqual([
+      expect.stringContaining(STORAGE_KEYS.TRUSTED_CONTACTS),
+      expect.stringContaining(STORAGE_KEYS.AUDIT_LOG),
+    ]);
+    expect(await getData(STORAGE_KEYS.TRUSTED_CONTACTS)).toBeNull();
+    expect((await getAuditLog()).slice(-1)[0].changes).toEqual([
+      expect.objectContaining({ type: 'removed' }),
+    ]);
+  });
+
+  it('leaves the key reading as missing if it stops after the log write', async () => {
+    await storeContacts(CONTACTS);
+    backend.removeItem = jest.fn(async () => {
+      throw new Error('app stopped');
+    });
+
+    expect(await removeData(STORAGE_KEYS.TRUSTED_CONTACTS)).toBe(false);
+
+    expect(await getData(STORAGE_KEYS.TRUSTED_CONTACTS)).toBeNull();
+    expect(await getAuditStatus()).toMatchObject({ valid: true, untracked: [] });
+  });
+
+  it('only tells audit log listeners when an entry was written', async () => {
+    const listener = jest.fn();
+    subscribe(STORAGE_KEYS.AUDIT_LOG, listener);
+
+    await removeData(STORAGE_KEYS.TRUSTED_CONTACTS);
+    expect(listener).not.toHaveBeenCalled();
+
+    await storeContacts(CONTACTS);
+    listener.mockClear();
+    await removeData(STORAGE_KEYS.TRUSTED_CONTACTS);
+    expect(listener).toHaveBeenCalledWith([STORAGE_KEYS.AUDIT_LOG]);
+  });
+});
@@ -0,0 +1,146 @@
+import * as Location from 'expo-location';
+import { startLocationTracking, stopLocationTracking } from '../location';
+import {
+  TRACKING_PROFILES,
+  getTrackingOptions,
+  selectTrackingProfile,
+  setAreaSafetyCheck,
+  startAdaptiveTracking,
+} from '../trackingProfiles';
+
+jest.mock('expo-location', () => ({
+  Accuracy: { Lowest: 1, Low: 2, Balanced: 3, High: 4, Highest: 5, BestForNavigation: 6 },
+}));
+jest.mock('expo-battery', () => ({
+  BatteryState: { UNKNOWN: 0, UNPLUGGED: 1, CHARGING: 2, FULL: 3 },
+  getPowerStateAsync: jest.fn(async () => ({ batteryLevel: 0.8, batteryState: 1, lowPowerMode: false })),
+  addBatteryLevelListener: jest.fn(() => ({ remove: jest.fn() })),
+  addBatteryStateListener: jest.fn(() => ({ remove: jest.fn() })),
+  addLowPowerModeListener: jest.fn(() => ({ remove: jest.fn() })),
+}));
+jest.mock('../storage', () => ({
+  STORAGE_KEYS: { ACTIVE_EMERGENCY: 'safeher_active_emergency' },
+  getData: jest.fn(async () => null),
+  subscribe: jest.fn(() => jest.fn()),
+}));
+jest.mock('../location', () => ({
+  startLocationTracking: jest.fn(),
+  stopLocationTracking: jest.fn(),
+}));
+jest.mock('../ai', () => ({
+  calculateRiskScore: jest.fn(async () => ({ level: 'Safe', reasons: [] })),
+}));
+
+const { IDLE, COMMUTE, WALKING_ALONE, EMERGENCY } = TRACKING_PROFILES;
+
+describe('selectTrackingProfile', () => {
+  it.each([
+    [{}, IDLE],
+    [{ speed: 0.2 }, IDLE],
+    [{ speed: 1.4 }, COMMUTE],
+    [{ speed: 1.4, riskLevel: 'Moderate' }, WALKING_ALONE],
+    [{ speed: 12, riskLevel: 'Unsafe' }, COMMUTE],
+    [{ speed: 0, riskLevel: 'Unsafe' }, WALKING_ALONE],
+    [{ speed: 0, riskLevel: 'Moderate' }, IDLE],
+  ])('picks the profile for %p', (conditions, profile) => {
+    expect(selectTrackingProfile(conditions)).toBe(profile);
+  });
+
+  it('steps down one profile on a low battery or in low power mode', () => {
+    const walking = { speed: 1.4, riskLevel: 'Unsafe' };
+    expect(selectTrackingProfile({ ...walking, batteryLevel: 0.2 })).toBe(COMMUTE);
+    expect(selectTrackingProfile({ ...walking, batteryLevel: 0.8, lowPowerMode: true })).toBe(COMMUTE);
+    expect(selectTrackingProfile({ speed: 12, batteryLevel: 0.15 })).toBe(IDLE);
+  });
+
+  it('drops to idle on a critical battery unless charging', () => {
+    const walking = { speed: 1.4, riskLevel: 'Unsafe' };
+    expect(selectTrackingProfile({ ...walking, batteryLevel: 0.1 })).toBe(IDLE);
+    expect(selectTrackingProfile({ ...walking, batteryLevel: 0.1, isCharging: true })).toBe(WALKING_ALONE);
+  });
+
+  it('always tracks an SOS as an emergency', () => {
+    expect(selectTrackingProfile({ emergencyActive: true, batteryLevel: 0.05 })).toBe(EMERGENCY);
+  });
+});
+
+describe('getTrackingOptions', () => {
+  it('tracks more often and more precisely for higher profiles', () => {
+    const idle = getTrackingOptions(IDLE);
+    const walking = getTrackingOptions(WALKING_ALONE);
+    expect(walking.timeInterval).toBeLessThan(idle.timeInterval);
+    expect(walking.accuracy).toBeGreaterThan(idle.accuracy);
+  });
+
+  it('slows SOS tracking on a critical battery that is not charging', () => {
+    const full = getTrackingOptions(EMERGENCY, { batteryLevel: 0.9 });
+    const critical = getTrackingOptions(EMERGENCY, { batteryLevel: 0.05 });
+    const charging = getTrackingOptions(EMERGENCY, { batteryLevel: 0.05, isCharging: true });
+
+    expect(full.accuracy).toBe(Location.Accuracy.BestForNavigation);
+    expect(critical.timeInterval).toBeGreaterThan(full.timeInterval);
+    expect(charging).toEqual(full);
+  });
+
+  it('falls back to idle for an unknown profile', () => {
+    expect(getTrackingOptions('unknown')).toEqual(getTrackingOptions(IDLE));
+  });
+});
+
+describe('startAdaptiveTracking', () => {
+  let sendFix;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    startLocationTracking.mockReset().mockImplementation(async (handler) => {
+      sendFix = handler;
+      return { remove: jest.fn() };
+    });
+    stopLocationTracking.mockReset();
+    setAreaSafetyCheck(async () => ({ level: 'Moderate', reasons: [] }));
+  });
+
+  afterEach(() => {
+    setAreaSafetyCheck(null);
+    jest.useRealTimers();
+  });
+
+  it('steps up at once and back down once the user has stood still long enough', async () => {
+    const onProfileChange = jest.fn();
+    const tracking = startAdaptiveTracking(null, { onProfileChange });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(tracking.getProfile()).toBe(IDLE);
+
+    sendFix({ latitude: 40.75, longitude: -73.99, speed: 1.4 });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(tracking.getProfile()).toBe(WALKING_ALONE);
+
+    // No more fixes arrive while standing still; the speed goes stale after a
+    // minute and the step down waits two more before it happens
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(tracking.getProfile()).toBe(WALKING_ALONE);
+    await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+    expect(tracking.getProfile()).toBe(IDLE);
+
+    expect(onProfileChange.mock.calls.map(([profile]) => profile)).toEqual([IDLE, WALKING_ALONE, IDLE]);
+    expect(startLocationTracking).toHaveBeenLastCalledWith(expect.any(Function), getTrackingOptions(IDLE));
+
+    tracking.stop();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('keeps the higher profile when moving again before the delay is over', async () => {
+    const tracking = startAdaptiveTracking(null);
+    await jest.advanceTimersByTimeAsync(0);
+    sendFix({ latitude: 40.75, longitude: -73.99, speed: 1.4 });
+    await jest.advanceTimersByTimeAsync(90 * 1000);
+
+    sendFix({ latitude: 40.7501, longitude: -73.99, speed: 1.4 });
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(tracking.getProfile()).toBe(WALKING_ALONE);
+
+    tracking.stop();
+    await jest.advanceTimersByTimeAsync(0);
+  });
+});
@@ -511,11 +511,14 @@ export const assessRiskLevel = async (factors) => {
 
 /**
  * Analyze user's movement patterns for safety
+ * Fixes the location filter rejected are skipped, so GPS jumps
+ * don't count as movement (see locationFilter.js)
  * Returns safety recommendations
  */
-export const analyzeMovementPatterns = async (locationHistory) => {
+export const analyzeMovementPatterns = async (history) => {
   try {
-    if (!locationHistory || locationHistory.length < 3) {
+    const locationHistory = history ? history.filter(location => !location.rejected) : [];
+    if (locationHistory.length < 3) {
       return {
         pattern: 'insufficient_data',
         recommendations: ['Need more location data for analysis'],
@@ -0,0 +1,69 @@
+import { getUserProfile } from './storage';
+
+/**
+ * Alert relay for SafeHer app
+ * Expo only sends text messages through the SMS composer, which needs the
+ * user to tap Send and can't open from the background. Alerts that must go
+ * out with nothing on screen, like the silent SOS after a duress unlock or
+ * location updates during a backgrounded SOS, go through a relay the user
+ * sets up instead: an HTTPS endpoint, e.g. a small server in front of an SMS
+ * gateway, that texts the message on
+ *
+ * Request: POST { phoneNumbers, message } as JSON; any 2xx answer counts as sent
+ * The relay URL is kept on the user profile as alertRelayUrl
+ */
+
+const RELAY_TIMEOUT_MS = 15000;
+
+/**
+ * Check that a relay URL can be used: HTTPS only, since alerts carry locations
+ */
+export const isValidRelayUrl = url => typeof url === 'string' && /^https:\/\/[^\s/]+\S*$/i.test(url.trim());
+
+/**
+ * Get the relay URL of the active profile, or null if none is set up
+ */
+export const getAlertRelayUrl = async () => {
+  try {
+    const profile = await getUserProfile();
+    const url = profile && typeof profile.alertRelayUrl === 'string' ? profile.alertRelayUrl.trim() : '';
+    return isValidRelayUrl(url) ? url : null;
+  } catch (error) {
+    console.error('Error getting alert relay:', error);
+    return null;
+  }
+};
+
+export const hasAlertRelay = async () => Boolean(await getAlertRelayUrl());
+
+/**
+ * Send a text message to contacts through the relay, without any UI
+ * Matches the sender signature of setSilentSOSSender and setBackgroundShareSender
+ * Returns true if the relay accepted the message
+ */
+export const sendThroughRelay = async (phoneNumbers, message) => {
+  const url = await getAlertRelayUrl();
+  if (!url || phoneNumbers.length === 0) {
+    return false;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), RELAY_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phoneNumbers, message }),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      console.warn(`Alert relay answered with status ${response.status}`);
+    }
+    return response.ok;
+  } catch (error) {
+    console.error('Error sending through alert relay:', error);
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
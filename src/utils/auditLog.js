@@ -0,0 +1,219 @@
+import CryptoJS from 'crypto-js';
+
+/**
+ * Audit log utilities for SafeHer app
+ * Every change to contacts, settings and the user profile is recorded as an
+ * entry that includes the hash of the entry before it, so editing, removing
+ * or reordering past entries breaks the chain. Each entry also stores a hash
+ * of the value it produced, which shows when data was changed without a record
+ * Entries are written by storage.js; this module only builds and checks them
+ *
+ * Entry shape:
+ * { seq, timestamp, source, collection, changes, stateHash, prevHash, hash }
+ */
+
+// Where a change came from
+export const AUDIT_SOURCES = {
+  APP: 'app',
+  CONTACTS_SCREEN: 'contacts_screen',
+  SETTINGS_SCREEN: 'settings_screen',
+  AUDIT_LOG_SCREEN: 'audit_log_screen',
+  RECYCLE_BIN_SCREEN: 'recycle_bin_screen',
+  IMPORT: 'import',
+  MIGRATION: 'migration',
+};
+
+// Audited collections; 'review' entries record the user confirming earlier changes
+export const AUDIT_COLLECTIONS = {
+  CONTACTS: 'contacts',
+  SETTINGS: 'settings',
+  USER_PROFILE: 'userProfile',
+  REVIEW: 'review',
+};
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Settings that turning off leaves the user less protected
+const SAFETY_SETTINGS = ['emergencyAlerts', 'locationSharing', 'emergencyContacts', 'voiceSOS'];
+
+const SETTING_LABELS = {
+  emergencyAlerts: 'Emergency alerts',
+  locationSharing: 'Location sharing',
+  autoLocationUpdate: 'Automatic location updates',
+  soundAlerts: 'Sound alerts',
+  vibrationAlerts: 'Vibration alerts',
+  nightMode: 'Night mode',
+  aiRiskAssessment: 'AI risk assessment',
+  communityReports: 'Community reports',
+  emergencyContacts: 'Emergency contacts',
+  voiceSOS: 'Voice SOS',
+};
+
+/**
+ * Hash a stored value, so the log can tell whether it still matches
+ */
+export const hashValue = (value) => CryptoJS.SHA256(JSON.stringify(value === undefined ? null : value)).toString();
+
+const hashEntry = entry => CryptoJS.SHA256(JSON.stringify([
+  entry.seq,
+  entry.timestamp,
+  entry.source,
+  entry.collection,
+  entry.changes,
+  entry.stateHash,
+  entry.prevHash,
+])).toString();
+
+/**
+ * Create the entry that follows previous (null for the first entry)
+ */
+export const createAuditEntry = (previous, { source, collection, changes, stateHash = null, timestamp = null }) => {
+  const entry = {
+    seq: previous ? previous.seq + 1 : 1,
+    timestamp: timestamp || new Date().toISOString(),
+    source: source || AUDIT_SOURCES.APP,
+    collection,
+    changes,
+    stateHash,
+    prevHash: previous ? previous.hash : GENESIS_HASH,
+  };
+  return { ...entry, hash: hashEntry(entry) };
+};
+
+/**
+ * Check that every entry is intact and follows the one before it
+ * Returns { valid, brokenAt } where brokenAt is the seq of the first bad entry
+ */
+export const verifyAuditChain = (entries) => {
+  let previous = null;
+  for (const entry of entries) {
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+    if (entry.seq !== expectedSeq || entry.prevHash !== expectedPrev || entry.hash !== hashEntry(entry)) {
+      return { valid: false, brokenAt: entry.seq === undefined ? expectedSeq : entry.seq };
+    }
+    previous = entry;
+  }
+  return { valid: true, brokenAt: null };
+};
+
+const isSameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+const diffFields = (before, after) => {
+  const from = before || {};
+  const to = after || {};
+  return Array.from(new Set([...Object.keys(from), ...Object.keys(to)]))
+    .filter(field => !isSameValue(from[field], to[field]))
+    .map(field => ({
+      type: 'changed',
+      field,
+      from: from[field] === undefined ? null : from[field],
+      to: to[field] === undefined ? null : to[field],
+    }));
+};
+
+const diffContacts = (before, after) => {
+  const previous = new Map((before || []).map(contact => [contact.id, contact]));
+  const current = new Map((after || []).map(contact => [contact.id, contact]));
+  const changes = [];
+
+  current.forEach((contact, id) => {
+    if (!previous.has(id)) {
+      changes.push({ type: 'added', contactId: id, name: contact.name, phone: contact.phone });
+      return;
+    }
+    diffFields(previous.get(id), contact).forEach(change => {
+      changes.push({ ...change, contactId: id, name: contact.name });
+    });
+  });
+  previous.forEach((contact, id) => {
+    if (!current.has(id)) {
+      // A duplicate merged into a contact with the same number isn't a loss
+      const mergedInto = Array.from(current.values()).find(other => other.phone === contact.phone);
+      changes.push({
+        type: 'removed',
+        contactId: id,
+        name: contact.name,
+        phone: contact.phone,
+        mergedInto: mergedInto ? mergedInto.name : null,
+      });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * List what changed between two values of a collection
+ * Returns an empty list when nothing did
+ */
+export const diffCollection = (collection, before, after) => {
+  if (collection === AUDIT_COLLECTIONS.CONTACTS) {
+    return diffContacts(before, after);
+  }
+  return diffFields(before, after);
+};
+
+/**
+ * Whether a change makes the user less safe and should be confirmed by them
+ */
+export const isCriticalChange = (collection, change) => {
+  if (collection === AUDIT_COLLECTIONS.SETTINGS) {
+    return SAFETY_SETTINGS.includes(change.field) && change.to === false;
+  }
+  if (collection === AUDIT_COLLECTIONS.CONTACTS) {
+    return (change.type === 'removed' && !change.mergedInto) ||
+      change.field === 'phone' ||
+      (change.field === 'isEmergency' && change.from === true);
+  }
+  return false;
+};
+
+const formatValue = (value) => {
+  if (value === true) return 'on';
+  if (value === false) return 'off';
+  if (value === null || value === '') return 'empty';
+  return typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+};
+
+/**
+ * Describe a change in a short sentence for the review screen
+ */
+export const describeChange = (collection, change) => {
+  if (collection === AUDIT_COLLECTIONS.CONTACTS) {
+    if (change.type === 'added') return `Added contact ${change.name}`;
+    if (change.type === 'removed' && change.mergedInto) return `Merged contact ${change.name} into ${change.mergedInto}`;
+    if (change.type === 'removed') return `Removed contact ${change.name}`;
+    if (change.field === 'isEmergency') {
+      return `${change.name} ${change.to ? 'marked' : 'no longer'} an emergency contact`;
+    }
+    return `${change.name}: ${change.field} changed from ${formatValue(change.from)} to ${formatValue(change.to)}`;
+  }
+
+  if (collection === AUDIT_COLLECTIONS.SETTINGS && typeof change.to === 'boolean') {
+    return `${SETTING_LABELS[change.field] || change.field} turned ${formatValue(change.to)}`;
+  }
+
+  const label = collection === AUDIT_COLLECTIONS.SETTINGS
+    ? SETTING_LABELS[change.field] || change.field
+    : `Profile ${change.field}`;
+  return `${label} changed from ${formatValue(change.from)} to ${formatValue(change.to)}`;
+};
+
+/**
+ * Critical entries recorded after the user last reviewed the log
+ * Entries are in log order; returns the newest first
+ */
+export const getUnreviewedEntries = (entries) => {
+  const pending = [];
+  for (const entry of entries) {
+    if (entry.collection === AUDIT_COLLECTIONS.REVIEW) {
+      pending.length = 0;
+      continue;
+    }
+    if (entry.changes.some(change => isCriticalChange(entry.collection, change))) {
+      pending.push(entry);
+    }
+  }
+  return pending.reverse();
+};
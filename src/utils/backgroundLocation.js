@@ -0,0 +1,363 @@
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import {
+  STORAGE_KEYS,
+  getData,
+  storeData,
+  updateData,
+  removeData,
+  storeLocationUpdate,
+  updateEmergencyEvent,
+  getEmergencyContacts,
+  initializeSecureStorage,
+} from './storage';
+import { initializeStorageBackend } from './storageBackends';
+import { initializeProfiles } from './profiles';
+import { toLocationData } from './location';
+import { filterLocation } from './locationFilter';
+import {
+  TRACKING_PROFILES,
+  getTrackingOptions,
+  getBatteryStatus,
+  isBatteryCritical,
+} from './trackingProfiles';
+import { createLocationMessage, getRecipientNumbers } from './sms';
+import { hasAlertRelay } from './alertRelay';
+
+/**
+ * Background location utilities for SafeHer app
+ * During an SOS, location keeps being recorded after the app is
+ * backgrounded or the screen locks, until the user marks themselves safe.
+ * On Android this runs as a foreground service with a persistent
+ * notification; on iOS with the background location indicator
+ * The active emergency is kept in storage so tracking resumes after a restart
+ *
+ * Fixes follow the emergency tracking profile, which slows down on a
+ * critical battery (see trackingProfiles.js)
+ *
+ * Active emergency shape: { eventId, startedAt, background, batterySaving, shareIntervalMinutes, lastSharedAt, lastFixAt }
+ */
+
+export const BACKGROUND_LOCATION_TASK = 'safeher-background-location';
+
+// Minutes between location updates sent to emergency contacts
+export const DEFAULT_SHARE_INTERVAL_MINUTES = 5;
+
+const BACKGROUND_TRACKING_OPTIONS = {
+  pausesUpdatesAutomatically: false,
+  showsBackgroundLocationIndicator: true,
+};
+
+// The notification only says the location is shared when it can be
+const getForegroundService = sharing => ({
+  notificationTitle: 'SafeHer SOS is active',
+  notificationBody: sharing
+    ? 'Your location is being recorded and shared with your emergency contacts until you mark yourself safe.'
+    : 'Your location is being recorded until you mark yourself safe. Set up an alert relay to also share it with your emergency contacts.',
+  notificationColor: '#e91e63',
+});
+
+// Sends a location update: (phoneNumbers, message) => Promise<boolean>
+let backgroundShareSender = null;
+
+// Foreground-only watch, used when background permission is denied
+let foregroundWatch = null;
+
+const locationListeners = new Set();
+
+/**
+ * Register how location updates reach contacts while the app is in the background
+ * Expo only sends SMS through the composer, which can't open from the
+ * background, so updates need a transport with no UI. App.js registers the
+ * alert relay (see alertRelay.js); without a relay set up, fixes are only
+ * recorded and passed to subscribers
+ */
+export const setBackgroundShareSender = (sender) => {
+  backgroundShareSender = sender;
+};
+
+/**
+ * Subscribe to every fix recorded during an emergency
+ * Returns a function that unsubscribes
+ */
+export const subscribeToEmergencyLocations = (listener) => {
+  locationListeners.add(listener);
+  return () => {
+    locationListeners.delete(listener);
+  };
+};
+
+/**
+ * Storage Readiness
+ * With the app open, App.js prepares storage and fixes wait until it's done.
+ * When the OS runs the task with no app on screen (after the app was closed
+ * or the phone restarted), the task prepares storage itself; with a PIN set
+ * it can't, and fixes are kept in memory until the PIN is entered
+ */
+let appStorageState = null; // null when headless, then 'pending' or 'ready'
+let headlessStorage = null;
+let pendingFixes = [];
+
+export const setAppStorageReady = (ready) => {
+  appStorageState = ready ? 'ready' : 'pending';
+  if (ready && pendingFixes.length > 0) {
+    const fixes = pendingFixes;
+    pendingFixes = [];
+    handleLocations(fixes);
+  }
+};
+
+const prepareHeadlessStorage = async () => {
+  await initializeStorageBackend();
+  const { locked } = await initializeSecureStorage();
+  if (locked) {
+    return false;
+  }
+  await initializeProfiles();
+  return true;
+};
+
+/**
+ * Whether storage can be written, preparing it first when headless
+ * Also used by other background tasks, like safe zone geofencing
+ */
+export const isStorageReady = async () => {
+  if (appStorageState !== null) {
+    return appStorageState === 'ready';
+  }
+  if (!headlessStorage) {
+    headlessStorage = prepareHeadlessStorage().catch((error) => {
+      console.error('Error preparing storage for background location:', error);
+      headlessStorage = null;
+      return false;
+    });
+  }
+  return headlessStorage;
+};
+
+/**
+ * Send the latest fix to emergency contacts once the share interval has passed
+ */
+const shareLocation = async (emergency, location) => {
+  if (!backgroundShareSender || !emergency.shareIntervalMinutes) return null;
+
+  const lastShared = emergency.lastSharedAt ? new Date(emergency.lastSharedAt).getTime() : 0;
+  if (Date.now() - lastShared < emergency.shareIntervalMinutes * 60 * 1000) return null;
+
+  try {
+    const phoneNumbers = getRecipientNumbers(await getEmergencyContacts());
+    if (phoneNumbers.length === 0) return null;
+    const sent = await backgroundShareSender(phoneNumbers, `🚨 SOS still active\n\n${createLocationMessage(location)}`);
+    return sent ? new Date().toISOString() : null;
+  } catch (error) {
+    console.error('Error sharing background location:', error);
+    return null;
+  }
+};
+
+// The most accurate fix of a batch, newest on a tie, at its raw position
+const getBestRejectedFix = (fixes) => {
+  const accuracyOf = fix => (typeof fix.accuracy === 'number' ? fix.accuracy : Infinity);
+  const best = fixes.reduce((current, fix) => (accuracyOf(fix) <= accuracyOf(current) ? fix : current));
+  return { ...best, latitude: best.rawLatitude, longitude: best.rawLongitude };
+};
+
+const handleLocations = async (locations) => {
+  if (locations.length === 0) return;
+
+  if (!(await isStorageReady())) {
+    pendingFixes.push(...locations);
+    return;
+  }
+
+  try {
+    const emergency = await getData(STORAGE_KEYS.ACTIVE_EMERGENCY);
+    const filtered = locations.map(filterLocation);
+    for (const location of filtered) {
+      await storeLocationUpdate(location);
+    }
+
+    // Rejected fixes stay on the raw trail but aren't shared, except that
+    // during an SOS a rough position beats none: when the filter rejected
+    // the whole batch, the best rejected fix is passed on, still marked rejected
+    const accepted = filtered.filter(location => !location.rejected);
+    let latest = accepted.length > 0 ? accepted[accepted.length - 1] : null;
+    if (!latest && emergency) {
+      latest = getBestRejectedFix(filtered);
+    }
+    if (!latest) return;
+    locationListeners.forEach((listener) => {
+      try {
+        listener(latest, emergency);
+      } catch (error) {
+        console.error('Error in emergency location listener:', error);
+      }
+    });
+
+    if (emergency) {
+      const sharedAt = await shareLocation(emergency, latest);
+      const battery = await getBatteryStatus();
+      const batterySaving = isBatteryCritical(battery);
+      if (batterySaving !== Boolean(emergency.batterySaving)) {
+        await startTracking({ battery, restart: true });
+      }
+      await updateData(STORAGE_KEYS.ACTIVE_EMERGENCY, current => (current ? {
+        ...current,
+        batterySaving,
+        lastFixAt: new Date(latest.timestamp).toISOString(),
+        lastSharedAt: sharedAt || current.lastSharedAt,
+      } : current), null);
+    }
+  } catch (error) {
+    console.error('Error recording background location:', error);
+  }
+};
+
+// Runs in the background, and also without the app on screen; must be
+// defined when the bundle loads, so App.js imports this module
+TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Background location task error:', error);
+    return;
+  }
+  if (data && data.locations) {
+    await handleLocations(data.locations.map(toLocationData));
+  }
+});
+
+const isBackgroundTaskRunning = async () => {
+  try {
+    return await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Start tracking for an emergency
+ * Falls back to tracking only while the app is open if background location
+ * permission is denied. restart applies new options to tracking already running
+ * Returns { background, batterySaving }
+ */
+const startTracking = async ({ battery = null, restart = false } = {}) => {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== 'granted') {
+    throw new Error('Location permission not granted');
+  }
+
+  const batteryStatus = battery || await getBatteryStatus();
+  const options = {
+    ...getTrackingOptions(TRACKING_PROFILES.EMERGENCY, batteryStatus),
+    ...BACKGROUND_TRACKING_OPTIONS,
+    foregroundService: getForegroundService(Boolean(backgroundShareSender) && await hasAlertRelay()),
+  };
+  const batterySaving = isBatteryCritical(batteryStatus);
+
+  const background = await Location.requestBackgroundPermissionsAsync();
+  if (background.status === 'granted') {
+    // Starting again with the same task name replaces its options
+    if (restart || !(await isBackgroundTaskRunning())) {
+      await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, options);
+    }
+    return { background: true, batterySaving };
+  }
+
+  console.warn('Background location permission not granted; tracking only while the app is open');
+  if (foregroundWatch && restart) {
+    foregroundWatch.remove();
+    foregroundWatch = null;
+  }
+  if (!foregroundWatch) {
+    foregroundWatch = await Location.watchPositionAsync(
+      options,
+      location => handleLocations([toLocationData(location)])
+    );
+  }
+  return { background: false, batterySaving };
+};
+
+const stopTracking = async () => {
+  if (foregroundWatch) {
+    foregroundWatch.remove();
+    foregroundWatch = null;
+  }
+  if (await isBackgroundTaskRunning()) {
+    await Location.stopLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+  }
+};
+
+/**
+ * Emergency Tracking
+ */
+export const getActiveEmergency = async () => {
+  return await getData(STORAGE_KEYS.ACTIVE_EMERGENCY);
+};
+
+/**
+ * Start tracking for an SOS
+ * eventId is the emergency history event the tracking belongs to
+ * Returns the active emergency or null on failure
+ */
+export const startEmergencyTracking = async (eventId, { shareIntervalMinutes = DEFAULT_SHARE_INTERVAL_MINUTES } = {}) => {
+  try {
+    const { background, batterySaving } = await startTracking();
+    const emergency = {
+      eventId,
+      startedAt: new Date().toISOString(),
+      background,
+      batterySaving,
+      shareIntervalMinutes,
+      // The SOS itself just shared the location
+      lastSharedAt: new Date().toISOString(),
+      lastFixAt: null,
+    };
+    await storeData(STORAGE_KEYS.ACTIVE_EMERGENCY, emergency);
+    return emergency;
+  } catch (error) {
+    console.error('Error starting emergency tracking:', error);
+    return null;
+  }
+};
+
+/**
+ * Restart tracking for an emergency that was still active when the app closed
+ * Call once storage is ready. Returns the active emergency or null
+ */
+export const resumeEmergencyTracking = async () => {
+  try {
+    const emergency = await getActiveEmergency();
+    if (!emergency) {
+      return null;
+    }
+    const { background, batterySaving } = await startTracking();
+    if (background !== emergency.background || batterySaving !== Boolean(emergency.batterySaving)) {
+      await updateData(
+        STORAGE_KEYS.ACTIVE_EMERGENCY,
+        current => (current ? { ...current, background, batterySaving } : current),
+        null
+      );
+    }
+    return emergency;
+  } catch (error) {
+    console.error('Error resuming emergency tracking:', error);
+    return null;
+  }
+};
+
+/**
+ * Stop tracking and mark the emergency resolved
+ * Returns true on success, false otherwise
+ */
+export const resolveEmergency = async () => {
+  try {
+    const emergency = await getActiveEmergency();
+    await stopTracking();
+    if (emergency && emergency.eventId) {
+      await updateEmergencyEvent(emergency.eventId, { resolvedAt: new Date().toISOString() });
+    }
+    return await removeData(STORAGE_KEYS.ACTIVE_EMERGENCY);
+  } catch (error) {
+    console.error('Error resolving emergency:', error);
+    return false;
+  }
+};
@@ -0,0 +1,193 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import CryptoJS from 'crypto-js';
+import pako from 'pako';
+import { exportAllData } from './storage';
+import { createPassphraseKey, encryptValue, decryptValue } from './encryption';
+
+/**
+ * Backup file utilities for SafeHer app
+ * Turns exportAllData into a portable file and back
+ *
+ * File layout (JSON text):
+ * - header: format, formatVersion, createdAt, app and schema versions
+ * - compression and optional passphrase encryption details
+ * - checksum: SHA-256 of the payload string, checked before anything is decoded
+ * - payload: deflated export, base64 encoded, optionally encrypted
+ */
+
+const BACKUP_FORMAT = 'safeher-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Reasons a backup file can't be restored
+export const BACKUP_ERRORS = {
+  INVALID_FORMAT: 'invalid_format',
+  UNSUPPORTED_VERSION: 'unsupported_version',
+  CHECKSUM_MISMATCH: 'checksum_mismatch',
+  PASSPHRASE_REQUIRED: 'passphrase_required',
+  WRONG_PASSPHRASE: 'wrong_passphrase',
+};
+
+const bytesToBase64 = (bytes) => {
+  return CryptoJS.lib.WordArray.create(bytes).toString(CryptoJS.enc.Base64);
+};
+
+const base64ToBytes = (base64) => {
+  const { words, sigBytes } = CryptoJS.enc.Base64.parse(base64);
+  const bytes = new Uint8Array(sigBytes);
+  for (let i = 0; i < sigBytes; i++) {
+    bytes[i] = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+  }
+  return bytes;
+};
+
+const sha256 = value => CryptoJS.SHA256(value).toString();
+
+/**
+ * Build the backup file contents
+ * Returns the file text or null if the export failed
+ */
+export const createBackup = async (passphrase = null) => {
+  try {
+    const data = await exportAllData();
+    if (!data) {
+      return null;
+    }
+
+    let payload = bytesToBase64(pako.deflate(JSON.stringify(data)));
+    let encryption = null;
+
+    if (passphrase) {
+      const { key, salt, iterations } = createPassphraseKey(passphrase);
+      payload = encryptValue(payload, key);
+      encryption = {
+        algorithm: 'aes-256-cbc-hmac-sha256',
+        kdf: 'pbkdf2-sha256',
+        salt,
+        iterations,
+      };
+    }
+
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      createdAt: data.exportDate,
+      appVersion: data.version,
+      schemaVersion: data.schemaVersion,
+      compression: 'deflate',
+      encryption,
+      checksum: { algorithm: 'sha256', value: sha256(payload) },
+      payload,
+    });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return null;
+  }
+};
+
+/**
+ * Parse backup file text without decoding the payload
+ * Returns the header object or null if it isn't a SafeHer backup
+ */
+export const readBackupHeader = (contents) => {
+  try {
+    const header = JSON.parse(contents);
+    return header && header.format === BACKUP_FORMAT ? header : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const isBackupEncrypted = (contents) => {
+  const header = readBackupHeader(contents);
+  return Boolean(header && header.encryption);
+};
+
+/**
+ * Decode a backup file into the data object accepted by importData
+ * Plain JSON exports from before the file format existed are passed through
+ * Returns { success, data, error } where error is one of BACKUP_ERRORS
+ */
+export const parseBackup = (contents, passphrase = null) => {
+  const header = readBackupHeader(contents);
+
+  if (!header) {
+    try {
+      const legacyData = JSON.parse(contents);
+      if (legacyData && typeof legacyData === 'object' && legacyData.exportDate) {
+        return { success: true, data: legacyData, error: null };
+      }
+    } catch (error) {
+      // Not JSON at all, reported below
+    }
+    return { success: false, data: null, error: BACKUP_ERRORS.INVALID_FORMAT };
+  }
+
+  if (header.formatVersion > BACKUP_FORMAT_VERSION) {
+    return { success: false, data: null, error: BACKUP_ERRORS.UNSUPPORTED_VERSION };
+  }
+
+  if (!header.checksum || sha256(header.payload) !== header.checksum.value) {
+    return { success: false, data: null, error: BACKUP_ERRORS.CHECKSUM_MISMATCH };
+  }
+
+  let payload = header.payload;
+  if (header.encryption) {
+    if (!passphrase) {
+      return { success: false, data: null, error: BACKUP_ERRORS.PASSPHRASE_REQUIRED };
+    }
+    try {
+      const { key } = createPassphraseKey(passphrase, {
+        salt: header.encryption.salt,
+        iterations: header.encryption.iterations,
+      });
+      payload = decryptValue(payload, key);
+    } catch (error) {
+      return { success: false, data: null, error: BACKUP_ERRORS.WRONG_PASSPHRASE };
+    }
+  }
+
+  try {
+    const json = CryptoJS.lib.WordArray.create(pako.inflate(base64ToBytes(payload)))
+      .toString(CryptoJS.enc.Utf8);
+    return { success: true, data: JSON.parse(json), error: null };
+  } catch (error) {
+    console.error('Error decoding backup payload:', error);
+    return { success: false, data: null, error: BACKUP_ERRORS.INVALID_FORMAT };
+  }
+};
+
+/**
+ * Write a backup to a temporary file and open the system share sheet
+ * The temporary file is deleted once the share sheet closes
+ * Returns true if the share sheet was shown, false otherwise
+ */
+export const shareBackup = async (passphrase = null) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const fileUri = `${FileSystem.cacheDirectory}SafeHer-backup-${date}.json`;
+
+  try {
+    if (!(await Sharing.isAvailableAsync())) {
+      console.warn('Sharing is not available on this device');
+      return false;
+    }
+
+    const contents = await createBackup(passphrase);
+    if (!contents) {
+      return false;
+    }
+
+    await FileSystem.writeAsStringAsync(fileUri, contents);
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/json',
+      dialogTitle: 'Save SafeHer backup',
+      UTI: 'public.json',
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sharing backup:', error);
+    return false;
+  } finally {
+    await FileSystem.deleteAsync(fileUri, { idempotent: true }).catch(() => {});
+  }
+};
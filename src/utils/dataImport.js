@@ -0,0 +1,442 @@
+import {
+  STORAGE_KEYS,
+  getData,
+  storeMultipleData,
+  removeData,
+  getStoredContacts,
+  getStoredSettings,
+  getDefaultPhoneRegion,
+  getEmergencyHistory,
+  getLocationHistory,
+  getSafetyReports,
+  getUserProfile,
+  buildLocationEntries,
+  removeOrphanedLocationDays,
+} from './storage';
+import { CURRENT_SCHEMA_VERSION, applyMigrations } from './migrations';
+import { AUDIT_SOURCES } from './auditLog';
+import { getPhoneKey, getProfileRegion, isSupportedRegion, normalizePhoneNumber } from './phoneNumbers';
+
+/**
+ * Data import utilities for SafeHer app
+ * Validates backups section by section, previews the changes as a diff
+ * and writes the result in a single all-or-nothing step
+ */
+
+// How each section of an import may be applied
+export const IMPORT_STRATEGIES = {
+  REPLACE: 'replace',
+  MERGE: 'merge',
+  SKIP: 'skip',
+};
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isOptionalString = value => value === undefined || value === null || typeof value === 'string';
+const isFiniteNumber = value => typeof value === 'number' && isFinite(value);
+const isValidDate = value => value !== undefined && value !== null && !isNaN(new Date(value).getTime());
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Item validators return an array of error messages, empty when valid
+ */
+const validateContact = (contact) => {
+  const errors = [];
+  if (!isNonEmptyString(contact.id)) errors.push('missing id');
+  if (!isNonEmptyString(contact.name)) errors.push('missing name');
+  if (!isNonEmptyString(contact.phone)) errors.push('missing phone number');
+  if (contact.isEmergency !== undefined && typeof contact.isEmergency !== 'boolean') {
+    errors.push('isEmergency must be true or false');
+  }
+  return errors;
+};
+
+const validateLocation = (location) => {
+  const errors = [];
+  if (!isFiniteNumber(location.latitude) || Math.abs(location.latitude) > 90) errors.push('invalid latitude');
+  if (!isFiniteNumber(location.longitude) || Math.abs(location.longitude) > 180) errors.push('invalid longitude');
+  if (!isValidDate(location.timestamp)) errors.push('invalid timestamp');
+  return errors;
+};
+
+const validateTimestampedRecord = (record) => {
+  const errors = [];
+  if (!isNonEmptyString(record.id)) errors.push('missing id');
+  if (!isValidDate(record.timestamp)) errors.push('invalid timestamp');
+  return errors;
+};
+
+const validateSettings = (settings) => {
+  return Object.entries(settings)
+    .filter(([, value]) => typeof value !== 'boolean')
+    .map(([key]) => `${key} must be true or false`);
+};
+
+const validateProfile = (profile) => {
+  const errors = [];
+  if (!isOptionalString(profile.name)) errors.push('name must be text');
+  if (!isOptionalString(profile.phone)) errors.push('phone must be text');
+  if (!isOptionalString(profile.emergencyMessage)) errors.push('emergencyMessage must be text');
+  if (!isOptionalString(profile.alertRelayUrl)) errors.push('alertRelayUrl must be text');
+  if (!isOptionalString(profile.emergencyServicesProvider)) errors.push('emergencyServicesProvider must be text');
+  if (profile.shareLocationInterval !== undefined && !isFiniteNumber(profile.shareLocationInterval)) {
+    errors.push('shareLocationInterval must be a number');
+  }
+  return errors;
+};
+
+/**
+ * Import sections
+ * matchKeys decide which existing item an imported item merges into
+ * toEntries turns a section value into the storage entries to write,
+ * for sections not stored as a single value under key
+ */
+export const IMPORT_SECTIONS = {
+  contacts: {
+    label: 'Trusted Contacts',
+    key: STORAGE_KEYS.TRUSTED_CONTACTS,
+    type: 'array',
+    validateItem: validateContact,
+    matchKeys: [
+      contact => contact.id,
+      // Stored numbers are E.164 and imported ones are normalized first (see normalizeImportData)
+      contact => getPhoneKey(contact.phone) || null,
+    ],
+    read: getStoredContacts,
+  },
+  settings: {
+    label: 'Settings',
+    key: STORAGE_KEYS.USER_SETTINGS,
+    type: 'object',
+    validate: validateSettings,
+    read: getStoredSettings,
+  },
+  userProfile: {
+    label: 'Profile',
+    key: STORAGE_KEYS.USER_PROFILE,
+    type: 'object',
+    validate: validateProfile,
+    read: getUserProfile,
+  },
+  emergencyHistory: {
+    label: 'Emergency History',
+    key: STORAGE_KEYS.EMERGENCY_HISTORY,
+    type: 'array',
+    validateItem: validateTimestampedRecord,
+    matchKeys: [event => event.id],
+    sortByTimestamp: true,
+    read: getEmergencyHistory,
+  },
+  locationHistory: {
+    label: 'Location History',
+    key: STORAGE_KEYS.LOCATION_HISTORY,
+    type: 'array',
+    validateItem: validateLocation,
+    matchKeys: [location => location.id, location => `${new Date(location.timestamp).getTime()}`],
+    sortByTimestamp: true,
+    read: () => getLocationHistory({ includeRejected: true }),
+    toEntries: buildLocationEntries,
+  },
+  safetyReports: {
+    label: 'Safety Reports',
+    key: STORAGE_KEYS.SAFETY_REPORTS,
+    type: 'array',
+    validateItem: validateTimestampedRecord,
+    matchKeys: [report => report.id],
+    sortByTimestamp: true,
+    read: getSafetyReports,
+  },
+};
+
+/**
+ * Bring an older backup up to the current schema using the storage migrations
+ * Throws if the backup comes from a newer app version
+ */
+const migrateImportData = (data) => {
+  const fromVersion = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of SafeHer');
+  }
+  if (fromVersion === CURRENT_SCHEMA_VERSION) {
+    return data;
+  }
+
+  const snapshot = {};
+  Object.entries(IMPORT_SECTIONS).forEach(([section, config]) => {
+    snapshot[config.key] = data[section] === undefined ? null : data[section];
+  });
+
+  const migrated = applyMigrations(snapshot, fromVersion);
+
+  const result = { ...data, schemaVersion: CURRENT_SCHEMA_VERSION };
+  Object.entries(IMPORT_SECTIONS).forEach(([section, config]) => {
+    if (migrated[config.key] !== null && migrated[config.key] !== undefined) {
+      result[section] = migrated[config.key];
+    }
+  });
+  return result;
+};
+
+/**
+ * Validate an import object section by section
+ * Returns { valid, errors, data } where errors maps section to messages
+ * and data is the backup migrated to the current schema
+ */
+export const validateImportData = (rawData) => {
+  if (!isPlainObject(rawData)) {
+    return { valid: false, errors: { file: ['Backup is not a SafeHer data object'] }, data: null };
+  }
+
+  let data;
+  try {
+    data = migrateImportData(rawData);
+  } catch (error) {
+    return { valid: false, errors: { file: [error.message] }, data: null };
+  }
+
+  const errors = {};
+  Object.entries(IMPORT_SECTIONS).forEach(([section, config]) => {
+    const value = data[section];
+    if (value === undefined || value === null) return;
+
+    const sectionErrors = [];
+    if (config.type === 'array') {
+      if (!Array.isArray(value)) {
+        sectionErrors.push('must be a list');
+      } else {
+        value.forEach((item, index) => {
+          const itemErrors = isPlainObject(item) ? config.validateItem(item) : ['not an object'];
+          itemErrors.forEach(message => sectionErrors.push(`item ${index + 1}: ${message}`));
+        });
+      }
+    } else if (!isPlainObject(value)) {
+      sectionErrors.push('must be an object');
+    } else {
+      sectionErrors.push(...config.validate(value));
+    }
+
+    if (sectionErrors.length > 0) {
+      errors[section] = sectionErrors;
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors, data };
+};
+
+/**
+ * Find the existing item an imported item should merge into
+ */
+const findMatchIndex = (items, item, matchKeys) => {
+  for (const getKey of matchKeys) {
+    const key = getKey(item);
+    if (!key) continue;
+    const index = items.findIndex(existing => getKey(existing) === key);
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+const sortNewestFirst = items => [...items].sort(
+  (a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
+);
+
+/**
+ * Work out the new value and diff for one section
+ */
+const planSection = (config, currentValue, importedValue, strategy) => {
+  if (strategy === IMPORT_STRATEGIES.SKIP || importedValue === undefined || importedValue === null) {
+    return { strategy: IMPORT_STRATEGIES.SKIP, value: currentValue, diff: null };
+  }
+
+  if (config.type === 'object') {
+    const value = strategy === IMPORT_STRATEGIES.REPLACE
+      ? { ...importedValue }
+      : { ...currentValue, ...importedValue };
+    const keys = new Set([...Object.keys(currentValue || {}), ...Object.keys(value)]);
+    const changed = Array.from(keys).filter(
+      key => JSON.stringify((currentValue || {})[key]) !== JSON.stringify(value[key])
+    );
+    return { strategy, value, diff: { changed } };
+  }
+
+  const current = currentValue || [];
+  const diff = { added: [], updated: [], unchanged: [], removed: [] };
+  let value;
+
+  if (strategy === IMPORT_STRATEGIES.REPLACE) {
+    value = [...importedValue];
+    importedValue.forEach((item) => {
+      const index = findMatchIndex(current, item, config.matchKeys);
+      if (index === -1) diff.added.push(item);
+      else if (JSON.stringify(current[index]) === JSON.stringify(item)) diff.unchanged.push(item);
+      else diff.updated.push(item);
+    });
+    diff.removed = current.filter(item => findMatchIndex(importedValue, item, config.matchKeys) === -1);
+  } else {
+    value = [...current];
+    importedValue.forEach((item) => {
+      const index = findMatchIndex(value, item, config.matchKeys);
+      if (index === -1) {
+        value.push(item);
+        diff.added.push(item);
+      } else if (JSON.stringify(value[index]) === JSON.stringify({ ...value[index], ...item })) {
+        diff.unchanged.push(item);
+      } else {
+        value[index] = { ...value[index], ...item, id: value[index].id };
+        diff.updated.push(item);
+      }
+    });
+  }
+
+  if (config.sortByTimestamp) {
+    value = sortNewestFirst(value);
+  }
+
+  return { strategy, value, diff };
+};
+
+const skipInvalid = errors => Object.keys(errors).reduce(
+  (skipped, section) => ({ ...skipped, [section]: IMPORT_STRATEGIES.SKIP }),
+  {}
+);
+
+/**
+ * Store imported numbers in E.164 like numbers the user adds, so they match
+ * the contacts already saved. Numbers without a country code are read in
+ * the backup's profile region, or the current one if it has none; invalid
+ * numbers are kept as typed
+ */
+const normalizeImportData = async (data) => {
+  if (!Array.isArray(data.contacts)) {
+    return data;
+  }
+  const region = data.userProfile && isSupportedRegion(data.userProfile.region)
+    ? getProfileRegion(data.userProfile)
+    : await getDefaultPhoneRegion();
+  return {
+    ...data,
+    // Invalid sections are skipped later, so items may not be contacts at all
+    contacts: data.contacts.map(contact => (isPlainObject(contact) && isNonEmptyString(contact.phone)
+      ? { ...contact, phone: normalizePhoneNumber(contact.phone, region) || contact.phone.trim() }
+      : contact)),
+  };
+};
+
+/**
+ * Build the full import plan without writing anything
+ */
+const planImport = async (rawData, strategies) => {
+  const data = await normalizeImportData(rawData);
+  const plan = {};
+  for (const [section, config] of Object.entries(IMPORT_SECTIONS)) {
+    const strategy = strategies[section] || IMPORT_STRATEGIES.MERGE;
+    const currentValue = await config.read();
+    plan[section] = planSection(config, currentValue, data[section], strategy);
+  }
+  return plan;
+};
+
+/**
+ * Sections with errors that would actually be written
+ * Invalid sections the user chose to skip don't block the import
+ */
+const getBlockingErrors = (errors, strategies) => {
+  const blocking = {};
+  Object.entries(errors).forEach(([section, messages]) => {
+    if (section === 'file' || (strategies[section] || IMPORT_STRATEGIES.MERGE) !== IMPORT_STRATEGIES.SKIP) {
+      blocking[section] = messages;
+    }
+  });
+  return blocking;
+};
+
+/**
+ * Dry run: validate and describe what an import would change
+ * Returns { valid, errors, diff } where diff maps section to its changes
+ */
+export const previewImport = async (rawData, strategies = {}) => {
+  try {
+    const validation = validateImportData(rawData);
+    if (!validation.data) {
+      return { valid: false, errors: validation.errors, diff: {} };
+    }
+
+    const blockingErrors = getBlockingErrors(validation.errors, strategies);
+    const plan = await planImport(validation.data, { ...strategies, ...skipInvalid(validation.errors) });
+    const diff = {};
+    Object.entries(plan).forEach(([section, { strategy, diff: sectionDiff }]) => {
+      diff[section] = { strategy, ...(sectionDiff || {}) };
+    });
+    return {
+      valid: Object.keys(blockingErrors).length === 0,
+      errors: validation.errors,
+      diff,
+    };
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    return { valid: false, errors: { file: ['Unable to read current data'] }, diff: {} };
+  }
+};
+
+/**
+ * Import data with a strategy per section: replace, merge or skip
+ * Nothing is written unless every selected section is valid,
+ * and all sections are written together
+ * Returns { success, errors }
+ */
+export const importData = async (rawData, strategies = {}) => {
+  const validation = validateImportData(rawData);
+  const blockingErrors = getBlockingErrors(validation.errors, strategies);
+  if (!validation.data || Object.keys(blockingErrors).length > 0) {
+    return { success: false, errors: blockingErrors };
+  }
+
+  let previous = null;
+  try {
+    const plan = await planImport(validation.data, strategies);
+
+    const entries = {};
+    previous = {};
+    for (const [section, { strategy, value }] of Object.entries(plan)) {
+      if (strategy === IMPORT_STRATEGIES.SKIP) continue;
+      const config = IMPORT_SECTIONS[section];
+      const sectionEntries = config.toEntries ? config.toEntries(value) : { [config.key]: value };
+      for (const [key, data] of Object.entries(sectionEntries)) {
+        entries[key] = data;
+        previous[key] = await getData(key);
+      }
+    }
+
+    if (Object.keys(entries).length === 0) {
+      return { success: true, errors: {} };
+    }
+
+    const stored = await storeMultipleData(entries, AUDIT_SOURCES.IMPORT);
+    if (!stored) {
+      throw new Error('Failed to write imported data');
+    }
+
+    await removeOrphanedLocationDays();
+    return { success: true, errors: {} };
+  } catch (error) {
+    console.error('Error importing data:', error);
+
+    // Put back whatever was there before, in case the backend wrote part of it,
+    // and remove keys the import created
+    if (previous) {
+      const restore = {};
+      const created = [];
+      Object.entries(previous).forEach(([key, value]) => {
+        if (value !== null) restore[key] = value;
+        else created.push(key);
+      });
+      if (Object.keys(restore).length > 0) {
+        await storeMultipleData(restore, AUDIT_SOURCES.IMPORT);
+      }
+      for (const key of created) {
+        await removeData(key, AUDIT_SOURCES.IMPORT);
+      }
+      await removeOrphanedLocationDays();
+    }
+    return { success: false, errors: { file: [error.message] } };
+  }
+};
@@ -0,0 +1,169 @@
+import * as Location from 'expo-location';
+import { getStorageBackend, setStorageBackend, createMemoryBackend } from './storageBackends';
+import { isEncryptionLocked, getDuressOptions, activateDecoyKey } from './encryption';
+import {
+  STORAGE_KEYS,
+  DEFAULT_SETTINGS,
+  getEmergencyContacts,
+  getEmergencyHistory,
+  storeEmergencyEvent,
+  storeMultipleData,
+  removeData,
+  clearLocationHistory,
+} from './storage';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+import { createEmergencySMS, getRecipientNumbers } from './sms';
+
+/**
+ * Duress utilities for SafeHer app
+ * When the duress PIN is entered the app quietly alerts emergency contacts
+ * through the alert relay, optionally wipes location and emergency history
+ * (the duress unlock itself is still recorded), and then shows a
+ * harmless decoy data set instead of the real one
+ * Nothing on screen differs from a normal unlock
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sends a silent SOS: (phoneNumbers, message) => Promise<boolean>
+let silentSOSSender = null;
+
+/**
+ * Register how a silent SOS leaves the device
+ * Expo can't send an SMS without showing the composer, which would give the
+ * duress unlock away, so the alert needs a transport with no UI. App.js
+ * registers the alert relay (see alertRelay.js); without a relay set up the
+ * alert is only recorded
+ */
+export const setSilentSOSSender = (sender) => {
+  silentSOSSender = sender;
+};
+
+/**
+ * Build the decoy data set: a few ordinary contacts and default settings
+ * Phone numbers are in the 555-01xx range reserved for fiction
+ */
+const buildDecoyData = () => {
+  const now = Date.now();
+  const daysAgo = days => new Date(now - days * DAY_MS).toISOString();
+
+  return {
+    [STORAGE_KEYS.TRUSTED_CONTACTS]: [
+      { id: `${now - 92 * DAY_MS}-0001`, name: 'Mom', phone: '+1 555-0142', isEmergency: false, addedDate: daysAgo(92) },
+      { id: `${now - 40 * DAY_MS}-0002`, name: 'Office', phone: '+1 555-0187', isEmergency: false, addedDate: daysAgo(40) },
+    ],
+    [STORAGE_KEYS.USER_SETTINGS]: { ...DEFAULT_SETTINGS },
+    [STORAGE_KEYS.SCHEMA_VERSION]: CURRENT_SCHEMA_VERSION,
+  };
+};
+
+/**
+ * Get a position without prompting for permission or showing anything
+ */
+const getSilentLocation = async () => {
+  try {
+    const { status } = await Location.getForegroundPermissionsAsync();
+    if (status !== 'granted') {
+      return null;
+    }
+
+    const position = await Location.getLastKnownPositionAsync()
+      || await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+    return position ? {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+    } : null;
+  } catch (error) {
+    console.error('Error getting silent location:', error);
+    return null;
+  }
+};
+
+/**
+ * Alert emergency contacts through the registered silent transport
+ * Returns true if the alert was handed off
+ */
+const sendSilentSOS = async (contacts, location) => {
+  if (!silentSOSSender) {
+    console.warn('No silent SOS transport registered; duress alert not sent');
+    return false;
+  }
+  if (contacts.length === 0) {
+    return false;
+  }
+
+  try {
+    const message = `${createEmergencySMS(location)}\n\n` +
+      'This alert was sent silently because I was forced to unlock my phone. Do not reply by text.';
+    const phoneNumbers = getRecipientNumbers(contacts);
+    return Boolean(await silentSOSSender(phoneNumbers, message));
+  } catch (error) {
+    console.error('Error sending silent SOS:', error);
+    return false;
+  }
+};
+
+/**
+ * Swap the real storage for an in-memory decoy data set
+ * The decoy reports the same backend name so storage stats look normal
+ */
+const showDecoyData = async () => {
+  const realBackend = getStorageBackend();
+  setStorageBackend({
+    ...createMemoryBackend(),
+    name: realBackend.name,
+    persistent: realBackend.persistent,
+    quotaBytes: realBackend.quotaBytes,
+  });
+  activateDecoyKey();
+  // Not recorded in the audit log: fresh entries would give the decoy away
+  await storeMultipleData(buildDecoyData(), null);
+};
+
+/**
+ * Handle a duress unlock
+ * Call after unlockWithDuressPin succeeds, before any screen reads storage
+ * Real data is only touched while its key is loaded; the decoy data set is
+ * shown even if the alert or wipe failed
+ * Returns true if the silent SOS was sent
+ */
+export const enterDuressMode = async () => {
+  let sent = false;
+  try {
+    const options = getDuressOptions() || {};
+
+    if (!isEncryptionLocked()) {
+      const contacts = await getEmergencyContacts();
+      const location = await getSilentLocation();
+      sent = await sendSilentSOS(contacts, location);
+
+      if (options.wipeHistory) {
+        await clearLocationHistory();
+        await removeData(STORAGE_KEYS.EMERGENCY_HISTORY);
+      }
+      // Kept even after a wipe, without the location, so the owner can see
+      // later that the duress PIN was used and whether contacts were alerted
+      await storeEmergencyEvent({
+        type: 'duress',
+        location: options.wipeHistory ? null : location,
+        contactCount: contacts.length,
+        delivered: sent,
+        historyWiped: Boolean(options.wipeHistory),
+      });
+    }
+  } catch (error) {
+    console.error('Error handling duress unlock:', error);
+  } finally {
+    await showDecoyData();
+  }
+  return sent;
+};
+
+/**
+ * The most recent duress unlock recorded in emergency history, or null
+ */
+export const getLastDuressUnlock = async () => {
+  const history = await getEmergencyHistory();
+  return history.find(event => event.type === 'duress') || null;
+};
@@ -0,0 +1,288 @@
+import { STORAGE_KEYS, getData, updateData, getUserProfile } from './storage';
+import { calculateDistance, getSafePlacesInRadius } from './location';
+import { SAFE_PLACE_TYPE_NAMES } from './safePlaces';
+
+/**
+ * Emergency service utilities for SafeHer app
+ * Finds police stations, hospitals and fire stations near the user from
+ * installed region packs and the user's own places (see safePlaces.js),
+ * plus an optional lookup provider. The provider is any endpoint that
+ * answers OpenStreetMap Overpass queries, like the public Overpass API,
+ * a self-hosted instance or a local stand-in. The user picks it in
+ * Settings (kept on the profile as emergencyServicesProvider); the build can
+ * set a default. Its answers are cached so they still show up offline
+ *
+ * Service shape: { id, name, type, latitude, longitude, distance, phone, address, hours, source, fetchedAt }
+ * distance is in meters; source is one of EMERGENCY_SERVICE_SOURCES, and
+ * fetchedAt is when a looked-up service was fetched (null for places no
+ * lookup matched)
+ */
+
+export const EMERGENCY_SERVICE_TYPES = ['police', 'hospital', 'fire_station'];
+
+export const EMERGENCY_SERVICE_SOURCES = {
+  PACK: 'pack', // A safe place from an installed region pack
+  USER: 'user', // A place the user added
+  LOOKUP: 'lookup', // Fetched from the lookup provider just now
+  CACHE: 'cache', // Fetched from the lookup provider earlier
+};
+
+// A cached area answers queries inside it without asking the provider again
+// until it's this old; offline, older areas are used too
+const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CACHED_AREAS = 20;
+
+const LOOKUP_TIMEOUT_MS = 10000;
+
+// Lookups fetch this many times the radius asked for, so the cached area
+// still covers queries after the user moves a little
+const LOOKUP_RADIUS_FACTOR = 2;
+
+// A looked-up service this close to a place of the same type is that place
+const DUPLICATE_DISTANCE_METERS = 100;
+
+// Overpass interpreter URL used when the user hasn't picked one,
+// e.g. https://overpass-api.de/api/interpreter
+let defaultProviderUrl = null;
+
+/**
+ * Set the Overpass endpoint emergency services are looked up from when the
+ * user hasn't set one in Settings
+ * Without either, services come from region packs and earlier lookups only
+ */
+export const setEmergencyServicesProvider = (url) => {
+  defaultProviderUrl = url || null;
+};
+
+/**
+ * Check that a provider URL can be used: http(s), so a local stand-in works too
+ */
+export const isValidProviderUrl = url => typeof url === 'string' && /^https?:\/\/[^\s/]+\S*$/i.test(url.trim());
+
+/**
+ * Get the user's own provider URL, or null if they haven't set one
+ */
+export const getUserProviderUrl = async () => {
+  try {
+    const profile = await getUserProfile();
+    const url = profile && typeof profile.emergencyServicesProvider === 'string' ? profile.emergencyServicesProvider.trim() : '';
+    return isValidProviderUrl(url) ? url : null;
+  } catch (error) {
+    console.error('Error getting emergency services provider:', error);
+    return null;
+  }
+};
+
+// The user's provider wins over the build default
+const getLookupProviderUrl = async () => (await getUserProviderUrl()) || defaultProviderUrl;
+
+/**
+ * Build the Overpass QL query for emergency services around a location
+ * Ways and relations, like a hospital campus, are answered with their centre
+ */
+export const buildOverpassQuery = (latitude, longitude, radius) => {
+  const amenities = EMERGENCY_SERVICE_TYPES.join('|');
+  return [
+    `[out:json][timeout:${Math.ceil(LOOKUP_TIMEOUT_MS / 1000)}];`,
+    `nwr["amenity"~"^(${amenities})$"](around:${Math.round(radius)},${latitude},${longitude});`,
+    'out tags center;',
+  ].join('\n');
+};
+
+const formatAddress = (tags) => {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  const address = [street, tags['addr:city']].filter(Boolean).join(', ');
+  return address || null;
+};
+
+// OpenStreetMap allows several numbers separated by semicolons; the first is called
+const getPhone = (tags) => {
+  const phone = tags.phone || tags['contact:phone'] || tags['emergency:phone'];
+  return phone ? phone.split(';')[0].trim() : null;
+};
+
+const toService = (element) => {
+  const tags = element.tags || {};
+  const position = element.type === 'node' ? element : element.center;
+  if (!EMERGENCY_SERVICE_TYPES.includes(tags.amenity) || !position ||
+    !Number.isFinite(position.lat) || !Number.isFinite(position.lon)) {
+    return null;
+  }
+  return {
+    id: `osm:${element.type}/${element.id}`,
+    name: (tags.name || '').trim() || SAFE_PLACE_TYPE_NAMES[tags.amenity],
+    type: tags.amenity,
+    latitude: position.lat,
+    longitude: position.lon,
+    phone: getPhone(tags),
+    address: formatAddress(tags),
+    hours: tags.opening_hours || null,
+  };
+};
+
+/**
+ * Read emergency services from an Overpass JSON answer
+ * Throws if the answer isn't in the Overpass format
+ */
+export const parseOverpassResponse = (response) => {
+  if (!response || !Array.isArray(response.elements)) {
+    throw new Error('The lookup provider did not answer in the Overpass format');
+  }
+  return response.elements.map(toService).filter(Boolean);
+};
+
+const fetchServices = async (providerUrl, latitude, longitude, radius) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), LOOKUP_TIMEOUT_MS);
+  try {
+    const response = await fetch(providerUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: `data=${encodeURIComponent(buildOverpassQuery(latitude, longitude, radius))}`,
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Lookup failed with status ${response.status}`);
+    }
+    return parseOverpassResponse(await response.json());
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Lookup Cache
+ */
+
+const getCachedAreas = async () => {
+  const areas = await getData(STORAGE_KEYS.EMERGENCY_SERVICES_CACHE);
+  return areas || [];
+};
+
+const covers = (area, latitude, longitude, radius) =>
+  calculateDistance(area.latitude, area.longitude, latitude, longitude) + radius <= area.radius;
+
+const overlaps = (area, latitude, longitude, radius) =>
+  calculateDistance(area.latitude, area.longitude, latitude, longitude) < area.radius + radius;
+
+const fromArea = (area, source) => area.services.map(service => ({
+  ...service,
+  source,
+  fetchedAt: area.fetchedAt,
+}));
+
+// Newest areas first, keeping the latest copy of a service seen in several
+const fromAreas = (areas) => {
+  const services = new Map();
+  areas
+    .slice()
+    .sort((a, b) => new Date(b.fetchedAt) - new Date(a.fetchedAt))
+    .forEach(area => fromArea(area, EMERGENCY_SERVICE_SOURCES.CACHE).forEach((service) => {
+      if (!services.has(service.id)) services.set(service.id, service);
+    }));
+  return Array.from(services.values());
+};
+
+const cacheArea = async (area) => {
+  await updateData(STORAGE_KEYS.EMERGENCY_SERVICES_CACHE, areas => [
+    area,
+    // An area the new one covers has nothing the new one lacks
+    ...areas.filter(cached => !covers(area, cached.latitude, cached.longitude, cached.radius)),
+  ].slice(0, MAX_CACHED_AREAS), []);
+};
+
+/**
+ * Look up emergency services around a location with the provider
+ * A fresh cached area that covers the query is used without asking; when
+ * the provider can't be reached, every cached area overlapping the query is
+ * Returns array of services without distances, or [] if none are known
+ */
+const lookupServices = async (latitude, longitude, radius) => {
+  const areas = await getCachedAreas();
+  const fresh = areas.find(area => covers(area, latitude, longitude, radius) &&
+    Date.now() - new Date(area.fetchedAt).getTime() <= CACHE_MAX_AGE_MS);
+  if (fresh) {
+    return fromArea(fresh, EMERGENCY_SERVICE_SOURCES.CACHE);
+  }
+
+  const providerUrl = await getLookupProviderUrl();
+  if (providerUrl) {
+    try {
+      const areaRadius = radius * LOOKUP_RADIUS_FACTOR;
+      const services = await fetchServices(providerUrl, latitude, longitude, areaRadius);
+      const area = { latitude, longitude, radius: areaRadius, fetchedAt: new Date().toISOString(), services };
+      await cacheArea(area).catch((error) => {
+        console.error('Error caching emergency services:', error);
+      });
+      return fromArea(area, EMERGENCY_SERVICE_SOURCES.LOOKUP);
+    } catch (error) {
+      console.warn('Emergency service lookup unavailable, using cached results:', error.message);
+    }
+  }
+
+  return fromAreas(areas.filter(area => overlaps(area, latitude, longitude, radius)));
+};
+
+// Details a looked-up service brings to the region pack place it matches
+const FRESH_DETAILS = ['phone', 'address', 'hours'];
+
+/**
+ * Get nearby emergency services
+ * A looked-up service that matches a place is merged into it: the user's
+ * own places keep their details and only gain a missing phone number, while
+ * region pack places take the looked-up details, which are newer
+ * Returns array of emergency services sorted by distance
+ */
+export const getNearbyEmergencyServices = async (latitude, longitude, radius = 5000) => {
+  try {
+    const [places, lookedUp] = await Promise.all([
+      getSafePlacesInRadius(latitude, longitude, radius),
+      lookupServices(latitude, longitude, radius).catch((error) => {
+        console.error('Error looking up emergency services:', error);
+        return [];
+      }),
+    ]);
+
+    const known = places
+      .filter(place => EMERGENCY_SERVICE_TYPES.includes(place.type))
+      .map(place => ({
+        id: place.id,
+        name: place.name,
+        type: place.type,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        distance: place.distance,
+        phone: place.phone,
+        address: place.address,
+        hours: place.hours,
+        source: place.source,
+        fetchedAt: null,
+      }));
+
+    const extra = [];
+    lookedUp.forEach((service) => {
+      const match = known.find(place => place.type === service.type &&
+        calculateDistance(place.latitude, place.longitude, service.latitude, service.longitude) <= DUPLICATE_DISTANCE_METERS);
+      if (match) {
+        if (match.source === EMERGENCY_SERVICE_SOURCES.USER) {
+          match.phone = match.phone || service.phone;
+        } else {
+          FRESH_DETAILS.forEach((detail) => {
+            match[detail] = service[detail] || match[detail];
+          });
+          match.fetchedAt = service.fetchedAt;
+        }
+        return;
+      }
+      const distance = calculateDistance(latitude, longitude, service.latitude, service.longitude);
+      if (distance <= radius) {
+        extra.push({ ...service, distance });
+      }
+    });
+
+    return [...known, ...extra].sort((a, b) => a.distance - b.distance);
+  } catch (error) {
+    console.error('Error getting nearby emergency services:', error);
+    return [];
+  }
+};
@@ -0,0 +1,568 @@
+import { getStorageBackend } from './storageBackends';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import CryptoJS from 'crypto-js';
+
+/**
+ * Encryption utilities for SafeHer app
+ * Encrypts sensitive storage values at rest with AES-256 and an HMAC
+ * The data key is derived from a device-bound key and, when set, the user's PIN
+ */
+
+// Encryption metadata lives next to the data, the device key lives in the keychain
+const ENCRYPTION_META_KEY = 'safeher_encryption_meta';
+const DEVICE_KEY_PREFIX = 'safeher_device_key_';
+const DURESS_DEVICE_KEY = `${DEVICE_KEY_PREFIX}duress`;
+
+const ENCRYPTION_CONFIG = {
+  version: 1,
+  pinIterations: 10000,
+  keyBytes: 32,
+  saltBytes: 16,
+  ivBytes: 16,
+};
+
+// In-memory key state, cleared when the app is locked
+let activeKey = null;
+let activeMeta = null;
+
+// Duress state: the key-encryption key is only held after a duress unlock,
+// decoy mode means activeKey is a throwaway key for the decoy data set
+let duressKek = null;
+let decoyActive = false;
+
+// Reasons setting a duress PIN can fail
+export const DURESS_PIN_ERRORS = {
+  LOCKED: 'locked',
+  NO_PIN: 'no_pin',
+  SAME_AS_PIN: 'same_as_pin',
+  FAILED: 'failed',
+};
+
+/**
+ * Keychain
+ * Device keys live in the platform keychain. Where there is none, as on
+ * the web build, they are only kept for the session; that build stores
+ * data in memory (see App.js), so nothing they encrypt outlives them
+ */
+const sessionDeviceKeys = new Map();
+let hasKeychain = null;
+
+const isKeychainAvailable = async () => {
+  if (hasKeychain === null) {
+    hasKeychain = await SecureStore.isAvailableAsync().catch(() => false);
+    if (!hasKeychain) {
+      console.warn('No keychain on this platform; encryption keys last for this session only');
+    }
+  }
+  return hasKeychain;
+};
+
+const keychain = {
+  getItem: async key => (await isKeychainAvailable()
+    ? SecureStore.getItemAsync(key)
+    : sessionDeviceKeys.get(key) || null),
+  setItem: async (key, value) => {
+    if (await isKeychainAvailable()) {
+      await SecureStore.setItemAsync(key, value);
+    } else {
+      sessionDeviceKeys.set(key, value);
+    }
+  },
+  deleteItem: async (key) => {
+    if (await isKeychainAvailable()) {
+      await SecureStore.deleteItemAsync(key);
+    } else {
+      sessionDeviceKeys.delete(key);
+    }
+  },
+};
+
+/**
+ * Generate cryptographically secure random bytes as a hex string
+ */
+const randomHex = (byteCount) => {
+  const bytes = Crypto.getRandomBytes(byteCount);
+  return Array.from(bytes)
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Derive the data key from the device key and optional PIN
+ * Both factors are needed to decrypt once a PIN has been set
+ */
+const deriveDataKey = (deviceKey, pin, meta) => {
+  const pinKey = pin
+    ? CryptoJS.PBKDF2(pin, CryptoJS.enc.Hex.parse(meta.salt), {
+        keySize: ENCRYPTION_CONFIG.keyBytes / 4,
+        iterations: meta.iterations,
+        hasher: CryptoJS.algo.SHA256,
+      }).toString()
+    : 'safeher_no_pin';
+
+  const dataKey = CryptoJS.HmacSHA256(pinKey, CryptoJS.enc.Hex.parse(deviceKey));
+  return expandDataKey(dataKey, meta.keyId);
+};
+
+/**
+ * Split a data key into separate encryption and MAC keys
+ */
+const expandDataKey = (dataKey, keyId) => ({
+  keyId,
+  material: dataKey.toString(),
+  encKey: CryptoJS.HmacSHA256('safeher_enc', dataKey),
+  macKey: CryptoJS.HmacSHA256('safeher_mac', dataKey),
+  verifier: CryptoJS.HmacSHA256('safeher_key_check', dataKey).toString(),
+});
+
+/**
+ * Derive a key from a passphrase alone, for data that leaves the device
+ * Pass the salt and iterations stored with the data to derive the same key again
+ * Returns { key, salt, iterations } for use with encryptValue/decryptValue
+ */
+export const createPassphraseKey = (passphrase, { salt = null, iterations = ENCRYPTION_CONFIG.pinIterations } = {}) => {
+  const keySalt = salt || randomHex(ENCRYPTION_CONFIG.saltBytes);
+  const dataKey = CryptoJS.PBKDF2(passphrase, CryptoJS.enc.Hex.parse(keySalt), {
+    keySize: ENCRYPTION_CONFIG.keyBytes / 4,
+    iterations,
+    hasher: CryptoJS.algo.SHA256,
+  });
+
+  return {
+    key: expandDataKey(dataKey, 'passphrase'),
+    salt: keySalt,
+    iterations,
+  };
+};
+
+/**
+ * Create fresh key material and metadata
+ * The device key is written to the keychain under a new id so the old one stays
+ * readable until re-encryption has finished
+ */
+const createKeyMaterial = async (pin) => {
+  const keyId = randomHex(8);
+  const deviceKey = randomHex(ENCRYPTION_CONFIG.keyBytes);
+  await keychain.setItem(`${DEVICE_KEY_PREFIX}${keyId}`, deviceKey);
+
+  const meta = {
+    version: ENCRYPTION_CONFIG.version,
+    keyId,
+    salt: randomHex(ENCRYPTION_CONFIG.saltBytes),
+    iterations: ENCRYPTION_CONFIG.pinIterations,
+    hasPin: Boolean(pin),
+    createdAt: new Date().toISOString(),
+  };
+  const key = deriveDataKey(deviceKey, pin, meta);
+  meta.verifier = key.verifier;
+
+  return { meta, key };
+};
+
+const getDeviceKey = async (keyId) => {
+  const deviceKey = await keychain.getItem(`${DEVICE_KEY_PREFIX}${keyId}`);
+  if (!deviceKey) {
+    throw new Error('Device key not found');
+  }
+  return deviceKey;
+};
+
+const getEncryptionMeta = async () => {
+  const jsonData = await getStorageBackend().getItem(ENCRYPTION_META_KEY);
+  return jsonData ? JSON.parse(jsonData) : null;
+};
+
+/**
+ * Initialize encryption on app startup
+ * Creates a device key on first run; stays locked if a PIN is set
+ * Returns { locked } or null if encryption could not be set up
+ */
+export const initializeEncryption = async () => {
+  try {
+    let meta = await getEncryptionMeta();
+
+    if (!meta) {
+      const material = await createKeyMaterial(null);
+      await getStorageBackend().setItem(ENCRYPTION_META_KEY, JSON.stringify(material.meta));
+      meta = material.meta;
+    }
+
+    activeMeta = meta;
+    activeKey = null;
+
+    if (!meta.hasPin) {
+      const deviceKey = await getDeviceKey(meta.keyId);
+      activeKey = deriveDataKey(deviceKey, null, meta);
+    }
+
+    return { locked: activeKey === null };
+  } catch (error) {
+    console.error('Error initializing encryption:', error);
+    return null;
+  }
+};
+
+/**
+ * Unlock encrypted storage with the user's PIN
+ * Returns true if the PIN is correct, false otherwise
+ */
+export const unlockWithPin = async (pin) => {
+  try {
+    const meta = activeMeta || await getEncryptionMeta();
+    if (!meta) {
+      return false;
+    }
+
+    const deviceKey = await getDeviceKey(meta.keyId);
+    const key = deriveDataKey(deviceKey, pin, meta);
+    if (key.verifier !== meta.verifier) {
+      return false;
+    }
+
+    activeMeta = meta;
+    activeKey = key;
+    return true;
+  } catch (error) {
+    console.error('Error unlocking encryption:', error);
+    return false;
+  }
+};
+
+/**
+ * Forget the in-memory key so sensitive data can't be read until unlocked again
+ * Without a PIN there is nothing to unlock with, so the key stays loaded
+ */
+export const lockEncryption = () => {
+  if (activeMeta && activeMeta.hasPin) {
+    activeKey = null;
+  }
+};
+
+export const isEncryptionLocked = () => activeKey === null;
+
+export const isDecoyActive = () => decoyActive;
+
+export const hasEncryptionPin = () => Boolean(activeMeta && activeMeta.hasPin);
+
+/**
+ * Check if a raw stored string is an encrypted envelope
+ */
+export const isEncryptedValue = (rawValue) => {
+  return typeof rawValue === 'string' && rawValue.startsWith('{"enc":');
+};
+
+/**
+ * Encrypt a plaintext string into a JSON envelope
+ * Throws if storage is locked
+ */
+export const encryptValue = (plaintext, key = activeKey) => {
+  if (!key) {
+    throw new Error('Encrypted storage is locked');
+  }
+
+  const iv = CryptoJS.enc.Hex.parse(randomHex(ENCRYPTION_CONFIG.ivBytes));
+  const ciphertext = CryptoJS.AES.encrypt(plaintext, key.encKey, {
+    iv,
+    mode: CryptoJS.mode.CBC,
+    padding: CryptoJS.pad.Pkcs7,
+  }).ciphertext.toString(CryptoJS.enc.Base64);
+  const ivHex = iv.toString();
+
+  return JSON.stringify({
+    enc: ENCRYPTION_CONFIG.version,
+    kid: key.keyId,
+    iv: ivHex,
+    ct: ciphertext,
+    mac: CryptoJS.HmacSHA256(`${ivHex}.${ciphertext}`, key.macKey).toString(),
+  });
+};
+
+/**
+ * Decrypt a JSON envelope back into its plaintext string
+ * Throws if storage is locked or the value was tampered with
+ */
+export const decryptValue = (rawValue, key = activeKey) => {
+  if (!key) {
+    throw new Error('Encrypted storage is locked');
+  }
+
+  const envelope = JSON.parse(rawValue);
+  if (envelope.kid !== key.keyId) {
+    throw new Error('Value was encrypted with a different key');
+  }
+
+  const expectedMac = CryptoJS.HmacSHA256(`${envelope.iv}.${envelope.ct}`, key.macKey).toString();
+  if (expectedMac !== envelope.mac) {
+    throw new Error('Encrypted value failed integrity check');
+  }
+
+  const decrypted = CryptoJS.AES.decrypt(
+    CryptoJS.lib.CipherParams.create({ ciphertext: CryptoJS.enc.Base64.parse(envelope.ct) }),
+    key.encKey,
+    { iv: CryptoJS.enc.Hex.parse(envelope.iv), mode: CryptoJS.mode.CBC, padding: CryptoJS.pad.Pkcs7 }
+  );
+  return decrypted.toString(CryptoJS.enc.Utf8);
+};
+
+/**
+ * Re-encrypt stored values under new key material
+ * Used for setting or changing the PIN and for key rotation
+ * Plaintext values from before encryption existed are encrypted on the way through
+ * Returns true if every value was rewritten, false otherwise
+ */
+export const rekeyEncryptedData = async (keys, { currentPin = null, newPin = null } = {}) => {
+  let newKeyId = null;
+  try {
+    if (decoyActive) {
+      // The real key material must never be touched from the decoy data set
+      return false;
+    }
+
+    const oldMeta = activeMeta || await getEncryptionMeta();
+    if (!oldMeta) {
+      throw new Error('Encryption is not initialized');
+    }
+
+    const oldDeviceKey = await getDeviceKey(oldMeta.keyId);
+    const oldKey = deriveDataKey(oldDeviceKey, oldMeta.hasPin ? currentPin : null, oldMeta);
+    if (oldKey.verifier !== oldMeta.verifier) {
+      return false;
+    }
+
+    if (oldMeta.duress && newPin && await isDuressPin(newPin, oldMeta)) {
+      return false;
+    }
+
+    const { meta, key } = await createKeyMaterial(newPin);
+    newKeyId = meta.keyId;
+
+    // Keep the duress PIN working by re-wrapping the new data key
+    // Without a PIN there is no lock screen, so the duress PIN is dropped
+    if (oldMeta.duress && newPin) {
+      const kekHex = decryptValue(oldMeta.duress.kekByData, oldKey);
+      meta.duress = {
+        ...oldMeta.duress,
+        kekByData: encryptValue(kekHex, key),
+        dataKey: encryptValue(key.material, expandKek(kekHex)),
+      };
+    }
+
+    const pairs = [];
+    for (const storageKey of keys) {
+      const rawValue = await getStorageBackend().getItem(storageKey);
+      if (rawValue === null) continue;
+
+      const plaintext = isEncryptedValue(rawValue) ? decryptValue(rawValue, oldKey) : rawValue;
+      pairs.push([storageKey, encryptValue(plaintext, key)]);
+    }
+    pairs.push([ENCRYPTION_META_KEY, JSON.stringify(meta)]);
+
+    // Data and metadata switch keys in one write
+    await getStorageBackend().multiSet(pairs);
+
+    activeMeta = meta;
+    activeKey = key;
+
+    newKeyId = null;
+
+    await keychain.deleteItem(`${DEVICE_KEY_PREFIX}${oldMeta.keyId}`);
+    if (oldMeta.duress && !meta.duress) {
+      await keychain.deleteItem(DURESS_DEVICE_KEY);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error re-encrypting data:', error);
+    if (newKeyId) {
+      // Nothing was committed, drop the unused device key
+      await keychain.deleteItem(`${DEVICE_KEY_PREFIX}${newKeyId}`).catch(() => {});
+    }
+    return false;
+  }
+};
+
+/**
+ * Remove all key material and start over with a fresh device key
+ * Only used after all stored data has been cleared
+ */
+export const resetEncryption = async () => {
+  try {
+    if (decoyActive) {
+      // Only the decoy data set was cleared; the real key material stays
+      activateDecoyKey();
+      return { locked: false };
+    }
+
+    if (activeMeta) {
+      await keychain.deleteItem(`${DEVICE_KEY_PREFIX}${activeMeta.keyId}`);
+    }
+    await keychain.deleteItem(DURESS_DEVICE_KEY);
+    await getStorageBackend().removeItem(ENCRYPTION_META_KEY);
+    activeMeta = null;
+    activeKey = null;
+    return await initializeEncryption();
+  } catch (error) {
+    console.error('Error resetting encryption:', error);
+    return null;
+  }
+};
+
+/**
+ * Duress PIN
+ * A second PIN that opens a decoy data set instead of the real one
+ * The real data key is wrapped under a random key-encryption key (KEK);
+ * the KEK is wrapped under both the duress PIN and the real data key,
+ * so the duress unlock can still reach real data and PIN changes can re-wrap it
+ */
+const expandKek = kekHex => expandDataKey(CryptoJS.enc.Hex.parse(kekHex), 'duress_kek');
+
+const deriveDuressKey = (duressDeviceKey, pin, duress) => {
+  return deriveDataKey(duressDeviceKey, pin, {
+    salt: duress.salt,
+    iterations: duress.iterations,
+    keyId: 'duress',
+  });
+};
+
+const isDuressPin = async (pin, meta) => {
+  const duressDeviceKey = await keychain.getItem(DURESS_DEVICE_KEY);
+  if (!duressDeviceKey || !meta.duress) {
+    return false;
+  }
+  return deriveDuressKey(duressDeviceKey, pin, meta.duress).verifier === meta.duress.verifier;
+};
+
+export const hasDuressPin = () => !decoyActive && Boolean(activeMeta && activeMeta.duress);
+
+/**
+ * Set or replace the duress PIN while unlocked with the real PIN
+ * options are stored encrypted, e.g. { wipeHistory: true }
+ * Returns { success, error } where error is one of DURESS_PIN_ERRORS
+ */
+export const setDuressPin = async (duressPin, options = {}) => {
+  try {
+    if (!activeKey || decoyActive) {
+      return { success: false, error: DURESS_PIN_ERRORS.LOCKED };
+    }
+    if (!activeMeta.hasPin) {
+      return { success: false, error: DURESS_PIN_ERRORS.NO_PIN };
+    }
+
+    const deviceKey = await getDeviceKey(activeMeta.keyId);
+    if (deriveDataKey(deviceKey, duressPin, activeMeta).verifier === activeMeta.verifier) {
+      return { success: false, error: DURESS_PIN_ERRORS.SAME_AS_PIN };
+    }
+
+    let duressDeviceKey = await keychain.getItem(DURESS_DEVICE_KEY);
+    if (!duressDeviceKey) {
+      duressDeviceKey = randomHex(ENCRYPTION_CONFIG.keyBytes);
+      await keychain.setItem(DURESS_DEVICE_KEY, duressDeviceKey);
+    }
+
+    const duress = {
+      salt: randomHex(ENCRYPTION_CONFIG.saltBytes),
+      iterations: ENCRYPTION_CONFIG.pinIterations,
+    };
+    const pinKey = deriveDuressKey(duressDeviceKey, duressPin, duress);
+    const kekHex = randomHex(ENCRYPTION_CONFIG.keyBytes);
+    const kek = expandKek(kekHex);
+
+    const meta = {
+      ...activeMeta,
+      duress: {
+        ...duress,
+        verifier: pinKey.verifier,
+        kek: encryptValue(kekHex, pinKey),
+        kekByData: encryptValue(kekHex, activeKey),
+        dataKey: encryptValue(activeKey.material, kek),
+        options: encryptValue(JSON.stringify(options), kek),
+      },
+    };
+    await getStorageBackend().setItem(ENCRYPTION_META_KEY, JSON.stringify(meta));
+    activeMeta = meta;
+    return { success: true, error: null };
+  } catch (error) {
+    console.error('Error setting duress PIN:', error);
+    return { success: false, error: DURESS_PIN_ERRORS.FAILED };
+  }
+};
+
+/**
+ * Remove the duress PIN
+ */
+export const removeDuressPin = async () => {
+  try {
+    if (!activeKey || decoyActive || !activeMeta.duress) {
+      return false;
+    }
+    const { duress, ...meta } = activeMeta;
+    await getStorageBackend().setItem(ENCRYPTION_META_KEY, JSON.stringify(meta));
+    activeMeta = meta;
+    await keychain.deleteItem(DURESS_DEVICE_KEY);
+    return true;
+  } catch (error) {
+    console.error('Error removing duress PIN:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the options stored with the duress PIN
+ * Readable after a duress unlock or while unlocked with the real PIN
+ */
+export const getDuressOptions = () => {
+  try {
+    if (!activeMeta || !activeMeta.duress) {
+      return null;
+    }
+    const kek = duressKek || expandKek(decryptValue(activeMeta.duress.kekByData, activeKey));
+    return JSON.parse(decryptValue(activeMeta.duress.options, kek));
+  } catch (error) {
+    console.error('Error reading duress options:', error);
+    return null;
+  }
+};
+
+/**
+ * Try a PIN as the duress PIN
+ * On success the real data key is loaded so the duress actions can reach
+ * real data; call activateDecoyKey once they are done
+ * Returns true if the PIN is the duress PIN
+ */
+export const unlockWithDuressPin = async (pin) => {
+  try {
+    const meta = activeMeta || await getEncryptionMeta();
+    const duressDeviceKey = await keychain.getItem(DURESS_DEVICE_KEY);
+    if (!meta || !meta.duress || !duressDeviceKey) {
+      return false;
+    }
+
+    const pinKey = deriveDuressKey(duressDeviceKey, pin, meta.duress);
+    if (pinKey.verifier !== meta.duress.verifier) {
+      return false;
+    }
+
+    duressKek = expandKek(decryptValue(meta.duress.kek, pinKey));
+    activeMeta = meta;
+
+    const key = expandDataKey(
+      CryptoJS.enc.Hex.parse(decryptValue(meta.duress.dataKey, duressKek)),
+      meta.keyId
+    );
+    activeKey = key.verifier === meta.verifier ? key : null;
+    return true;
+  } catch (error) {
+    console.error('Error checking duress PIN:', error);
+    return false;
+  }
+};
+
+/**
+ * Forget the real data key and switch to a throwaway key for decoy data
+ * Stays in effect until the app restarts
+ */
+export const activateDecoyKey = () => {
+  decoyActive = true;
+  duressKek = null;
+  activeKey = expandDataKey(CryptoJS.enc.Hex.parse(randomHex(ENCRYPTION_CONFIG.keyBytes)), 'decoy');
+};
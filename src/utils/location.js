@@ -1,5 +1,9 @@
 import * as Location from 'expo-location';
-import { storeLocationUpdate } from './storage';
+import { storeLocationUpdate, generateId } from './storage';
+import { filterLocation } from './locationFilter';
+import { reverseGeocodeOffline } from './offlineGeocoder';
+import { getIndexedSafePlaces } from './safePlaces';
+import { getOpeningStatus, isOpenFor } from './openingHours';
 
 /**
  * Location utilities for SafeHer app
@@ -14,6 +18,19 @@ const LOCATION_CONFIG = {
   maximumAge: 300000, // 5 minutes
 };
 
+/**
+ * Convert an expo-location fix to the shape stored in location history
+ */
+export const toLocationData = (location) => ({
+  latitude: location.coords.latitude,
+  longitude: location.coords.longitude,
+  altitude: location.coords.altitude,
+  accuracy: location.coords.accuracy,
+  heading: location.coords.heading,
+  speed: location.coords.speed,
+  timestamp: location.timestamp,
+});
+
 /**
  * Request location permissions
  * Returns true if permissions granted, false otherwise
@@ -39,7 +56,9 @@ export const requestLocationPermissions = async () => {
 
 /**
  * Get current location
- * Returns location object or null if failed
+ * The fix is filtered like tracked ones (see locationFilter.js); one the
+ * filter rejects is still returned, with rejected set, since a rough
+ * position beats none. Returns location object or null if failed
  */
 export const getCurrentLocation = async () => {
   try {
@@ -56,15 +75,7 @@ export const getCurrentLocation = async () => {
       maximumAge: LOCATION_CONFIG.maximumAge,
     });
 
-    const locationData = {
-      latitude: location.coords.latitude,
-      longitude: location.coords.longitude,
-      altitude: location.coords.altitude,
-      accuracy: location.coords.accuracy,
-      heading: location.coords.heading,
-      speed: location.coords.speed,
-      timestamp: location.timestamp,
-    };
+    const locationData = filterLocation(toLocationData(location));
 
     // Store location update for history
     await storeLocationUpdate(locationData);
@@ -78,6 +89,8 @@ export const getCurrentLocation = async () => {
 
 /**
  * Start location tracking
+ * Every fix is filtered and stored; the callback only receives fixes the
+ * filter accepts, with smoothed coordinates (see locationFilter.js)
  * Returns subscription object for stopping tracking
  */
 export const startLocationTracking = async (callback, options = {}) => {
@@ -97,21 +110,13 @@ export const startLocationTracking = async (callback, options = {}) => {
     const subscription = await Location.watchPositionAsync(
       trackingOptions,
       async (location) => {
-        const locationData = {
-          latitude: location.coords.latitude,
-          longitude: location.coords.longitude,
-          altitude: location.coords.altitude,
-          accuracy: location.coords.accuracy,
-          heading: location.coords.heading,
-          speed: location.coords.speed,
-          timestamp: location.timestamp,
-        };
-
-        // Store location update
+        const locationData = filterLocation(toLocationData(location));
+
+        // Store location update, raw and filtered
         await storeLocationUpdate(locationData);
 
         // Call callback with location data
-        if (callback) {
+        if (callback && !locationData.rejected) {
           callback(locationData);
         }
       }
@@ -152,69 +157,6 @@ export const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c; // Distance in meters
 };
 
-/**
- * Check if location is within a safety zone
- * Returns true if location is safe, false otherwise
- */
-export const isLocationSafe = async (latitude, longitude) => {
-  try {
-    // TODO: Implement safety zone checking
-    // This would check against:
-    // 1. Known safe areas (hospitals, police stations, etc.)
-    // 2. User-defined safe zones
-    // 3. Community-reported safe areas
-    // 4. Crime data integration
-    
-    // For now, return a simple time-based check
-    const hour = new Date().getHours();
-    const isNightTime = hour >= 22 || hour <= 5;
-    
-    return !isNightTime; // Safe during day, unsafe at night
-  } catch (error) {
-    console.error('Error checking location safety:', error);
-    return false;
-  }
-};
-
-/**
- * Get nearby emergency services
- * Returns array of emergency service locations
- */
-export const getNearbyEmergencyServices = async (latitude, longitude, radius = 5000) => {
-  try {
-    // TODO: Implement emergency services lookup
-    // This would integrate with:
-    // 1. Google Places API for hospitals, police stations
-    // 2. Local emergency service databases
-    // 3. User-reported emergency locations
-    
-    // Placeholder data
-    return [
-      {
-        id: '1',
-        name: 'City Hospital',
-        type: 'hospital',
-        latitude: latitude + 0.01,
-        longitude: longitude + 0.01,
-        distance: 500,
-        phone: '+1-555-0123',
-      },
-      {
-        id: '2',
-        name: 'Central Police Station',
-        type: 'police',
-        latitude: latitude - 0.01,
-        longitude: longitude + 0.01,
-        distance: 800,
-        phone: '+1-555-0124',
-      },
-    ];
-  } catch (error) {
-    console.error('Error getting nearby emergency services:', error);
-    return [];
-  }
-};
-
 /**
  * Create a geofence around a location
  * Returns geofence configuration
@@ -224,7 +166,7 @@ export const createGeofence = (latitude, longitude, radius = 100) => {
     latitude,
     longitude,
     radius,
-    id: `geofence_${Date.now()}`,
+    id: `geofence_${generateId()}`,
     createdAt: new Date().toISOString(),
   };
 };
@@ -242,29 +184,91 @@ export const isWithinGeofence = (location, geofence) => {
   return distance <= geofence.radius;
 };
 
-/**
- * Get formatted address from coordinates
- * Returns formatted address string
- */
-export const getAddressFromCoordinates = async (latitude, longitude) => {
-  try {
-    const addresses = await Location.reverseGeocodeAsync({
-      latitude,
-      longitude,
-    });
+// Where an address came from
+export const ADDRESS_SOURCES = {
+  DEVICE: 'device', // The platform geocoder, which often needs a network
+  OFFLINE: 'offline_pack', // Installed region packs (see offlineGeocoder.js)
+  COORDINATES: 'coordinates', // No name found; just the coordinates
+};
 
-    if (addresses.length > 0) {
-      const address = addresses[0];
-      return `${address.street || ''} ${address.city || ''} ${address.region || ''} ${address.postalCode || ''}`.trim();
+// The device geocoder can hang without a network; give up on it after this
+const DEVICE_GEOCODE_TIMEOUT = 5000;
+
+const withTimeout = (promise, timeout) => new Promise((resolve, reject) => {
+  const timeoutId = setTimeout(() => reject(new Error('Timed out')), timeout);
+  promise.then(
+    (value) => {
+      clearTimeout(timeoutId);
+      resolve(value);
+    },
+    (error) => {
+      clearTimeout(timeoutId);
+      reject(error);
     }
+  );
+});
 
-    return `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+const lookupDeviceAddress = async (latitude, longitude, timeout) => {
+  try {
+    const addresses = await withTimeout(Location.reverseGeocodeAsync({ latitude, longitude }), timeout);
+    if (addresses.length === 0) return null;
+    const address = addresses[0];
+    const formatted = `${address.street || ''} ${address.city || ''} ${address.region || ''} ${address.postalCode || ''}`
+      .replace(/\s+/g, ' ')
+      .trim();
+    return formatted ? { address: formatted, source: ADDRESS_SOURCES.DEVICE } : null;
   } catch (error) {
-    console.error('Error getting address from coordinates:', error);
-    return `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+    console.warn('Device geocoder unavailable:', error.message);
+    return null;
   }
 };
 
+const lookupOfflineAddress = async (latitude, longitude) => {
+  const offline = await reverseGeocodeOffline(latitude, longitude);
+  return offline ? { address: offline.formatted, source: ADDRESS_SOURCES.OFFLINE } : null;
+};
+
+// Resolves with the first lookup that finds an address, or null if none does
+const firstFound = lookups => new Promise((resolve) => {
+  let pending = lookups.length;
+  lookups.forEach(lookup => lookup
+    .then((result) => {
+      if (result) resolve(result);
+    }, () => {})
+    .then(() => {
+      pending -= 1;
+      if (pending === 0) resolve(null);
+    }));
+});
+
+/**
+ * Look up an address with the device geocoder and region packs at once,
+ * using whichever finds one first, and the coordinates when neither does
+ * options: { timeout, device }; no lookup may take longer than timeout, and
+ * device: false asks the region packs only, which never touch the network
+ * Returns { address, source } where source is one of ADDRESS_SOURCES
+ */
+export const lookupAddress = async (latitude, longitude, { timeout = DEVICE_GEOCODE_TIMEOUT, device = true } = {}) => {
+  const lookups = [lookupOfflineAddress(latitude, longitude)];
+  if (device) {
+    lookups.push(lookupDeviceAddress(latitude, longitude, timeout));
+  }
+  const found = await withTimeout(firstFound(lookups), timeout).catch(() => null);
+  return found || {
+    address: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+    source: ADDRESS_SOURCES.COORDINATES,
+  };
+};
+
+/**
+ * Get formatted address from coordinates
+ * Returns formatted address string
+ */
+export const getAddressFromCoordinates = async (latitude, longitude) => {
+  const { address } = await lookupAddress(latitude, longitude);
+  return address;
+};
+
 /**
  * Create Google Maps link from coordinates
  * Returns Google Maps URL string
@@ -398,154 +402,48 @@ export const assessLocationRisk = async (latitude, longitude) => {
 };
 
 /**
- * Load safe places from JSON file
- * Returns array of safe places
+ * Safe places from installed region packs and the user's own places live
+ * in safePlaces.js; loadSafePlaces is still available from here
  */
-export const loadSafePlaces = async () => {
-  try {
-    // In a real app, this would be loaded from a server or local file
-    // For now, we'll return the hardcoded data
-    const safePlaces = [
-      {
-        id: "1",
-        name: "Central Police Station",
-        type: "police",
-        latitude: 40.7128,
-        longitude: -74.0060,
-        address: "123 Main St, New York, NY 10001",
-        phone: "+1-555-0123",
-        hours: "24/7",
-        description: "Main police station with emergency services"
-      },
-      {
-        id: "2",
-        name: "City General Hospital",
-        type: "hospital",
-        latitude: 40.7589,
-        longitude: -73.9851,
-        address: "456 Health Ave, New York, NY 10002",
-        phone: "+1-555-0124",
-        hours: "24/7",
-        description: "Full-service hospital with emergency room"
-      },
-      {
-        id: "3",
-        name: "Downtown Shopping Mall",
-        type: "mall",
-        latitude: 40.7505,
-        longitude: -73.9934,
-        address: "789 Commerce Blvd, New York, NY 10003",
-        phone: "+1-555-0125",
-        hours: "9:00 AM - 10:00 PM",
-        description: "Large shopping center with security"
-      },
-      {
-        id: "4",
-        name: "Westside Police Precinct",
-        type: "police",
-        latitude: 40.7614,
-        longitude: -73.9776,
-        address: "321 Safety St, New York, NY 10004",
-        phone: "+1-555-0126",
-        hours: "24/7",
-        description: "Local police precinct"
-      },
-      {
-        id: "5",
-        name: "Metro Medical Center",
-        type: "hospital",
-        latitude: 40.7282,
-        longitude: -73.9942,
-        address: "654 Care Lane, New York, NY 10005",
-        phone: "+1-555-0127",
-        hours: "24/7",
-        description: "Medical center with emergency services"
-      },
-      {
-        id: "6",
-        name: "Central Plaza Mall",
-        type: "mall",
-        latitude: 40.7505,
-        longitude: -73.9934,
-        address: "987 Plaza Way, New York, NY 10006",
-        phone: "+1-555-0128",
-        hours: "8:00 AM - 11:00 PM",
-        description: "Shopping plaza with food court"
-      },
-      {
-        id: "7",
-        name: "Emergency Services Hub",
-        type: "police",
-        latitude: 40.6892,
-        longitude: -74.0445,
-        address: "147 Emergency Ave, New York, NY 10007",
-        phone: "+1-555-0129",
-        hours: "24/7",
-        description: "Emergency response center"
-      },
-      {
-        id: "8",
-        name: "Community Health Clinic",
-        type: "hospital",
-        latitude: 40.7831,
-        longitude: -73.9712,
-        address: "258 Wellness Dr, New York, NY 10008",
-        phone: "+1-555-0130",
-        hours: "7:00 AM - 9:00 PM",
-        description: "Community health center"
-      },
-      {
-        id: "9",
-        name: "Safe Haven Mall",
-        type: "mall",
-        latitude: 40.7614,
-        longitude: -73.9776,
-        address: "369 Security Blvd, New York, NY 10009",
-        phone: "+1-555-0131",
-        hours: "10:00 AM - 9:00 PM",
-        description: "Mall with security and safe zones"
-      },
-      {
-        id: "10",
-        name: "Rapid Response Station",
-        type: "police",
-        latitude: 40.7282,
-        longitude: -73.9942,
-        address: "741 Quick St, New York, NY 10010",
-        phone: "+1-555-0132",
-        hours: "24/7",
-        description: "Quick response police station"
-      }
-    ];
-    
-    return safePlaces;
-  } catch (error) {
-    console.error('Error loading safe places:', error);
-    return [];
-  }
+export { loadSafePlaces } from './safePlaces';
+
+/**
+ * Build the index filter for the opening options of a safe place query
+ * options: { openNow, openForMinutes, at }; at defaults to now. Places whose
+ * hours are unknown are kept, since most of them, like police stations,
+ * never close
+ */
+const getOpeningFilter = ({ openNow = false, openForMinutes = 0, at = new Date() } = {}) => {
+  if (!openNow && !openForMinutes) return null;
+  return place => isOpenFor(place.schedule, openForMinutes, at) !== false;
+};
+
+const combineFilters = (...filters) => {
+  const active = filters.filter(Boolean);
+  if (active.length === 0) return null;
+  return place => active.every(filter => filter(place));
+};
+
+// Add the distance and whether the place is open at the time of the query
+const toResult = at => ({ item, distance }) => {
+  const { isOpen, changesAt } = getOpeningStatus(item.schedule, at);
+  return { ...item, distance, isOpen, changesAt };
 };
 
 /**
  * Find nearest safe places to a given location
- * Returns array of safe places sorted by distance
+ * options: { openNow, openForMinutes, at } keep only places open then
+ * Returns array of safe places sorted by distance, each with distance,
+ * isOpen (null if the hours are unknown) and changesAt, when it next
+ * opens or closes
  */
-export const findNearestSafePlaces = async (latitude, longitude, maxDistance = 5000, limit = 10) => {
+export const findNearestSafePlaces = async (latitude, longitude, maxDistance = 5000, limit = 10, options = {}) => {
   try {
-    const safePlaces = await loadSafePlaces();
-    
-    // Calculate distance for each safe place
-    const placesWithDistance = safePlaces.map(place => ({
-      ...place,
-      distance: calculateDistance(latitude, longitude, place.latitude, place.longitude)
-    }));
-    
-    // Filter by max distance and sort by distance
-    const nearestPlaces = placesWithDistance
-      .filter(place => place.distance <= maxDistance)
-      .sort((a, b) => a.distance - b.distance)
-      .slice(0, limit);
-    
-    return nearestPlaces;
+    const { index } = await getIndexedSafePlaces();
+    const at = options.at || new Date();
+    return index
+      .nearest(latitude, longitude, { limit, maxDistance, filter: getOpeningFilter({ ...options, at }) })
+      .map(toResult(at));
   } catch (error) {
     console.error('Error finding nearest safe places:', error);
     return [];
@@ -554,23 +452,18 @@ export const findNearestSafePlaces = async (latitude, longitude, maxDistance = 5
 
 /**
  * Find nearest safe place of a specific type
+ * options as for findNearestSafePlaces
  * Returns the closest safe place of the specified type
  */
-export const findNearestSafePlaceByType = async (latitude, longitude, type, maxDistance = 5000) => {
+export const findNearestSafePlaceByType = async (latitude, longitude, type, maxDistance = 5000, options = {}) => {
   try {
-    const safePlaces = await loadSafePlaces();
-    
-    // Filter by type and calculate distances
-    const placesOfType = safePlaces
-      .filter(place => place.type === type)
-      .map(place => ({
-        ...place,
-        distance: calculateDistance(latitude, longitude, place.latitude, place.longitude)
-      }))
-      .filter(place => place.distance <= maxDistance)
-      .sort((a, b) => a.distance - b.distance);
-    
-    return placesOfType.length > 0 ? placesOfType[0] : null;
+    const { index } = await getIndexedSafePlaces();
+    const at = options.at || new Date();
+    const [nearest] = index.nearest(latitude, longitude, {
+      maxDistance,
+      filter: combineFilters(place => place.type === type, getOpeningFilter({ ...options, at })),
+    });
+    return nearest ? toResult(at)(nearest) : null;
   } catch (error) {
     console.error('Error finding nearest safe place by type:', error);
     return null;
@@ -579,21 +472,16 @@ export const findNearestSafePlaceByType = async (latitude, longitude, type, maxD
 
 /**
  * Get safe places within a radius
+ * options as for findNearestSafePlaces
  * Returns array of safe places within the specified radius
  */
-export const getSafePlacesInRadius = async (latitude, longitude, radius = 1000) => {
+export const getSafePlacesInRadius = async (latitude, longitude, radius = 1000, options = {}) => {
   try {
-    const safePlaces = await loadSafePlaces();
-    
-    const placesInRadius = safePlaces
-      .map(place => ({
-        ...place,
-        distance: calculateDistance(latitude, longitude, place.latitude, place.longitude)
-      }))
-      .filter(place => place.distance <= radius)
-      .sort((a, b) => a.distance - b.distance);
-    
-    return placesInRadius;
+    const { index } = await getIndexedSafePlaces();
+    const at = options.at || new Date();
+    return index
+      .within(latitude, longitude, radius, { filter: getOpeningFilter({ ...options, at }) })
+      .map(toResult(at));
   } catch (error) {
     console.error('Error getting safe places in radius:', error);
     return [];
@@ -612,6 +500,8 @@ export const getSafePlaceIcon = (type) => {
       return '🏥';
     case 'mall':
       return '🏬';
+    case 'fire_station':
+      return '🚒';
     default:
       return '📍';
   }
@@ -629,6 +519,8 @@ export const getSafePlaceColor = (type) => {
       return '#FF4444'; // Red
     case 'mall':
       return '#00AA44'; // Green
+    case 'fire_station':
+      return '#FF8800'; // Orange
     default:
       return '#666666'; // Gray
   }
@@ -0,0 +1,243 @@
+/**
+ * Location trail encoding for SafeHer app
+ * Packs location fixes into compact per-day chunks using polyline-style
+ * variable-length encoding: time, latitude and longitude are stored as deltas
+ * from the previous fix, the remaining fields as small rounded integers
+ * Each fix also keeps its raw position, as an offset from the filtered one,
+ * and whether the filter rejected it (see locationFilter.js). Version 1
+ * chunks, written before those fields existed, decode with the raw position
+ * equal to the filtered one and nothing rejected, and are re-encoded as
+ * version 2 the next time a fix is appended to them
+ *
+ * Chunk shape:
+ * { version, day, count, start, end, last: { t, lat, lon }, data }
+ */
+
+const CHUNK_VERSION = 2;
+
+// Fixes per segment. A day is stored as segments of at most this many
+// fixes, so appending a fix rewrites one small segment, not the whole day
+export const SEGMENT_FIXES = 240;
+
+const FLAG_REJECTED = 1;
+
+// Fixed-point scales for each encoded field
+const SCALE = {
+  coordinate: 1e6, // ~0.1 m
+  accuracy: 1, // meters
+  speed: 100, // cm/s
+  heading: 1, // degrees
+  altitude: 10, // decimeters
+};
+
+/**
+ * Get the UTC day a timestamp belongs to, e.g. '2024-01-31'
+ */
+export const getDayKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const toMillis = (timestamp) => (typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime());
+
+const zigzag = value => (value >= 0 ? value * 2 : -value * 2 - 1);
+const unzigzag = value => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+/**
+ * Append an unsigned integer as 5-bit groups, like the polyline algorithm
+ * Uses arithmetic instead of bit shifts so large values don't overflow
+ */
+const writeUnsigned = (value, output) => {
+  let remaining = value;
+  while (remaining >= 32) {
+    output.push(String.fromCharCode((32 | (remaining % 32)) + 63));
+    remaining = Math.floor(remaining / 32);
+  }
+  output.push(String.fromCharCode(remaining + 63));
+};
+
+const readUnsigned = (data, cursor) => {
+  let result = 0;
+  let factor = 1;
+  let byte;
+  do {
+    byte = data.charCodeAt(cursor.index++) - 63;
+    result += (byte % 32) * factor;
+    factor *= 32;
+  } while (byte >= 32);
+  return result;
+};
+
+// Optional fields reserve 0 for "no value"
+const writeOptional = (value, scale, output) => {
+  const present = value !== null && value !== undefined && isFinite(value);
+  writeUnsigned(present ? zigzag(Math.round(value * scale)) + 1 : 0, output);
+};
+
+const readOptional = (data, cursor, scale) => {
+  const code = readUnsigned(data, cursor);
+  return code === 0 ? null : unzigzag(code - 1) / scale;
+};
+
+// Raw coordinates are stored relative to the filtered ones; 0 means the same
+const writeRawOffset = (raw, scaled, output) => {
+  const present = typeof raw === 'number' && isFinite(raw);
+  writeOptional(present ? Math.round(raw * SCALE.coordinate) - scaled : null, 1, output);
+};
+
+const readRawOffset = (data, cursor, scaled) => {
+  const offset = readOptional(data, cursor, 1);
+  return (scaled + (offset || 0)) / SCALE.coordinate;
+};
+
+/**
+ * Create an empty chunk for a day
+ */
+export const createChunk = (day) => ({
+  version: CHUNK_VERSION,
+  day,
+  count: 0,
+  start: null,
+  end: null,
+  last: null,
+  data: '',
+});
+
+/**
+ * Append one location fix to a chunk without decoding the existing data
+ * Returns a new chunk
+ */
+export const appendToChunk = (chunk, location) => {
+  // Older chunks are re-encoded so one chunk never mixes versions
+  if (chunk.version !== CHUNK_VERSION) {
+    return appendToChunk(encodeChunk(chunk.day, decodeChunk(chunk)), location);
+  }
+
+  const t = toMillis(location.timestamp);
+  const lat = Math.round(location.latitude * SCALE.coordinate);
+  const lon = Math.round(location.longitude * SCALE.coordinate);
+  const previous = chunk.last || { t: new Date(`${chunk.day}T00:00:00.000Z`).getTime(), lat: 0, lon: 0 };
+
+  const output = [];
+  writeUnsigned(zigzag(t - previous.t), output);
+  writeUnsigned(zigzag(lat - previous.lat), output);
+  writeUnsigned(zigzag(lon - previous.lon), output);
+  writeOptional(location.accuracy, SCALE.accuracy, output);
+  writeOptional(location.speed, SCALE.speed, output);
+  writeOptional(location.heading, SCALE.heading, output);
+  writeOptional(location.altitude, SCALE.altitude, output);
+  writeRawOffset(location.rawLatitude, lat, output);
+  writeRawOffset(location.rawLongitude, lon, output);
+  writeUnsigned(location.rejected ? FLAG_REJECTED : 0, output);
+
+  return {
+    ...chunk,
+    count: chunk.count + 1,
+    start: chunk.start === null ? t : Math.min(chunk.start, t),
+    end: chunk.end === null ? t : Math.max(chunk.end, t),
+    last: { t, lat, lon },
+    data: chunk.data + output.join(''),
+  };
+};
+
+/**
+ * Encode a list of fixes for one day into a chunk
+ */
+export const encodeChunk = (day, locations) => {
+  return [...locations]
+    .sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp))
+    .reduce(appendToChunk, createChunk(day));
+};
+
+/**
+ * Decode every fix in a chunk, oldest first
+ */
+export const decodeChunk = (chunk) => {
+  const points = [];
+  if (!chunk || !chunk.data) {
+    return points;
+  }
+
+  const cursor = { index: 0 };
+  let t = new Date(`${chunk.day}T00:00:00.000Z`).getTime();
+  let lat = 0;
+  let lon = 0;
+
+  while (cursor.index < chunk.data.length) {
+    t += unzigzag(readUnsigned(chunk.data, cursor));
+    lat += unzigzag(readUnsigned(chunk.data, cursor));
+    lon += unzigzag(readUnsigned(chunk.data, cursor));
+
+    const point = {
+      id: `${t}`,
+      latitude: lat / SCALE.coordinate,
+      longitude: lon / SCALE.coordinate,
+      accuracy: readOptional(chunk.data, cursor, SCALE.accuracy),
+      speed: readOptional(chunk.data, cursor, SCALE.speed),
+      heading: readOptional(chunk.data, cursor, SCALE.heading),
+      altitude: readOptional(chunk.data, cursor, SCALE.altitude),
+      rawLatitude: lat / SCALE.coordinate,
+      rawLongitude: lon / SCALE.coordinate,
+      rejected: false,
+      timestamp: t,
+    };
+    if (chunk.version >= 2) {
+      point.rawLatitude = readRawOffset(chunk.data, cursor, lat);
+      point.rawLongitude = readRawOffset(chunk.data, cursor, lon);
+      point.rejected = (readUnsigned(chunk.data, cursor) & FLAG_REJECTED) !== 0;
+    }
+    points.push(point);
+  }
+
+  return points;
+};
+
+/**
+ * Encode a day's fixes into segments of at most SEGMENT_FIXES, oldest first
+ * Returns an array of chunks
+ */
+export const encodeSegments = (day, locations) => {
+  const sorted = [...locations].sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+  const segments = [];
+  for (let i = 0; i < sorted.length; i += SEGMENT_FIXES) {
+    segments.push(encodeChunk(day, sorted.slice(i, i + SEGMENT_FIXES)));
+  }
+  return segments;
+};
+
+/**
+ * Group fixes by day and encode each day into segments
+ * Returns an object of day -> array of chunks
+ */
+export const encodeTrail = (locations) => {
+  const byDay = {};
+  locations.forEach((location) => {
+    const day = getDayKey(toMillis(location.timestamp));
+    if (!byDay[day]) byDay[day] = [];
+    byDay[day].push(location);
+  });
+
+  const chunks = {};
+  Object.entries(byDay).forEach(([day, dayLocations]) => {
+    chunks[day] = encodeSegments(day, dayLocations);
+  });
+  return chunks;
+};
+
+/**
+ * Summary of a chunk kept in the trail index, so queries can skip whole days
+ */
+export const summarizeChunk = (chunk) => ({
+  count: chunk.count,
+  start: chunk.start,
+  end: chunk.end,
+  bytes: chunk.data.length,
+});
+
+/**
+ * Summary of a day stored as segments; segments is how many there are
+ */
+export const summarizeSegments = segments => segments.reduce((summary, chunk) => ({
+  count: summary.count + chunk.count,
+  start: summary.start === null ? chunk.start : Math.min(summary.start, chunk.start),
+  end: summary.end === null ? chunk.end : Math.max(summary.end, chunk.end),
+  bytes: summary.bytes + chunk.data.length,
+  segments: summary.segments + 1,
+}), { count: 0, start: null, end: null, bytes: 0, segments: 0 });
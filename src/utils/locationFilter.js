@@ -0,0 +1,137 @@
+/**
+ * Location filtering utilities for SafeHer app
+ * Cleans raw GPS fixes before they are stored or passed on: fixes that are
+ * too inaccurate or that would need an impossible speed to reach are
+ * rejected, and the rest are smoothed with a simple Kalman filter
+ *
+ * Filtered fix shape: the raw fix with latitude and longitude smoothed, plus
+ * { rawLatitude, rawLongitude, rejected }. Rejected fixes keep their raw
+ * position and are stored, but not passed to callbacks or analysis
+ */
+
+// Fixes reporting worse accuracy than this can't be placed on the trail
+export const MAX_ACCURACY_METERS = 100;
+
+// About 250 km/h; anything faster between two fixes is a GPS jump
+export const MAX_PLAUSIBLE_SPEED = 70;
+
+// Accuracy assumed for fixes that don't report one
+const DEFAULT_ACCURACY_METERS = 30;
+
+// Below this the filter would trust a fix almost completely
+const MIN_ACCURACY_METERS = 3;
+
+// How far the true position may drift per second between fixes, in meters;
+// faster reported speeds widen it so the trail keeps up in a vehicle
+const PROCESS_NOISE_METERS_PER_SECOND = 3;
+
+// After this long without a fix the old position says nothing about the new one
+const MAX_GAP_MS = 10 * 60 * 1000;
+
+// This many rejected fixes in a row mean the filter is stuck, not the GPS
+const MAX_REJECTED_STREAK = 3;
+
+const METERS_PER_DEGREE = 111320;
+
+const toMillis = value => (typeof value === 'number' ? value : new Date(value).getTime());
+
+// Flat-earth distance in meters; close enough at the distances between fixes
+const distanceBetween = (from, to) => {
+  const dLat = (to.latitude - from.latitude) * METERS_PER_DEGREE;
+  const dLon = (to.longitude - from.longitude) * METERS_PER_DEGREE * Math.cos(from.latitude * Math.PI / 180);
+  return Math.sqrt(dLat * dLat + dLon * dLon);
+};
+
+/**
+ * Create a filter that keeps its own state between fixes
+ * Returns { filter(location), reset() }; filter returns the filtered fix
+ */
+export const createLocationFilter = ({
+  maxAccuracy = MAX_ACCURACY_METERS,
+  maxSpeed = MAX_PLAUSIBLE_SPEED,
+} = {}) => {
+  // Smoothed position, its variance in square meters and when it was last updated
+  let state = null;
+  let rejectedStreak = 0;
+
+  const toResult = (location, latitude, longitude, rejected) => ({
+    ...location,
+    latitude,
+    longitude,
+    rawLatitude: location.latitude,
+    rawLongitude: location.longitude,
+    rejected,
+  });
+
+  const startFrom = (location, accuracy, time) => {
+    state = {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      variance: accuracy * accuracy,
+      time,
+    };
+    rejectedStreak = 0;
+    return toResult(location, location.latitude, location.longitude, false);
+  };
+
+  const reject = location => toResult(location, location.latitude, location.longitude, true);
+
+  const filter = (location) => {
+    const time = toMillis(location.timestamp || Date.now());
+    const reported = typeof location.accuracy === 'number' ? location.accuracy : DEFAULT_ACCURACY_METERS;
+    const accuracy = Math.max(reported, MIN_ACCURACY_METERS);
+
+    if (reported > maxAccuracy) {
+      return reject(location);
+    }
+
+    if (!state || time - state.time > MAX_GAP_MS) {
+      return startFrom(location, accuracy, time);
+    }
+
+    // An older fix arriving late is kept as it is rather than moving the filter back
+    if (time <= state.time) {
+      return toResult(location, location.latitude, location.longitude, false);
+    }
+
+    const seconds = (time - state.time) / 1000;
+    const distance = distanceBetween(state, location);
+    const reach = maxSpeed * seconds + accuracy + Math.sqrt(state.variance);
+    if (distance > reach) {
+      rejectedStreak += 1;
+      if (rejectedStreak >= MAX_REJECTED_STREAK) {
+        return startFrom(location, accuracy, time);
+      }
+      return reject(location);
+    }
+
+    const drift = Math.max(PROCESS_NOISE_METERS_PER_SECOND, location.speed || 0);
+    const variance = state.variance + seconds * drift * drift;
+    const gain = variance / (variance + accuracy * accuracy);
+
+    state = {
+      latitude: state.latitude + gain * (location.latitude - state.latitude),
+      longitude: state.longitude + gain * (location.longitude - state.longitude),
+      variance: (1 - gain) * variance,
+      time,
+    };
+    rejectedStreak = 0;
+    return toResult(location, state.latitude, state.longitude, false);
+  };
+
+  const reset = () => {
+    state = null;
+    rejectedStreak = 0;
+  };
+
+  return { filter, reset };
+};
+
+// Every fix recorded to the trail goes through one filter, whichever watch
+// or task produced it
+const trailFilter = createLocationFilter();
+
+/**
+ * Filter a fix on its way to the location trail
+ */
+export const filterLocation = (location) => trailFilter.filter(location);
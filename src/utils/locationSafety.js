@@ -0,0 +1,160 @@
+import { getSafetyReports } from './storage';
+import { calculateDistance, findNearestSafePlaces } from './location';
+import { getSafeZones, isZoneActive } from './safeZones';
+import { SAFE_PLACE_TYPE_NAMES } from './safePlaces';
+
+/**
+ * Location safety utilities for SafeHer app
+ * Judges how safe a spot is from the user's safe zones, how close an open
+ * safe place is, safety reports made nearby and the time of day, and says
+ * why, so screens and automations can explain a flagged area
+ *
+ * Verdict shape:
+ * { level, isSafe, score, reasons, safeZone, nearestOpenPlace, recentReportCount, checkedAt }
+ * level is 'Safe', 'Moderate' or 'Unsafe', as in calculateRiskScore, or
+ * 'Unknown' if the check failed. score adds up the points of each reason,
+ * where { code, message, points } points are positive for risk and
+ * negative for what makes the spot safer
+ */
+
+export const SAFETY_REASONS = {
+  IN_SAFE_ZONE: 'in_safe_zone',
+  NEAR_OPEN_SAFE_PLACE: 'near_open_safe_place',
+  NO_OPEN_SAFE_PLACE: 'no_open_safe_place',
+  RECENT_REPORTS: 'recent_reports',
+  NIGHT: 'night',
+  EVENING: 'evening',
+};
+
+// Reports further away or older than this say nothing about the spot
+const REPORT_RADIUS_METERS = 500;
+const REPORT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// An open safe place this close is somewhere to go right away
+const CLOSE_PLACE_METERS = 250;
+const SAFE_PLACE_SEARCH_METERS = 1000;
+
+const POINTS = {
+  [SAFETY_REASONS.IN_SAFE_ZONE]: -40,
+  CLOSE_PLACE: -15,
+  NEARBY_PLACE: -5,
+  [SAFETY_REASONS.NO_OPEN_SAFE_PLACE]: 15,
+  REPORT: 10,
+  MAX_REPORTS: 30,
+  [SAFETY_REASONS.NIGHT]: 30,
+  [SAFETY_REASONS.EVENING]: 10,
+};
+
+const UNSAFE_SCORE = 50;
+const MODERATE_SCORE = 25;
+
+// Reports keep their position either at the top level or under location
+const getReportPosition = (report) => {
+  const position = report.location || report;
+  return Number.isFinite(position.latitude) && Number.isFinite(position.longitude) ? position : null;
+};
+
+const findActiveZone = async (latitude, longitude, at) => {
+  const zones = await getSafeZones();
+  return zones.find(zone => isZoneActive(zone, at) &&
+    calculateDistance(latitude, longitude, zone.latitude, zone.longitude) <= zone.radius) || null;
+};
+
+const countRecentReports = async (latitude, longitude, at) => {
+  const reports = await getSafetyReports();
+  return reports.filter((report) => {
+    const position = getReportPosition(report);
+    const age = at.getTime() - new Date(report.timestamp).getTime();
+    return position &&
+      age >= 0 && age <= REPORT_MAX_AGE_MS &&
+      calculateDistance(latitude, longitude, position.latitude, position.longitude) <= REPORT_RADIUS_METERS;
+  }).length;
+};
+
+const getTimeReason = (at) => {
+  const hour = at.getHours();
+  if (hour >= 22 || hour <= 5) {
+    return { code: SAFETY_REASONS.NIGHT, message: 'It is late at night', points: POINTS[SAFETY_REASONS.NIGHT] };
+  }
+  if (hour >= 18 || hour <= 7) {
+    return { code: SAFETY_REASONS.EVENING, message: 'It is getting dark', points: POINTS[SAFETY_REASONS.EVENING] };
+  }
+  return null;
+};
+
+const getPlaceReason = (place) => {
+  if (!place) {
+    return {
+      code: SAFETY_REASONS.NO_OPEN_SAFE_PLACE,
+      message: `No open safe place within ${SAFE_PLACE_SEARCH_METERS / 1000} km`,
+      points: POINTS[SAFETY_REASONS.NO_OPEN_SAFE_PLACE],
+    };
+  }
+  const kind = SAFE_PLACE_TYPE_NAMES[place.type] || 'Safe place';
+  return {
+    code: SAFETY_REASONS.NEAR_OPEN_SAFE_PLACE,
+    message: `${kind} ${place.name} is ${Math.round(place.distance)} m away and open`,
+    points: place.distance <= CLOSE_PLACE_METERS ? POINTS.CLOSE_PLACE : POINTS.NEARBY_PLACE,
+  };
+};
+
+const toLevel = (score) => {
+  if (score >= UNSAFE_SCORE) return 'Unsafe';
+  if (score >= MODERATE_SCORE) return 'Moderate';
+  return 'Safe';
+};
+
+/**
+ * Check how safe a location is
+ * options: { at } to judge another time than now
+ * Returns a verdict (see above); reasons are listed riskiest first
+ */
+export const isLocationSafe = async (latitude, longitude, { at = new Date() } = {}) => {
+  try {
+    const [safeZone, [nearestOpenPlace], recentReportCount] = await Promise.all([
+      findActiveZone(latitude, longitude, at),
+      findNearestSafePlaces(latitude, longitude, SAFE_PLACE_SEARCH_METERS, 1, { openNow: true, at }),
+      countRecentReports(latitude, longitude, at),
+    ]);
+
+    const reasons = [
+      safeZone && {
+        code: SAFETY_REASONS.IN_SAFE_ZONE,
+        message: `You are in your safe zone ${safeZone.name}`,
+        points: POINTS[SAFETY_REASONS.IN_SAFE_ZONE],
+      },
+      getPlaceReason(nearestOpenPlace || null),
+      recentReportCount > 0 && {
+        code: SAFETY_REASONS.RECENT_REPORTS,
+        message: `${recentReportCount} safety ${recentReportCount === 1 ? 'report' : 'reports'} within ${REPORT_RADIUS_METERS} m in the last 30 days`,
+        points: Math.min(recentReportCount * POINTS.REPORT, POINTS.MAX_REPORTS),
+      },
+      getTimeReason(at),
+    ].filter(Boolean).sort((a, b) => b.points - a.points);
+
+    const score = Math.max(0, reasons.reduce((sum, reason) => sum + reason.points, 0));
+    const level = toLevel(score);
+    return {
+      level,
+      isSafe: level === 'Safe',
+      score,
+      reasons,
+      safeZone: safeZone ? { id: safeZone.id, name: safeZone.name } : null,
+      nearestOpenPlace: nearestOpenPlace || null,
+      recentReportCount,
+      checkedAt: at.toISOString(),
+    };
+  } catch (error) {
+    console.error('Error checking location safety:', error);
+    return {
+      level: 'Unknown',
+      isSafe: false,
+      score: 0,
+      reasons: [],
+      safeZone: null,
+      nearestOpenPlace: null,
+      recentReportCount: 0,
+      checkedAt: at.toISOString(),
+    };
+  }
+};
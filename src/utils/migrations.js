@@ -0,0 +1,201 @@
+import {
+  STORAGE_KEYS,
+  DEVICE_KEYS,
+  DEFAULT_SETTINGS,
+  getData,
+  storeData,
+  storeMultipleData,
+  removeData,
+  buildLocationEntries,
+} from './storage';
+import { AUDIT_SOURCES } from './auditLog';
+import { normalizePhoneNumber, getProfileRegion } from './phoneNumbers';
+
+/**
+ * Schema migrations for SafeHer app
+ * Keeps data written by older app versions readable by newer ones
+ * Every step runs in memory first, so a failed step never touches stored data
+ */
+
+/**
+ * Ordered list of migration steps
+ * Each step receives a snapshot of all stored collections keyed by storage key
+ * and returns the updated snapshot. Append new steps, never reorder or edit old ones.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Baseline schema: stamp contacts and fill in missing settings',
+    migrate: (data) => {
+      const contacts = data[STORAGE_KEYS.TRUSTED_CONTACTS];
+      if (Array.isArray(contacts)) {
+        data[STORAGE_KEYS.TRUSTED_CONTACTS] = contacts.map((contact, index) => ({
+          ...contact,
+          id: contact.id || `${Date.now()}_${index}`,
+          isEmergency: Boolean(contact.isEmergency),
+          addedDate: contact.addedDate || new Date().toISOString(),
+        }));
+      }
+
+      const settings = data[STORAGE_KEYS.USER_SETTINGS];
+      if (settings) {
+        data[STORAGE_KEYS.USER_SETTINGS] = { ...DEFAULT_SETTINGS, ...settings };
+      }
+
+      return data;
+    },
+  },
+  {
+    version: 2,
+    description: 'Move location history into encoded day chunks',
+    migrate: (data) => {
+      const history = data[STORAGE_KEYS.LOCATION_HISTORY];
+      if (Array.isArray(history)) {
+        const valid = history.filter(location =>
+          location &&
+          typeof location.latitude === 'number' &&
+          typeof location.longitude === 'number' &&
+          !isNaN(new Date(location.timestamp).getTime())
+        );
+        Object.assign(data, buildLocationEntries(valid));
+        data[STORAGE_KEYS.LOCATION_HISTORY] = null;
+      }
+      return data;
+    },
+  },
+  {
+    version: 3,
+    description: 'Normalize contact phone numbers to E.164',
+    migrate: (data) => {
+      const contacts = data[STORAGE_KEYS.TRUSTED_CONTACTS];
+      if (Array.isArray(contacts)) {
+        const region = getProfileRegion(data[STORAGE_KEYS.USER_PROFILE]);
+        data[STORAGE_KEYS.TRUSTED_CONTACTS] = contacts.map(contact => ({
+          ...contact,
+          phone: typeof contact.phone === 'string'
+            ? normalizePhoneNumber(contact.phone, region) || contact.phone
+            : contact.phone,
+        }));
+      }
+      return data;
+    },
+  },
+  {
+    version: 4,
+    description: 'Record when recycle bin entries were deleted as deletedAt',
+    migrate: (data) => {
+      const entries = data[STORAGE_KEYS.RECYCLE_BIN];
+      if (Array.isArray(entries)) {
+        data[STORAGE_KEYS.RECYCLE_BIN] = entries.map(({ timestamp, ...entry }) => ({
+          ...entry,
+          deletedAt: entry.deletedAt || timestamp,
+        }));
+      }
+      return data;
+    },
+  },
+];
+
+// Latest schema version this build of the app understands
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Keys that migrations are allowed to read and rewrite
+const MIGRATED_KEYS = Object.values(STORAGE_KEYS).filter(
+  key => key !== STORAGE_KEYS.SCHEMA_VERSION &&
+    key !== STORAGE_KEYS.MIGRATION_ERROR &&
+    key !== STORAGE_KEYS.AUDIT_LOG &&
+    !DEVICE_KEYS.includes(key)
+);
+
+/**
+ * Get the schema version of the data currently on the device
+ * Data written before versioning existed is treated as version 0
+ */
+export const getSchemaVersion = async () => {
+  const version = await getData(STORAGE_KEYS.SCHEMA_VERSION);
+  return typeof version === 'number' ? version : 0;
+};
+
+/**
+ * Apply pending migration steps to an in-memory snapshot
+ * Returns the migrated snapshot, throws if any step fails
+ */
+export const applyMigrations = (snapshot, fromVersion) => {
+  let data = { ...snapshot };
+
+  MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .forEach(step => {
+      try {
+        data = step.migrate(data) || data;
+      } catch (error) {
+        error.migrationVersion = step.version;
+        throw error;
+      }
+    });
+
+  return data;
+};
+
+/**
+ * Run all pending migrations against the active profile's data
+ * Called on app startup and after switching profiles, before any screen reads storage
+ * Returns { success, fromVersion, toVersion, error }
+ */
+export const runMigrations = async () => {
+  const fromVersion = await getSchemaVersion();
+
+  if (fromVersion === CURRENT_SCHEMA_VERSION) {
+    return { success: true, fromVersion, toVersion: fromVersion };
+  }
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    // Data comes from a newer app version, leave it untouched
+    console.warn(`Stored schema v${fromVersion} is newer than supported v${CURRENT_SCHEMA_VERSION}`);
+    return { success: false, fromVersion, toVersion: fromVersion, error: 'newer_schema' };
+  }
+
+  try {
+    const snapshot = {};
+    for (const key of MIGRATED_KEYS) {
+      snapshot[key] = await getData(key);
+    }
+
+    const migrated = applyMigrations(snapshot, fromVersion);
+
+    // Only write collections that exist, so migrations don't create empty keys
+    // Steps may also add new keys, or set a key to null once its data has moved
+    const entries = {};
+    Object.keys(migrated).forEach(key => {
+      if (migrated[key] !== null && migrated[key] !== undefined) {
+        entries[key] = migrated[key];
+      }
+    });
+    entries[STORAGE_KEYS.SCHEMA_VERSION] = CURRENT_SCHEMA_VERSION;
+
+    const stored = await storeMultipleData(entries, AUDIT_SOURCES.MIGRATION);
+    if (!stored) {
+      throw new Error('Failed to write migrated data');
+    }
+
+    const movedKeys = Object.keys(snapshot).filter(
+      key => snapshot[key] !== null && (migrated[key] === null || migrated[key] === undefined)
+    );
+    for (const key of movedKeys) {
+      await removeData(key, AUDIT_SOURCES.MIGRATION);
+    }
+
+    console.log(`Storage migrated from v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`);
+    return { success: true, fromVersion, toVersion: CURRENT_SCHEMA_VERSION };
+  } catch (error) {
+    // Fall back to the existing data as-is; the app keeps working on the old shape
+    console.error(`Error running migration v${error.migrationVersion || '?'}:`, error);
+    await storeData(STORAGE_KEYS.MIGRATION_ERROR, {
+      fromVersion,
+      failedVersion: error.migrationVersion || null,
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+    return { success: false, fromVersion, toVersion: fromVersion, error: error.message };
+  }
+};
@@ -0,0 +1,169 @@
+import { PACK_LAYERS, loadPacksForLocation } from './regionPacks';
+
+/**
+ * Offline reverse geocoding for SafeHer app
+ * Names the nearest street, neighbourhood and town from installed region
+ * packs (see regionPacks.js), for when the device geocoder can't reach
+ * the network
+ */
+
+// A street further away than this doesn't describe where the user is
+const MAX_STREET_DISTANCE_METERS = 100;
+
+// How far away a place of each kind can still be named
+const PLACE_RANGES = {
+  neighbourhood: 1500,
+  suburb: 3000,
+  village: 3000,
+  town: 8000,
+  city: 20000,
+};
+
+const LOCAL_PLACE_KINDS = ['neighbourhood', 'suburb'];
+const TOWN_PLACE_KINDS = ['village', 'town', 'city'];
+
+const METERS_PER_DEGREE = 111320;
+
+// Street lines with their bounding boxes, prepared once per loaded pack
+const preparedPacks = new WeakMap();
+
+const getLines = (geometry) => {
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+};
+
+const preparePack = (pack) => {
+  if (preparedPacks.has(pack)) {
+    return preparedPacks.get(pack);
+  }
+
+  const streets = [];
+  const places = [];
+  pack.features.forEach((feature) => {
+    const { layer, name, kind } = feature.properties;
+    if (!name) return;
+
+    if (layer === PACK_LAYERS.STREETS) {
+      const lines = getLines(feature.geometry);
+      const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+      lines.forEach(line => line.forEach(([lon, lat]) => {
+        bbox[0] = Math.min(bbox[0], lon);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lon);
+        bbox[3] = Math.max(bbox[3], lat);
+      }));
+      streets.push({ name, lines, bbox });
+    } else if (layer === PACK_LAYERS.PLACES && feature.geometry.type === 'Point' && PLACE_RANGES[kind]) {
+      const [longitude, latitude] = feature.geometry.coordinates;
+      places.push({ name, kind, latitude, longitude });
+    }
+  });
+
+  const prepared = { streets, places };
+  preparedPacks.set(pack, prepared);
+  return prepared;
+};
+
+/**
+ * Project [longitude, latitude] to meters on a flat plane around a latitude
+ * Accurate enough over the few hundred meters a street match covers
+ */
+const toPlane = (position, originLatitude) => [
+  position[0] * METERS_PER_DEGREE * Math.cos(originLatitude * Math.PI / 180),
+  position[1] * METERS_PER_DEGREE,
+];
+
+const distanceToSegment = (point, start, end) => {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared));
+  const x = start[0] + t * dx - point[0];
+  const y = start[1] + t * dy - point[1];
+  return Math.sqrt(x * x + y * y);
+};
+
+const findNearestStreet = (streets, latitude, longitude) => {
+  const point = toPlane([longitude, latitude], latitude);
+  const margin = MAX_STREET_DISTANCE_METERS / METERS_PER_DEGREE;
+  const lonMargin = margin / Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+  let nearest = null;
+
+  streets.forEach((street) => {
+    const [west, south, east, north] = street.bbox;
+    if (latitude < south - margin || latitude > north + margin ||
+      longitude < west - lonMargin || longitude > east + lonMargin) {
+      return;
+    }
+
+    street.lines.forEach((line) => {
+      for (let i = 1; i < line.length; i++) {
+        const distance = distanceToSegment(point, toPlane(line[i - 1], latitude), toPlane(line[i], latitude));
+        if (distance <= MAX_STREET_DISTANCE_METERS && (!nearest || distance < nearest.distance)) {
+          nearest = { name: street.name, distance };
+        }
+      }
+    });
+  });
+
+  return nearest;
+};
+
+const findNearestPlace = (places, kinds, latitude, longitude) => {
+  const point = toPlane([longitude, latitude], latitude);
+  let nearest = null;
+
+  places.forEach((place) => {
+    if (!kinds.includes(place.kind)) return;
+    const [x, y] = toPlane([place.longitude, place.latitude], latitude);
+    const distance = Math.sqrt((x - point[0]) ** 2 + (y - point[1]) ** 2);
+    if (distance <= PLACE_RANGES[place.kind] && (!nearest || distance < nearest.distance)) {
+      nearest = { name: place.name, kind: place.kind, distance };
+    }
+  });
+
+  return nearest;
+};
+
+const closest = matches => matches
+  .filter(Boolean)
+  .reduce((best, match) => (!best || match.distance < best.distance ? match : best), null);
+
+/**
+ * Describe a location using installed region packs
+ * Returns { street, neighbourhood, town, formatted } or null if no pack
+ * covers the location or nothing in range has a name
+ */
+export const reverseGeocodeOffline = async (latitude, longitude) => {
+  try {
+    const packs = (await loadPacksForLocation(latitude, longitude)).map(preparePack);
+    if (packs.length === 0) {
+      return null;
+    }
+
+    const street = closest(packs.map(pack => findNearestStreet(pack.streets, latitude, longitude)));
+    const neighbourhood = closest(packs.map(pack => findNearestPlace(pack.places, LOCAL_PLACE_KINDS, latitude, longitude)));
+    const town = closest(packs.map(pack => findNearestPlace(pack.places, TOWN_PLACE_KINDS, latitude, longitude)));
+
+    const parts = [street, neighbourhood, town]
+      .filter(Boolean)
+      .map(match => match.name)
+      .filter((name, index, names) => names.indexOf(name) === index);
+    if (parts.length === 0) {
+      return null;
+    }
+
+    return {
+      street: street ? street.name : null,
+      neighbourhood: neighbourhood ? neighbourhood.name : null,
+      town: town ? town.name : null,
+      formatted: parts.join(', '),
+    };
+  } catch (error) {
+    console.error('Error reverse geocoding offline:', error);
+    return null;
+  }
+};
@@ -0,0 +1,342 @@
+/**
+ * Opening hours utilities for SafeHer app
+ * Turns the free-text hours of a safe place, like '9:00 AM - 10:00 PM',
+ * '24/7' or 'Mo-Fr 09:00-18:00; Sa 10:00-14:00; Su off', into a schedule
+ * and answers whether a place is open at a given time
+ *
+ * Schedule shape: a list of { days, start, end } windows as in safe zones
+ * (see safeZones.js), e.g. { days: [5, 6], start: '18:00', end: '02:00' },
+ * where days are 0 (Sunday) to 6 and a window that ends before it starts
+ * runs past midnight. Unlike a zone schedule, an empty list means the place
+ * is never open; hours that can't be read parse to null
+ */
+
+const DAY_MINUTES = 24 * 60;
+const WEEK_MINUTES = 7 * DAY_MINUTES;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const DAY_NAMES = [
+  ['sunday', 'sun', 'su'],
+  ['monday', 'mon', 'mo'],
+  ['tuesday', 'tues', 'tue', 'tu'],
+  ['wednesday', 'wed', 'we'],
+  ['thursday', 'thurs', 'thur', 'thu', 'th'],
+  ['friday', 'fri', 'fr'],
+  ['saturday', 'sat', 'sa'],
+];
+
+const DAY_GROUPS = {
+  daily: ALL_DAYS,
+  everyday: ALL_DAYS,
+  weekday: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  ph: [], // Public holidays aren't tracked, so their rules are skipped
+};
+
+const DAY = `(?:${DAY_NAMES.flat().join('|')})s?`;
+const TIME = '(?:noon|midnight|\\d{1,2}(?:[:.]\\d{2})?\\s*(?:[ap]\\.?m\\b\\.?)?)';
+const BARE_HOUR_PATTERN = /^\d{1,2}$/;
+const GROUP = '(?:daily|every\\s*day|weekdays?|weekends?|ph)';
+
+// Time ranges, day ranges, single days, day groups, closed markers and rule
+// separators, in the order they appear
+const TOKEN_PATTERN = new RegExp([
+  `(${TIME})\\s*-\\s*(${TIME})`,
+  `\\b(${DAY})\\s*-\\s*(${DAY})\\b`,
+  `\\b(${DAY})\\b`,
+  `\\b(${GROUP})\\b`,
+  '\\b(off|closed)\\b',
+  '([;\\n])',
+].join('|'), 'g');
+
+// A day only counts as one in a list of days: next to another day, hours or
+// a closed marker. Otherwise 'We are open 9-5' would mean Wednesdays
+const LIST_BEFORE_PATTERN = new RegExp(`(?:\\b(?:${DAY}|${GROUP}|off|closed)|[\\d;])[\\s,&/]*(?:and\\s+)?$`);
+const LIST_AFTER_PATTERN = new RegExp(`^[\\s,:&/]*(?:and\\s+)?(?:(?:${DAY}|${GROUP}|off|closed)\\b|${TIME}\\s*-|$)`);
+const HOURS_AFTER_PATTERN = new RegExp(`^[\\s:]*${TIME}\\s*-`);
+
+const isInDayList = (text, match) => {
+  const end = match.index + match[0].length;
+  return LIST_BEFORE_PATTERN.test(text.slice(0, match.index)) || LIST_AFTER_PATTERN.test(text.slice(end));
+};
+
+const isFollowedByHours = (text, match) => HOURS_AFTER_PATTERN.test(text.slice(match.index + match[0].length));
+
+const ALWAYS_OPEN_PATTERN = /\b(24\s*\/\s*7|24\s*h(?:ours|rs|r)?|around the clock)\b/g;
+
+const toDay = (name) => {
+  const singular = name.replace(/s$/, '');
+  const day = DAY_NAMES.findIndex(names => names.includes(name) || names.includes(singular));
+  return day === -1 ? null : day;
+};
+
+const toDayRange = (from, to) => {
+  const days = [from];
+  for (let day = from; day !== to; day = (day + 1) % 7) {
+    days.push((day + 1) % 7);
+  }
+  return days;
+};
+
+// Minutes after midnight and whether am or pm was given, or null if not a time
+const parseTime = (text) => {
+  if (text === 'noon') return { minutes: 12 * 60, meridiem: null };
+  if (text === 'midnight') return { minutes: 0, meridiem: null };
+
+  const match = text.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(?:([ap])\.?m\.?)?$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3] || null;
+  if (minutes > 59 || hours * 60 + minutes > DAY_MINUTES || (meridiem && (hours < 1 || hours > 12))) return null;
+  return { minutes: hours * 60 + minutes, meridiem };
+};
+
+const applyMeridiem = (minutes, meridiem) => {
+  if (!meridiem) return minutes;
+  const hourMinutes = minutes % (12 * 60); // 12 am is midnight, 12 pm is noon
+  return meridiem === 'p' ? hourMinutes + 12 * 60 : hourMinutes;
+};
+
+/**
+ * Read a time range like '9:00 AM - 10:00 PM', '9-5pm' or '22:00-06:00'
+ * Returns { start, end } in minutes after midnight, or null
+ */
+const parseTimeRange = (startText, endText) => {
+  const start = parseTime(startText.trim());
+  const end = parseTime(endText.trim());
+  if (!start || !end) return null;
+
+  let endMinutes = applyMeridiem(end.minutes, end.meridiem);
+  let startMinutes = applyMeridiem(start.minutes, start.meridiem);
+  if (!start.meridiem && end.meridiem) {
+    // '1-5pm' is 13:00-17:00, but '9-5pm' is 9:00-17:00
+    startMinutes = applyMeridiem(start.minutes, end.meridiem);
+    if (startMinutes > endMinutes) startMinutes = applyMeridiem(start.minutes, 'a');
+  }
+  // Bare hours like '9-5' or '10-2' run into the afternoon, not past midnight
+  if (BARE_HOUR_PATTERN.test(startText.trim()) && BARE_HOUR_PATTERN.test(endText.trim()) &&
+    startMinutes <= 12 * 60 && endMinutes > 0 && endMinutes < startMinutes) {
+    endMinutes += 12 * 60;
+  }
+
+  return {
+    start: startMinutes % DAY_MINUTES,
+    // Closing at midnight is the end of the day, not its start
+    end: endMinutes === 0 || endMinutes === DAY_MINUTES ? DAY_MINUTES : endMinutes,
+  };
+};
+
+const formatMinutes = minutes => [Math.floor(minutes / 60), minutes % 60]
+  .map(part => String(part).padStart(2, '0'))
+  .join(':');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = `${time}`.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Parse free-text opening hours into a schedule
+ * Rules for later days replace earlier ones, as in OpenStreetMap's
+ * opening_hours, and days that no rule mentions are closed. Hours without
+ * any days apply every day the text doesn't say is closed. A closed marker
+ * applies to the days right before it ('Su off') or, if there are none, the
+ * days right after it ('closed Sundays')
+ * Returns the schedule, or null if the text can't be read
+ */
+export const parseOpeningHours = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const normalized = text
+    .toLowerCase()
+    .replace(/[‒-―]/g, '-')
+    .replace(/\s+(?:to|until|till)\s+/g, ' - ')
+    .replace(ALWAYS_OPEN_PATTERN, '00:00-24:00');
+
+  // Ranges for each day of the week, Sunday first
+  const ranges = ALL_DAYS.map(() => []);
+  const closedDays = new Set(); // Days said to be closed, until a rule names them
+  let namedDays = null; // Days listed since the last hours, if any
+  let ruleDays = ALL_DAYS;
+  let ruleStarted = false;
+  let closing = false; // A closed marker is waiting for the days after it
+  let readAny = false;
+
+  const getOpenRuleDays = () => ruleDays.filter(day => !closedDays.has(day));
+
+  const startRuleIfNeeded = () => {
+    if (namedDays) {
+      ruleDays = Array.from(new Set(namedDays));
+      ruleDays.forEach(day => closedDays.delete(day));
+      namedDays = null;
+      ruleStarted = false;
+    }
+    if (!ruleStarted) {
+      getOpenRuleDays().forEach((day) => {
+        ranges[day] = [];
+      });
+      ruleStarted = true;
+    }
+  };
+
+  const nameDays = (days) => {
+    namedDays = [...(namedDays || []), ...days];
+  };
+
+  const closeDays = (days) => {
+    days.forEach((day) => {
+      ranges[day] = [];
+      closedDays.add(day);
+    });
+    readAny = true;
+  };
+
+  // A closed marker with no days on either side closes the whole week
+  const finishClosing = () => {
+    if (!closing) return;
+    closing = false;
+    if (namedDays) {
+      closeDays(namedDays);
+      namedDays = null;
+    } else if (!readAny) {
+      closeDays(ALL_DAYS);
+    }
+  };
+
+  for (const match of normalized.matchAll(TOKEN_PATTERN)) {
+    const [, rangeStart, rangeEnd, fromDay, toDayName, singleDay, group, closed, separator] = match;
+    if (rangeStart) {
+      const range = parseTimeRange(rangeStart, rangeEnd);
+      if (!range) continue;
+      finishClosing();
+      startRuleIfNeeded();
+      getOpenRuleDays().forEach(day => ranges[day].push(range));
+      readAny = true;
+    } else if (fromDay || singleDay) {
+      if (!isInDayList(normalized, match)) continue;
+      // In 'closed Sundays, Mon-Fri 9-5' the closed days end where hours start
+      if (closing && namedDays && isFollowedByHours(normalized, match)) finishClosing();
+      const from = toDay(fromDay || singleDay);
+      const to = fromDay ? toDay(toDayName) : from;
+      if (from !== null && to !== null) nameDays(toDayRange(from, to));
+    } else if (group) {
+      nameDays(DAY_GROUPS[group.replace(/\s+/g, '').replace(/s$/, '')] || []);
+    } else if (closed) {
+      finishClosing();
+      if (namedDays) {
+        closeDays(namedDays);
+        namedDays = null;
+      } else {
+        closing = true;
+      }
+    } else if (separator) {
+      finishClosing();
+    }
+  }
+  finishClosing();
+
+  if (!readAny) return null;
+
+  // Days sharing a range share one window
+  const windows = new Map();
+  ranges.forEach((dayRanges, day) => dayRanges.forEach(({ start, end }) => {
+    const key = `${start}-${end}`;
+    if (!windows.has(key)) {
+      windows.set(key, { days: [], start: formatMinutes(start), end: formatMinutes(end) });
+    }
+    windows.get(key).days.push(day);
+  }));
+  return Array.from(windows.values());
+};
+
+// Merged open intervals in minutes from Sunday midnight, repeated over three
+// weeks so a query in the middle week sees windows that run into or past it
+const weekIntervals = new WeakMap();
+
+const getWeekIntervals = (schedule) => {
+  if (weekIntervals.has(schedule)) {
+    return weekIntervals.get(schedule);
+  }
+
+  const intervals = [];
+  schedule.forEach((window) => {
+    const days = window.days && window.days.length > 0 ? window.days : ALL_DAYS;
+    const start = toMinutes(window.start || '00:00');
+    let end = toMinutes(window.end || '24:00');
+    if (end <= start) end += DAY_MINUTES;
+    days.forEach((day) => {
+      for (let week = 0; week < 3; week++) {
+        const offset = week * WEEK_MINUTES + day * DAY_MINUTES;
+        intervals.push([offset + start, offset + end]);
+      }
+    });
+  });
+
+  intervals.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  intervals.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  weekIntervals.set(schedule, merged);
+  return merged;
+};
+
+/**
+ * Whether a schedule is open at a time and when that next changes
+ * Returns { isOpen, changesAt }: isOpen is null when the hours are unknown,
+ * and changesAt is null when the place never closes or never opens
+ */
+export const getOpeningStatus = (schedule, date = new Date()) => {
+  if (!Array.isArray(schedule)) {
+    return { isOpen: null, changesAt: null };
+  }
+
+  const now = WEEK_MINUTES +
+    date.getDay() * DAY_MINUTES +
+    date.getHours() * 60 +
+    date.getMinutes() +
+    date.getSeconds() / 60;
+  const minutesFromNow = minutes => new Date(date.getTime() + Math.round((minutes - now) * 60000));
+  const intervals = getWeekIntervals(schedule);
+
+  const current = intervals.find(([start, end]) => start <= now && now < end);
+  if (current) {
+    const alwaysOpen = current[1] - current[0] >= WEEK_MINUTES;
+    return { isOpen: true, changesAt: alwaysOpen ? null : minutesFromNow(current[1]) };
+  }
+
+  const next = intervals.find(([start]) => start > now);
+  return { isOpen: false, changesAt: next ? minutesFromNow(next[0]) : null };
+};
+
+/**
+ * Whether a schedule stays open for the next few minutes
+ * Returns null when the hours are unknown
+ */
+export const isOpenFor = (schedule, minutes = 0, date = new Date()) => {
+  const { isOpen, changesAt } = getOpeningStatus(schedule, date);
+  if (isOpen !== true || !changesAt) return isOpen;
+  return changesAt.getTime() - date.getTime() >= minutes * 60000;
+};
+
+/**
+ * Describe an opening status, e.g. 'Open until 10:00 PM' or 'Closed · opens 9:00 AM Mon'
+ */
+export const describeOpeningStatus = ({ isOpen, changesAt }, date = new Date()) => {
+  if (isOpen === null) return 'Hours unknown';
+  if (!changesAt) return isOpen ? 'Open 24 hours' : 'Closed';
+
+  const time = changesAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const sameDay = changesAt.toDateString() === date.toDateString() ||
+    changesAt.getTime() - date.getTime() < 12 * 60 * 60000;
+  const when = sameDay ? time : `${time} ${dayNames[changesAt.getDay()]}`;
+  return isOpen ? `Open until ${when}` : `Closed · opens ${when}`;
+};
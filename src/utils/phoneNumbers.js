@@ -0,0 +1,114 @@
+import { parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js/max';
+
+/**
+ * Phone number utilities for SafeHer app
+ * Normalizes numbers to E.164 (e.g. +12025550142) so the same person can't
+ * be saved twice in different formats, and tells whether a number is likely
+ * to receive SMS. Numbers typed without a country code are read in the
+ * default region, which comes from the user profile (see getProfileRegion)
+ */
+
+// Used when the profile gives no region; matches what the app assumed before
+export const DEFAULT_REGION = 'US';
+
+// Number types that can't receive text messages
+const NO_SMS_TYPES = ['FIXED_LINE', 'TOLL_FREE', 'PREMIUM_RATE', 'SHARED_COST', 'UAN', 'VOICEMAIL', 'PAGER'];
+
+// Number types that normally can
+const SMS_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE'];
+
+/**
+ * Whether a two-letter region code (ISO 3166) is known, e.g. 'GB'
+ */
+export const isSupportedRegion = (region) => {
+  return typeof region === 'string' && isSupportedCountry(region.toUpperCase());
+};
+
+/**
+ * Parse a phone number as typed
+ * Returns { e164, valid, region, type, canReceiveSMS, international } or null
+ * if the text isn't a phone number at all. canReceiveSMS is null when the
+ * number type doesn't say, e.g. for VoIP numbers
+ */
+export const parsePhoneNumber = (input, region = DEFAULT_REGION) => {
+  if (!input || typeof input !== 'string') return null;
+
+  const defaultRegion = isSupportedRegion(region) ? region.toUpperCase() : DEFAULT_REGION;
+  const parsed = parsePhoneNumberFromString(input.trim(), defaultRegion);
+  if (!parsed) return null;
+
+  const valid = parsed.isValid();
+  const type = valid ? parsed.getType() || null : null;
+  let canReceiveSMS = null;
+  if (!valid || NO_SMS_TYPES.includes(type)) {
+    canReceiveSMS = false;
+  } else if (SMS_TYPES.includes(type)) {
+    canReceiveSMS = true;
+  }
+
+  return {
+    e164: parsed.number,
+    valid,
+    region: parsed.country || null,
+    type,
+    canReceiveSMS,
+    international: parsed.formatInternational(),
+  };
+};
+
+/**
+ * Get the E.164 form of a number, or null if it isn't a valid number
+ */
+export const normalizePhoneNumber = (input, region = DEFAULT_REGION) => {
+  const parsed = parsePhoneNumber(input, region);
+  return parsed && parsed.valid ? parsed.e164 : null;
+};
+
+/**
+ * Format a stored number for display, e.g. '+44 20 7946 0958'
+ * Anything that can't be parsed is shown as stored
+ */
+export const formatPhoneForDisplay = (phone, region = DEFAULT_REGION) => {
+  const parsed = parsePhoneNumber(phone, region);
+  return parsed && parsed.valid ? parsed.international : phone;
+};
+
+/**
+ * Get the region to read local numbers in for a user profile
+ * An explicit profile.region wins, then the region of the user's own number
+ */
+export const getProfileRegion = (profile) => {
+  if (profile && isSupportedRegion(profile.region)) {
+    return profile.region.toUpperCase();
+  }
+  const ownNumber = profile && profile.phone ? parsePhoneNumber(profile.phone, DEFAULT_REGION) : null;
+  return ownNumber && ownNumber.valid && ownNumber.region ? ownNumber.region : DEFAULT_REGION;
+};
+
+/**
+ * Key that is equal for two ways of writing the same number
+ * Falls back to the bare digits when the number can't be parsed
+ */
+export const getPhoneKey = (phone, region = DEFAULT_REGION) => {
+  return normalizePhoneNumber(phone, region) || `${phone || ''}`.replace(/\D/g, '');
+};
+
+/**
+ * Group contacts that share a phone number
+ * Returns a list of groups with two or more contacts, oldest contact first
+ */
+export const findDuplicateContacts = (contacts, region = DEFAULT_REGION) => {
+  const groups = new Map();
+  contacts.forEach((contact) => {
+    const key = getPhoneKey(contact.phone, region);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(contact);
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => [...group].sort(
+      (a, b) => new Date(a.addedDate || 0).getTime() - new Date(b.addedDate || 0).getTime()
+    ));
+};
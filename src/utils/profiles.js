@@ -0,0 +1,231 @@
+import {
+  STORAGE_KEYS,
+  DEFAULT_PROFILE_ID,
+  getData,
+  updateData,
+  getActiveProfileId,
+  setActiveProfile,
+  removeProfileData,
+} from './storage';
+import { runMigrations } from './migrations';
+
+/**
+ * Profile utilities for SafeHer app
+ * Several people can keep separate data on one device; every profile has its
+ * own contacts, settings and history (see getProfileStorageKey in storage.js)
+ * Guest profiles are temporary and wiped automatically when they expire
+ *
+ * Registry shape: { activeId, profiles: [{ id, name, type, createdAt, expiresAt }] }
+ */
+
+export const PROFILE_TYPES = {
+  STANDARD: 'standard',
+  GUEST: 'guest',
+};
+
+// Guest session lengths offered in the app
+export const GUEST_DURATIONS_HOURS = [4, 12];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Owns the data stored before profiles existed
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Me',
+  type: PROFILE_TYPES.STANDARD,
+  createdAt: null,
+  expiresAt: null,
+};
+
+/**
+ * Fill in the registry so the default profile is always present
+ */
+const normalizeRegistry = (registry) => {
+  const profiles = registry && Array.isArray(registry.profiles) ? registry.profiles : [];
+  return {
+    activeId: (registry && registry.activeId) || DEFAULT_PROFILE_ID,
+    profiles: profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)
+      ? profiles
+      : [DEFAULT_PROFILE, ...profiles],
+  };
+};
+
+const updateRegistry = updater => updateData(
+  STORAGE_KEYS.PROFILES,
+  registry => updater(normalizeRegistry(registry)),
+  null
+);
+
+export const isGuestProfile = profile => Boolean(profile && profile.type === PROFILE_TYPES.GUEST);
+
+export const isProfileExpired = (profile, now = Date.now()) => {
+  return Boolean(profile && profile.expiresAt && new Date(profile.expiresAt).getTime() <= now);
+};
+
+/**
+ * Get all profiles on the device
+ */
+export const getProfiles = async () => {
+  const registry = normalizeRegistry(await getData(STORAGE_KEYS.PROFILES));
+  return registry.profiles;
+};
+
+/**
+ * Get the profile whose data is currently shown
+ */
+export const getActiveProfile = async () => {
+  const profiles = await getProfiles();
+  return profiles.find(profile => profile.id === getActiveProfileId()) || DEFAULT_PROFILE;
+};
+
+// Ids end up inside storage keys, so keep them to lowercase letters and digits
+const createProfileId = () => {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+};
+
+/**
+ * Create a profile
+ * Pass { guest: true, durationHours } for a temporary guest profile
+ * Returns the new profile or null on failure
+ */
+export const createProfile = async (name, { guest = false, durationHours = GUEST_DURATIONS_HOURS[0] } = {}) => {
+  try {
+    const now = Date.now();
+    const profile = {
+      id: createProfileId(),
+      name: (name || '').trim() || (guest ? 'Guest' : 'New Profile'),
+      type: guest ? PROFILE_TYPES.GUEST : PROFILE_TYPES.STANDARD,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: guest ? new Date(now + durationHours * HOUR_MS).toISOString() : null,
+    };
+
+    await updateRegistry(registry => ({
+      ...registry,
+      profiles: [...registry.profiles, profile],
+    }));
+    return profile;
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    return null;
+  }
+};
+
+/**
+ * Make another profile the active one
+ * Its data is migrated to the current schema before screens read it
+ * Returns true on success
+ */
+export const switchProfile = async (profileId) => {
+  try {
+    const profiles = await getProfiles();
+    const profile = profiles.find(item => item.id === profileId);
+    if (!profile || isProfileExpired(profile)) {
+      return false;
+    }
+
+    await updateRegistry(registry => ({ ...registry, activeId: profileId }));
+    setActiveProfile(profileId);
+    await runMigrations();
+    return true;
+  } catch (error) {
+    console.error('Error switching profile:', error);
+    return false;
+  }
+};
+
+/**
+ * Delete a profile and all of its data
+ * Deleting the active profile switches back to the default profile first
+ * The default profile can't be deleted
+ */
+export const deleteProfile = async (profileId) => {
+  try {
+    if (profileId === DEFAULT_PROFILE_ID) {
+      return false;
+    }
+
+    if (getActiveProfileId() === profileId) {
+      await updateRegistry(registry => ({ ...registry, activeId: DEFAULT_PROFILE_ID }));
+      setActiveProfile(DEFAULT_PROFILE_ID);
+      await runMigrations();
+    }
+
+    if (!(await removeProfileData(profileId))) {
+      return false;
+    }
+
+    await updateRegistry(registry => ({
+      ...registry,
+      profiles: registry.profiles.filter(profile => profile.id !== profileId),
+    }));
+    return true;
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    return false;
+  }
+};
+
+/**
+ * Wipe guest profiles whose time is up
+ * Returns { removed, activeRemoved } where activeRemoved means the guest
+ * profile in use was wiped and the default profile is now active
+ */
+export const removeExpiredGuests = async (now = Date.now()) => {
+  const result = { removed: 0, activeRemoved: false };
+  try {
+    const expired = (await getProfiles()).filter(
+      profile => isGuestProfile(profile) && isProfileExpired(profile, now)
+    );
+
+    for (const profile of expired) {
+      const wasActive = getActiveProfileId() === profile.id;
+      if (await deleteProfile(profile.id)) {
+        result.removed += 1;
+        result.activeRemoved = result.activeRemoved || wasActive;
+      }
+    }
+  } catch (error) {
+    console.error('Error removing expired guest profiles:', error);
+  }
+  return result;
+};
+
+/**
+ * Restore the last active profile on app startup
+ * Returns the active profile id
+ */
+export const initializeProfiles = async () => {
+  try {
+    const registry = normalizeRegistry(await getData(STORAGE_KEYS.PROFILES));
+    const active = registry.profiles.find(profile => profile.id === registry.activeId);
+    const activeId = active && !isProfileExpired(active) ? active.id : DEFAULT_PROFILE_ID;
+    setActiveProfile(activeId);
+    return activeId;
+  } catch (error) {
+    console.error('Error initializing profiles:', error);
+    setActiveProfile(DEFAULT_PROFILE_ID);
+    return DEFAULT_PROFILE_ID;
+  }
+};
+
+/**
+ * Start the guest expiry job
+ * onActiveExpired is called when the guest profile in use has been wiped
+ * Returns subscription object for stopping the job
+ */
+export const startGuestExpiryJob = (onActiveExpired, intervalMinutes = 1) => {
+  const check = async () => {
+    const { activeRemoved } = await removeExpiredGuests();
+    if (activeRemoved && onActiveExpired) {
+      onActiveExpired();
+    }
+  };
+
+  check();
+  const intervalId = setInterval(check, intervalMinutes * 60 * 1000);
+
+  return {
+    stop: () => clearInterval(intervalId),
+    intervalId,
+  };
+};
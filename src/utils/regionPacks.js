@@ -0,0 +1,332 @@
+import * as FileSystem from 'expo-file-system';
+import { STORAGE_KEYS, getData, updateData } from './storage';
+
+/**
+ * Region pack utilities for SafeHer app
+ * A region pack is a GeoJSON FeatureCollection of map data for one area,
+ * used when the device has no connection. Packs ship with the app, are
+ * downloaded or are imported from a file. Pack files can be large, so they
+ * live in the app's document directory; storage only keeps the list of
+ * installed packs, which every profile shares
+ *
+ * Pack shape:
+ * { type: 'FeatureCollection', metadata: { id, name, version, bbox, attribution }, features }
+ * bbox is [west, south, east, north]; attribution credits where the data
+ * came from, e.g. '© OpenStreetMap contributors, ODbL'. Each feature has a
+ * properties.layer:
+ * - 'streets': LineString or MultiLineString with a name
+ * - 'places': Point with a name and kind (neighbourhood, suburb, village, town, city)
+ * - 'safe_places': Point with a name and type (police, hospital, mall, ...) and
+ *   optional address, phone, hours and description (see safePlaces.js)
+ *
+ * Installed pack shape: { id, name, version, bbox, attribution, layers, bytes, source, sourceUri, installedAt }
+ * layers counts the features in each layer; sourceUri is the download URL
+ * for downloaded packs. A bundled pack the user removed keeps an entry with
+ * removed: true, so it isn't installed again on the next start
+ */
+
+export const PACK_LAYERS = {
+  STREETS: 'streets',
+  PLACES: 'places',
+  SAFE_PLACES: 'safe_places',
+};
+
+export const PACK_SOURCES = {
+  BUNDLED: 'bundled',
+  DOWNLOAD: 'download',
+  FILE: 'file',
+};
+
+// Packs that ship with the app, installed on first start and updated when
+// an app update brings a newer version, e.g.
+// require('../../assets/region_packs/<id>.json'). Only real, sourced data
+// belongs here, like an OpenStreetMap extract with its attribution: contacts
+// are called from these numbers in an emergency
+const BUNDLED_PACKS = [];
+
+const PACK_DIRECTORY = `${FileSystem.documentDirectory}region_packs/`;
+
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Parsed packs by id, so lookups don't read the file every time
+const loadedPacks = new Map();
+
+const getPackFileUri = packId => `${PACK_DIRECTORY}${packId}.json`;
+
+const isCoordinate = position => Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+  Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+const isValidGeometry = (geometry) => {
+  if (!geometry) return false;
+  switch (geometry.type) {
+    case 'Point':
+      return isCoordinate(geometry.coordinates);
+    case 'LineString':
+      return Array.isArray(geometry.coordinates) && geometry.coordinates.length >= 2 &&
+        geometry.coordinates.every(isCoordinate);
+    case 'MultiLineString':
+      return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 &&
+        geometry.coordinates.every(line => Array.isArray(line) && line.length >= 2 && line.every(isCoordinate));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check a parsed pack
+ * Returns a list of problems; empty if the pack can be installed
+ */
+export const validateRegionPack = (pack) => {
+  const errors = [];
+  if (!pack || pack.type !== 'FeatureCollection' || !Array.isArray(pack.features)) {
+    return ['not a GeoJSON FeatureCollection'];
+  }
+
+  const metadata = pack.metadata || {};
+  if (typeof metadata.id !== 'string' || !PACK_ID_PATTERN.test(metadata.id)) errors.push('invalid pack id');
+  if (typeof metadata.name !== 'string' || !metadata.name.trim()) errors.push('missing pack name');
+  if (!Number.isInteger(metadata.version) || metadata.version < 1) errors.push('invalid pack version');
+  if (!Array.isArray(metadata.bbox) || metadata.bbox.length !== 4 || !metadata.bbox.every(Number.isFinite)) {
+    errors.push('invalid bbox');
+  }
+  if (metadata.attribution !== undefined && (typeof metadata.attribution !== 'string' || !metadata.attribution.trim())) {
+    errors.push('invalid attribution');
+  }
+
+  const invalid = pack.features.filter(feature => !feature ||
+    !feature.properties ||
+    typeof feature.properties.layer !== 'string' ||
+    !isValidGeometry(feature.geometry)).length;
+  if (invalid > 0) errors.push(`${invalid} invalid features`);
+
+  return errors;
+};
+
+const countLayers = features => features.reduce((counts, feature) => ({
+  ...counts,
+  [feature.properties.layer]: (counts[feature.properties.layer] || 0) + 1,
+}), {});
+
+/**
+ * Region Pack Management
+ */
+const getPackEntries = async () => {
+  const packs = await getData(STORAGE_KEYS.REGION_PACKS);
+  return packs || [];
+};
+
+export const getInstalledPacks = async () => {
+  const packs = await getPackEntries();
+  return packs.filter(pack => !pack.removed);
+};
+
+/**
+ * Install a parsed pack, replacing any installed version of it
+ * options: { source, sourceUri, allowDowngrade }; an older version than the
+ * one installed is refused unless allowDowngrade is set
+ * Returns the installed pack entry, throws if the pack can't be installed
+ */
+export const installRegionPack = async (pack, {
+  source = PACK_SOURCES.FILE,
+  sourceUri = null,
+  allowDowngrade = false,
+} = {}) => {
+  const errors = validateRegionPack(pack);
+  if (errors.length > 0) {
+    throw new Error(`Invalid region pack: ${errors.join(', ')}`);
+  }
+
+  const { id, name, version, bbox, attribution } = pack.metadata;
+  const installed = (await getInstalledPacks()).find(entry => entry.id === id);
+  if (installed && installed.version > version && !allowDowngrade) {
+    throw new Error(`Version ${installed.version} of ${installed.name} is already installed`);
+  }
+
+  const contents = JSON.stringify(pack);
+  await FileSystem.makeDirectoryAsync(PACK_DIRECTORY, { intermediates: true }).catch(() => {});
+  await FileSystem.writeAsStringAsync(getPackFileUri(id), contents);
+  loadedPacks.delete(id);
+
+  const entry = {
+    id,
+    name: name.trim(),
+    version,
+    bbox,
+    attribution: attribution ? attribution.trim() : null,
+    layers: countLayers(pack.features),
+    bytes: contents.length,
+    source,
+    sourceUri,
+    installedAt: new Date().toISOString(),
+  };
+  await updateData(
+    STORAGE_KEYS.REGION_PACKS,
+    packs => [...packs.filter(existing => existing.id !== id), entry],
+    []
+  );
+  return entry;
+};
+
+// Download and parse a pack without installing it
+const fetchRegionPack = async (url) => {
+  const tempUri = `${FileSystem.cacheDirectory}region_pack_download.json`;
+  try {
+    const result = await FileSystem.downloadAsync(url, tempUri);
+    if (result.status < 200 || result.status >= 300) {
+      throw new Error(`Download failed with status ${result.status}`);
+    }
+    return JSON.parse(await FileSystem.readAsStringAsync(tempUri));
+  } finally {
+    await FileSystem.deleteAsync(tempUri, { idempotent: true }).catch(() => {});
+  }
+};
+
+/**
+ * Download a pack from a URL and install it
+ * Returns the installed pack entry, throws on failure
+ */
+export const downloadRegionPack = async (url) => {
+  const pack = await fetchRegionPack(url);
+  return installRegionPack(pack, { source: PACK_SOURCES.DOWNLOAD, sourceUri: url });
+};
+
+/**
+ * Install a pack from a file the user picked, e.g. with expo-document-picker
+ * Returns the installed pack entry, throws on failure
+ */
+export const importRegionPackFile = async (fileUri) => {
+  let pack;
+  try {
+    pack = JSON.parse(await FileSystem.readAsStringAsync(fileUri));
+  } catch (error) {
+    throw new Error('The file is not a region pack');
+  }
+  return installRegionPack(pack, { source: PACK_SOURCES.FILE });
+};
+
+/**
+ * Install a newer version of a pack from where it came from
+ * Downloaded packs are fetched again and bundled packs are compared with
+ * the copy in the app; imported packs are updated by importing a newer file
+ * Returns { updated, pack } with the installed entry, throws on failure
+ */
+export const updateRegionPack = async (packId) => {
+  const installed = (await getInstalledPacks()).find(pack => pack.id === packId);
+  if (!installed) {
+    throw new Error('Region pack is not installed');
+  }
+
+  let pack;
+  if (installed.source === PACK_SOURCES.DOWNLOAD && installed.sourceUri) {
+    pack = await fetchRegionPack(installed.sourceUri);
+  } else if (installed.source === PACK_SOURCES.BUNDLED) {
+    pack = BUNDLED_PACKS.find(bundled => bundled.metadata.id === packId);
+  } else {
+    throw new Error('Import a newer copy of the file to update this pack');
+  }
+
+  if (!pack || pack.metadata.version <= installed.version) {
+    return { updated: false, pack: installed };
+  }
+  const entry = await installRegionPack(pack, { source: installed.source, sourceUri: installed.sourceUri });
+  return { updated: true, pack: entry };
+};
+
+/**
+ * Bundled packs the user removed, so they can be installed again
+ */
+export const getAvailableBundledPacks = async () => {
+  const installedIds = (await getInstalledPacks()).map(pack => pack.id);
+  return BUNDLED_PACKS
+    .filter(pack => !installedIds.includes(pack.metadata.id))
+    .map(({ metadata }) => ({ id: metadata.id, name: metadata.name, version: metadata.version }));
+};
+
+export const installBundledPack = async (packId) => {
+  const pack = BUNDLED_PACKS.find(bundled => bundled.metadata.id === packId);
+  if (!pack) {
+    throw new Error('No such bundled region pack');
+  }
+  return installRegionPack(pack, { source: PACK_SOURCES.BUNDLED });
+};
+
+/**
+ * Install bundled packs that are missing or older than the app's copy
+ * Packs the user removed stay removed, and bundled packs the app no longer
+ * ships are removed. Run once storage is ready
+ * Returns the number of packs installed
+ */
+export const installBundledPacks = async () => {
+  let count = 0;
+  try {
+    const retired = (await getPackEntries()).filter(entry => entry.source === PACK_SOURCES.BUNDLED &&
+      !BUNDLED_PACKS.some(pack => pack.metadata.id === entry.id));
+    for (const entry of retired) {
+      await removeRegionPack(entry.id);
+    }
+
+    const entries = await getPackEntries();
+    for (const pack of BUNDLED_PACKS) {
+      const entry = entries.find(existing => existing.id === pack.metadata.id);
+      if (entry && (entry.removed || entry.version >= pack.metadata.version)) continue;
+      await installRegionPack(pack, { source: PACK_SOURCES.BUNDLED });
+      count += 1;
+    }
+  } catch (error) {
+    console.error('Error installing bundled region packs:', error);
+  }
+  return count;
+};
+
+export const removeRegionPack = async (packId) => {
+  try {
+    const bundled = BUNDLED_PACKS.some(pack => pack.metadata.id === packId);
+    await updateData(STORAGE_KEYS.REGION_PACKS, packs => packs
+      .filter(pack => pack.id !== packId || bundled)
+      .map(pack => (pack.id === packId
+        ? { id: pack.id, name: pack.name, version: pack.version, source: pack.source, removed: true }
+        : pack)), []);
+    await FileSystem.deleteAsync(getPackFileUri(packId), { idempotent: true });
+    loadedPacks.delete(packId);
+    return true;
+  } catch (error) {
+    console.error('Error removing region pack:', error);
+    return false;
+  }
+};
+
+/**
+ * Read an installed pack's features
+ * Returns the parsed pack or null if it can't be read
+ */
+export const loadRegionPack = async (packId) => {
+  if (loadedPacks.has(packId)) {
+    return loadedPacks.get(packId);
+  }
+  try {
+    const pack = JSON.parse(await FileSystem.readAsStringAsync(getPackFileUri(packId)));
+    loadedPacks.set(packId, pack);
+    return pack;
+  } catch (error) {
+    console.error('Error loading region pack:', error);
+    return null;
+  }
+};
+
+export const isInPackBounds = (pack, latitude, longitude) => {
+  const [west, south, east, north] = pack.bbox;
+  return latitude >= south && latitude <= north && longitude >= west && longitude <= east;
+};
+
+/**
+ * Load every installed pack that covers a location
+ */
+export const loadPacksForLocation = async (latitude, longitude) => {
+  const installed = await getInstalledPacks();
+  const packs = await Promise.all(installed
+    .filter(pack => isInPackBounds(pack, latitude, longitude))
+    .map(pack => loadRegionPack(pack.id)));
+  return packs.filter(Boolean);
+};
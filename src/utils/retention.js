@@ -0,0 +1,253 @@
+import {
+  STORAGE_KEYS,
+  getData,
+  storeData,
+  updateData,
+  getEmergencyHistory,
+  getLocationIndex,
+  updateLocationDay,
+} from './storage';
+import { decodeChunk, encodeChunk } from './locationEncoding';
+
+/**
+ * Retention utilities for SafeHer app
+ * Prunes history collections by age, count or storage budget
+ * Location fixes recorded around an SOS event are always kept, so an
+ * incident can be reconstructed no matter how aggressive the policy is
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collections that grow over time and the storage key each lives under
+// Location history is split into day chunks listed in its index
+export const RETENTION_COLLECTIONS = {
+  locationHistory: STORAGE_KEYS.LOCATION_INDEX,
+  emergencyHistory: STORAGE_KEYS.EMERGENCY_HISTORY,
+  safetyReports: STORAGE_KEYS.SAFETY_REPORTS,
+  recycleBin: STORAGE_KEYS.RECYCLE_BIN,
+};
+
+// The field each collection is aged by; anything not listed uses timestamp
+// Recycle bin entries age from when they were deleted, whatever the item's own time
+const TIME_FIELDS = {
+  recycleBin: 'deletedAt',
+};
+
+// null means no limit for that rule
+export const DEFAULT_RETENTION_POLICIES = {
+  preserveAroundSOSMinutes: 60,
+  locationHistory: { maxAgeDays: 7, maxCount: null, maxBytes: 2 * 1024 * 1024 },
+  emergencyHistory: { maxAgeDays: 365, maxCount: 1000, maxBytes: null },
+  safetyReports: { maxAgeDays: 180, maxCount: 1000, maxBytes: 512 * 1024 },
+  recycleBin: { maxAgeDays: 30, maxCount: null, maxBytes: null },
+};
+
+/**
+ * Get retention policies, filling in defaults for anything not configured
+ */
+export const getRetentionPolicies = async () => {
+  const stored = await getData(STORAGE_KEYS.RETENTION_POLICIES) || {};
+  const policies = { ...DEFAULT_RETENTION_POLICIES, ...stored };
+  Object.keys(RETENTION_COLLECTIONS).forEach(collection => {
+    policies[collection] = { ...DEFAULT_RETENTION_POLICIES[collection], ...stored[collection] };
+  });
+  return policies;
+};
+
+/**
+ * Update the policy for one collection
+ * Pass only the rules to change, e.g. { maxAgeDays: 30 }
+ */
+export const updateRetentionPolicy = async (collection, rules) => {
+  try {
+    const policies = await getRetentionPolicies();
+    const updated = {
+      ...policies,
+      [collection]: { ...policies[collection], ...rules },
+    };
+    return await storeData(STORAGE_KEYS.RETENTION_POLICIES, updated);
+  } catch (error) {
+    console.error('Error updating retention policy:', error);
+    return false;
+  }
+};
+
+const getTime = (item, field = 'timestamp') => new Date(item[field]).getTime();
+
+/**
+ * Build time windows around SOS events that must never be pruned
+ */
+export const getProtectedWindows = (emergencyEvents, preserveMinutes) => {
+  const margin = (preserveMinutes || 0) * 60 * 1000;
+  return emergencyEvents
+    .map(event => getTime(event))
+    .filter(time => !isNaN(time))
+    .map(time => ({
+      start: time - margin,
+      end: time + margin,
+    }));
+};
+
+const isProtected = (item, windows) => {
+  const time = getTime(item);
+  return windows.some(window => time >= window.start && time <= window.end);
+};
+
+/**
+ * Apply a retention policy to a list of records
+ * Records are kept newest first; protected records always survive
+ * and don't count towards the count or size limits
+ * timeField names the field records are aged and ordered by
+ */
+export const applyRetentionPolicy = (items, policy, protectedWindows = [], now = Date.now(), timeField = 'timestamp') => {
+  const sorted = [...items].sort((a, b) => getTime(b, timeField) - getTime(a, timeField));
+  const oldestAllowed = policy.maxAgeDays ? now - policy.maxAgeDays * DAY_MS : null;
+
+  let keptCount = 0;
+  let keptBytes = 0;
+
+  return sorted.filter((item) => {
+    if (isProtected(item, protectedWindows)) {
+      return true;
+    }
+
+    const time = getTime(item, timeField);
+    if (oldestAllowed !== null && !isNaN(time) && time < oldestAllowed) {
+      return false;
+    }
+
+    if (policy.maxCount && keptCount >= policy.maxCount) {
+      return false;
+    }
+
+    const size = JSON.stringify(item).length;
+    if (policy.maxBytes && keptBytes + size > policy.maxBytes) {
+      return false;
+    }
+
+    keptCount += 1;
+    keptBytes += size;
+    return true;
+  });
+};
+
+/**
+ * Apply a retention policy to the location trail, one day chunk at a time
+ * Days that fit the policy as a whole are kept without being decoded;
+ * only days that cross a limit are decoded and filtered fix by fix.
+ * Size limits are measured on the encoded chunks
+ * Returns the number of fixes removed
+ */
+export const pruneLocationTrail = async (policy, protectedWindows = [], now = Date.now()) => {
+  const index = await getLocationIndex();
+  const oldestAllowed = policy.maxAgeDays ? now - policy.maxAgeDays * DAY_MS : null;
+
+  let keptCount = 0;
+  let keptBytes = 0;
+  let removed = 0;
+
+  const days = Object.keys(index).sort().reverse();
+  for (const day of days) {
+    const summary = index[day];
+    const fitsAge = oldestAllowed === null || summary.start >= oldestAllowed;
+    const fitsCount = !policy.maxCount || keptCount + summary.count <= policy.maxCount;
+    const fitsBytes = !policy.maxBytes || keptBytes + summary.bytes <= policy.maxBytes;
+
+    if (fitsAge && fitsCount && fitsBytes) {
+      keptCount += summary.count;
+      keptBytes += summary.bytes;
+      continue;
+    }
+
+    await updateLocationDay(day, (chunk) => {
+      const locations = decodeChunk(chunk).sort((a, b) => b.timestamp - a.timestamp);
+      const bytesPerFix = chunk.count > 0 ? chunk.data.length / chunk.count : 0;
+
+      const kept = locations.filter((location) => {
+        if (isProtected(location, protectedWindows)) {
+          return true;
+        }
+        if (oldestAllowed !== null && location.timestamp < oldestAllowed) {
+          return false;
+        }
+        if (policy.maxCount && keptCount >= policy.maxCount) {
+          return false;
+        }
+        if (policy.maxBytes && keptBytes + bytesPerFix > policy.maxBytes) {
+          return false;
+        }
+        keptCount += 1;
+        keptBytes += bytesPerFix;
+        return true;
+      });
+
+      removed += locations.length - kept.length;
+      return kept.length > 0 ? encodeChunk(day, kept) : null;
+    });
+  }
+
+  return removed;
+};
+
+/**
+ * Prune every history collection according to its policy
+ * Returns the number of records removed per collection, or null on failure
+ */
+export const pruneHistory = async () => {
+  try {
+    const policies = await getRetentionPolicies();
+    const emergencyEvents = await getEmergencyHistory();
+    const windows = getProtectedWindows(emergencyEvents, policies.preserveAroundSOSMinutes);
+
+    const removed = {};
+    for (const [collection, key] of Object.entries(RETENTION_COLLECTIONS)) {
+      if (collection === 'locationHistory') {
+        removed[collection] = await pruneLocationTrail(policies[collection], windows);
+        continue;
+      }
+
+      // SOS windows only protect the location trail. Emergency events
+      // would always fall inside their own windows and never be pruned,
+      // and deleted items must leave the recycle bin on schedule
+      const timeField = TIME_FIELDS[collection];
+      const prune = items => applyRetentionPolicy(items, policies[collection], [], Date.now(), timeField);
+
+      // Most runs remove nothing; don't rewrite (and re-encrypt) those collections
+      const current = await getData(key) || [];
+      if (prune(current).length === current.length) {
+        removed[collection] = 0;
+        continue;
+      }
+
+      let before = 0;
+      const after = await updateData(key, (items) => {
+        before = items.length;
+        return prune(items);
+      }, []);
+      removed[collection] = before - after.length;
+    }
+
+    return removed;
+  } catch (error) {
+    console.error('Error pruning history:', error);
+    return null;
+  }
+};
+
+/**
+ * Start the pruning job
+ * Runs once immediately and then on an interval while the app is running
+ * Returns subscription object for stopping the job
+ */
+export const startRetentionJob = (intervalMinutes = 15) => {
+  pruneHistory();
+
+  const intervalId = setInterval(() => {
+    pruneHistory();
+  }, intervalMinutes * 60 * 1000);
+
+  return {
+    stop: () => clearInterval(intervalId),
+    intervalId,
+  };
+};
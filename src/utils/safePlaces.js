@@ -0,0 +1,222 @@
+import { STORAGE_KEYS, getData, updateData, subscribe, generateId } from './storage';
+import { PACK_LAYERS, getInstalledPacks, loadRegionPack } from './regionPacks';
+import { createSpatialIndex } from './spatialIndex';
+import { parseOpeningHours } from './openingHours';
+
+/**
+ * Safe place utilities for SafeHer app
+ * Safe places are police stations, hospitals and other places to go for
+ * help. They come from the 'safe_places' layer of installed region packs,
+ * with places the user added themselves merged on top
+ *
+ * Place shape: { id, name, type, latitude, longitude, address, phone, hours, schedule, description, source, packId }
+ * schedule is hours parsed by openingHours.js, or null if they can't be read.
+ * source is 'pack' or 'user'; pack place ids are prefixed with the pack id
+ * so places from different packs never clash. The merged places are kept
+ * with a spatial index (see spatialIndex.js) until packs or the user's
+ * places change
+ */
+
+export const SAFE_PLACE_SOURCES = {
+  PACK: 'pack',
+  USER: 'user',
+};
+
+export const SAFE_PLACE_TYPES = ['police', 'hospital', 'mall', 'other'];
+
+// What to call a place of each type, including the emergency service types
+// looked up in emergencyServices.js
+export const SAFE_PLACE_TYPE_NAMES = {
+  police: 'Police station',
+  hospital: 'Hospital',
+  fire_station: 'Fire station',
+  mall: 'Shopping centre',
+};
+
+// A user place this close to a pack place with the same name replaces it
+const DUPLICATE_DISTANCE_DEGREES = 0.0005; // about 50 meters
+
+// Places read from each pack, keyed by pack id and install time so an
+// updated pack is read again
+const packPlaces = new Map();
+
+// Promise of { places, index }, dropped whenever the places could have changed
+let indexedPlaces = null;
+
+subscribe([STORAGE_KEYS.REGION_PACKS, STORAGE_KEYS.USER_SAFE_PLACES], () => {
+  indexedPlaces = null;
+});
+
+const toPackPlace = (packId, feature, index) => {
+  const { id, name, type, address, phone, description } = feature.properties;
+  // Packs built from OpenStreetMap may keep its opening_hours tag instead
+  const hours = feature.properties.hours || feature.properties.opening_hours;
+  const [longitude, latitude] = feature.geometry.coordinates;
+  const featureId = feature.id !== undefined ? feature.id : id;
+  return {
+    id: `${packId}:${featureId !== undefined ? featureId : index}`,
+    name: name.trim(),
+    type: type || 'other',
+    latitude,
+    longitude,
+    address: address || null,
+    phone: phone || null,
+    hours: hours || null,
+    schedule: parseOpeningHours(hours),
+    description: description || null,
+    source: SAFE_PLACE_SOURCES.PACK,
+    packId,
+  };
+};
+
+const getPackPlaces = async (entry) => {
+  const cacheKey = `${entry.id}@${entry.installedAt}`;
+  if (packPlaces.has(cacheKey)) {
+    return packPlaces.get(cacheKey);
+  }
+
+  const pack = await loadRegionPack(entry.id);
+  if (!pack) {
+    return [];
+  }
+  const places = pack.features
+    .map((feature, index) => ({ feature, index }))
+    .filter(({ feature }) => feature.properties.layer === PACK_LAYERS.SAFE_PLACES &&
+      feature.geometry.type === 'Point' &&
+      typeof feature.properties.name === 'string' &&
+      feature.properties.name.trim())
+    .map(({ feature, index }) => toPackPlace(entry.id, feature, index));
+
+  Array.from(packPlaces.keys())
+    .filter(key => key.startsWith(`${entry.id}@`))
+    .forEach(key => packPlaces.delete(key));
+  packPlaces.set(cacheKey, places);
+  return places;
+};
+
+const isSamePlace = (a, b) => a.name.toLowerCase() === b.name.toLowerCase() &&
+  Math.abs(a.latitude - b.latitude) <= DUPLICATE_DISTANCE_DEGREES &&
+  Math.abs(a.longitude - b.longitude) <= DUPLICATE_DISTANCE_DEGREES;
+
+/**
+ * User Safe Place Management
+ */
+export const getUserSafePlaces = async () => {
+  const places = await getData(STORAGE_KEYS.USER_SAFE_PLACES);
+  return places || [];
+};
+
+/**
+ * Add a place of the user's own
+ * Returns the new place or null on failure
+ */
+export const addUserSafePlace = async ({
+  name,
+  type = 'other',
+  latitude,
+  longitude,
+  address = null,
+  phone = null,
+  hours = null,
+  description = null,
+}) => {
+  try {
+    if (!name || !name.trim()) {
+      throw new Error('Safe place needs a name');
+    }
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      throw new Error('Safe place needs a location');
+    }
+    const place = {
+      id: generateId(),
+      name: name.trim(),
+      type,
+      latitude,
+      longitude,
+      address,
+      phone,
+      hours,
+      description,
+      createdAt: new Date().toISOString(),
+    };
+    await updateData(STORAGE_KEYS.USER_SAFE_PLACES, places => [...places, place], []);
+    return place;
+  } catch (error) {
+    console.error('Error adding safe place:', error);
+    return null;
+  }
+};
+
+export const updateUserSafePlace = async (placeId, updates) => {
+  try {
+    await updateData(
+      STORAGE_KEYS.USER_SAFE_PLACES,
+      places => places.map(place => (place.id === placeId ? { ...place, ...updates } : place)),
+      []
+    );
+    return true;
+  } catch (error) {
+    console.error('Error updating safe place:', error);
+    return false;
+  }
+};
+
+export const deleteUserSafePlace = async (placeId) => {
+  try {
+    await updateData(STORAGE_KEYS.USER_SAFE_PLACES, places => places.filter(place => place.id !== placeId), []);
+    return true;
+  } catch (error) {
+    console.error('Error deleting safe place:', error);
+    return false;
+  }
+};
+
+// Merge pack places with the user's own; throws if either can't be read
+const readSafePlaces = async () => {
+  const [packs, userPlaces] = await Promise.all([getInstalledPacks(), getUserSafePlaces()]);
+  const fromPacks = (await Promise.all(packs
+    .filter(pack => pack.layers && pack.layers[PACK_LAYERS.SAFE_PLACES])
+    .map(getPackPlaces))).flat();
+
+  const own = userPlaces.map(place => ({
+    ...place,
+    schedule: parseOpeningHours(place.hours),
+    source: SAFE_PLACE_SOURCES.USER,
+    packId: null,
+  }));
+  return [
+    ...fromPacks.filter(place => !own.some(userPlace => isSamePlace(userPlace, place))),
+    ...own,
+  ];
+};
+
+/**
+ * Get every safe place with a spatial index over them
+ * Built when place data loads and reused until packs or places change
+ * Returns { places, index }, throws if the places can't be read
+ */
+export const getIndexedSafePlaces = () => {
+  if (!indexedPlaces) {
+    const loading = readSafePlaces().then(places => ({ places, index: createSpatialIndex(places) }));
+    indexedPlaces = loading;
+    loading.catch(() => {
+      // A locked or failed read is tried again next time
+      if (indexedPlaces === loading) indexedPlaces = null;
+    });
+  }
+  return indexedPlaces;
+};
+
+/**
+ * Load every safe place from installed packs and the user's own places
+ * A user place that duplicates a pack place replaces it
+ * Returns array of safe places
+ */
+export const loadSafePlaces = async () => {
+  try {
+    return (await getIndexedSafePlaces()).places;
+  } catch (error) {
+    console.error('Error loading safe places:', error);
+    return [];
+  }
+};
@@ -0,0 +1,480 @@
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import {
+  STORAGE_KEYS,
+  getData,
+  updateData,
+  subscribe,
+  getEmergencyContacts,
+} from './storage';
+import { createGeofence, calculateDistance } from './location';
+import { startAdaptiveTracking } from './trackingProfiles';
+import { subscribeToEmergencyLocations, isStorageReady } from './backgroundLocation';
+import { createZoneAlertMessage, getRecipientNumbers } from './sms';
+
+/**
+ * Safe zone utilities for SafeHer app
+ * Named places like Home, Work or Campus with a radius and an optional
+ * weekly schedule. With background location allowed, the OS watches the
+ * zones (geofencing) and wakes the app on enter and exit, even when it is
+ * closed; otherwise every fix is checked against the zones while the app is
+ * open. Enter/exit events go to subscribers, and contacts who should hear
+ * about them are texted through the zone alert sender
+ *
+ * Zone shape: { id, name, latitude, longitude, radius, schedule, notifyContacts, enabled, createdAt }
+ * schedule is a list of { days, start, end } windows, e.g.
+ * { days: [1, 2, 3, 4, 5], start: '22:00', end: '06:00' }, where days are
+ * 0 (Sunday) to 6 and a window that ends before it starts runs past midnight.
+ * An empty schedule means the zone is always active
+ */
+
+export const ZONE_EVENTS = {
+  ENTER: 'enter',
+  EXIT: 'exit',
+};
+
+// Which events send the user's location to their emergency contacts
+export const ZONE_NOTIFY_OPTIONS = {
+  NONE: 'none',
+  ENTER: 'enter',
+  EXIT: 'exit',
+  BOTH: 'both',
+};
+
+export const DEFAULT_ZONE_RADIUS = 150;
+
+// Leaving only counts this far past the edge, so GPS jitter at the
+// boundary doesn't fire enter and exit over and over
+const EXIT_MARGIN_METERS = 30;
+
+// Fixes less accurate than this can't place the user in or out of a zone
+const MAX_FIX_ACCURACY_METERS = 200;
+
+const DAY_MINUTES = 24 * 60;
+
+export const SAFE_ZONE_GEOFENCE_TASK = 'safeher-safe-zone-geofence';
+
+// iOS watches at most 20 regions per app
+const MAX_GEOFENCED_ZONES = 20;
+
+// Sends a zone alert: (phoneNumbers, message) => Promise<boolean>
+let zoneAlertSender = null;
+
+/**
+ * Register how zone alerts reach contacts without the SMS composer
+ * Events happen in the background, where the composer can't open, so App.js
+ * registers the alert relay (see alertRelay.js). Events an alert couldn't be
+ * sent for are passed to subscribers with relayed: false
+ */
+export const setZoneAlertSender = (sender) => {
+  zoneAlertSender = sender;
+};
+
+/**
+ * Safe Zone Management
+ */
+export const getSafeZones = async () => {
+  const zones = await getData(STORAGE_KEYS.SAFE_ZONES);
+  return zones || [];
+};
+
+/**
+ * Add a safe zone
+ * Returns the new zone or null on failure
+ */
+export const addSafeZone = async ({
+  name,
+  latitude,
+  longitude,
+  radius = DEFAULT_ZONE_RADIUS,
+  schedule = [],
+  notifyContacts = ZONE_NOTIFY_OPTIONS.NONE,
+}) => {
+  try {
+    if (!name || !name.trim()) {
+      throw new Error('Safe zone needs a name');
+    }
+    const zone = {
+      ...createGeofence(latitude, longitude, radius),
+      name: name.trim(),
+      schedule,
+      notifyContacts,
+      enabled: true,
+    };
+    await updateData(STORAGE_KEYS.SAFE_ZONES, zones => [...zones, zone], []);
+    return zone;
+  } catch (error) {
+    console.error('Error adding safe zone:', error);
+    return null;
+  }
+};
+
+export const updateSafeZone = async (zoneId, updates) => {
+  try {
+    await updateData(
+      STORAGE_KEYS.SAFE_ZONES,
+      zones => zones.map(zone => (zone.id === zoneId ? { ...zone, ...updates } : zone)),
+      []
+    );
+    return true;
+  } catch (error) {
+    console.error('Error updating safe zone:', error);
+    return false;
+  }
+};
+
+export const deleteSafeZone = async (zoneId) => {
+  try {
+    await updateData(STORAGE_KEYS.SAFE_ZONES, zones => zones.filter(zone => zone.id !== zoneId), []);
+    await updateData(STORAGE_KEYS.SAFE_ZONE_STATE, (state) => {
+      const next = { ...state };
+      delete next[zoneId];
+      return next;
+    }, {});
+    return true;
+  } catch (error) {
+    console.error('Error deleting safe zone:', error);
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = `${time}`.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const isInWindow = (window, date) => {
+  const days = window.days && window.days.length > 0 ? window.days : [0, 1, 2, 3, 4, 5, 6];
+  const start = toMinutes(window.start || '00:00');
+  const end = toMinutes(window.end || '24:00');
+  const minute = date.getHours() * 60 + date.getMinutes();
+
+  if (start < end) {
+    return days.includes(date.getDay()) && minute >= start && minute < end;
+  }
+
+  // Runs past midnight; the early hours belong to the previous day's window
+  const yesterday = (date.getDay() + 6) % 7;
+  return (days.includes(date.getDay()) && minute >= start) ||
+    (days.includes(yesterday) && minute < end % DAY_MINUTES);
+};
+
+/**
+ * Whether a zone is being watched at a given time
+ * Disabled zones never are; zones without a schedule always are
+ */
+export const isZoneActive = (zone, date = new Date()) => {
+  if (!zone.enabled) return false;
+  if (!zone.schedule || zone.schedule.length === 0) return true;
+  return zone.schedule.some(window => isInWindow(window, date));
+};
+
+/**
+ * Describe a schedule in a few words, e.g. 'Mon-Fri 22:00-06:00'
+ */
+export const describeSchedule = (schedule) => {
+  if (!schedule || schedule.length === 0) return 'Always';
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return schedule.map((window) => {
+    const days = window.days && window.days.length > 0 ? [...window.days].sort() : [];
+    let dayText = 'Every day';
+    if (days.length > 0 && days.length < 7) {
+      const isRun = days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+      dayText = isRun && days.length > 2
+        ? `${dayNames[days[0]]}-${dayNames[days[days.length - 1]]}`
+        : days.map(day => dayNames[day]).join(', ');
+    }
+    return `${dayText} ${window.start || '00:00'}-${window.end || '24:00'}`;
+  }).join('; ');
+};
+
+/**
+ * Zone Events
+ * Other features subscribe to hear when the user enters or leaves a zone
+ */
+const zoneListeners = new Set();
+
+/**
+ * Subscribe to enter and exit events
+ * The listener receives { type, zone, location, timestamp }
+ * Returns a function that unsubscribes
+ */
+export const subscribeToZoneEvents = (listener) => {
+  zoneListeners.add(listener);
+  return () => {
+    zoneListeners.delete(listener);
+  };
+};
+
+const emitZoneEvent = (event) => {
+  zoneListeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in safe zone listener:', error);
+    }
+  });
+};
+
+/**
+ * Text contacts about an event if the zone asks for it
+ * Returns true if the alert sender took it
+ */
+const relayZoneAlert = async (event) => {
+  if (!zoneAlertSender || !shouldNotifyContacts(event)) return false;
+  try {
+    const phoneNumbers = getRecipientNumbers(await getEmergencyContacts());
+    if (phoneNumbers.length === 0) return false;
+    const message = createZoneAlertMessage(event.zone.name, event.type, event.location, event.timestamp);
+    return Boolean(await zoneAlertSender(phoneNumbers, message));
+  } catch (error) {
+    console.error('Error relaying zone alert:', error);
+    return false;
+  }
+};
+
+const publishZoneEvents = async (events) => {
+  for (const event of events) {
+    event.relayed = await relayZoneAlert(event);
+    emitZoneEvent(event);
+  }
+};
+
+/**
+ * Record whether the user is inside each of the given zones
+ * isInside(zone, wasInside) says where the user is now; other zones keep
+ * their state. Whether the user is inside is kept in storage so a restart
+ * doesn't repeat events. Returns the events for zones active at time
+ */
+const updateZoneStates = async (zones, isInside, location, time) => {
+  const events = [];
+  await updateData(STORAGE_KEYS.SAFE_ZONE_STATE, (state) => {
+    events.length = 0;
+    const next = { ...state };
+    zones.forEach((zone) => {
+      const previous = state[zone.id] || null;
+      const wasInside = Boolean(previous && previous.inside);
+      const inside = isInside(zone, wasInside);
+
+      next[zone.id] = wasInside === inside && previous
+        ? previous
+        : { inside, since: time.toISOString() };
+
+      // The first fix for a zone only sets where the user starts
+      if (previous && wasInside !== inside && isZoneActive(zone, time)) {
+        events.push({
+          type: inside ? ZONE_EVENTS.ENTER : ZONE_EVENTS.EXIT,
+          zone,
+          location,
+          timestamp: time.toISOString(),
+        });
+      }
+    });
+    return next;
+  }, {});
+  return events;
+};
+
+/**
+ * Check a location fix against every zone
+ * Events are only sent for zones that are active at the time of the fix
+ * Returns the events sent
+ */
+export const processZoneLocation = async (location) => {
+  try {
+    if (location.accuracy && location.accuracy > MAX_FIX_ACCURACY_METERS) {
+      return [];
+    }
+
+    const zones = await getSafeZones();
+    if (zones.length === 0) return [];
+
+    const events = await updateZoneStates(zones, (zone, wasInside) => {
+      const distance = calculateDistance(location.latitude, location.longitude, zone.latitude, zone.longitude);
+      return wasInside ? distance <= zone.radius + EXIT_MARGIN_METERS : distance <= zone.radius;
+    }, location, new Date(location.timestamp || Date.now()));
+
+    await publishZoneEvents(events);
+    return events;
+  } catch (error) {
+    console.error('Error checking safe zones:', error);
+    return [];
+  }
+};
+
+/**
+ * Handle an enter or exit the OS reported for a geofenced zone
+ * The event has no fix, so its location is the zone's centre
+ * Returns the events sent
+ */
+export const processGeofenceEvent = async ({ eventType, region, timestamp = Date.now() }) => {
+  try {
+    const zone = (await getSafeZones()).find(candidate => candidate.id === region.identifier);
+    if (!zone) return [];
+
+    const inside = eventType === Location.GeofencingEventType.Enter;
+    const events = await updateZoneStates(
+      [zone],
+      () => inside,
+      { latitude: zone.latitude, longitude: zone.longitude, timestamp },
+      new Date(timestamp)
+    );
+
+    await publishZoneEvents(events);
+    return events;
+  } catch (error) {
+    console.error('Error handling safe zone geofence event:', error);
+    return [];
+  }
+};
+
+// Geofence events that came in while storage was locked, handled once it's ready
+let pendingGeofenceEvents = [];
+
+// Runs in the background, and also without the app on screen; must be
+// defined when the bundle loads, so App.js imports this module
+TaskManager.defineTask(SAFE_ZONE_GEOFENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Safe zone geofence task error:', error);
+    return;
+  }
+  if (!data || !data.region) return;
+
+  const event = { eventType: data.eventType, region: data.region, timestamp: Date.now() };
+  if (!(await isStorageReady())) {
+    pendingGeofenceEvents.push(event);
+    return;
+  }
+  await processGeofenceEvent(event);
+});
+
+const processPendingGeofenceEvents = async () => {
+  const events = pendingGeofenceEvents;
+  pendingGeofenceEvents = [];
+  for (const event of events) {
+    await processGeofenceEvent(event);
+  }
+};
+
+/**
+ * Get the zones the user was last seen inside
+ */
+export const getCurrentZones = async () => {
+  const [zones, state] = await Promise.all([getSafeZones(), getData(STORAGE_KEYS.SAFE_ZONE_STATE)]);
+  return zones.filter(zone => state && state[zone.id] && state[zone.id].inside);
+};
+
+/**
+ * Whether a zone event should be sent to the user's emergency contacts
+ */
+export const shouldNotifyContacts = (event) => {
+  const option = event.zone.notifyContacts || ZONE_NOTIFY_OPTIONS.NONE;
+  return option === ZONE_NOTIFY_OPTIONS.BOTH || option === event.type;
+};
+
+/**
+ * Whether the OS can watch zones while the app is closed
+ * Asks for background location permission when ask is set
+ */
+export const canGeofenceZones = async ({ ask = false } = {}) => {
+  try {
+    const { status } = ask
+      ? await Location.requestBackgroundPermissionsAsync()
+      : await Location.getBackgroundPermissionsAsync();
+    return status === 'granted';
+  } catch (error) {
+    console.error('Error checking background location permission:', error);
+    return false;
+  }
+};
+
+const isGeofencing = async () => {
+  try {
+    return await Location.hasStartedGeofencingAsync(SAFE_ZONE_GEOFENCE_TASK);
+  } catch (error) {
+    return false;
+  }
+};
+
+const stopGeofencing = async () => {
+  if (await isGeofencing()) {
+    await Location.stopGeofencingAsync(SAFE_ZONE_GEOFENCE_TASK);
+  }
+};
+
+/**
+ * Start monitoring safe zones
+ * Monitoring only runs while at least one zone is enabled, and follows
+ * zones as they are added, removed or switched off. With background
+ * permission the enabled zones are geofenced, which keeps working after
+ * the app closes; without it location is watched while the app is open, at
+ * the fix rate of the tracking profile (see trackingProfiles.js). During an
+ * SOS zones are also checked against the SOS tracking fixes
+ * Returns subscription object for stopping the monitor; geofencing carries
+ * on after it is stopped
+ */
+export const startSafeZoneMonitor = () => {
+  let tracking = null;
+  let stopped = false;
+  // Syncs run one after another so two watches never start at once
+  let syncing = Promise.resolve();
+
+  const stopWatching = () => {
+    if (tracking) {
+      tracking.stop();
+      tracking = null;
+    }
+  };
+
+  const sync = async () => {
+    if (stopped) {
+      stopWatching();
+      return;
+    }
+    const enabled = (await getSafeZones()).filter(zone => zone.enabled);
+    if (enabled.length === 0) {
+      stopWatching();
+      await stopGeofencing();
+      return;
+    }
+
+    if (await canGeofenceZones()) {
+      stopWatching();
+      // Starting again with the same task name replaces the regions
+      await Location.startGeofencingAsync(SAFE_ZONE_GEOFENCE_TASK, enabled.slice(0, MAX_GEOFENCED_ZONES).map(zone => ({
+        identifier: zone.id,
+        latitude: zone.latitude,
+        longitude: zone.longitude,
+        radius: zone.radius,
+        notifyOnEnter: true,
+        notifyOnExit: true,
+      })));
+      return;
+    }
+    await stopGeofencing();
+    if (!tracking) {
+      tracking = startAdaptiveTracking(processZoneLocation);
+    }
+  };
+
+  const queueSync = () => {
+    syncing = syncing.then(sync).catch((error) => {
+      console.error('Error syncing safe zone monitor:', error);
+    });
+  };
+
+  queueSync();
+  processPendingGeofenceEvents();
+  const unsubscribe = subscribe(STORAGE_KEYS.SAFE_ZONES, queueSync);
+  const unsubscribeEmergency = subscribeToEmergencyLocations(processZoneLocation);
+
+  return {
+    stop: () => {
+      stopped = true;
+      unsubscribe();
+      unsubscribeEmergency();
+      queueSync();
+    },
+  };
+};
@@ -1,6 +1,7 @@
 import * as SMS from 'expo-sms';
 import { Linking } from 'react-native';
 import { createGoogleMapsLink } from './location';
+import { DEFAULT_REGION, normalizePhoneNumber } from './phoneNumbers';
 
 /**
  * SMS utilities for SafeHer app
@@ -43,9 +44,7 @@ export const sendEmergencySMS = async (contacts, location = null, customMessage
     const emergencyMessage = customMessage || createEmergencyMessage(location);
     
     // Get phone numbers from contacts
-    const phoneNumbers = contacts
-      .filter(contact => contact.phone && contact.isEmergency)
-      .map(contact => contact.phone);
+    const phoneNumbers = getRecipientNumbers(contacts.filter(contact => contact.isEmergency));
 
     if (phoneNumbers.length === 0) {
       console.warn('No emergency contacts with phone numbers found');
@@ -94,9 +93,7 @@ export const sendLocationSMS = async (contacts, location, message = null) => {
     const locationMessage = message || createLocationMessage(location);
     
     // Get phone numbers from contacts
-    const phoneNumbers = contacts
-      .filter(contact => contact.phone)
-      .map(contact => contact.phone);
+    const phoneNumbers = getRecipientNumbers(contacts);
 
     if (phoneNumbers.length === 0) {
       console.warn('No contacts with phone numbers found');
@@ -169,6 +166,9 @@ export const createEmergencySMS = (location) => {
   
   if (location) {
     message += `📍 My Location:\n`;
+    if (location.address) {
+      message += `Near: ${location.address}\n`;
+    }
     message += `Latitude: ${location.latitude.toFixed(6)}\n`;
     message += `Longitude: ${location.longitude.toFixed(6)}\n`;
     message += `Accuracy: ${location.accuracy ? Math.round(location.accuracy) + 'm' : 'Unknown'}\n\n`;
@@ -196,10 +196,13 @@ const createEmergencyMessage = (location) => {
 /**
  * Create location sharing message
  */
-const createLocationMessage = (location) => {
+export const createLocationMessage = (location) => {
   const timestamp = new Date().toLocaleString();
   let message = `📍 Location Update\n\n`;
   message += `Time: ${timestamp}\n`;
+  if (location.address) {
+    message += `Near: ${location.address}\n`;
+  }
   message += `Latitude: ${location.latitude.toFixed(6)}\n`;
   message += `Longitude: ${location.longitude.toFixed(6)}\n`;
   message += `Accuracy: ${location.accuracy ? Math.round(location.accuracy) + 'm' : 'Unknown'}\n\n`;
@@ -312,30 +315,64 @@ export const sendIncidentReport = async (contacts, incident, location = null) =>
 };
 
 /**
- * Format phone number for SMS
- * Returns formatted phone number
+ * Create the message telling contacts about a safe zone arrival or departure
+ * time is when it happened, which can be earlier than now for a queued event
  */
-export const formatPhoneNumber = (phoneNumber) => {
-  // Remove all non-digit characters
-  const cleaned = phoneNumber.replace(/\D/g, '');
+export const createZoneAlertMessage = (zoneName, eventType, location, time = new Date()) => {
+  let message = eventType === 'enter' ? `🏠 Arrived Safely\n\n` : `🚶 Left a Safe Zone\n\n`;
+  message += `${eventType === 'enter' ? 'Arrived at' : 'Left'}: ${zoneName}\n`;
+  message += `Time: ${new Date(time).toLocaleString()}\n\n`;
   
-  // Add country code if not present (assuming US +1)
-  if (cleaned.length === 10) {
-    return '+1' + cleaned;
-  } else if (cleaned.length === 11 && cleaned.startsWith('1')) {
-    return '+' + cleaned;
+  if (location) {
+    const mapsLink = createGoogleMapsLink(location.latitude, location.longitude);
+    message += `🗺️ View on Google Maps:\n${mapsLink}\n\n`;
   }
   
-  return phoneNumber; // Return original if can't format
+  message += `Sent via SafeHer Safety App`;
+  return message;
+};
+
+/**
+ * Tell contacts that the user arrived at or left a safe zone
+ * Opens the SMS composer, so only works while the app is on screen
+ * Returns true if SMS was sent successfully, false otherwise
+ */
+export const sendZoneAlert = async (contacts, zoneName, eventType, location, time = new Date()) => {
+  try {
+    const message = createZoneAlertMessage(zoneName, eventType, location, time);
+    return await sendCustomSMS(getRecipientNumbers(contacts), message);
+  } catch (error) {
+    console.error('Error sending zone alert:', error);
+    return false;
+  }
+};
+
+/**
+ * Format phone number for SMS
+ * Returns the E.164 number, reading numbers without a country code in region
+ */
+export const formatPhoneNumber = (phoneNumber, region = DEFAULT_REGION) => {
+  return normalizePhoneNumber(phoneNumber, region) || phoneNumber; // Return original if can't format
 };
 
 /**
  * Validate phone number format
  * Returns true if phone number is valid, false otherwise
  */
-export const isValidPhoneNumber = (phoneNumber) => {
-  const cleaned = phoneNumber.replace(/\D/g, '');
-  return cleaned.length >= 10 && cleaned.length <= 15;
+export const isValidPhoneNumber = (phoneNumber, region = DEFAULT_REGION) => {
+  return normalizePhoneNumber(phoneNumber, region) !== null;
+};
+
+/**
+ * Get the numbers to text for a list of contacts
+ * Each number appears once, even if several contacts share it
+ */
+export const getRecipientNumbers = (contacts, region = DEFAULT_REGION) => {
+  return Array.from(new Set(
+    contacts
+      .filter(contact => contact.phone)
+      .map(contact => formatPhoneNumber(contact.phone, region))
+  ));
 };
 
 /**
@@ -355,7 +392,7 @@ export const openSMSApp = async (phoneNumbers, message) => {
     }
 
     // Format phone numbers for SMS URL
-    const formattedNumbers = phoneNumbers.map(num => formatPhoneNumber(num));
+    const formattedNumbers = Array.from(new Set(phoneNumbers.map(num => formatPhoneNumber(num))));
     const recipients = formattedNumbers.join(',');
     
     // Create SMS URL
@@ -404,7 +441,7 @@ export const sendEmergencySMSViaLinking = async (contacts, location = null, cust
     const emergencyMessage = customMessage || createEmergencySMS(location);
     
     // Get phone numbers
-    const phoneNumbers = emergencyContacts.map(contact => contact.phone);
+    const phoneNumbers = getRecipientNumbers(emergencyContacts);
 
     // Open SMS app with prefilled message
     const success = await openSMSApp(phoneNumbers, emergencyMessage);
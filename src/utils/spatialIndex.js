@@ -0,0 +1,199 @@
+/**
+ * Spatial index utilities for SafeHer app
+ * A static k-d tree for nearest and within-radius queries over thousands of
+ * points, built once when the data loads. Points are placed on the unit
+ * sphere in 3D, where the straight-line (chord) distance grows with the
+ * distance along the ground, so the tree can prune exactly anywhere in the
+ * world, across the antimeridian and near the poles
+ *
+ * Query results are [{ item, distance }] sorted nearest first, with the
+ * distance in meters along the ground
+ */
+
+const EARTH_RADIUS = 6371e3; // meters, as in calculateDistance
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+const toUnitVector = (latitude, longitude) => {
+  const phi = toRadians(latitude);
+  const lambda = toRadians(longitude);
+  return [
+    Math.cos(phi) * Math.cos(lambda),
+    Math.cos(phi) * Math.sin(lambda),
+    Math.sin(phi),
+  ];
+};
+
+// Squared chord length between two points on the unit sphere a ground
+// distance apart; anything past the far side of the earth is a full diameter
+const toChordSquared = (meters) => {
+  if (!Number.isFinite(meters)) return Infinity;
+  const chord = 2 * Math.sin(Math.min(meters / EARTH_RADIUS, Math.PI) / 2);
+  return chord * chord;
+};
+
+const toMeters = chordSquared => 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(chordSquared) / 2));
+
+/**
+ * Build an index over items
+ * getPosition returns { latitude, longitude } for an item; items without a
+ * finite position are left out
+ * Returns { size, nearest(latitude, longitude, options), within(latitude, longitude, radius, options) }
+ */
+export const createSpatialIndex = (items, getPosition = item => item) => {
+  const indexed = items.filter((item) => {
+    const { latitude, longitude } = getPosition(item) || {};
+    return Number.isFinite(latitude) && Number.isFinite(longitude);
+  });
+  const size = indexed.length;
+
+  // Coordinates of item i are coords[3i..3i+2]; the tree is the order array,
+  // where the node for a range is its middle and axes holds its split axis
+  const coords = new Float64Array(size * 3);
+  indexed.forEach((item, i) => {
+    const { latitude, longitude } = getPosition(item);
+    coords.set(toUnitVector(latitude, longitude), i * 3);
+  });
+  const order = new Int32Array(size);
+  for (let i = 0; i < size; i++) order[i] = i;
+  const axes = new Uint8Array(size);
+
+  const coordinate = (position, axis) => coords[order[position] * 3 + axis];
+
+  const swap = (a, b) => {
+    const item = order[a];
+    order[a] = order[b];
+    order[b] = item;
+  };
+
+  // Partially sort order[lo..hi) so the k-th position holds its median along the axis
+  const select = (lo, hi, k, axis) => {
+    let left = lo;
+    let right = hi - 1;
+    while (left < right) {
+      const pivot = coordinate((left + right) >> 1, axis);
+      let i = left;
+      let j = right;
+      while (i <= j) {
+        while (coordinate(i, axis) < pivot) i++;
+        while (coordinate(j, axis) > pivot) j--;
+        if (i <= j) {
+          swap(i, j);
+          i++;
+          j--;
+        }
+      }
+      if (k <= j) right = j;
+      else if (k >= i) left = i;
+      else return;
+    }
+  };
+
+  // Split each range along its widest axis; a stack instead of recursion
+  // keeps deep trees off the JS call stack
+  const ranges = size > 0 ? [[0, size]] : [];
+  while (ranges.length > 0) {
+    const [lo, hi] = ranges.pop();
+    if (hi - lo <= 1) continue;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = lo; i < hi; i++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = coordinate(i, axis);
+        if (value < min[axis]) min[axis] = value;
+        if (value > max[axis]) max[axis] = value;
+      }
+    }
+    const spreads = [0, 1, 2].map(axis => max[axis] - min[axis]);
+    const axis = spreads.indexOf(Math.max(...spreads));
+
+    const mid = (lo + hi) >> 1;
+    select(lo, hi, mid, axis);
+    axes[mid] = axis;
+    ranges.push([lo, mid], [mid + 1, hi]);
+  }
+
+  /**
+   * Walk the tree, calling visit(position, chordSquared) for every point
+   * closer than bound() and pruning branches that can't be
+   */
+  const search = (target, bound, visit) => {
+    // Each entry is a range and the squared distance to the plane that bounds it
+    const stack = size > 0 ? [[0, size, 0]] : [];
+    while (stack.length > 0) {
+      const [lo, hi, gap] = stack.pop();
+      if (lo >= hi || gap > bound()) continue;
+
+      const mid = (lo + hi) >> 1;
+      const base = order[mid] * 3;
+      const dx = coords[base] - target[0];
+      const dy = coords[base + 1] - target[1];
+      const dz = coords[base + 2] - target[2];
+      const chordSquared = dx * dx + dy * dy + dz * dz;
+      if (chordSquared <= bound()) {
+        visit(mid, chordSquared);
+      }
+
+      if (hi - lo === 1) continue;
+      const axis = axes[mid];
+      const split = coords[base + axis] - target[axis];
+      const farGap = Math.max(gap, split * split);
+      const near = split > 0 ? [lo, mid, gap] : [mid + 1, hi, gap];
+      const far = split > 0 ? [mid + 1, hi, farGap] : [lo, mid, farGap];
+      // The near side goes on top so it's searched first and tightens the bound;
+      // the far side is checked against the bound again when it comes off the stack
+      if (farGap <= bound()) {
+        stack.push(far);
+      }
+      stack.push(near);
+    }
+  };
+
+  const toResult = ({ position, chordSquared }) => ({
+    item: indexed[order[position]],
+    distance: toMeters(chordSquared),
+  });
+
+  /**
+   * Find the closest items to a location
+   * options: { limit, maxDistance, filter }; filter(item) skips items it rejects
+   */
+  const nearest = (latitude, longitude, { limit = 1, maxDistance = Infinity, filter = null } = {}) => {
+    if (limit <= 0) return [];
+    const target = toUnitVector(latitude, longitude);
+    const maxChordSquared = toChordSquared(maxDistance);
+    // Best matches so far, nearest first; limit is small, so insertion is cheap
+    const best = [];
+    const bound = () => (best.length < limit ? maxChordSquared : best[best.length - 1].chordSquared);
+
+    search(target, bound, (position, chordSquared) => {
+      if (filter && !filter(indexed[order[position]])) return;
+      let i = best.length;
+      while (i > 0 && best[i - 1].chordSquared > chordSquared) i--;
+      best.splice(i, 0, { position, chordSquared });
+      if (best.length > limit) best.pop();
+    });
+    return best.map(toResult);
+  };
+
+  /**
+   * Find every item within radius meters of a location
+   * options: { filter }
+   */
+  const within = (latitude, longitude, radius, { filter = null } = {}) => {
+    const target = toUnitVector(latitude, longitude);
+    const radiusChordSquared = toChordSquared(radius);
+    const found = [];
+
+    search(target, () => radiusChordSquared, (position, chordSquared) => {
+      if (filter && !filter(indexed[order[position]])) return;
+      found.push({ position, chordSquared });
+    });
+    return found
+      .sort((a, b) => a.chordSquared - b.chordSquared)
+      .map(toResult);
+  };
+
+  return { size, nearest, within };
+};
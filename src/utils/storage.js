@@ -1,28 +1,529 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getStorageBackend } from './storageBackends';
+import {
+  initializeEncryption,
+  isEncryptionLocked,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  rekeyEncryptedData,
+  resetEncryption,
+} from './encryption';
+import {
+  getDayKey,
+  createChunk,
+  appendToChunk,
+  decodeChunk,
+  encodeChunk,
+  encodeTrail,
+  encodeSegments,
+  summarizeSegments,
+  SEGMENT_FIXES,
+} from './locationEncoding';
+import {
+  AUDIT_SOURCES,
+  AUDIT_COLLECTIONS,
+  hashValue,
+  createAuditEntry,
+  verifyAuditChain,
+  diffCollection,
+  getUnreviewedEntries,
+} from './auditLog';
+import { normalizePhoneNumber, getProfileRegion } from './phoneNumbers';
 
 /**
  * Storage utilities for SafeHer app
- * Handles all local data storage using AsyncStorage
+ * Handles all local data storage through the active storage backend
  * Provides offline-first data management
+ * Sensitive collections are encrypted at rest (see encryption.js)
+ * Functions take STORAGE_KEYS names and act on the active profile's copy
  */
 
 // Storage keys
-const STORAGE_KEYS = {
+export const STORAGE_KEYS = {
   TRUSTED_CONTACTS: 'safeher_trusted_contacts',
   USER_SETTINGS: 'safeher_user_settings',
   EMERGENCY_HISTORY: 'safeher_emergency_history',
-  LOCATION_HISTORY: 'safeher_location_history',
+  LOCATION_HISTORY: 'safeher_location_history', // Legacy list, replaced by day chunks in schema v2
+  LOCATION_INDEX: 'safeher_location_index',
   SAFETY_REPORTS: 'safeher_safety_reports',
   USER_PROFILE: 'safeher_user_profile',
+  SCHEMA_VERSION: 'safeher_schema_version',
+  MIGRATION_ERROR: 'safeher_migration_error',
+  RETENTION_POLICIES: 'safeher_retention_policies',
+  PROFILES: 'safeher_profiles',
+  AUDIT_LOG: 'safeher_audit_log',
+  RECYCLE_BIN: 'safeher_recycle_bin',
+  SAFE_ZONES: 'safeher_safe_zones',
+  SAFE_ZONE_STATE: 'safeher_safe_zone_state',
+  ACTIVE_EMERGENCY: 'safeher_active_emergency',
+  REGION_PACKS: 'safeher_region_packs',
+  USER_SAFE_PLACES: 'safeher_user_safe_places',
+  EMERGENCY_SERVICES_CACHE: 'safeher_emergency_services_cache',
+};
+
+// Keys shared by every profile on the device; all other keys, including
+// the schema version, are per profile so each profile migrates on its own
+export const DEVICE_KEYS = [
+  STORAGE_KEYS.PROFILES,
+  STORAGE_KEYS.REGION_PACKS,
+];
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Profile whose data the storage functions read and write
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+const PROFILE_KEY_PATTERN = /^safeher_p_([a-z0-9]+)_/;
+
+/**
+ * Get the key a value is stored under for a profile
+ * The default profile keeps the original keys, so data from before
+ * profiles existed stays where it is
+ */
+export const getProfileStorageKey = (key, profileId = activeProfileId) => {
+  if (profileId === DEFAULT_PROFILE_ID || DEVICE_KEYS.includes(key)) {
+    return key;
+  }
+  return key.replace(/^safeher_/, `safeher_p_${profileId}_`);
+};
+
+const toLogicalKey = storageKey => storageKey.replace(PROFILE_KEY_PATTERN, 'safeher_');
+
+const getKeyProfileId = (storageKey) => {
+  const match = storageKey.match(PROFILE_KEY_PATTERN);
+  return match ? match[1] : DEFAULT_PROFILE_ID;
+};
+
+// Collections that reveal who the user is, where they go and who they call
+export const ENCRYPTED_KEYS = [
+  STORAGE_KEYS.TRUSTED_CONTACTS,
+  STORAGE_KEYS.LOCATION_HISTORY,
+  STORAGE_KEYS.EMERGENCY_HISTORY,
+  STORAGE_KEYS.LOCATION_INDEX,
+  STORAGE_KEYS.AUDIT_LOG,
+  STORAGE_KEYS.RECYCLE_BIN,
+  STORAGE_KEYS.SAFE_ZONES,
+  STORAGE_KEYS.SAFE_ZONE_STATE,
+  STORAGE_KEYS.USER_SAFE_PLACES,
+  STORAGE_KEYS.EMERGENCY_SERVICES_CACHE, // Looked up around where the user was
+];
+
+// Location history is stored as encoded segments per day under this prefix
+export const LOCATION_CHUNK_PREFIX = 'safeher_location_day_';
+
+export const getLocationChunkKey = day => `${LOCATION_CHUNK_PREFIX}${day}`;
+
+// The first segment keeps the day's key, so days stored as one chunk are
+// read as one segment
+export const getLocationSegmentKey = (day, segment) => (segment === 0
+  ? getLocationChunkKey(day)
+  : `${getLocationChunkKey(day)}_${segment}`);
+
+const isEncryptedKey = (storageKey) => {
+  const key = toLogicalKey(storageKey);
+  return ENCRYPTED_KEYS.includes(key) || key.startsWith(LOCATION_CHUNK_PREFIX);
+};
+
+/**
+ * Every sensitive key currently in storage, for all profiles
+ */
+const getEncryptedKeys = async () => {
+  const keys = await getStorageBackend().getAllKeys();
+  // Today's chunk is included even if it doesn't exist yet so new fixes wait
+  // for a rekey; new segments are only written while holding the index key
+  const todayKey = getProfileStorageKey(getLocationChunkKey(getDayKey(Date.now())));
+  const activeKeys = ENCRYPTED_KEYS.map(key => getProfileStorageKey(key));
+  return Array.from(new Set([...activeKeys, ...keys.filter(isEncryptedKey), todayKey]));
+};
+
+/**
+ * Convert a value to the string written to storage
+ * Sensitive keys are encrypted; throws if encrypted storage is locked
+ */
+const serializeValue = (key, data) => {
+  const jsonData = JSON.stringify(data);
+  return isEncryptedKey(key) ? encryptValue(jsonData) : jsonData;
+};
+
+/**
+ * Convert a stored string back to a value
+ * Plaintext written before encryption existed is still readable
+ */
+const parseValue = (rawValue) => {
+  if (!rawValue) return null;
+  const jsonData = isEncryptedValue(rawValue) ? decryptValue(rawValue) : rawValue;
+  return JSON.parse(jsonData);
+};
+
+/**
+ * Storage Quota
+ * The size of every stored value is tracked as it is written, so usage is
+ * known without reading the whole store. Emergency history, and during an
+ * SOS its tracking state and location trail, may use a reserved slice at
+ * the top of the quota that no other write can take
+ */
+
+// Space only emergency writes may use
+export const EMERGENCY_RESERVE_BYTES = 256 * 1024;
+
+const RESERVED_KEYS = [STORAGE_KEYS.EMERGENCY_HISTORY];
+
+// While an SOS is active, its tracking state and location trail may use the reserve too
+const isEmergencyTrailKey = key => key === STORAGE_KEYS.ACTIVE_EMERGENCY ||
+  key === STORAGE_KEYS.LOCATION_INDEX ||
+  key.startsWith(LOCATION_CHUNK_PREFIX);
+
+// { backend, sizes: storage key -> size, total } for the backend it was measured on
+let sizeLedger = null;
+let sizeLedgerLoading = null;
+
+const getEntrySize = (key, value) => (value === null || value === undefined ? 0 : key.length + value.length);
+
+const loadSizeLedger = async () => {
+  const backend = getStorageBackend();
+  const sizes = new Map();
+  let total = 0;
+  (await backend.getSizes()).forEach(([key, size]) => {
+    if (!key.startsWith('safeher_')) return;
+    sizes.set(key, key.length + size);
+    total += key.length + size;
+  });
+  sizeLedger = { backend, sizes, total };
+  return sizeLedger;
+};
+
+/**
+ * Get the size ledger for the active backend, measuring it once if needed
+ * Returns null if the backend can't be measured
+ */
+const getSizeLedger = async () => {
+  if (sizeLedger && sizeLedger.backend === getStorageBackend()) {
+    return sizeLedger;
+  }
+  if (!sizeLedgerLoading) {
+    sizeLedgerLoading = loadSizeLedger().finally(() => {
+      sizeLedgerLoading = null;
+    });
+  }
+  try {
+    return await sizeLedgerLoading;
+  } catch (error) {
+    console.error('Error measuring storage usage:', error);
+    return null;
+  }
+};
+
+// Values written outside the ledger (e.g. by a rekey) need a fresh measurement
+const invalidateSizeLedger = () => {
+  sizeLedger = null;
+};
+
+const recordSizes = (pairs) => {
+  if (!sizeLedger || sizeLedger.backend !== getStorageBackend()) return;
+  pairs.forEach(([key, value]) => {
+    const size = getEntrySize(key, value);
+    sizeLedger.total += size - (sizeLedger.sizes.get(key) || 0);
+    if (size > 0) {
+      sizeLedger.sizes.set(key, size);
+    } else {
+      sizeLedger.sizes.delete(key);
+    }
+  });
+};
+
+/**
+ * Whether a write may grow into the reserved space: emergency history always,
+ * the active emergency and location trail only while an SOS is active
+ */
+const mayUseReserve = async (pairs) => {
+  const keys = pairs.map(([key]) => toLogicalKey(key));
+  if (keys.every(key => RESERVED_KEYS.includes(key))) return true;
+  if (!keys.every(isEmergencyTrailKey)) return false;
+
+  // Starting an SOS writes the active emergency itself
+  const activeWrite = pairs.find(([key]) => toLogicalKey(key) === STORAGE_KEYS.ACTIVE_EMERGENCY);
+  if (activeWrite) return activeWrite[1] !== null;
+  try {
+    const activeKey = getProfileStorageKey(STORAGE_KEYS.ACTIVE_EMERGENCY, getKeyProfileId(pairs[0][0]));
+    return Boolean(await readValue(activeKey));
+  } catch (error) {
+    console.error('Error checking for an active emergency:', error);
+    return false;
+  }
+};
+
+/**
+ * Refuse a write that would not fit
+ * Only emergency writes may grow into the reserved space (see mayUseReserve);
+ * writes that shrink storage are always allowed
+ */
+const checkQuota = async (pairs) => {
+  const quota = getStorageBackend().quotaBytes;
+  if (!quota) return;
+
+  const ledger = await getSizeLedger();
+  if (!ledger) return;
+
+  const growth = pairs.reduce(
+    (sum, [key, value]) => sum + getEntrySize(key, value) - (ledger.sizes.get(key) || 0),
+    0
+  );
+  if (growth <= 0) return;
+
+  if (ledger.total + growth <= quota - EMERGENCY_RESERVE_BYTES) return;
+  if (ledger.total + growth > quota || !(await mayUseReserve(pairs))) {
+    throw new Error('Storage is full');
+  }
+};
+
+/**
+ * Write raw storage strings after checking they fit, keeping the ledger current
+ */
+const putValues = async (pairs) => {
+  await checkQuota(pairs);
+  if (pairs.length === 1) {
+    await getStorageBackend().setItem(pairs[0][0], pairs[0][1]);
+  } else {
+    await getStorageBackend().multiSet(pairs);
+  }
+  recordSizes(pairs);
+};
+
+const deleteValue = async (key) => {
+  await getStorageBackend().removeItem(key);
+  recordSizes([[key, null]]);
+};
+
+/**
+ * Current storage usage of the active backend
+ * quotaBytes, availableBytes and ratio are null when the backend has no fixed
+ * limit; availableBytes excludes the emergency reserve
+ * Returns null if usage can't be measured
+ */
+export const getStorageUsage = async () => {
+  const ledger = await getSizeLedger();
+  if (!ledger) return null;
+
+  const quota = getStorageBackend().quotaBytes || null;
+  return {
+    usedBytes: ledger.total,
+    keyCount: ledger.sizes.size,
+    quotaBytes: quota,
+    reservedBytes: quota ? EMERGENCY_RESERVE_BYTES : 0,
+    availableBytes: quota ? Math.max(0, quota - EMERGENCY_RESERVE_BYTES - ledger.total) : null,
+    ratio: quota ? ledger.total / quota : null,
+  };
+};
+
+/**
+ * Measure the whole store again and return the usage
+ * Picks up values written without going through storage.js
+ */
+export const refreshStorageUsage = async () => {
+  invalidateSizeLedger();
+  return await getStorageUsage();
+};
+
+// Tail of the pending write chain for each storage key
+const writeQueues = {};
+
+// Counter that keeps ids unique within the same millisecond
+let idCounter = 0;
+
+/**
+ * Generate a unique id for stored records
+ * Timestamp first so ids still sort by creation time
+ */
+export const generateId = () => {
+  idCounter = (idCounter + 1) % 1679616; // 36^4
+  const sequence = idCounter.toString(36).padStart(4, '0');
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${Date.now()}-${sequence}-${random}`;
+};
+
+/**
+ * Run a write task after every pending write on the same keys has finished
+ * Writes to one key are applied in the order they were requested
+ */
+const enqueueWrite = (keys, task) => {
+  const keyList = Array.isArray(keys) ? keys : [keys];
+  const pending = keyList.map(key => (writeQueues[key] || Promise.resolve()).catch(() => {}));
+  const next = Promise.all(pending).then(task);
+
+  keyList.forEach(key => {
+    writeQueues[key] = next;
+  });
+
+  const cleanup = () => {
+    keyList.forEach(key => {
+      if (writeQueues[key] === next) {
+        delete writeQueues[key];
+      }
+    });
+  };
+  next.then(cleanup, cleanup);
+
+  return next;
+};
+
+/**
+ * Change Subscriptions
+ * Screens subscribe to the keys they show and get told whenever one is written
+ */
+const listeners = new Set();
+
+/**
+ * Subscribe to changes of one or more storage keys
+ * Pass null as keys to hear about every change
+ * The listener receives the changed keys, or null when all data was cleared
+ * Returns a function that unsubscribes
+ */
+export const subscribe = (keys, listener) => {
+  const entry = {
+    keys: keys === null ? null : new Set(Array.isArray(keys) ? keys : [keys]),
+    listener,
+  };
+  listeners.add(entry);
+  return () => {
+    listeners.delete(entry);
+  };
+};
+
+/**
+ * Tell listeners which keys changed
+ * Takes storage keys; listeners only hear about the active profile
+ * and device-wide keys, by their plain STORAGE_KEYS names
+ */
+const notifyChange = (storageKeys) => {
+  const changedKeys = storageKeys === null
+    ? null
+    : storageKeys
+      .filter(key => DEVICE_KEYS.includes(key) || getKeyProfileId(key) === activeProfileId)
+      .map(toLogicalKey);
+  if (changedKeys !== null && changedKeys.length === 0) return;
+
+  listeners.forEach(({ keys, listener }) => {
+    const matching = changedKeys === null
+      ? null
+      : changedKeys.filter(key => keys === null || keys.has(key));
+    if (matching !== null && matching.length === 0) return;
+
+    try {
+      listener(matching);
+    } catch (error) {
+      console.error('Error in storage listener:', error);
+    }
+  });
+};
+
+/**
+ * Audit Log
+ * Changes to contacts, settings and the user profile are appended to a
+ * hash-chained log in the same write as the change (see auditLog.js)
+ * The log can only grow through those writes; it can't be stored or removed directly
+ */
+const AUDITED_KEYS = {
+  [STORAGE_KEYS.TRUSTED_CONTACTS]: AUDIT_COLLECTIONS.CONTACTS,
+  [STORAGE_KEYS.USER_SETTINGS]: AUDIT_COLLECTIONS.SETTINGS,
+  [STORAGE_KEYS.USER_PROFILE]: AUDIT_COLLECTIONS.USER_PROFILE,
+};
+
+const getAuditCollection = storageKey => AUDITED_KEYS[toLogicalKey(storageKey)] || null;
+
+// Missing settings read as the defaults, so compare against those
+const getAuditedValue = (storageKey, value) => {
+  if (value === null && toLogicalKey(storageKey) === STORAGE_KEYS.USER_SETTINGS) {
+    return DEFAULT_SETTINGS;
+  }
+  return value;
+};
+
+const getAuditLogKey = storageKey => getProfileStorageKey(STORAGE_KEYS.AUDIT_LOG, getKeyProfileId(storageKey));
+
+// Writes to audited keys also wait on the log so entries are chained in order
+const withAuditLogKey = (storageKeys) => {
+  const audited = storageKeys.find(getAuditCollection);
+  return audited ? [...storageKeys, getAuditLogKey(audited)] : storageKeys;
+};
+
+const assertNotAuditLog = (key) => {
+  if (key === STORAGE_KEYS.AUDIT_LOG) {
+    throw new Error('The audit log can only be appended to');
+  }
+};
+
+/**
+ * Build the log write that records a set of changes
+ * pairs are [storageKey, new value], with null for a removed key
+ * Returns a [logKey, serialized log] pair, or null if nothing audited changed
+ * An unreadable log is left alone so it can't block changing safety settings;
+ * getAuditStatus reports it
+ */
+const buildAuditWrite = async (pairs, source) => {
+  const audited = pairs.filter(([key]) => getAuditCollection(key));
+  if (audited.length === 0 || source === null) return null;
+
+  const logKey = getAuditLogKey(audited[0][0]);
+  let log;
+  try {
+    log = await readValue(logKey) || [];
+  } catch (error) {
+    console.error('Error reading audit log, change not recorded:', error);
+    return null;
+  }
+
+  const entries = [...log];
+  for (const [key, data] of audited) {
+    let before = null;
+    try {
+      before = await readValue(key);
+    } catch (error) {
+      console.error('Error reading audited value:', error);
+    }
+
+    const collection = getAuditCollection(key);
+    const changes = diffCollection(collection, getAuditedValue(key, before), getAuditedValue(key, data));
+    if (changes.length > 0) {
+      entries.push(createAuditEntry(entries[entries.length - 1] || null, {
+        source,
+        collection,
+        changes,
+        stateHash: hashValue(data),
+      }));
+    }
+  }
+
+  return entries.length > log.length ? [logKey, serializeValue(logKey, entries)] : null;
+};
+
+/**
+ * Read a value, throwing instead of returning null on failure
+ * Used inside transactions so an unreadable value is never overwritten
+ * readValue and writeValue take storage keys (see getProfileStorageKey)
+ */
+const readValue = async (key) => {
+  const jsonData = await getStorageBackend().getItem(key);
+  return parseValue(jsonData);
+};
+
+const writeValue = async (key, data, source = AUDIT_SOURCES.APP) => {
+  const pairs = [[key, serializeValue(key, data)]];
+  const auditWrite = await buildAuditWrite([[key, data]], source);
+  if (auditWrite) pairs.push(auditWrite);
+  await putValues(pairs);
+  notifyChange(pairs.map(([storageKey]) => storageKey));
 };
 
 /**
  * Generic storage functions
+ * source says where a change came from and is recorded for audited keys
+ * (see AUDIT_SOURCES); null skips the record, e.g. for the decoy data set
  */
-export const storeData = async (key, data) => {
+export const storeData = async (key, data, source = AUDIT_SOURCES.APP) => {
   try {
-    const jsonData = JSON.stringify(data);
-    await AsyncStorage.setItem(key, jsonData);
+    assertNotAuditLog(key);
+    const storageKey = getProfileStorageKey(key);
+    await enqueueWrite(withAuditLogKey([storageKey]), () => writeValue(storageKey, data, source));
     return true;
   } catch (error) {
     console.error('Error storing data:', error);
@@ -32,17 +533,103 @@ export const storeData = async (key, data) => {
 
 export const getData = async (key) => {
   try {
-    const jsonData = await AsyncStorage.getItem(key);
-    return jsonData ? JSON.parse(jsonData) : null;
+    return await readValue(getProfileStorageKey(key));
   } catch (error) {
     console.error('Error getting data:', error);
     return null;
   }
 };
 
-export const removeData = async (key) => {
+/**
+ * Atomically read, change and write back a single key
+ * The updater receives the current value (or defaultValue) and returns the new one
+ * Concurrent updates to the same key run one after another, so none are lost
+ * Returns the new value, throws if the read or write fails
+ */
+export const updateData = (key, updater, defaultValue = null, source = AUDIT_SOURCES.APP) => {
+  assertNotAuditLog(key);
+  const storageKey = getProfileStorageKey(key);
+  return enqueueWrite(withAuditLogKey([storageKey]), async () => {
+    const current = await readValue(storageKey);
+    const updated = await updater(current === null ? defaultValue : current);
+    await writeValue(storageKey, updated, source);
+    return updated;
+  });
+};
+
+/**
+ * Atomically read, change and write back several keys
+ * defaults maps each key to use to the value it has when missing; the
+ * updater receives the current values by key and returns the new ones
+ * Every key is written in one write, so either all changes land or none do
+ * Returns the new values, throws if the read or write fails
+ */
+export const updateMultipleData = (defaults, updater, source = AUDIT_SOURCES.APP) => {
+  const keys = Object.keys(defaults);
+  keys.forEach(assertNotAuditLog);
+  const storageKeys = keys.map(key => getProfileStorageKey(key));
+  return enqueueWrite(withAuditLogKey(storageKeys), async () => {
+    const current = {};
+    for (const [index, key] of keys.entries()) {
+      const value = await readValue(storageKeys[index]);
+      current[key] = value === null ? defaults[key] : value;
+    }
+
+    const updated = await updater(current);
+    const pairs = keys.map((key, index) => [storageKeys[index], updated[key]]);
+    const serialized = pairs.map(([storageKey, data]) => [storageKey, serializeValue(storageKey, data)]);
+    const auditWrite = await buildAuditWrite(pairs, source);
+    if (auditWrite) serialized.push(auditWrite);
+    await putValues(serialized);
+    notifyChange(serialized.map(([storageKey]) => storageKey));
+    return updated;
+  });
+};
+
+/**
+ * Store several keys in a single write
+ * Either every entry is written or none of them are
+ */
+export const storeMultipleData = async (entries, source = AUDIT_SOURCES.APP) => {
+  try {
+    Object.keys(entries).forEach(assertNotAuditLog);
+    const pairs = Object.entries(entries).map(([key, data]) => [getProfileStorageKey(key), data]);
+    const keys = pairs.map(([storageKey]) => storageKey);
+    await enqueueWrite(withAuditLogKey(keys), async () => {
+      const serialized = pairs.map(([storageKey, data]) => [storageKey, serializeValue(storageKey, data)]);
+      const auditWrite = await buildAuditWrite(pairs, source);
+      if (auditWrite) serialized.push(auditWrite);
+      await putValues(serialized);
+      keys.forEach(forgetDecodedDay);
+      notifyChange(serialized.map(([storageKey]) => storageKey));
+    });
+    return true;
+  } catch (error) {
+    console.error('Error storing multiple data:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove a key
+ * For audited keys the value is first blanked in the same write as the log
+ * entry, so the log never records a removal that didn't happen; a blanked
+ * value reads as missing if the app stops before the key itself is removed
+ */
+export const removeData = async (key, source = AUDIT_SOURCES.APP) => {
   try {
-    await AsyncStorage.removeItem(key);
+    assertNotAuditLog(key);
+    const storageKey = getProfileStorageKey(key);
+    const changedKeys = await enqueueWrite(withAuditLogKey([storageKey]), async () => {
+      const auditWrite = await buildAuditWrite([[storageKey, null]], source);
+      if (auditWrite) {
+        await putValues([[storageKey, serializeValue(storageKey, null)], auditWrite]);
+      }
+      await deleteValue(storageKey);
+      return auditWrite ? [storageKey, auditWrite[0]] : [storageKey];
+    });
+    forgetDecodedDay(storageKey);
+    notifyChange(changedKeys);
     return true;
   } catch (error) {
     console.error('Error removing data:', error);
@@ -52,7 +639,14 @@ export const removeData = async (key) => {
 
 export const clearAllData = async () => {
   try {
-    await AsyncStorage.clear();
+    // Let pending writes land first so they can't recreate keys after the clear
+    await Promise.all(Object.values(writeQueues).map(pending => pending.catch(() => {})));
+    await getStorageBackend().clear();
+    invalidateSizeLedger();
+    decodedDays.clear();
+    // Old key material is useless once the data is gone
+    await resetEncryption();
+    notifyChange(null);
     return true;
   } catch (error) {
     console.error('Error clearing all data:', error);
@@ -60,11 +654,117 @@ export const clearAllData = async () => {
   }
 };
 
+/**
+ * Profile Scoping
+ * Profile records themselves are managed in profiles.js
+ */
+export const getActiveProfileId = () => activeProfileId;
+
+/**
+ * Point every storage function at another profile's data
+ * Subscribers are told everything changed so screens reload
+ */
+export const setActiveProfile = (profileId) => {
+  activeProfileId = profileId || DEFAULT_PROFILE_ID;
+  notifyChange(null);
+};
+
+/**
+ * Delete every stored value that belongs to a profile
+ * The default profile shares its keys with pre-profile data and can't be removed
+ */
+export const removeProfileData = async (profileId) => {
+  try {
+    if (!profileId || profileId === DEFAULT_PROFILE_ID) {
+      return false;
+    }
+
+    const prefix = getProfileStorageKey('safeher_', profileId);
+    const keys = (await getStorageBackend().getAllKeys()).filter(key => key.startsWith(prefix));
+    await enqueueWrite(keys, async () => {
+      for (const key of keys) {
+        await deleteValue(key);
+        forgetDecodedDay(key);
+      }
+    });
+    notifyChange(keys);
+    return true;
+  } catch (error) {
+    console.error('Error removing profile data:', error);
+    return false;
+  }
+};
+
+/**
+ * Encrypted Storage Management
+ */
+
+/**
+ * Prepare encrypted storage on app startup
+ * Returns { locked } where locked means the user has to enter their PIN first
+ */
+export const initializeSecureStorage = async () => {
+  const status = await initializeEncryption();
+  if (status && !status.locked) {
+    await encryptLegacyData();
+  }
+  return status || { locked: false };
+};
+
+/**
+ * Encrypt sensitive values that were stored as plaintext by older versions
+ */
+export const encryptLegacyData = async () => {
+  try {
+    if (isEncryptionLocked()) return false;
+
+    const keys = await getEncryptedKeys();
+    await enqueueWrite(keys, async () => {
+      for (const key of keys) {
+        const rawValue = await getStorageBackend().getItem(key);
+        if (rawValue && !isEncryptedValue(rawValue)) {
+          await getStorageBackend().setItem(key, encryptValue(rawValue));
+        }
+      }
+    });
+    invalidateSizeLedger();
+    return true;
+  } catch (error) {
+    console.error('Error encrypting legacy data:', error);
+    return false;
+  }
+};
+
+/**
+ * Set, change or remove the storage PIN
+ * Pass newPin as null to go back to device-key-only encryption
+ */
+export const changeStoragePin = async (currentPin, newPin) => {
+  const keys = await getEncryptedKeys();
+  const success = await enqueueWrite(keys, () =>
+    rekeyEncryptedData(keys, { currentPin, newPin })
+  );
+  invalidateSizeLedger();
+  return success;
+};
+
+/**
+ * Rotate the device key and re-encrypt all sensitive data, keeping the same PIN
+ */
+export const rotateStorageKey = async (currentPin = null) => {
+  const keys = await getEncryptedKeys();
+  const success = await enqueueWrite(keys, () =>
+    rekeyEncryptedData(keys, { currentPin, newPin: currentPin })
+  );
+  invalidateSizeLedger();
+  return success;
+};
+
 /**
  * Trusted Contacts Management
  */
-export const storeContacts = async (contacts) => {
-  return await storeData(STORAGE_KEYS.TRUSTED_CONTACTS, contacts);
+export const storeContacts = async (contacts, source = AUDIT_SOURCES.APP) => {
+  return await storeData(STORAGE_KEYS.TRUSTED_CONTACTS, contacts, source);
 };
 
 export const getStoredContacts = async () => {
@@ -106,16 +806,35 @@ export const getContactsWithPhone = async () => {
   }
 };
 
-export const addContact = async (contact) => {
+/**
+ * Region that phone numbers without a country code are read in
+ * Comes from the user profile (see getProfileRegion)
+ */
+export const getDefaultPhoneRegion = async () => {
+  return getProfileRegion(await getUserProfile());
+};
+
+// Store numbers in E.164 so one person can't be saved twice; invalid numbers are kept as typed
+const normalizeContactPhone = (phone, region) => {
+  if (typeof phone !== 'string') return phone;
+  return normalizePhoneNumber(phone, region) || phone.trim();
+};
+
+export const addContact = async (contact, source = AUDIT_SOURCES.APP) => {
   try {
-    const existingContacts = await getStoredContacts();
+    const region = await getDefaultPhoneRegion();
     const newContact = {
-      id: Date.now().toString(),
+      id: generateId(),
       ...contact,
+      phone: normalizeContactPhone(contact.phone, region),
       addedDate: new Date().toISOString(),
     };
-    const updatedContacts = [...existingContacts, newContact];
-    await storeContacts(updatedContacts);
+    await updateData(
+      STORAGE_KEYS.TRUSTED_CONTACTS,
+      contacts => [...contacts, newContact],
+      [],
+      source
+    );
     return newContact;
   } catch (error) {
     console.error('Error adding contact:', error);
@@ -123,13 +842,20 @@ export const addContact = async (contact) => {
   }
 };
 
-export const updateContact = async (contactId, updates) => {
+export const updateContact = async (contactId, updates, source = AUDIT_SOURCES.APP) => {
   try {
-    const contacts = await getStoredContacts();
-    const updatedContacts = contacts.map(contact =>
-      contact.id === contactId ? { ...contact, ...updates } : contact
+    const changes = { ...updates };
+    if ('phone' in changes) {
+      changes.phone = normalizeContactPhone(changes.phone, await getDefaultPhoneRegion());
+    }
+    await updateData(
+      STORAGE_KEYS.TRUSTED_CONTACTS,
+      contacts => contacts.map(contact =>
+        contact.id === contactId ? { ...contact, ...changes } : contact
+      ),
+      [],
+      source
     );
-    await storeContacts(updatedContacts);
     return true;
   } catch (error) {
     console.error('Error updating contact:', error);
@@ -137,45 +863,88 @@ export const updateContact = async (contactId, updates) => {
   }
 };
 
-export const deleteContact = async (contactId) => {
+/**
+ * Move a contact to the recycle bin
+ * Returns the recycle bin entry, so the deletion can be undone, or null on failure
+ */
+export const deleteContact = async (contactId, source = AUDIT_SOURCES.APP) => {
   try {
-    const contacts = await getStoredContacts();
-    const updatedContacts = contacts.filter(contact => contact.id !== contactId);
-    await storeContacts(updatedContacts);
-    return true;
+    return await moveToRecycleBin(RECYCLE_BIN_COLLECTIONS.CONTACTS, contactId, source);
   } catch (error) {
     console.error('Error deleting contact:', error);
-    return false;
+    return null;
+  }
+};
+
+/**
+ * Merge contacts that belong to the same person into the first one
+ * The kept contact becomes an emergency contact if any of them was one
+ * Returns the merged contact or null on failure
+ */
+export const mergeContacts = async (contactIds, source = AUDIT_SOURCES.APP) => {
+  try {
+    const [keepId, ...mergedIds] = contactIds;
+    let merged = null;
+    await updateData(
+      STORAGE_KEYS.TRUSTED_CONTACTS,
+      (contacts) => {
+        const group = contacts.filter(contact => contactIds.includes(contact.id));
+        const kept = group.find(contact => contact.id === keepId);
+        if (!kept || group.length < 2) {
+          throw new Error('Contacts to merge not found');
+        }
+
+        merged = {
+          ...kept,
+          isEmergency: group.some(contact => contact.isEmergency),
+        };
+        return contacts
+          .filter(contact => !mergedIds.includes(contact.id))
+          .map(contact => (contact.id === keepId ? merged : contact));
+      },
+      [],
+      source
+    );
+    return merged;
+  } catch (error) {
+    console.error('Error merging contacts:', error);
+    return null;
   }
 };
 
 /**
  * User Settings Management
  */
-export const storeSettings = async (settings) => {
-  return await storeData(STORAGE_KEYS.USER_SETTINGS, settings);
+export const storeSettings = async (settings, source = AUDIT_SOURCES.APP) => {
+  return await storeData(STORAGE_KEYS.USER_SETTINGS, settings, source);
+};
+
+export const DEFAULT_SETTINGS = {
+  emergencyAlerts: true,
+  locationSharing: true,
+  autoLocationUpdate: false,
+  soundAlerts: true,
+  vibrationAlerts: true,
+  nightMode: false,
+  aiRiskAssessment: true,
+  communityReports: true,
+  emergencyContacts: true,
+  voiceSOS: false,
 };
 
 export const getStoredSettings = async () => {
   const settings = await getData(STORAGE_KEYS.USER_SETTINGS);
-  return settings || {
-    emergencyAlerts: true,
-    locationSharing: true,
-    autoLocationUpdate: false,
-    soundAlerts: true,
-    vibrationAlerts: true,
-    nightMode: false,
-    aiRiskAssessment: true,
-    communityReports: true,
-    emergencyContacts: true,
-  };
+  return settings || { ...DEFAULT_SETTINGS };
 };
 
-export const updateSetting = async (key, value) => {
+export const updateSetting = async (key, value, source = AUDIT_SOURCES.APP) => {
   try {
-    const settings = await getStoredSettings();
-    const updatedSettings = { ...settings, [key]: value };
-    await storeSettings(updatedSettings);
+    await updateData(
+      STORAGE_KEYS.USER_SETTINGS,
+      settings => ({ ...settings, [key]: value }),
+      DEFAULT_SETTINGS,
+      source
+    );
     return true;
   } catch (error) {
     console.error('Error updating setting:', error);
@@ -188,14 +957,16 @@ export const updateSetting = async (key, value) => {
  */
 export const storeEmergencyEvent = async (event) => {
   try {
-    const history = await getData(STORAGE_KEYS.EMERGENCY_HISTORY) || [];
     const newEvent = {
-      id: Date.now().toString(),
+      id: generateId(),
       timestamp: new Date().toISOString(),
       ...event,
     };
-    const updatedHistory = [newEvent, ...history].slice(0, 100); // Keep only last 100 events
-    await storeData(STORAGE_KEYS.EMERGENCY_HISTORY, updatedHistory);
+    await updateData(
+      STORAGE_KEYS.EMERGENCY_HISTORY,
+      history => [newEvent, ...history], // Pruned by retention policy (see retention.js)
+      []
+    );
     return newEvent;
   } catch (error) {
     console.error('Error storing emergency event:', error);
@@ -203,6 +974,23 @@ export const storeEmergencyEvent = async (event) => {
   }
 };
 
+/**
+ * Change a recorded emergency event, e.g. to mark it resolved
+ */
+export const updateEmergencyEvent = async (eventId, updates) => {
+  try {
+    await updateData(
+      STORAGE_KEYS.EMERGENCY_HISTORY,
+      history => history.map(event => (event.id === eventId ? { ...event, ...updates } : event)),
+      []
+    );
+    return true;
+  } catch (error) {
+    console.error('Error updating emergency event:', error);
+    return false;
+  }
+};
+
 export const getEmergencyHistory = async () => {
   const history = await getData(STORAGE_KEYS.EMERGENCY_HISTORY);
   return history || [];
@@ -210,27 +998,283 @@ export const getEmergencyHistory = async () => {
 
 /**
  * Location History Management
+ * Fixes are appended to encoded segments per day (see locationEncoding.js);
+ * only a day's last segment is rewritten for a new fix
+ * An index of day summaries lets range queries skip days without reading them.
+ * Every write to the trail holds the index key, which also guards the segments
  */
+
+// Recently decoded days by first segment storage key, so repeated queries don't decode again
+const decodedDays = new Map();
+const MAX_DECODED_DAYS = 7;
+
+const forgetDecodedDay = (storageKey) => {
+  decodedDays.delete(storageKey);
+};
+
+/**
+ * Segments of the active profile's trail in storage, with their days
+ * key is the key to pass to the storage functions
+ */
+const getStoredLocationSegments = async () => {
+  const prefix = getProfileStorageKey(LOCATION_CHUNK_PREFIX);
+  const keys = await getStorageBackend().getAllKeys();
+  return keys
+    .filter(key => key.startsWith(prefix))
+    .map((key) => {
+      const [day, segment = '0'] = key.slice(prefix.length).split('_');
+      return { key: `${LOCATION_CHUNK_PREFIX}${key.slice(prefix.length)}`, day, segment: Number(segment) };
+    });
+};
+
+const toMillis = value => (typeof value === 'number' ? value : new Date(value).getTime());
+
+// Days written before segments existed are one segment
+const getSegmentCount = summary => (summary ? summary.segments || 1 : 0);
+
+/**
+ * Get the day index: an object of day -> { count, start, end, bytes, segments }
+ */
+export const getLocationIndex = async () => {
+  const index = await getData(STORAGE_KEYS.LOCATION_INDEX);
+  return index || {};
+};
+
+const readDaySegments = async (day, count) => {
+  const segments = [];
+  for (let segment = 0; segment < count; segment++) {
+    const chunk = await readValue(getProfileStorageKey(getLocationSegmentKey(day, segment)));
+    if (chunk) segments.push(chunk);
+  }
+  return segments;
+};
+
+/**
+ * Atomically change one day and its index entry
+ * The updater receives the whole day as one chunk and returns the new one,
+ * or null to delete the day. Reads and rewrites every segment of the day,
+ * so use it for pruning, not for adding fixes. Returns the new chunk,
+ * throws on failure
+ */
+export const updateLocationDay = (day, updater) => {
+  const firstKey = getProfileStorageKey(getLocationSegmentKey(day, 0));
+  const indexKey = getProfileStorageKey(STORAGE_KEYS.LOCATION_INDEX);
+  return enqueueWrite([firstKey, indexKey], async () => {
+    const index = await readValue(indexKey) || {};
+    const oldCount = getSegmentCount(index[day]);
+    const segments = await readDaySegments(day, oldCount);
+    const current = segments.length > 1
+      ? encodeChunk(day, segments.flatMap(decodeChunk))
+      : segments[0] || null;
+    const updated = await updater(current);
+    forgetDecodedDay(firstKey);
+
+    const newSegments = updated && updated.count > 0
+      ? (updated.count <= SEGMENT_FIXES ? [updated] : encodeSegments(day, decodeChunk(updated)))
+      : [];
+    const { [day]: removed, ...rest } = index;
+    const pairs = newSegments.map((chunk, segment) => {
+      const key = getProfileStorageKey(getLocationSegmentKey(day, segment));
+      return [key, serializeValue(key, chunk)];
+    });
+    pairs.push([indexKey, serializeValue(indexKey, newSegments.length > 0
+      ? { ...index, [day]: summarizeSegments(newSegments) }
+      : rest)]);
+    await putValues(pairs);
+
+    // The index no longer counts the segments past the new end
+    const staleKeys = [];
+    for (let segment = newSegments.length; segment < oldCount; segment++) {
+      const key = getProfileStorageKey(getLocationSegmentKey(day, segment));
+      await deleteValue(key);
+      staleKeys.push(key);
+    }
+    notifyChange([...pairs.map(([key]) => key), ...staleKeys]);
+    return newSegments.length > 0 ? updated : null;
+  });
+};
+
+/**
+ * Append one fix to its day, starting a new segment when the last is full
+ * Returns the fix as stored, throws on failure
+ */
+const appendLocation = (location) => {
+  const time = toMillis(location.timestamp);
+  const day = getDayKey(time);
+  const firstKey = getProfileStorageKey(getLocationSegmentKey(day, 0));
+  const indexKey = getProfileStorageKey(STORAGE_KEYS.LOCATION_INDEX);
+  return enqueueWrite([firstKey, indexKey], async () => {
+    const index = await readValue(indexKey) || {};
+    const summary = index[day] || null;
+    const count = getSegmentCount(summary);
+
+    let segment = Math.max(count - 1, 0);
+    let chunk = count > 0
+      ? await readValue(getProfileStorageKey(getLocationSegmentKey(day, segment)))
+      : null;
+    if (chunk && chunk.count >= SEGMENT_FIXES) {
+      segment = count;
+      chunk = null;
+    }
+    const previousBytes = chunk ? chunk.data.length : 0;
+    const updated = appendToChunk(chunk || createChunk(day), location);
+    const segmentKey = getProfileStorageKey(getLocationSegmentKey(day, segment));
+
+    await putValues([
+      [segmentKey, serializeValue(segmentKey, updated)],
+      [indexKey, serializeValue(indexKey, {
+        ...index,
+        [day]: {
+          count: (summary ? summary.count : 0) + 1,
+          start: summary && summary.start !== null ? Math.min(summary.start, time) : time,
+          end: summary && summary.end !== null ? Math.max(summary.end, time) : time,
+          bytes: (summary ? summary.bytes : 0) - previousBytes + updated.data.length,
+          segments: Math.max(count, segment + 1),
+        },
+      })],
+    ]);
+    notifyChange([segmentKey, indexKey]);
+  });
+};
+
+/**
+ * Decode a day, reusing the cached result while its index summary is unchanged
+ */
+const getDayLocations = async (day, summary) => {
+  const firstKey = getProfileStorageKey(getLocationSegmentKey(day, 0));
+  const cached = decodedDays.get(firstKey);
+  if (cached && JSON.stringify(cached.summary) === JSON.stringify(summary)) {
+    return cached.locations;
+  }
+
+  const segments = await readDaySegments(day, getSegmentCount(summary));
+  const locations = segments.flatMap(decodeChunk).sort((a, b) => a.timestamp - b.timestamp);
+
+  decodedDays.delete(firstKey);
+  decodedDays.set(firstKey, { summary, locations });
+  if (decodedDays.size > MAX_DECODED_DAYS) {
+    decodedDays.delete(decodedDays.keys().next().value);
+  }
+  return locations;
+};
+
 export const storeLocationUpdate = async (location) => {
   try {
-    const history = await getData(STORAGE_KEYS.LOCATION_HISTORY) || [];
     const newLocation = {
-      id: Date.now().toString(),
-      timestamp: new Date().toISOString(),
+      timestamp: Date.now(),
       ...location,
     };
-    const updatedHistory = [newLocation, ...history].slice(0, 50); // Keep only last 50 locations
-    await storeData(STORAGE_KEYS.LOCATION_HISTORY, updatedHistory);
-    return newLocation;
+    await appendLocation(newLocation);
+    return { id: `${toMillis(newLocation.timestamp)}`, ...newLocation };
   } catch (error) {
     console.error('Error storing location update:', error);
     return null;
   }
 };
 
-export const getLocationHistory = async () => {
-  const history = await getData(STORAGE_KEYS.LOCATION_HISTORY);
-  return history || [];
+/**
+ * Get location history, newest first
+ * start and end (timestamps or dates) limit the time range; only days
+ * overlapping the range are read and decoded. limit caps the number of fixes.
+ * Fixes the filter rejected are left out unless includeRejected is set;
+ * raw positions are in rawLatitude and rawLongitude
+ */
+export const getLocationHistory = async ({
+  start = null,
+  end = null,
+  limit = null,
+  includeRejected = false,
+} = {}) => {
+  try {
+    const from = start === null ? -Infinity : toMillis(start);
+    const to = end === null ? Infinity : toMillis(end);
+    const index = await getLocationIndex();
+
+    const days = Object.keys(index)
+      .filter(day => index[day].end >= from && index[day].start <= to)
+      .sort()
+      .reverse();
+
+    const history = [];
+    for (const day of days) {
+      const locations = await getDayLocations(day, index[day]);
+      for (let i = locations.length - 1; i >= 0; i--) {
+        const location = locations[i];
+        if (location.timestamp < from || location.timestamp > to) continue;
+        if (location.rejected && !includeRejected) continue;
+        history.push(location);
+        if (limit && history.length >= limit) {
+          return history;
+        }
+      }
+    }
+    return history;
+  } catch (error) {
+    console.error('Error getting location history:', error);
+    return [];
+  }
+};
+
+/**
+ * Delete the whole location trail, including any legacy list
+ * The index goes first so no query sees a half-deleted trail
+ */
+export const clearLocationHistory = async () => {
+  try {
+    const storedSegments = await getStoredLocationSegments();
+    const trailKeys = [
+      STORAGE_KEYS.LOCATION_INDEX,
+      STORAGE_KEYS.LOCATION_HISTORY,
+      ...storedSegments.map(({ key }) => key),
+    ];
+
+    for (const key of trailKeys) {
+      if (!(await removeData(key))) {
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    console.error('Error clearing location history:', error);
+    return false;
+  }
+};
+
+/**
+ * Build the storage entries (day segments and index) for a list of fixes
+ * Used by imports and migrations to write a whole trail at once
+ */
+export const buildLocationEntries = (locations) => {
+  const days = encodeTrail(locations);
+  const entries = {};
+  const index = {};
+  Object.entries(days).forEach(([day, segments]) => {
+    segments.forEach((chunk, segment) => {
+      entries[getLocationSegmentKey(day, segment)] = chunk;
+    });
+    index[day] = summarizeSegments(segments);
+  });
+  entries[STORAGE_KEYS.LOCATION_INDEX] = index;
+  return entries;
+};
+
+/**
+ * Remove day segments the index no longer refers to
+ * Left behind when a whole trail is replaced, e.g. by an import
+ */
+export const removeOrphanedLocationDays = async () => {
+  try {
+    const index = await getLocationIndex();
+    const orphaned = (await getStoredLocationSegments())
+      .filter(({ day, segment }) => segment >= getSegmentCount(index[day]));
+    for (const { key } of orphaned) {
+      await removeData(key);
+    }
+    return orphaned.length;
+  } catch (error) {
+    console.error('Error removing orphaned location days:', error);
+    return 0;
+  }
 };
 
 /**
@@ -238,14 +1282,16 @@ export const getLocationHistory = async () => {
  */
 export const storeSafetyReport = async (report) => {
   try {
-    const reports = await getData(STORAGE_KEYS.SAFETY_REPORTS) || [];
     const newReport = {
-      id: Date.now().toString(),
+      id: generateId(),
       timestamp: new Date().toISOString(),
       ...report,
     };
-    const updatedReports = [newReport, ...reports].slice(0, 200); // Keep only last 200 reports
-    await storeData(STORAGE_KEYS.SAFETY_REPORTS, updatedReports);
+    await updateData(
+      STORAGE_KEYS.SAFETY_REPORTS,
+      reports => [newReport, ...reports], // Pruned by retention policy (see retention.js)
+      []
+    );
     return newReport;
   } catch (error) {
     console.error('Error storing safety report:', error);
@@ -258,11 +1304,121 @@ export const getSafetyReports = async () => {
   return reports || [];
 };
 
+/**
+ * Move a safety report to the recycle bin
+ * Returns the recycle bin entry, so the deletion can be undone, or null on failure
+ */
+export const deleteSafetyReport = async (reportId) => {
+  try {
+    return await moveToRecycleBin(RECYCLE_BIN_COLLECTIONS.SAFETY_REPORTS, reportId);
+  } catch (error) {
+    console.error('Error deleting safety report:', error);
+    return null;
+  }
+};
+
+/**
+ * Recycle Bin
+ * Deleted contacts and safety reports are kept here until restored,
+ * deleted for good or purged by the retention job (see retention.js)
+ * Entry shape: { id, collection, item, index, deletedAt }, where index is
+ * the item's position before deletion
+ */
+export const RECYCLE_BIN_COLLECTIONS = {
+  CONTACTS: 'contacts',
+  SAFETY_REPORTS: 'safetyReports',
+};
+
+const RECYCLE_BIN_KEYS = {
+  [RECYCLE_BIN_COLLECTIONS.CONTACTS]: STORAGE_KEYS.TRUSTED_CONTACTS,
+  [RECYCLE_BIN_COLLECTIONS.SAFETY_REPORTS]: STORAGE_KEYS.SAFETY_REPORTS,
+};
+
+// Takes the item out of its collection and into the bin in one write
+const moveToRecycleBin = async (collection, itemId, source = AUDIT_SOURCES.APP) => {
+  const key = RECYCLE_BIN_KEYS[collection];
+  let entry = null;
+  await updateMultipleData({ [key]: [], [STORAGE_KEYS.RECYCLE_BIN]: [] }, (values) => {
+    const items = values[key];
+    const index = items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw new Error(`Item ${itemId} not found in ${collection}`);
+    }
+
+    entry = {
+      id: generateId(),
+      collection,
+      item: items[index],
+      index,
+      deletedAt: new Date().toISOString(),
+    };
+    return {
+      [key]: items.filter(item => item.id !== itemId),
+      [STORAGE_KEYS.RECYCLE_BIN]: [entry, ...values[STORAGE_KEYS.RECYCLE_BIN]],
+    };
+  }, source);
+  return entry;
+};
+
+export const getRecycleBin = async () => {
+  const entries = await getData(STORAGE_KEYS.RECYCLE_BIN);
+  return entries || [];
+};
+
+/**
+ * Put a deleted item back where it was
+ * If an item with the same id was added again in the meantime, the copy
+ * in the bin is dropped instead. Returns the restored item or null on failure
+ */
+export const restoreFromRecycleBin = async (entryId, source = AUDIT_SOURCES.APP) => {
+  try {
+    const entries = await getRecycleBin();
+    const entry = entries.find(candidate => candidate.id === entryId);
+    if (!entry) {
+      throw new Error('Recycle bin entry not found');
+    }
+
+    const key = RECYCLE_BIN_KEYS[entry.collection];
+    await updateMultipleData({ [key]: [], [STORAGE_KEYS.RECYCLE_BIN]: [] }, (values) => {
+      const items = values[key];
+      const restored = items.some(item => item.id === entry.item.id)
+        ? items
+        : [...items.slice(0, entry.index), entry.item, ...items.slice(entry.index)];
+      return {
+        [key]: restored,
+        [STORAGE_KEYS.RECYCLE_BIN]: values[STORAGE_KEYS.RECYCLE_BIN].filter(candidate => candidate.id !== entryId),
+      };
+    }, source);
+    return entry.item;
+  } catch (error) {
+    console.error('Error restoring from recycle bin:', error);
+    return null;
+  }
+};
+
+/**
+ * Delete recycle bin entries for good
+ * Pass null to empty the whole bin
+ */
+export const purgeRecycleBin = async (entryIds = null) => {
+  try {
+    await updateData(
+      STORAGE_KEYS.RECYCLE_BIN,
+      entries => (entryIds === null ? [] : entries.filter(entry => !entryIds.includes(entry.id))),
+      []
+    );
+    return true;
+  } catch (error) {
+    console.error('Error purging recycle bin:', error);
+    return false;
+  }
+};
+
 /**
  * User Profile Management
  */
-export const storeUserProfile = async (profile) => {
-  return await storeData(STORAGE_KEYS.USER_PROFILE, profile);
+export const storeUserProfile = async (profile, source = AUDIT_SOURCES.APP) => {
+  return await storeData(STORAGE_KEYS.USER_PROFILE, profile, source);
 };
 
 export const getUserProfile = async () => {
@@ -277,7 +1433,81 @@ export const getUserProfile = async () => {
 };
 
 /**
- * Data Export/Import Functions
+ * Audit Log Review
+ */
+
+/**
+ * Get the active profile's audit log, oldest entry first
+ */
+export const getAuditLog = async () => {
+  const log = await getData(STORAGE_KEYS.AUDIT_LOG);
+  return log || [];
+};
+
+/**
+ * Check the audit log for signs of tampering and changes to review
+ * Returns {
+ *   readable: the log could be decrypted,
+ *   valid / brokenAt: result of checking the hash chain,
+ *   untracked: collections whose stored value no longer matches the last record,
+ *   pendingReview: critical changes since the user last reviewed the log, newest first
+ * }
+ */
+export const getAuditStatus = async () => {
+  const logKey = getProfileStorageKey(STORAGE_KEYS.AUDIT_LOG);
+  let log;
+  try {
+    log = await readValue(logKey) || [];
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    return { readable: false, valid: false, brokenAt: null, untracked: [], pendingReview: [] };
+  }
+
+  const { valid, brokenAt } = verifyAuditChain(log);
+
+  const untracked = [];
+  for (const [key, collection] of Object.entries(AUDITED_KEYS)) {
+    const last = [...log].reverse().find(entry => entry.collection === collection);
+    if (!last) continue;
+    try {
+      if (hashValue(await readValue(getProfileStorageKey(key))) !== last.stateHash) {
+        untracked.push(collection);
+      }
+    } catch (error) {
+      untracked.push(collection);
+    }
+  }
+
+  return { readable: true, valid, brokenAt, untracked, pendingReview: getUnreviewedEntries(log) };
+};
+
+/**
+ * Record that the user has reviewed every change so far
+ */
+export const markAuditReviewed = async (source = AUDIT_SOURCES.APP) => {
+  try {
+    const logKey = getProfileStorageKey(STORAGE_KEYS.AUDIT_LOG);
+    await enqueueWrite(logKey, async () => {
+      const log = await readValue(logKey) || [];
+      const previous = log[log.length - 1] || null;
+      const entry = createAuditEntry(previous, {
+        source,
+        collection: AUDIT_COLLECTIONS.REVIEW,
+        changes: [{ type: 'reviewed', throughSeq: previous ? previous.seq : 0 }],
+      });
+      await putValues([[logKey, serializeValue(logKey, [...log, entry])]]);
+      notifyChange([logKey]);
+    });
+    return true;
+  } catch (error) {
+    console.error('Error marking audit log reviewed:', error);
+    return false;
+  }
+};
+
+/**
+ * Data Export Functions
+ * Importing lives in dataImport.js, which validates backups before writing
  */
 export const exportAllData = async () => {
   try {
@@ -285,11 +1515,12 @@ export const exportAllData = async () => {
       contacts: await getStoredContacts(),
       settings: await getStoredSettings(),
       emergencyHistory: await getEmergencyHistory(),
-      locationHistory: await getLocationHistory(),
+      locationHistory: await getLocationHistory({ includeRejected: true }),
       safetyReports: await getSafetyReports(),
       userProfile: await getUserProfile(),
       exportDate: new Date().toISOString(),
       version: '1.0.0',
+      schemaVersion: await getData(STORAGE_KEYS.SCHEMA_VERSION) || 0,
     };
     return data;
   } catch (error) {
@@ -298,39 +1529,24 @@ export const exportAllData = async () => {
   }
 };
 
-export const importData = async (data) => {
-  try {
-    if (data.contacts) await storeContacts(data.contacts);
-    if (data.settings) await storeSettings(data.settings);
-    if (data.userProfile) await storeUserProfile(data.userProfile);
-    if (data.emergencyHistory) await storeData(STORAGE_KEYS.EMERGENCY_HISTORY, data.emergencyHistory);
-    if (data.locationHistory) await storeData(STORAGE_KEYS.LOCATION_HISTORY, data.locationHistory);
-    if (data.safetyReports) await storeData(STORAGE_KEYS.SAFETY_REPORTS, data.safetyReports);
-    return true;
-  } catch (error) {
-    console.error('Error importing data:', error);
-    return false;
-  }
-};
-
 /**
  * Storage Statistics
+ * Read from the size ledger (see Storage Quota) instead of every stored value
  */
 export const getStorageStats = async () => {
   try {
-    const keys = await AsyncStorage.getAllKeys();
-    const safeherKeys = keys.filter(key => key.startsWith('safeher_'));
-    
-    let totalSize = 0;
-    for (const key of safeherKeys) {
-      const value = await AsyncStorage.getItem(key);
-      totalSize += value ? value.length : 0;
+    const usage = await getStorageUsage();
+    if (!usage) {
+      return null;
     }
     
     return {
-      totalKeys: safeherKeys.length,
-      totalSize: totalSize,
-      totalSizeKB: Math.round(totalSize / 1024 * 100) / 100,
+      totalKeys: usage.keyCount,
+      totalSize: usage.usedBytes,
+      totalSizeKB: Math.round(usage.usedBytes / 1024 * 100) / 100,
+      quotaBytes: usage.quotaBytes,
+      usedPercent: usage.ratio === null ? null : Math.round(usage.ratio * 100),
+      backend: getStorageBackend().name,
     };
   } catch (error) {
     console.error('Error getting storage stats:', error);
@@ -0,0 +1,266 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SQLite from 'expo-sqlite';
+import { Platform } from 'react-native';
+
+/**
+ * Storage backends for SafeHer app
+ * Every backend stores raw strings by key and implements the same interface:
+ * getItem, setItem, removeItem, multiSet, getAllKeys, getSizes, clear
+ * getSizes returns [key, length] pairs for every key in one call
+ * quotaBytes is the most the backend can hold, or null if only the disk limits it
+ * storage.js and encryption.js only ever talk to the active backend
+ */
+
+// Remembers which backend holds the data; always kept in AsyncStorage
+const BACKEND_SELECTION_KEY = 'safeher_storage_backend';
+const KEY_PREFIX = 'safeher_';
+
+// Android's AsyncStorage database is capped at 6 MB by default
+const ANDROID_ASYNC_STORAGE_QUOTA = 6 * 1024 * 1024;
+
+/**
+ * AsyncStorage backend
+ * Default on native; simple but slow and size-limited on Android
+ */
+export const createAsyncStorageBackend = () => ({
+  name: 'asyncStorage',
+  persistent: true,
+  quotaBytes: Platform.OS === 'android' ? ANDROID_ASYNC_STORAGE_QUOTA : null,
+  getItem: (key) => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  removeItem: (key) => AsyncStorage.removeItem(key),
+  multiSet: (pairs) => AsyncStorage.multiSet(pairs),
+  getAllKeys: async () => [...await AsyncStorage.getAllKeys()],
+  getSizes: async () => {
+    const pairs = await AsyncStorage.multiGet(await AsyncStorage.getAllKeys());
+    return pairs.map(([key, value]) => [key, value ? value.length : 0]);
+  },
+  clear: () => AsyncStorage.clear(),
+});
+
+/**
+ * In-memory backend
+ * Used for headless tests and the web build; nothing survives a restart
+ */
+export const createMemoryBackend = (initialData = {}) => {
+  const store = new Map(Object.entries(initialData));
+
+  return {
+    name: 'memory',
+    persistent: false,
+    quotaBytes: null,
+    getItem: async (key) => (store.has(key) ? store.get(key) : null),
+    setItem: async (key, value) => {
+      store.set(key, value);
+    },
+    removeItem: async (key) => {
+      store.delete(key);
+    },
+    multiSet: async (pairs) => {
+      pairs.forEach(([key, value]) => store.set(key, value));
+    },
+    getAllKeys: async () => Array.from(store.keys()),
+    getSizes: async () => Array.from(store.entries()).map(([key, value]) => [key, value.length]),
+    clear: async () => {
+      store.clear();
+    },
+  };
+};
+
+/**
+ * SQLite backend
+ * Key-value table in a local database; handles large location histories well
+ * multiSet runs in a single transaction, so it is all-or-nothing
+ */
+export const createSQLiteBackend = (databaseName = 'safeher.db') => {
+  const db = SQLite.openDatabase(databaseName);
+  let tableReady = null;
+
+  // Run statements in one transaction, resolving with each statement's result
+  const execute = (statements) => new Promise((resolve, reject) => {
+    const results = [];
+    db.transaction(
+      (tx) => {
+        statements.forEach(([sql, args = []], index) => {
+          tx.executeSql(sql, args, (_, result) => {
+            results[index] = result;
+          });
+        });
+      },
+      reject,
+      () => resolve(results)
+    );
+  });
+
+  const run = async (statements) => {
+    if (!tableReady) {
+      tableReady = execute([
+        ['CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY NOT NULL, value TEXT)'],
+      ]).catch((error) => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    await tableReady;
+    return execute(statements);
+  };
+
+  const rowsToArray = (rows) => {
+    const items = [];
+    for (let i = 0; i < rows.length; i++) {
+      items.push(rows.item(i));
+    }
+    return items;
+  };
+
+  return {
+    name: 'sqlite',
+    persistent: true,
+    quotaBytes: null,
+    getItem: async (key) => {
+      const [result] = await run([['SELECT value FROM kv WHERE key = ?', [key]]]);
+      return result.rows.length > 0 ? result.rows.item(0).value : null;
+    },
+    setItem: async (key, value) => {
+      await run([['INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)', [key, value]]]);
+    },
+    removeItem: async (key) => {
+      await run([['DELETE FROM kv WHERE key = ?', [key]]]);
+    },
+    multiSet: async (pairs) => {
+      await run(pairs.map(([key, value]) => [
+        'INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)',
+        [key, value],
+      ]));
+    },
+    getAllKeys: async () => {
+      const [result] = await run([['SELECT key FROM kv']]);
+      return rowsToArray(result.rows).map(row => row.key);
+    },
+    getSizes: async () => {
+      const [result] = await run([['SELECT key, LENGTH(value) AS size FROM kv']]);
+      return rowsToArray(result.rows).map(row => [row.key, row.size || 0]);
+    },
+    clear: async () => {
+      await run([['DELETE FROM kv']]);
+    },
+  };
+};
+
+const BACKEND_FACTORIES = {
+  asyncStorage: createAsyncStorageBackend,
+  sqlite: createSQLiteBackend,
+  memory: createMemoryBackend,
+};
+
+export const STORAGE_BACKENDS = Object.keys(BACKEND_FACTORIES);
+
+// Backend used by all storage calls; AsyncStorage until initialized
+let activeBackend = createAsyncStorageBackend();
+
+export const getStorageBackend = () => activeBackend;
+
+/**
+ * Replace the active backend directly without copying data
+ * Intended for tests that start from a known in-memory state
+ */
+export const setStorageBackend = (backend) => {
+  activeBackend = backend;
+};
+
+/**
+ * Copy all SafeHer keys from one backend to another
+ * Values are copied as raw strings, so encrypted data stays encrypted
+ * Returns the number of keys copied, throws if the copy fails
+ */
+export const copyBackendData = async (fromBackend, toBackend) => {
+  const keys = (await fromBackend.getAllKeys()).filter(
+    key => key.startsWith(KEY_PREFIX) && key !== BACKEND_SELECTION_KEY
+  );
+
+  const pairs = [];
+  for (const key of keys) {
+    const value = await fromBackend.getItem(key);
+    if (value !== null) {
+      pairs.push([key, value]);
+    }
+  }
+
+  if (pairs.length > 0) {
+    await toBackend.multiSet(pairs);
+  }
+
+  // Make sure everything arrived before the source is touched
+  for (const [key, value] of pairs) {
+    if (await toBackend.getItem(key) !== value) {
+      throw new Error(`Copy verification failed for ${key}`);
+    }
+  }
+
+  return pairs.length;
+};
+
+/**
+ * Select the storage backend on app start
+ * When the requested backend differs from the one holding the data,
+ * existing data is copied across once and then removed from the old backend.
+ * A backend that loses its data on restart, like memory, is never recorded
+ * as holding the data; it gets a fresh copy from the persistent one on
+ * every start
+ * Returns the name of the active backend
+ */
+export const initializeStorageBackend = async (requestedName = null) => {
+  let selection = null;
+  try {
+    const jsonData = await AsyncStorage.getItem(BACKEND_SELECTION_KEY);
+    selection = jsonData ? JSON.parse(jsonData) : null;
+  } catch (error) {
+    console.error('Error reading storage backend selection:', error);
+  }
+
+  let currentName = selection && BACKEND_FACTORIES[selection.name] ? selection.name : 'asyncStorage';
+  if (currentName === 'memory') {
+    // Older versions recorded a switch to memory; the data is still where it was copied from
+    currentName = BACKEND_FACTORIES[selection.copiedFrom] && selection.copiedFrom !== 'memory'
+      ? selection.copiedFrom
+      : 'asyncStorage';
+  }
+  const targetName = requestedName && BACKEND_FACTORIES[requestedName] ? requestedName : currentName;
+
+  try {
+    const currentBackend = BACKEND_FACTORIES[currentName]();
+
+    if (targetName === currentName) {
+      activeBackend = currentBackend;
+    } else {
+      const targetBackend = BACKEND_FACTORIES[targetName]();
+      const copied = await copyBackendData(currentBackend, targetBackend);
+
+      // Keep the source, and keep reading from it next start, if the target
+      // loses data on restart
+      if (targetBackend.persistent) {
+        await AsyncStorage.setItem(BACKEND_SELECTION_KEY, JSON.stringify({
+          name: targetName,
+          copiedFrom: currentName,
+          switchedAt: new Date().toISOString(),
+        }));
+
+        const keys = (await currentBackend.getAllKeys()).filter(
+          key => key.startsWith(KEY_PREFIX) && key !== BACKEND_SELECTION_KEY
+        );
+        for (const key of keys) {
+          await currentBackend.removeItem(key);
+        }
+      }
+
+      activeBackend = targetBackend;
+      console.log(`Storage moved from ${currentName} to ${targetName} (${copied} keys)`);
+    }
+  } catch (error) {
+    // Stay on the backend that already holds the data
+    console.error(`Error switching storage backend to ${targetName}:`, error);
+    activeBackend = BACKEND_FACTORIES[currentName]();
+  }
+
+  return activeBackend.name;
+};
@@ -0,0 +1,160 @@
+import {
+  STORAGE_KEYS,
+  subscribe,
+  updateData,
+  getStorageUsage,
+  refreshStorageUsage,
+  getLocationIndex,
+  getEmergencyHistory,
+} from './storage';
+import {
+  getRetentionPolicies,
+  getProtectedWindows,
+  applyRetentionPolicy,
+  pruneLocationTrail,
+  pruneHistory,
+} from './retention';
+
+/**
+ * Storage quota utilities for SafeHer app
+ * Watches how full the storage backend is, warns before it runs out and
+ * compacts older history to make room. Emergency history is never compacted
+ * and keeps its reserved space (see Storage Quota in storage.js)
+ */
+
+export const QUOTA_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+// Share of the quota in use at which each level starts
+export const QUOTA_THRESHOLDS = {
+  warning: 0.8,
+  critical: 0.9,
+};
+
+// Compaction frees space until usage is back down to this share of the quota
+const COMPACTION_TARGET = 0.7;
+
+/**
+ * Get the quota level for a storage usage (see getStorageUsage)
+ * Backends without a fixed limit are always OK
+ */
+export const getQuotaLevel = (usage) => {
+  if (!usage || usage.ratio === null) return QUOTA_LEVELS.OK;
+  if (usage.ratio >= QUOTA_THRESHOLDS.critical) return QUOTA_LEVELS.CRITICAL;
+  if (usage.ratio >= QUOTA_THRESHOLDS.warning) return QUOTA_LEVELS.WARNING;
+  return QUOTA_LEVELS.OK;
+};
+
+const getBytesOverTarget = (usage, targetRatio) => {
+  if (!usage || !usage.quotaBytes) return 0;
+  return Math.max(0, usage.usedBytes - usage.quotaBytes * targetRatio);
+};
+
+/**
+ * Free space by dropping the oldest history
+ * First applies the normal retention policies, then, while usage is still
+ * above the target, trims the location trail and then safety reports from
+ * the oldest end. Anything recorded around an SOS is kept
+ * Acts on the active profile. Returns the number of records removed per
+ * collection, or null on failure
+ */
+export const compactStorage = async (targetRatio = COMPACTION_TARGET) => {
+  try {
+    const removed = await pruneHistory() || {};
+    let overBy = getBytesOverTarget(await refreshStorageUsage(), targetRatio);
+    if (overBy === 0) {
+      return removed;
+    }
+
+    const policies = await getRetentionPolicies();
+    const windows = getProtectedWindows(await getEmergencyHistory(), policies.preserveAroundSOSMinutes);
+
+    // Encrypted values take more space than their encoded size, so trimming
+    // by encoded bytes frees at least as much as asked for. A maxBytes of 0
+    // would mean no limit, so the budget never drops below 1
+    const index = await getLocationIndex();
+    const trailBytes = Object.values(index).reduce((sum, summary) => sum + summary.bytes, 0);
+    removed.locationHistory = (removed.locationHistory || 0) + await pruneLocationTrail(
+      { ...policies.locationHistory, maxBytes: Math.max(1, trailBytes - overBy) },
+      windows
+    );
+
+    overBy = getBytesOverTarget(await getStorageUsage(), targetRatio);
+    if (overBy > 0) {
+      let before = 0;
+      const after = await updateData(STORAGE_KEYS.SAFETY_REPORTS, (reports) => {
+        before = reports.length;
+        const reportBytes = JSON.stringify(reports).length;
+        return applyRetentionPolicy(
+          reports,
+          { ...policies.safetyReports, maxBytes: Math.max(1, reportBytes - overBy) },
+          windows
+        );
+      }, []);
+      removed.safetyReports = (removed.safetyReports || 0) + before - after.length;
+    }
+
+    return removed;
+  } catch (error) {
+    console.error('Error compacting storage:', error);
+    return null;
+  }
+};
+
+/**
+ * Start monitoring storage usage
+ * Usage is checked after every write and re-measured on an interval.
+ * Reaching the warning level compacts storage; onLevelChange(level, usage)
+ * is called whenever the level after compaction changes
+ * Returns subscription object for stopping the monitor
+ */
+export const startQuotaMonitor = (onLevelChange, intervalMinutes = 15) => {
+  let level = QUOTA_LEVELS.OK;
+  let compacting = false;
+
+  const check = async (remeasure = false) => {
+    // Compaction writes would otherwise re-enter the check
+    if (compacting) return;
+
+    try {
+      let usage = remeasure ? await refreshStorageUsage() : await getStorageUsage();
+      let nextLevel = getQuotaLevel(usage);
+
+      // Between re-measurements, only compact again when the level changes
+      if (nextLevel !== QUOTA_LEVELS.OK && (remeasure || nextLevel !== level)) {
+        compacting = true;
+        try {
+          await compactStorage();
+        } finally {
+          compacting = false;
+        }
+        usage = await getStorageUsage();
+        nextLevel = getQuotaLevel(usage);
+      }
+
+      if (nextLevel !== level) {
+        level = nextLevel;
+        if (onLevelChange) {
+          onLevelChange(level, usage);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking storage quota:', error);
+    }
+  };
+
+  check(true);
+  const unsubscribe = subscribe(null, () => check());
+  const intervalId = setInterval(() => check(true), intervalMinutes * 60 * 1000);
+
+  return {
+    stop: () => {
+      clearInterval(intervalId);
+      unsubscribe();
+    },
+    intervalId,
+  };
+};
@@ -0,0 +1,371 @@
+import * as Location from 'expo-location';
+import * as Battery from 'expo-battery';
+import { STORAGE_KEYS, getData, subscribe } from './storage';
+import { startLocationTracking, stopLocationTracking } from './location';
+import { calculateRiskScore } from './ai';
+
+/**
+ * Tracking profile utilities for SafeHer app
+ * Picks how often and how precisely location is tracked from the battery
+ * level, how fast the user is moving, the current risk level and whether
+ * an SOS is active, and switches profiles while tracking runs
+ */
+
+export const TRACKING_PROFILES = {
+  IDLE: 'idle',
+  COMMUTE: 'commute',
+  WALKING_ALONE: 'walking_alone',
+  EMERGENCY: 'emergency',
+};
+
+const PROFILE_OPTIONS = {
+  [TRACKING_PROFILES.IDLE]: {
+    accuracy: Location.Accuracy.Balanced,
+    timeInterval: 120000, // 2 minutes
+    distanceInterval: 100, // 100 meters
+  },
+  [TRACKING_PROFILES.COMMUTE]: {
+    accuracy: Location.Accuracy.Balanced,
+    timeInterval: 30000, // 30 seconds
+    distanceInterval: 50, // 50 meters
+  },
+  [TRACKING_PROFILES.WALKING_ALONE]: {
+    accuracy: Location.Accuracy.High,
+    timeInterval: 10000, // 10 seconds
+    distanceInterval: 10, // 10 meters
+  },
+  [TRACKING_PROFILES.EMERGENCY]: {
+    accuracy: Location.Accuracy.BestForNavigation,
+    timeInterval: 5000, // 5 seconds
+    distanceInterval: 5, // 5 meters
+  },
+};
+
+// An SOS on a nearly flat battery still tracks, but slowly enough that the
+// phone lasts until help arrives
+const EMERGENCY_CRITICAL_BATTERY_OPTIONS = {
+  accuracy: Location.Accuracy.High,
+  timeInterval: 30000, // 30 seconds
+  distanceInterval: 20, // 20 meters
+};
+
+// Most to least battery hungry, excluding emergency
+const STEP_DOWN = {
+  [TRACKING_PROFILES.WALKING_ALONE]: TRACKING_PROFILES.COMMUTE,
+  [TRACKING_PROFILES.COMMUTE]: TRACKING_PROFILES.IDLE,
+  [TRACKING_PROFILES.IDLE]: TRACKING_PROFILES.IDLE,
+};
+
+const PROFILE_RANK = {
+  [TRACKING_PROFILES.IDLE]: 0,
+  [TRACKING_PROFILES.COMMUTE]: 1,
+  [TRACKING_PROFILES.WALKING_ALONE]: 2,
+  [TRACKING_PROFILES.EMERGENCY]: 3,
+};
+
+const LOW_BATTERY_LEVEL = 0.2;
+const CRITICAL_BATTERY_LEVEL = 0.1;
+
+// Meters per second
+const WALKING_SPEED = 0.5;
+const VEHICLE_SPEED = 7; // about 25 km/h
+
+// Speed is averaged over this many fixes so one bad reading doesn't switch profiles
+const SPEED_SAMPLES = 3;
+
+// No fix for this long means the user has stopped: the watch's distance
+// interval holds fixes back while standing still, so none arrive to say so
+const SPEED_MAX_AGE_MS = 60 * 1000;
+
+// Switching to a lower profile waits this long, so stopping at a crossing
+// doesn't drop accuracy; switching up happens at once
+const STEP_DOWN_DELAY_MS = 2 * 60 * 1000;
+
+const RISK_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Judges the area around a fix: (latitude, longitude) => Promise<{ level, reasons }>
+let areaSafetyCheck = null;
+
+/**
+ * Battery
+ */
+
+/**
+ * Read the battery level (0 to 1), charging state and low power mode
+ * Unknown values are null, which never limits tracking
+ */
+export const getBatteryStatus = async () => {
+  try {
+    const { batteryLevel, batteryState, lowPowerMode } = await Battery.getPowerStateAsync();
+    return {
+      batteryLevel: batteryLevel >= 0 ? batteryLevel : null,
+      isCharging: batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL,
+      lowPowerMode: Boolean(lowPowerMode),
+    };
+  } catch (error) {
+    console.error('Error reading battery status:', error);
+    return { batteryLevel: null, isCharging: false, lowPowerMode: false };
+  }
+};
+
+export const isBatteryCritical = ({ batteryLevel, isCharging }) => {
+  return !isCharging && batteryLevel !== null && batteryLevel <= CRITICAL_BATTERY_LEVEL;
+};
+
+const isBatteryLow = ({ batteryLevel, isCharging, lowPowerMode }) => {
+  return !isCharging && (lowPowerMode || (batteryLevel !== null && batteryLevel <= LOW_BATTERY_LEVEL));
+};
+
+/**
+ * Profile Selection
+ */
+
+/**
+ * Pick the tracking profile for the current conditions
+ * conditions: { batteryLevel, isCharging, lowPowerMode, speed, riskLevel, emergencyActive }
+ * An SOS always tracks as an emergency; otherwise moving or a raised risk
+ * level tracks more closely, and a low battery steps down one profile
+ * (a critical one all the way to idle)
+ */
+export const selectTrackingProfile = (conditions = {}) => {
+  const {
+    batteryLevel = null,
+    isCharging = false,
+    lowPowerMode = false,
+    speed = null,
+    riskLevel = null,
+    emergencyActive = false,
+  } = conditions;
+
+  if (emergencyActive) {
+    return TRACKING_PROFILES.EMERGENCY;
+  }
+
+  const raisedRisk = riskLevel === 'Moderate' || riskLevel === 'Unsafe';
+  let profile;
+  if (speed !== null && speed >= VEHICLE_SPEED) {
+    profile = TRACKING_PROFILES.COMMUTE;
+  } else if (speed !== null && speed >= WALKING_SPEED) {
+    profile = raisedRisk ? TRACKING_PROFILES.WALKING_ALONE : TRACKING_PROFILES.COMMUTE;
+  } else {
+    profile = riskLevel === 'Unsafe' ? TRACKING_PROFILES.WALKING_ALONE : TRACKING_PROFILES.IDLE;
+  }
+
+  const battery = { batteryLevel, isCharging, lowPowerMode };
+  if (isBatteryCritical(battery)) {
+    return TRACKING_PROFILES.IDLE;
+  }
+  if (isBatteryLow(battery)) {
+    return STEP_DOWN[profile];
+  }
+  return profile;
+};
+
+/**
+ * Get expo-location watch options for a profile
+ */
+export const getTrackingOptions = (profile, battery = {}) => {
+  if (profile === TRACKING_PROFILES.EMERGENCY && isBatteryCritical({ batteryLevel: null, isCharging: false, ...battery })) {
+    return { ...EMERGENCY_CRITICAL_BATTERY_OPTIONS };
+  }
+  return { ...(PROFILE_OPTIONS[profile] || PROFILE_OPTIONS[TRACKING_PROFILES.IDLE]) };
+};
+
+const sameOptions = (a, b) => Boolean(a && b) &&
+  a.accuracy === b.accuracy &&
+  a.timeInterval === b.timeInterval &&
+  a.distanceInterval === b.distanceInterval;
+
+/**
+ * Register how the risk of the area around the user is judged
+ * Pass isLocationSafe from locationSafety.js; it reads safe zones, which
+ * start this tracking, so it's handed in rather than imported. Without one,
+ * the risk score from ai.js is used
+ */
+export const setAreaSafetyCheck = (check) => {
+  areaSafetyCheck = check;
+};
+
+/**
+ * Adaptive Tracking
+ */
+
+/**
+ * Track location with the profile that fits the moment
+ * Battery, SOS and risk changes and the speed of each fix are checked and
+ * the watch restarts with new options when the profile changes.
+ * During an SOS the watch pauses, since SOS tracking records every fix;
+ * subscribe to those with subscribeToEmergencyLocations
+ * onProfileChange receives (profile, options, risk) after each switch,
+ * where risk is the last risk check, whose reasons explain a raised level
+ * Returns subscription object for stopping tracking
+ */
+export const startAdaptiveTracking = (callback, { onProfileChange } = {}) => {
+  const conditions = {
+    batteryLevel: null,
+    isCharging: false,
+    lowPowerMode: false,
+    speed: null,
+    riskLevel: null,
+    emergencyActive: false,
+  };
+  const recentSpeeds = []; // { speed, time }, oldest first
+  let lastRiskCheck = 0;
+  let lastRisk = null;
+  let profile = null;
+  let options = null;
+  let subscription = null;
+  let stepDownSince = null;
+  let stepDownTimer = null;
+  let speedTimer = null;
+  let stopped = false;
+  // Syncs run one after another so two watches never start at once
+  let syncing = Promise.resolve();
+
+  const checkRisk = async (location) => {
+    lastRiskCheck = Date.now();
+    const risk = areaSafetyCheck
+      ? await areaSafetyCheck(location.latitude, location.longitude)
+      : await calculateRiskScore(location.latitude, location.longitude, {
+        isAlone: true,
+        isStationary: conditions.speed !== null && conditions.speed < WALKING_SPEED,
+        speed: conditions.speed || 0,
+      });
+    lastRisk = risk || lastRisk;
+    if (risk && risk.level !== conditions.riskLevel) {
+      conditions.riskLevel = risk.level;
+      queueSync();
+    }
+  };
+
+  // Average of the recent speeds; once they have all gone stale the user is
+  // standing still, while a speed never seen stays unknown
+  const updateSpeed = () => {
+    const now = Date.now();
+    while (recentSpeeds.length > 0 && now - recentSpeeds[0].time >= SPEED_MAX_AGE_MS) {
+      recentSpeeds.shift();
+    }
+    if (recentSpeeds.length > 0) {
+      conditions.speed = recentSpeeds.reduce((sum, sample) => sum + sample.speed, 0) / recentSpeeds.length;
+    } else if (conditions.speed !== null) {
+      conditions.speed = 0;
+    }
+  };
+
+  const handleLocation = (location) => {
+    if (typeof location.speed === 'number' && location.speed >= 0) {
+      recentSpeeds.push({ speed: location.speed, time: Date.now() });
+      if (recentSpeeds.length > SPEED_SAMPLES) recentSpeeds.shift();
+      updateSpeed();
+      // Checked again when this fix goes stale, in case no other one follows
+      clearTimeout(speedTimer);
+      speedTimer = setTimeout(queueSync, SPEED_MAX_AGE_MS);
+    }
+    if (Date.now() - lastRiskCheck >= RISK_CHECK_INTERVAL_MS) {
+      checkRisk(location).catch((error) => {
+        console.error('Error checking risk for tracking profile:', error);
+      });
+    }
+    if (callback) {
+      callback(location);
+    }
+    queueSync();
+  };
+
+  const stopWatching = () => {
+    stopLocationTracking(subscription);
+    subscription = null;
+  };
+
+  const sync = async () => {
+    clearTimeout(stepDownTimer);
+    stepDownTimer = null;
+    if (stopped) {
+      clearTimeout(speedTimer);
+      stopWatching();
+      return;
+    }
+
+    updateSpeed();
+    const next = selectTrackingProfile(conditions);
+    const nextOptions = getTrackingOptions(next, conditions);
+    if (next === profile && sameOptions(nextOptions, options)) {
+      stepDownSince = null;
+      return;
+    }
+
+    if (profile && PROFILE_RANK[next] < PROFILE_RANK[profile] && profile !== TRACKING_PROFILES.EMERGENCY) {
+      stepDownSince = stepDownSince || Date.now();
+      const remaining = STEP_DOWN_DELAY_MS - (Date.now() - stepDownSince);
+      if (remaining > 0) {
+        // Nothing else may happen by then, so check again when the wait is over
+        stepDownTimer = setTimeout(queueSync, remaining);
+        return;
+      }
+    }
+    stepDownSince = null;
+
+    stopWatching();
+    if (next !== TRACKING_PROFILES.EMERGENCY) {
+      subscription = await startLocationTracking(handleLocation, nextOptions);
+      if (!subscription) {
+        // Try again on the next change rather than report a profile that isn't running
+        profile = null;
+        options = null;
+        return;
+      }
+    }
+    profile = next;
+    options = nextOptions;
+    if (onProfileChange) {
+      onProfileChange(profile, options, lastRisk);
+    }
+  };
+
+  const queueSync = () => {
+    syncing = syncing.then(sync).catch((error) => {
+      console.error('Error switching tracking profile:', error);
+    });
+  };
+
+  const updateConditions = (changes) => {
+    Object.assign(conditions, changes);
+    queueSync();
+  };
+
+  const refreshEmergency = async () => {
+    const emergency = await getData(STORAGE_KEYS.ACTIVE_EMERGENCY);
+    updateConditions({ emergencyActive: Boolean(emergency) });
+  };
+
+  const start = async () => {
+    const [battery, emergency] = await Promise.all([
+      getBatteryStatus(),
+      getData(STORAGE_KEYS.ACTIVE_EMERGENCY),
+    ]);
+    updateConditions({ ...battery, emergencyActive: Boolean(emergency) });
+  };
+  start().catch((error) => {
+    console.error('Error starting adaptive tracking:', error);
+    queueSync();
+  });
+
+  const batterySubscriptions = [
+    Battery.addBatteryLevelListener(({ batteryLevel }) => updateConditions({ batteryLevel })),
+    Battery.addBatteryStateListener(({ batteryState }) => updateConditions({
+      isCharging: batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL,
+    })),
+    Battery.addLowPowerModeListener(({ lowPowerMode }) => updateConditions({ lowPowerMode })),
+  ];
+  const unsubscribe = subscribe(STORAGE_KEYS.ACTIVE_EMERGENCY, refreshEmergency);
+
+  return {
+    stop: () => {
+      stopped = true;
+      batterySubscriptions.forEach(batterySubscription => batterySubscription.remove());
+      unsubscribe();
+      queueSync();
+    },
+    getProfile: () => profile,
+  };
+};